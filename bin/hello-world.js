@@ -0,0 +1,14 @@
+#!/usr/bin/env node
+/**
+ * hello-world command
+ *
+ * Runs and manages the server; see lib/cli or `hello-world --help`.
+ *
+ * @module bin/hello-world
+ */
+
+const { main } = require('../lib/cli');
+
+main(process.argv.slice(2)).then((code) => {
+  process.exit(code);
+});
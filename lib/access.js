@@ -0,0 +1,150 @@
+/**
+ * Role-Based Access Control
+ *
+ * Roles are ranked: `reader` < `editor` < `admin`, and each role includes
+ * the ones below it. Requests are authenticated by a session cookie (see
+ * lib/sessions), a bearer token (see lib/tokens) or a client certificate
+ * (see lib/tls); each sets `req.auth`:
+ *
+ *     { method: 'session' | 'bearer' | 'certificate', roles: ['editor'], tokenId?: '...' }
+ *
+ * `authorize()` guards routes per HTTP method. Failures follow RFC 7235 and
+ * RFC 6750: 401 with a WWW-Authenticate challenge when the caller is not
+ * authenticated (or its credentials are invalid), 403 when the caller is
+ * known but lacks the role. Both are passed on as lib/errors errors.
+ *
+ * @module lib/access
+ */
+
+const { UnauthorizedError, ForbiddenError } = require('./errors');
+
+/**
+ * Roles in ascending order of privilege
+ * @type {string[]}
+ */
+const ROLES = Object.freeze(['reader', 'editor', 'admin']);
+
+/**
+ * Realm named in WWW-Authenticate challenges
+ * @type {string}
+ */
+const REALM = 'hello-world';
+
+/**
+ * Checks whether any of the granted roles includes the required one
+ *
+ * @param {string[]} granted - Roles of the caller; unknown names are ignored
+ * @param {string} required - Role from ROLES
+ * @returns {boolean} True when a granted role ranks at or above the required one
+ */
+function hasRole(granted, required) {
+  const rank = ROLES.indexOf(required);
+  return (granted || []).some((role) => ROLES.indexOf(role) >= rank && ROLES.includes(role));
+}
+
+/**
+ * Quotes a WWW-Authenticate parameter value
+ *
+ * @param {string} value - Raw value
+ * @returns {string} Quoted string
+ */
+function quote(value) {
+  return `"${String(value).replace(/["\\]/g, '\\$&')}"`;
+}
+
+/**
+ * Creates a 401 error with a Bearer challenge
+ *
+ * @param {string} message - Problem detail
+ * @param {Object} [challenge] - Extra challenge parameters, e.g. `{ error: 'invalid_token' }`
+ * @returns {UnauthorizedError} The error
+ */
+function unauthorized(message, challenge = {}) {
+  const params = Object.entries({ realm: REALM, ...challenge })
+    .map(([name, value]) => `${name}=${quote(value)}`);
+  return new UnauthorizedError(message, { challenge: `Bearer ${params.join(', ')}` });
+}
+
+/**
+ * Creates a 403 error for an authenticated caller lacking a role
+ *
+ * Bearer callers also get an `insufficient_scope` challenge naming the role.
+ *
+ * @param {express.Request} req - The request
+ * @param {string} role - The role that was required
+ * @returns {ForbiddenError} The error
+ */
+function forbidden(req, role) {
+  const headers = req.auth && req.auth.method === 'bearer'
+    ? { 'WWW-Authenticate': `Bearer realm=${quote(REALM)}, error="insufficient_scope", scope=${quote(role)}` }
+    : {};
+  return new ForbiddenError(`Requires the ${role} role`, { headers });
+}
+
+/**
+ * Validates an access policy
+ *
+ * @param {string|Object<string, string|null>} policy - A role for every method, or roles keyed
+ *   by HTTP method with `*` as the fallback; null leaves a method open
+ * @returns {Object<string, string|null>} Normalized policy keyed by upper-case method
+ * @throws {TypeError} On unknown roles
+ */
+function normalizePolicy(policy) {
+  const entries = typeof policy === 'string' ? [['*', policy]] : Object.entries(policy || {});
+  const normalized = {};
+  for (const [method, role] of entries) {
+    if (role !== null && !ROLES.includes(role)) {
+      throw new TypeError(`Unknown role "${role}" for ${method}; expected one of ${ROLES.join(', ')}`);
+    }
+    normalized[method.toUpperCase()] = role;
+  }
+  return normalized;
+}
+
+/**
+ * Creates middleware that enforces a role per HTTP method
+ *
+ * HEAD follows GET unless listed on its own. Methods the policy does not
+ * mention and no `*` fallback covers are left open.
+ *
+ * @example
+ * app.use('/industries', authorize({ POST: 'editor', PUT: 'editor', DELETE: 'admin' }));
+ * app.get('/audit', authorize('admin'), handler);
+ *
+ * @param {string|Object<string, string|null>} policy - See normalizePolicy()
+ * @returns {Function} Express middleware; its `roleFor(method)` returns the role a method requires
+ * @throws {TypeError} On unknown roles
+ */
+function authorize(policy) {
+  const rules = normalizePolicy(policy);
+  const roleFor = (method) => {
+    if (method in rules) return rules[method];
+    if (method === 'HEAD' && 'GET' in rules) return rules.GET;
+    return '*' in rules ? rules['*'] : null;
+  };
+
+  const middleware = (req, res, next) => {
+    const role = roleFor(req.method);
+    if (!role) {
+      return next();
+    }
+    if (!req.auth) {
+      return next(unauthorized('Authentication required'));
+    }
+    if (!hasRole(req.auth.roles, role)) {
+      return next(forbidden(req, role));
+    }
+    next();
+  };
+  // Read by lib/openapi to document the roles routes require
+  middleware.roleFor = roleFor;
+  return middleware;
+}
+
+module.exports = {
+  ROLES,
+  hasRole,
+  unauthorized,
+  forbidden,
+  authorize
+};
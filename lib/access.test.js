@@ -0,0 +1,90 @@
+/**
+ * Unit Tests for role-based access control
+ *
+ * @module lib/access.test
+ */
+
+const express = require('express');
+const request = require('supertest');
+const { ROLES, hasRole, authorize } = require('./access');
+const { errorHandler } = require('./errors');
+
+describe('Access Control', () => {
+
+  describe('hasRole()', () => {
+    it('should rank roles reader < editor < admin', () => {
+      expect(ROLES).toEqual(['reader', 'editor', 'admin']);
+      expect(hasRole(['admin'], 'reader')).toBe(true);
+      expect(hasRole(['editor'], 'editor')).toBe(true);
+      expect(hasRole(['editor'], 'admin')).toBe(false);
+      expect(hasRole(['reader', 'editor'], 'editor')).toBe(true);
+    });
+
+    it('should ignore unknown roles and missing grants', () => {
+      expect(hasRole(['superuser'], 'reader')).toBe(false);
+      expect(hasRole(undefined, 'reader')).toBe(false);
+    });
+  });
+
+  describe('authorize()', () => {
+    const appWith = (auth, policy) => {
+      const app = express();
+      app.use((req, res, next) => {
+        req.auth = auth;
+        next();
+      });
+      app.all('/thing', authorize(policy), (req, res) => res.send('ok'));
+      app.use(errorHandler());
+      return app;
+    };
+
+    it('should throw on unknown roles', () => {
+      expect(() => authorize({ POST: 'owner' })).toThrow(/Unknown role "owner" for POST/);
+    });
+
+    it('should answer 401 with a Bearer challenge when not authenticated', async () => {
+      const res = await request(appWith(undefined, 'reader')).get('/thing');
+      expect(res.status).toBe(401);
+      expect(res.headers['www-authenticate']).toBe('Bearer realm="hello-world"');
+      expect(res.body).toMatchObject({ detail: 'Authentication required' });
+    });
+
+    it('should answer 403 when authenticated without the role', async () => {
+      const res = await request(appWith({ method: 'session', roles: ['reader'] }, 'editor')).get('/thing');
+      expect(res.status).toBe(403);
+      expect(res.body).toMatchObject({ detail: 'Requires the editor role' });
+      expect(res.headers['www-authenticate']).toBeUndefined();
+    });
+
+    it('should add an insufficient_scope challenge for bearer callers', async () => {
+      const res = await request(appWith({ method: 'bearer', roles: ['reader'] }, 'admin')).get('/thing');
+      expect(res.status).toBe(403);
+      expect(res.headers['www-authenticate']).toBe('Bearer realm="hello-world", error="insufficient_scope", scope="admin"');
+    });
+
+    it('should allow callers holding the role or a higher one', async () => {
+      expect((await request(appWith({ method: 'session', roles: ['admin'] }, 'editor')).get('/thing')).status).toBe(200);
+    });
+
+    it('should apply roles per HTTP method', async () => {
+      const policy = { GET: null, POST: 'editor', DELETE: 'admin' };
+      const editor = appWith({ method: 'session', roles: ['editor'] }, policy);
+      expect((await request(editor).get('/thing')).status).toBe(200);
+      expect((await request(editor).post('/thing')).status).toBe(200);
+      expect((await request(editor).delete('/thing')).status).toBe(403);
+      expect((await request(appWith(undefined, policy)).get('/thing')).status).toBe(200);
+    });
+
+    it('should fall back to "*" and leave unlisted methods open without it', async () => {
+      const guarded = appWith(undefined, { '*': 'reader', GET: null });
+      expect((await request(guarded).get('/thing')).status).toBe(200);
+      expect((await request(guarded).put('/thing')).status).toBe(401);
+      expect((await request(appWith(undefined, { POST: 'reader' })).put('/thing')).status).toBe(200);
+    });
+
+    it('should guard HEAD like GET unless listed', async () => {
+      expect((await request(appWith(undefined, { GET: 'reader' })).head('/thing')).status).toBe(401);
+      expect((await request(appWith(undefined, { GET: 'reader', HEAD: null })).head('/thing')).status).toBe(200);
+    });
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * Atomic File Writes
+ *
+ * Writes go to a temporary file in the target's directory, are flushed to
+ * disk and then renamed over the target. A crash at any point leaves either
+ * the old or the new file in place, never a truncated one.
+ *
+ * `withFileLock()` serializes read-modify-write cycles of a file across
+ * processes (e.g. cluster workers) through a `<file>.lock` file.
+ *
+ * @module lib/atomic-write
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Replaces a file's contents atomically
+ *
+ * @param {string} file - Target path
+ * @param {string|Buffer} data - New contents
+ * @param {Object} [options]
+ * @param {number} [options.mode] - File mode; the existing file's mode when omitted
+ * @throws {Error} When the temporary file cannot be written or renamed
+ */
+function writeFileAtomic(file, data, { mode } = {}) {
+  const target = path.resolve(file);
+  const temp = path.join(
+    path.dirname(target),
+    `.${path.basename(target)}.${process.pid}.${Date.now()}.${Math.random().toString(36).slice(2)}.tmp`
+  );
+
+  let fileMode = mode;
+  if (fileMode === undefined) {
+    try {
+      fileMode = fs.statSync(target).mode & 0o777;
+    } catch (err) {
+      fileMode = 0o644;
+    }
+  }
+
+  const fd = fs.openSync(temp, 'wx', fileMode);
+  try {
+    fs.writeFileSync(fd, data);
+    fs.fsyncSync(fd);
+  } catch (err) {
+    fs.closeSync(fd);
+    fs.rmSync(temp, { force: true });
+    throw err;
+  }
+  fs.closeSync(fd);
+
+  try {
+    fs.renameSync(temp, target);
+  } catch (err) {
+    fs.rmSync(temp, { force: true });
+    throw err;
+  }
+}
+
+/**
+ * Runs a function while holding the lock of a file
+ *
+ * The lock is a `<file>.lock` file created exclusively; other holders are
+ * waited for, retrying every `retryDelay` milliseconds. A lock older than
+ * `staleTime` was left by a crashed process and is taken over.
+ *
+ * @param {string} file - Path of the file to lock
+ * @param {Function} fn - Called once the lock is held; may return a promise
+ * @param {Object} [options]
+ * @param {number} [options.staleTime=10000] - Milliseconds after which a lock is abandoned
+ * @param {number} [options.retryDelay=10] - Milliseconds between attempts
+ * @returns {Promise<*>} What `fn` returned
+ */
+async function withFileLock(file, fn, { staleTime = 10000, retryDelay = 10 } = {}) {
+  const lock = `${path.resolve(file)}.lock`;
+  fs.mkdirSync(path.dirname(lock), { recursive: true });
+  for (;;) {
+    try {
+      fs.closeSync(fs.openSync(lock, 'wx'));
+      break;
+    } catch (err) {
+      if (err.code !== 'EEXIST') {
+        throw err;
+      }
+    }
+    try {
+      if (Date.now() - fs.statSync(lock).mtimeMs > staleTime) {
+        fs.rmSync(lock, { force: true });
+        continue;
+      }
+    } catch (err) {
+      // Released meanwhile
+      continue;
+    }
+    await new Promise((resolve) => setTimeout(resolve, retryDelay));
+  }
+  try {
+    return await fn();
+  } finally {
+    fs.rmSync(lock, { force: true });
+  }
+}
+
+module.exports = {
+  writeFileAtomic,
+  withFileLock
+};
@@ -0,0 +1,90 @@
+/**
+ * Unit Tests for atomic file writes
+ *
+ * @module lib/atomic-write.test
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { writeFileAtomic, withFileLock } = require('./atomic-write');
+
+describe('writeFileAtomic()', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'atomic-write-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should create a new file', () => {
+    const file = path.join(tmpDir, 'new.txt');
+    writeFileAtomic(file, 'hello');
+    expect(fs.readFileSync(file, 'utf8')).toBe('hello');
+  });
+
+  it('should replace an existing file and keep its mode', () => {
+    const file = path.join(tmpDir, 'existing.txt');
+    fs.writeFileSync(file, 'old', { mode: 0o600 });
+    writeFileAtomic(file, 'new');
+    expect(fs.readFileSync(file, 'utf8')).toBe('new');
+    expect(fs.statSync(file).mode & 0o777).toBe(0o600);
+  });
+
+  it('should not leave temporary files behind', () => {
+    writeFileAtomic(path.join(tmpDir, 'a.txt'), 'a');
+    expect(fs.readdirSync(tmpDir)).toEqual(['a.txt']);
+  });
+
+  it('should leave the original untouched when the rename fails', () => {
+    const target = path.join(tmpDir, 'dir');
+    fs.mkdirSync(target);
+    fs.writeFileSync(path.join(target, 'keep.txt'), 'keep');
+    expect(() => writeFileAtomic(target, 'data')).toThrow();
+    expect(fs.readdirSync(tmpDir)).toEqual(['dir']);
+  });
+});
+
+describe('withFileLock()', () => {
+  let tmpDir;
+  let file;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'file-lock-test-'));
+    file = path.join(tmpDir, 'index.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should run one holder at a time and release the lock', async () => {
+    const events = [];
+    const hold = (name) => withFileLock(file, async () => {
+      events.push(`${name} in`);
+      await new Promise((resolve) => setTimeout(resolve, 20));
+      events.push(`${name} out`);
+      return name;
+    }, { retryDelay: 1 });
+    expect(await Promise.all([hold('a'), hold('b')])).toEqual(['a', 'b']);
+    expect(events).toEqual(['a in', 'a out', 'b in', 'b out']);
+    expect(fs.readdirSync(tmpDir)).toEqual([]);
+  });
+
+  it('should release the lock when the function throws', async () => {
+    await expect(withFileLock(file, () => {
+      throw new Error('failed');
+    })).rejects.toThrow('failed');
+    expect(await withFileLock(file, () => 'next')).toBe('next');
+  });
+
+  it('should take over a stale lock', async () => {
+    fs.writeFileSync(`${file}.lock`, '');
+    const past = new Date(Date.now() - 60000);
+    fs.utimesSync(`${file}.lock`, past, past);
+    expect(await withFileLock(file, () => 'taken', { staleTime: 1000 })).toBe('taken');
+  });
+});
@@ -0,0 +1,276 @@
+/**
+ * Compound File Binary Format
+ *
+ * Reads the OLE2 "structured storage" container used by legacy Office
+ * files (.doc, .xls, .ppt): a small FAT file system of storages and streams
+ * inside one file. See [MS-CFB].
+ *
+ * Every sector number, chain and directory link is checked against the file
+ * before it is followed, so truncated, cyclic or otherwise corrupt files
+ * raise CfbError instead of reading out of bounds or looping forever.
+ *
+ * @module lib/cfb
+ */
+
+/**
+ * Error raised for data that is not a well-formed compound file
+ */
+class CfbError extends Error {
+  /**
+   * @param {string} message - What is wrong with the file
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'CfbError';
+  }
+}
+
+/**
+ * Leading bytes of every compound file
+ * @type {Buffer}
+ */
+const SIGNATURE = Buffer.from('d0cf11e0a1b11ae1', 'hex');
+
+const HEADER_SIZE = 512;
+const DIRECTORY_ENTRY_SIZE = 128;
+const END_OF_CHAIN = 0xfffffffe;
+const FREE_SECTOR = 0xffffffff;
+const NO_STREAM = 0xffffffff;
+
+/**
+ * Directory entry types
+ * @type {Object<number, string>}
+ */
+const ENTRY_TYPES = { 1: 'storage', 2: 'stream', 5: 'root' };
+
+/**
+ * Parses the fixed header
+ *
+ * @param {Buffer} buffer - The file
+ * @returns {Object} Header fields
+ * @throws {CfbError} On a bad signature, byte order or sector size
+ */
+function readHeader(buffer) {
+  if (buffer.length < HEADER_SIZE || !buffer.subarray(0, 8).equals(SIGNATURE)) {
+    throw new CfbError('Not a compound file: signature missing');
+  }
+  if (buffer.readUInt16LE(0x1c) !== 0xfffe) {
+    throw new CfbError('Compound file has an invalid byte order mark');
+  }
+  const version = buffer.readUInt16LE(0x1a);
+  const sectorShift = buffer.readUInt16LE(0x1e);
+  if (!((version === 3 && sectorShift === 9) || (version === 4 && sectorShift === 12))) {
+    throw new CfbError(`Unsupported compound file version ${version} with sector shift ${sectorShift}`);
+  }
+  const miniSectorShift = buffer.readUInt16LE(0x20);
+  if (miniSectorShift !== 6) {
+    throw new CfbError(`Unsupported mini sector shift ${miniSectorShift}`);
+  }
+  return {
+    version,
+    sectorSize: 1 << sectorShift,
+    miniSectorSize: 1 << miniSectorShift,
+    fatSectors: buffer.readUInt32LE(0x2c),
+    firstDirectorySector: buffer.readUInt32LE(0x30),
+    miniStreamCutoff: buffer.readUInt32LE(0x38),
+    firstMiniFatSector: buffer.readUInt32LE(0x3c),
+    miniFatSectors: buffer.readUInt32LE(0x40),
+    firstDifatSector: buffer.readUInt32LE(0x44),
+    difatSectors: buffer.readUInt32LE(0x48)
+  };
+}
+
+/**
+ * Reads a compound file
+ *
+ * @example
+ * const file = readCompoundFile(fs.readFileSync('documents/sample.doc'));
+ * file.read('WordDocument'); // Buffer
+ *
+ * @param {Buffer} buffer - The whole file
+ * @returns {{entries: Array<Object>, has: Function, read: Function}} The file:
+ *   `entries` lists every storage and stream as `{ path, name, type, size }`;
+ *   `has(path)` checks for a stream; `read(path)` returns its contents
+ * @throws {CfbError} When the file is not a well-formed compound file
+ */
+function readCompoundFile(buffer) {
+  const header = readHeader(buffer);
+  const { sectorSize, miniSectorSize } = header;
+  const sectorCount = Math.floor((buffer.length - HEADER_SIZE) / sectorSize)
+    + ((buffer.length - HEADER_SIZE) % sectorSize ? 1 : 0);
+
+  /**
+   * Returns one sector, zero-padded when the file ends inside it
+   */
+  const sector = (index) => {
+    if (index >= sectorCount) {
+      throw new CfbError(`Sector ${index} lies beyond the end of the file`);
+    }
+    const start = HEADER_SIZE + index * sectorSize;
+    const data = buffer.subarray(start, start + sectorSize);
+    return data.length === sectorSize ? data : Buffer.concat([data, Buffer.alloc(sectorSize - data.length)]);
+  };
+
+  // The DIFAT lists the FAT's sectors: 109 in the header, the rest in a chain
+  const fatSectorList = [];
+  for (let index = 0; index < 109 && fatSectorList.length < header.fatSectors; index += 1) {
+    fatSectorList.push(buffer.readUInt32LE(0x4c + index * 4));
+  }
+  let difat = header.firstDifatSector;
+  const seenDifat = new Set();
+  for (let count = 0; count < header.difatSectors && fatSectorList.length < header.fatSectors; count += 1) {
+    if (difat >= sectorCount || seenDifat.has(difat)) {
+      throw new CfbError('Compound file has a broken DIFAT chain');
+    }
+    seenDifat.add(difat);
+    const data = sector(difat);
+    const perSector = sectorSize / 4 - 1;
+    for (let index = 0; index < perSector && fatSectorList.length < header.fatSectors; index += 1) {
+      fatSectorList.push(data.readUInt32LE(index * 4));
+    }
+    difat = data.readUInt32LE(perSector * 4);
+  }
+  if (fatSectorList.length < header.fatSectors) {
+    throw new CfbError('Compound file lists fewer FAT sectors than it declares');
+  }
+  const fatBuffer = Buffer.concat(fatSectorList.map(sector));
+  const fat = (index) => (index * 4 + 4 <= fatBuffer.length ? fatBuffer.readUInt32LE(index * 4) : FREE_SECTOR);
+
+  /**
+   * Follows a sector chain
+   *
+   * @param {number} start - First sector
+   * @param {Function} next - Returns the sector after a given one
+   * @param {number} limit - Number of addressable sectors
+   * @returns {number[]} The chain
+   */
+  const chain = (start, next, limit) => {
+    const sectors = [];
+    const seen = new Set();
+    for (let current = start; current !== END_OF_CHAIN; current = next(current)) {
+      if (current >= limit || seen.has(current)) {
+        throw new CfbError('Compound file has a broken or cyclic sector chain');
+      }
+      seen.add(current);
+      sectors.push(current);
+    }
+    return sectors;
+  };
+  const readChain = (start) => Buffer.concat(chain(start, fat, sectorCount).map(sector));
+
+  // Directory entries, then the tree of storages and streams they form
+  const directory = readChain(header.firstDirectorySector);
+  const rawEntries = [];
+  for (let offset = 0; offset + DIRECTORY_ENTRY_SIZE <= directory.length; offset += DIRECTORY_ENTRY_SIZE) {
+    const nameLength = directory.readUInt16LE(offset + 64);
+    const type = directory[offset + 66];
+    rawEntries.push({
+      name: nameLength >= 2 && nameLength <= 64
+        ? directory.toString('utf16le', offset, offset + nameLength - 2)
+        : '',
+      type: ENTRY_TYPES[type] || null,
+      left: directory.readUInt32LE(offset + 68),
+      right: directory.readUInt32LE(offset + 72),
+      child: directory.readUInt32LE(offset + 76),
+      start: directory.readUInt32LE(offset + 116),
+      // Version 3 files may leave garbage in the high half
+      size: header.version === 3
+        ? directory.readUInt32LE(offset + 120)
+        : Number(directory.readBigUInt64LE(offset + 120))
+    });
+  }
+  if (!rawEntries.length || rawEntries[0].type !== 'root') {
+    throw new CfbError('Compound file has no root storage');
+  }
+
+  const entries = [];
+  const byPath = new Map();
+  const visited = new Set([0]);
+  /**
+   * Walks the red-black tree of a storage's children
+   */
+  const walk = (index, parent) => {
+    const pending = [index];
+    while (pending.length) {
+      const current = pending.pop();
+      if (current === NO_STREAM) {
+        continue;
+      }
+      if (current >= rawEntries.length || visited.has(current)) {
+        throw new CfbError('Compound file has a broken or cyclic directory');
+      }
+      visited.add(current);
+      const entry = rawEntries[current];
+      pending.push(entry.left, entry.right);
+      if (!entry.type) {
+        continue;
+      }
+      const entryPath = parent ? `${parent}/${entry.name}` : entry.name;
+      const listed = { path: entryPath, name: entry.name, type: entry.type, size: entry.type === 'stream' ? entry.size : 0 };
+      entries.push(listed);
+      byPath.set(entryPath, entry);
+      if (entry.type === 'storage') {
+        walk(entry.child, entryPath);
+      }
+    }
+  };
+  walk(rawEntries[0].child, '');
+  entries.sort((a, b) => a.path.localeCompare(b.path));
+
+  // Small streams live in the mini stream, itself stored in the root's chain
+  let miniStream = null;
+  let miniFat = null;
+  const readMini = (start) => {
+    if (!miniStream) {
+      miniStream = readChain(rawEntries[0].start);
+      miniFat = header.miniFatSectors ? readChain(header.firstMiniFatSector) : Buffer.alloc(0);
+    }
+    const next = (index) => (index * 4 + 4 <= miniFat.length ? miniFat.readUInt32LE(index * 4) : FREE_SECTOR);
+    const limit = Math.floor(miniStream.length / miniSectorSize);
+    return Buffer.concat(chain(start, next, limit).map((index) =>
+      miniStream.subarray(index * miniSectorSize, (index + 1) * miniSectorSize)));
+  };
+
+  return {
+    entries,
+
+    /**
+     * Checks for a stream
+     *
+     * @param {string} streamPath - Slash-separated path, e.g. "WordDocument"
+     * @returns {boolean} True when the stream exists
+     */
+    has(streamPath) {
+      const entry = byPath.get(streamPath);
+      return Boolean(entry && entry.type === 'stream');
+    },
+
+    /**
+     * Reads a stream
+     *
+     * @param {string} streamPath - Slash-separated path
+     * @returns {Buffer} The stream's contents
+     * @throws {CfbError} When there is no such stream or its chain is broken
+     */
+    read(streamPath) {
+      const entry = byPath.get(streamPath);
+      if (!entry || entry.type !== 'stream') {
+        throw new CfbError(`Compound file has no stream "${streamPath}"`);
+      }
+      if (entry.size === 0) {
+        return Buffer.alloc(0);
+      }
+      const data = entry.size < header.miniStreamCutoff ? readMini(entry.start) : readChain(entry.start);
+      if (data.length < entry.size) {
+        throw new CfbError(`Stream "${streamPath}" is shorter than its declared size`);
+      }
+      return data.subarray(0, entry.size);
+    }
+  };
+}
+
+module.exports = {
+  CfbError,
+  SIGNATURE,
+  readCompoundFile
+};
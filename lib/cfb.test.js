@@ -0,0 +1,79 @@
+/**
+ * Unit Tests for the compound file reader
+ *
+ * @module lib/cfb.test
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { CfbError, readCompoundFile } = require('./cfb');
+
+const SAMPLE = fs.readFileSync(path.join(__dirname, '..', 'documents', 'sample.doc'));
+
+// sample.doc: 512-byte sectors, FAT in sector 0x64, directory from sector 0x65
+const FAT_OFFSET = 512 + 0x64 * 512;
+const DIRECTORY_OFFSET = 512 + 0x65 * 512;
+
+describe('Compound File Binary Format', () => {
+  it('should list the storages and streams of sample.doc', () => {
+    const file = readCompoundFile(SAMPLE);
+    expect(file.entries).toEqual(expect.arrayContaining([
+      { path: 'WordDocument', name: 'WordDocument', type: 'stream', size: 46646 },
+      { path: '1Table', name: '1Table', type: 'stream', size: 27375 },
+      { path: '\x05SummaryInformation', name: '\x05SummaryInformation', type: 'stream', size: 464 },
+      { path: 'ObjectPool', name: 'ObjectPool', type: 'storage', size: 0 },
+      { path: 'ObjectPool/_1079260234/Equation Native', name: 'Equation Native', type: 'stream', size: 524 }
+    ]));
+    expect(file.entries).toHaveLength(17);
+    expect(file.has('WordDocument')).toBe(true);
+    expect(file.has('ObjectPool')).toBe(false);
+    expect(file.has('Missing')).toBe(false);
+  });
+
+  it('should read streams from regular and mini sectors', () => {
+    const file = readCompoundFile(SAMPLE);
+    const word = file.read('WordDocument');
+    expect(word).toHaveLength(46646);
+    expect(word.readUInt16LE(0)).toBe(0xa5ec);
+    const summary = file.read('\x05SummaryInformation');
+    expect(summary).toHaveLength(464);
+    expect(summary.readUInt16LE(0)).toBe(0xfffe);
+    expect(file.read('ObjectPool/_1079260227/\x03ObjInfo')).toHaveLength(4);
+  });
+
+  it('should refuse to read storages and missing streams', () => {
+    const file = readCompoundFile(SAMPLE);
+    expect(() => file.read('ObjectPool')).toThrow(/no stream "ObjectPool"/);
+    expect(() => file.read('Missing')).toThrow(CfbError);
+  });
+
+  describe('corrupt files', () => {
+    const corrupt = (offset, write) => {
+      const copy = Buffer.from(SAMPLE);
+      write(copy, offset);
+      return copy;
+    };
+
+    it.each([
+      ['empty data', Buffer.alloc(0), /signature/],
+      ['a JPEG', fs.readFileSync(path.join(__dirname, '..', 'media', 'demo.jpg')), /signature/],
+      ['a bad byte order mark', corrupt(0x1c, (b, o) => b.writeUInt16LE(0xfeff, o)), /byte order/],
+      ['an unknown version', corrupt(0x1a, (b, o) => b.writeUInt16LE(5, o)), /version 5/],
+      ['a truncated file', SAMPLE.subarray(0, 4096), /beyond the end of the file/],
+      ['a cyclic sector chain', corrupt(FAT_OFFSET + 0x65 * 4, (b, o) => b.writeUInt32LE(0x65, o)), /cyclic sector chain/],
+      ['a cyclic directory', corrupt(DIRECTORY_OFFSET + 128 + 68, (b, o) => b.writeUInt32LE(1, o)), /cyclic directory/],
+      ['a directory link out of range', corrupt(DIRECTORY_OFFSET + 76, (b, o) => b.writeUInt32LE(5000, o)), /broken/],
+      ['a missing root', corrupt(DIRECTORY_OFFSET + 66, (b, o) => { b[o] = 1; }), /no root storage/],
+      ['an unlisted FAT', corrupt(0x2c, (b, o) => b.writeUInt32LE(200, o)), /fewer FAT sectors/]
+    ])('should reject %s', (name, buffer, message) => {
+      expect(() => readCompoundFile(buffer)).toThrow(CfbError);
+      expect(() => readCompoundFile(buffer)).toThrow(message);
+    });
+
+    it('should reject streams whose chain is broken', () => {
+      // The WordDocument stream starts at sector 0; end its chain at once
+      const file = readCompoundFile(corrupt(FAT_OFFSET, (b, o) => b.writeUInt32LE(0xfffffffe, o)));
+      expect(() => file.read('WordDocument')).toThrow(/shorter than its declared size/);
+    });
+  });
+});
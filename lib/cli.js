@@ -0,0 +1,621 @@
+/**
+ * Command-Line Interface
+ *
+ * Implements the `hello-world` command (bin/hello-world.js):
+ * - start        : Runs the server in the foreground and writes the pidfile;
+ *                  with `--cluster`, runs a supervisor and one worker per CPU
+ *                  (see lib/cluster)
+ * - stop         : Sends SIGTERM to the pidfile's process and waits for it to exit
+ * - reload       : Sends SIGHUP, which restarts cluster workers one at a time
+ * - status       : Reports whether the pidfile's process is running
+ * - routes       : Prints the route table with the role each route requires
+ * - check-config : Validates the configuration and prints the effective values
+ *
+ * Every command takes `--config <file>`; `start`, `routes` and
+ * `check-config` also take `--host`, `--port`, `--log-level`, `--cluster`
+ * and `--workers`, which override the config file and the environment (see
+ * lib/config).
+ *
+ * Cluster workers run the primary's command line again; `start` recognizes
+ * them (see WORKER_ENV in lib/cluster) and runs a plain server that answers
+ * the primary instead of a supervisor.
+ *
+ * Exit codes follow the LSB init script conventions where they apply, see
+ * EXIT_CODES.
+ *
+ * @module lib/cli
+ */
+
+const cluster = require('cluster');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { parseArgs, types } = require('util');
+const { ConfigError, SCHEMA, loadConfig } = require('./config');
+const { handleSignals } = require('./shutdown');
+const { buildDocument } = require('./openapi');
+const { createLogger, createFileDestination, stdoutDestination } = require('./logger');
+const { WORKER_ENV, defaultWorkerCount, createSupervisor, joinCluster } = require('./cluster');
+const { readCredentials } = require('./tls');
+
+/**
+ * Process exit codes
+ *
+ * `status` answers RUNNING, STALE (the pidfile names a dead process) or
+ * NOT_RUNNING; `stop` succeeds when the server is not running, `reload`
+ * answers NOT_RUNNING.
+ *
+ * @type {Object<string, number>}
+ */
+const EXIT_CODES = {
+  OK: 0,
+  RUNNING: 0,
+  FAILURE: 1,
+  STALE: 1,
+  USAGE: 2,
+  NOT_RUNNING: 3,
+  CONFIG: 78
+};
+
+/**
+ * Options shared by the commands that build the server configuration
+ * @type {Object}
+ */
+const CONFIG_OPTIONS = {
+  config: { type: 'string', short: 'c' },
+  host: { type: 'string' },
+  port: { type: 'string', short: 'p' },
+  'log-level': { type: 'string' },
+  cluster: { type: 'boolean' },
+  workers: { type: 'string', short: 'w' }
+};
+
+/**
+ * Commands with their options and help text
+ * @type {Object<string, {summary: string, options: Object}>}
+ */
+const COMMANDS = {
+  start: { summary: 'Run the server in the foreground', options: CONFIG_OPTIONS },
+  stop: {
+    summary: 'Stop the running server',
+    options: { config: CONFIG_OPTIONS.config, timeout: { type: 'string', short: 't' } }
+  },
+  reload: { summary: 'Restart the cluster workers one at a time', options: { config: CONFIG_OPTIONS.config } },
+  status: { summary: 'Report whether the server is running', options: { config: CONFIG_OPTIONS.config } },
+  routes: { summary: 'Print the route table', options: { ...CONFIG_OPTIONS, json: { type: 'boolean' } } },
+  'check-config': { summary: 'Validate the configuration and print it', options: CONFIG_OPTIONS }
+};
+
+/**
+ * Usage text printed by --help
+ * @type {string}
+ */
+const USAGE = `Usage: hello-world <command> [options]
+
+Commands:
+${Object.entries(COMMANDS).map(([name, { summary }]) => `  ${name.padEnd(14)}${summary}`).join('\n')}
+
+Options:
+  -c, --config <file>    JSON config file (default: $CONFIG_FILE)
+      --host <address>   Interface to bind (start, routes, check-config)
+  -p, --port <port>      Port to bind; 0 picks a free port (start, routes, check-config)
+      --log-level <lvl>  debug, info, warn, error or silent (start, routes, check-config)
+      --cluster          Run one worker process per CPU under a supervisor (start)
+  -w, --workers <n>      Number of cluster workers; implies --cluster (start)
+  -t, --timeout <ms>     How long stop waits for the server to exit
+                         (default: shutdownTimeout + 5000)
+      --json             Print the route table as JSON (routes)
+  -h, --help             Show this help
+
+Exit codes:
+  0   Success; for status, the server is running
+  1   Failure; for status, the pidfile names a process that is gone
+  2   Invalid command line
+  3   The server is not running (status, reload)
+  78  Invalid configuration
+`;
+
+/**
+ * Settings whose values check-config does not print
+ * @type {string[]}
+ */
+const SECRET_SETTINGS = ['sessionSecret', 'tokenSecret'];
+
+/**
+ * Error for an invalid command line
+ */
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+/**
+ * Converts command-line values to configuration overrides
+ *
+ * @param {Object} values - Parsed options
+ * @returns {Object} Options for loadConfig() and createServer()
+ */
+function toConfigOptions(values) {
+  const options = {};
+  if (values.config !== undefined) options.configFile = values.config;
+  if (values.host !== undefined) options.hostname = values.host;
+  if (values.port !== undefined) {
+    // Non-numeric ports are passed on as is for lib/config to reject
+    options.port = /^\d+$/.test(values.port) ? Number(values.port) : values.port;
+  }
+  if (values['log-level'] !== undefined) options.logLevel = values['log-level'];
+  if (values.cluster !== undefined) options.cluster = values.cluster;
+  if (values.workers !== undefined) {
+    options.cluster = true;
+    options.workers = /^\d+$/.test(values.workers) ? Number(values.workers) : values.workers;
+  }
+  return options;
+}
+
+/**
+ * Reads the process ID from a pidfile
+ *
+ * @param {string} file - Path to the pidfile
+ * @returns {number|null} The PID, or null when the file is missing or holds no PID
+ */
+function readPidFile(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return null;
+    }
+    throw err;
+  }
+  const pid = Number(text.trim());
+  return Number.isInteger(pid) && pid > 0 ? pid : null;
+}
+
+/**
+ * Checks whether a process exists
+ *
+ * @param {number} pid - Process ID
+ * @returns {boolean} True when the process exists, even if owned by another user
+ */
+function isRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === 'EPERM';
+  }
+}
+
+/**
+ * Removes a pidfile if it still names the given process
+ *
+ * @param {string} file - Path to the pidfile
+ * @param {number} pid - Process ID the file must hold
+ */
+function removePidFile(file, pid) {
+  if (readPidFile(file) === pid) {
+    fs.rmSync(file, { force: true });
+  }
+}
+
+/**
+ * Waits for a process to exit
+ *
+ * @param {number} pid - Process ID
+ * @param {number} timeout - Milliseconds to wait
+ * @returns {Promise<boolean>} True when the process exited in time
+ */
+async function waitForExit(pid, timeout) {
+  const deadline = Date.now() + timeout;
+  while (isRunning(pid)) {
+    if (Date.now() >= deadline) {
+      return false;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+  return true;
+}
+
+/**
+ * Writes the pidfile
+ *
+ * @param {string} file - Path to the pidfile
+ * @param {Object} io - Output streams
+ * @returns {boolean} False when the file cannot be written
+ */
+function writePidFile(file, io) {
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, `${process.pid}\n`);
+    return true;
+  } catch (err) {
+    io.stderr.write(`Cannot write pidfile ${file}: ${err.message}\n`);
+    return false;
+  }
+}
+
+/**
+ * Runs one server process until a shutdown signal
+ *
+ * @param {Object} instance - From createServer()
+ * @param {string} pidFile - Path to the pidfile
+ * @param {Object} io - Output streams
+ * @returns {Promise<number>} Exit code, once the server has stopped
+ */
+function startServer(instance, pidFile, io) {
+  const { logger } = instance.app.locals;
+  return new Promise((resolve) => {
+    instance.start((result) => {
+      if (types.isNativeError(result)) {
+        resolve(EXIT_CODES.FAILURE);
+        return;
+      }
+      if (!writePidFile(pidFile, io)) {
+        instance.close().then(() => resolve(EXIT_CODES.FAILURE));
+        return;
+      }
+      // SIGHUP would otherwise end the process
+      const onHangup = () => logger.warn('Received SIGHUP; rolling restarts need cluster mode');
+      process.on('SIGHUP', onHangup);
+      const stop = () => instance.close().finally(() => {
+        process.removeListener('SIGHUP', onHangup);
+        removePidFile(pidFile, process.pid);
+      });
+      handleSignals(stop, { logger, exit: resolve });
+    });
+  });
+}
+
+/**
+ * Runs a cluster worker until the primary or a signal stops it
+ *
+ * Workers leave the pidfile to the primary, and ignore SIGHUP, which the
+ * primary answers by replacing them.
+ *
+ * @param {Object} instance - From createServer()
+ * @returns {Promise<number>} Exit code, once the server has stopped
+ */
+function startWorker(instance) {
+  return new Promise((resolve) => {
+    let stopping = null;
+    const stop = () => {
+      stopping = stopping || instance.close();
+      return stopping;
+    };
+    // Joined before listening, as the primary asks for its state as soon as it listens
+    const link = joinCluster(instance.app, { onShutdown: () => stop().then(() => resolve(EXIT_CODES.OK)) });
+    instance.start((result) => {
+      if (types.isNativeError(result)) {
+        link.leave();
+        resolve(EXIT_CODES.FAILURE);
+        return;
+      }
+      process.on('SIGHUP', () => {});
+      handleSignals(stop, { logger: instance.app.locals.logger, exit: resolve });
+    });
+  });
+}
+
+/**
+ * Runs the cluster supervisor until a shutdown signal
+ *
+ * @param {Object} config - Effective configuration
+ * @param {Object} io - Output streams
+ * @returns {Promise<number>} Exit code, once every worker has stopped
+ */
+async function startCluster(config, io) {
+  const logger = createLogger({
+    level: config.logLevel,
+    destination: config.logFile
+      ? createFileDestination(config.logFile, { maxSize: config.logMaxSize, maxFiles: config.logMaxFiles })
+      : stdoutDestination(),
+    fields: { role: 'primary' }
+  });
+  // Workers must accept each other's bearer tokens, and must not take each
+  // other's session cookies for forgeries and clear them (sessions themselves
+  // stay per worker), across reloads as well: secrets left unset are
+  // generated once here and handed to every worker through its environment
+  const env = {};
+  for (const key of SECRET_SETTINGS) {
+    if (config[key] === null) {
+      env[SCHEMA[key].env] = crypto.randomBytes(32).toString('hex');
+    }
+  }
+  const supervisor = createSupervisor({
+    size: config.workers || defaultWorkerCount(),
+    shutdownTimeout: config.shutdownTimeout,
+    env,
+    logger
+  });
+  if (!(await supervisor.start())) {
+    await supervisor.stop();
+    io.stderr.write('No worker could start\n');
+    return EXIT_CODES.FAILURE;
+  }
+  if (!writePidFile(config.pidFile, io)) {
+    await supervisor.stop();
+    return EXIT_CODES.FAILURE;
+  }
+  const onHangup = () => supervisor.reload();
+  process.on('SIGHUP', onHangup);
+  return new Promise((resolve) => {
+    const stop = () => {
+      process.removeListener('SIGHUP', onHangup);
+      return supervisor.stop().finally(() => removePidFile(config.pidFile, process.pid));
+    };
+    handleSignals(stop, { logger, exit: resolve });
+  });
+}
+
+/**
+ * Runs the server, or a cluster of servers, until a shutdown signal
+ *
+ * @param {Object} values - Parsed options
+ * @param {Object} io - Output streams
+ * @returns {Promise<number>} Exit code, once the server has stopped
+ */
+async function start(values, io) {
+  // Loaded on demand: stop, reload and status need none of the app's modules
+  const { createServer } = require('../server');
+  const options = toConfigOptions(values);
+  if (cluster.isWorker && process.env[WORKER_ENV] !== undefined) {
+    return startWorker(createServer(options));
+  }
+
+  const config = loadConfig(options);
+  const running = readPidFile(config.pidFile);
+  if (running && running !== process.pid && isRunning(running)) {
+    io.stderr.write(`Server is already running (pid ${running}, ${config.pidFile})\n`);
+    return EXIT_CODES.FAILURE;
+  }
+  if (config.cluster && config.tlsCert) {
+    // Reported once here rather than by every worker
+    readCredentials(config);
+  }
+  return config.cluster ? startCluster(config, io) : startServer(createServer(options), config.pidFile, io);
+}
+
+/**
+ * Stops the server named by the pidfile
+ *
+ * @param {Object} values - Parsed options
+ * @param {Object} io - Output streams
+ * @returns {Promise<number>} Exit code
+ */
+async function stop(values, io) {
+  const config = loadConfig(toConfigOptions(values));
+  let timeout = config.shutdownTimeout + 5000;
+  if (values.timeout !== undefined) {
+    if (!/^\d+$/.test(values.timeout)) {
+      throw new UsageError(`--timeout must be a number of milliseconds, got "${values.timeout}"`);
+    }
+    timeout = Number(values.timeout);
+  }
+
+  const pid = readPidFile(config.pidFile);
+  if (!pid) {
+    io.stdout.write('Server is not running\n');
+    return EXIT_CODES.OK;
+  }
+  if (!isRunning(pid)) {
+    fs.rmSync(config.pidFile, { force: true });
+    io.stdout.write(`Server is not running; removed stale pidfile ${config.pidFile}\n`);
+    return EXIT_CODES.OK;
+  }
+
+  process.kill(pid, 'SIGTERM');
+  if (!(await waitForExit(pid, timeout))) {
+    io.stderr.write(`Server (pid ${pid}) did not exit within ${timeout} ms\n`);
+    return EXIT_CODES.FAILURE;
+  }
+  // The server removes its pidfile itself unless it was killed
+  removePidFile(config.pidFile, pid);
+  io.stdout.write(`Server stopped (pid ${pid})\n`);
+  return EXIT_CODES.OK;
+}
+
+/**
+ * Asks the server named by the pidfile to restart its workers
+ *
+ * @param {Object} values - Parsed options
+ * @param {Object} io - Output streams
+ * @returns {number} Exit code
+ */
+function reload(values, io) {
+  const { pidFile } = loadConfig(toConfigOptions(values));
+  const pid = readPidFile(pidFile);
+  if (!pid || !isRunning(pid)) {
+    io.stderr.write('Server is not running\n');
+    return EXIT_CODES.NOT_RUNNING;
+  }
+  process.kill(pid, 'SIGHUP');
+  io.stdout.write(`Sent SIGHUP to pid ${pid}\n`);
+  return EXIT_CODES.OK;
+}
+
+/**
+ * Reports whether the server named by the pidfile is running
+ *
+ * @param {Object} values - Parsed options
+ * @param {Object} io - Output streams
+ * @returns {number} Exit code
+ */
+function status(values, io) {
+  const { pidFile } = loadConfig(toConfigOptions(values));
+  const pid = readPidFile(pidFile);
+  if (!pid) {
+    io.stdout.write('Server is not running\n');
+    return EXIT_CODES.NOT_RUNNING;
+  }
+  if (!isRunning(pid)) {
+    io.stdout.write(`Server is not running, but ${pidFile} names pid ${pid}\n`);
+    return EXIT_CODES.STALE;
+  }
+  io.stdout.write(`Server is running (pid ${pid})\n`);
+  return EXIT_CODES.RUNNING;
+}
+
+/**
+ * Lists the routes of an app
+ *
+ * @param {express.Application} app - App to describe
+ * @returns {Array<{method: string, path: string, access: string, summary: string}>}
+ *   One entry per method and path; access is the required role, "login" or "public"
+ */
+function listRoutes(app) {
+  const routes = [];
+  for (const [routePath, methods] of Object.entries(buildDocument(app).paths)) {
+    for (const [method, op] of Object.entries(methods)) {
+      const role = op.security ? op.security[0].bearerAuth[0] || 'login' : 'public';
+      routes.push({ method: method.toUpperCase(), path: routePath, access: role, summary: op.summary || '' });
+    }
+  }
+  return routes;
+}
+
+/**
+ * Prints the route table
+ *
+ * @param {Object} values - Parsed options
+ * @param {Object} io - Output streams
+ * @returns {number} Exit code
+ */
+function routes(values, io) {
+  const { createApp } = require('../server');
+  // Routes are listed without starting anything, so do not watch files
+  const app = createApp({ industriesWatch: false, ...toConfigOptions(values) });
+  const table = listRoutes(app);
+  app.locals.close();
+  if (values.json) {
+    io.stdout.write(`${JSON.stringify(table, null, 2)}\n`);
+    return EXIT_CODES.OK;
+  }
+  const columns = ['method', 'path', 'access'];
+  const widths = columns.map((column) => Math.max(column.length, ...table.map((route) => route[column].length)));
+  const line = (cells) => cells.map((cell, i) => (i < widths.length ? cell.padEnd(widths[i]) : cell)).join('  ').trimEnd();
+  io.stdout.write(`${[
+    line(['METHOD', 'PATH', 'ACCESS', 'SUMMARY']),
+    ...table.map((route) => line([...columns.map((column) => route[column]), route.summary]))
+  ].join('\n')}\n`);
+  return EXIT_CODES.OK;
+}
+
+/**
+ * Validates the configuration and prints the effective values
+ *
+ * Beyond the settings themselves, the app is built once and the TLS files
+ * are read, so unreadable locale, user, catalog and certificate files are
+ * reported too.
+ *
+ * @param {Object} values - Parsed options
+ * @param {Object} io - Output streams
+ * @returns {number} Exit code
+ */
+function checkConfig(values, io) {
+  const options = toConfigOptions(values);
+  const config = loadConfig(options);
+  const { createApp } = require('../server');
+  try {
+    createApp({ ...options, industriesWatch: false, logLevel: 'silent' }).locals.close();
+    if (config.tlsCert) {
+      readCredentials(config);
+    }
+  } catch (err) {
+    throw new ConfigError(err.message);
+  }
+  const printable = Object.fromEntries(Object.entries(config)
+    .map(([key, value]) => [key, SECRET_SETTINGS.includes(key) && value !== null ? '[redacted]' : value]));
+  io.stdout.write(`${JSON.stringify(printable, null, 2)}\n`);
+  io.stderr.write('Configuration is valid\n');
+  return EXIT_CODES.OK;
+}
+
+/**
+ * Command implementations
+ * @type {Object<string, Function>}
+ */
+const HANDLERS = {
+  start,
+  stop,
+  reload,
+  status,
+  routes,
+  'check-config': checkConfig
+};
+
+/**
+ * Parses a command line
+ *
+ * @param {string[]} argv - Arguments after the executable and script
+ * @returns {{command: string|null, values: Object}} The command (null for
+ *   --help) and its options
+ * @throws {UsageError} On unknown commands, unknown options and stray arguments
+ */
+function parseCommandLine(argv) {
+  const [command, ...rest] = argv;
+  if (command === undefined || ['help', '--help', '-h'].includes(command)) {
+    return { command: null, values: {} };
+  }
+  if (!Object.prototype.hasOwnProperty.call(COMMANDS, command)) {
+    throw new UsageError(`Unknown command "${command}"`);
+  }
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: rest,
+      options: { ...COMMANDS[command].options, help: { type: 'boolean', short: 'h' } },
+      strict: true,
+      allowPositionals: false
+    });
+  } catch (err) {
+    throw new UsageError(err.message);
+  }
+  return { command: parsed.values.help ? null : command, values: parsed.values };
+}
+
+/**
+ * Runs the command-line interface
+ *
+ * @example
+ * main(['status', '--config', 'server.config.json']).then((code) => process.exit(code));
+ *
+ * @param {string[]} argv - Arguments after the executable and script
+ * @param {Object} [io] - Output streams
+ * @param {stream.Writable} [io.stdout=process.stdout]
+ * @param {stream.Writable} [io.stderr=process.stderr]
+ * @returns {Promise<number>} Exit code, see EXIT_CODES; `start` resolves once
+ *   the server has stopped
+ */
+async function main(argv, { stdout = process.stdout, stderr = process.stderr } = {}) {
+  const io = { stdout, stderr };
+  try {
+    const { command, values } = parseCommandLine(argv);
+    if (!command) {
+      stdout.write(USAGE);
+      return EXIT_CODES.OK;
+    }
+    return await HANDLERS[command](values, io);
+  } catch (err) {
+    if (err instanceof UsageError) {
+      stderr.write(`${err.message}\nRun "hello-world --help" for usage.\n`);
+      return EXIT_CODES.USAGE;
+    }
+    if (err instanceof ConfigError) {
+      stderr.write(`${err.message}\n`);
+      return EXIT_CODES.CONFIG;
+    }
+    stderr.write(`${err.message}\n`);
+    return EXIT_CODES.FAILURE;
+  }
+}
+
+module.exports = {
+  EXIT_CODES,
+  USAGE,
+  parseCommandLine,
+  listRoutes,
+  main
+};
@@ -0,0 +1,302 @@
+/**
+ * Unit Tests for the command-line interface
+ *
+ * @module lib/cli.test
+ */
+
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { EXIT_CODES, USAGE, parseCommandLine, main } = require('./cli');
+const { hashPassword } = require('./users');
+
+const BIN = path.join(__dirname, '..', 'bin', 'hello-world.js');
+
+// Larger than any PID Linux hands out, so never a live process
+const DEAD_PID = 999999999;
+
+/**
+ * Runs the CLI in-process, capturing its output
+ *
+ * @param {string[]} argv - Arguments
+ * @returns {Promise<{code: number, stdout: string, stderr: string}>}
+ */
+async function run(argv) {
+  const output = { stdout: '', stderr: '' };
+  const stream = (name) => ({ write: (chunk) => { output[name] += chunk; } });
+  const code = await main(argv, { stdout: stream('stdout'), stderr: stream('stderr') });
+  return { code, ...output };
+}
+
+describe('Command-Line Interface', () => {
+  let dir;
+  let configFile;
+  let pidFile;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-'));
+    pidFile = path.join(dir, 'run', 'server.pid');
+    configFile = path.join(dir, 'config.json');
+    fs.writeFileSync(configFile, JSON.stringify({
+      port: 0,
+      pidFile,
+      industriesWatch: false,
+      logLevel: 'silent',
+      usersFile: path.join(dir, 'users.json'),
+      revocationFile: path.join(dir, 'revoked.json'),
+      uploadsDir: path.join(dir, 'uploads'),
+      sessionSecret: 's'.repeat(32)
+    }));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('parseCommandLine()', () => {
+    it('should parse a command and its options', () => {
+      expect(parseCommandLine(['start', '--port', '8080', '-c', 'a.json', '--log-level=debug'])).toEqual({
+        command: 'start',
+        values: { port: '8080', config: 'a.json', 'log-level': 'debug' }
+      });
+    });
+
+    it.each([[[]], [['--help']], [['help']], [['routes', '-h']]])('should treat %j as a request for help', (argv) => {
+      expect(parseCommandLine(argv).command).toBeNull();
+    });
+
+    it.each([
+      [['serve'], 'Unknown command "serve"'],
+      [['status', '--port', '1'], /Unknown option '--port'/],
+      [['start', 'now'], /positional argument/],
+      [['start', '--port'], /argument missing/]
+    ])('should reject %j', (argv, message) => {
+      expect(() => parseCommandLine(argv)).toThrow(message);
+    });
+  });
+
+  describe('main()', () => {
+    it('should print the usage', async () => {
+      expect(await run(['--help'])).toEqual({ code: EXIT_CODES.OK, stdout: USAGE, stderr: '' });
+    });
+
+    it('should exit with 2 on an invalid command line', async () => {
+      const { code, stderr } = await run(['stop', '--bogus']);
+      expect(code).toBe(EXIT_CODES.USAGE);
+      expect(stderr).toMatch(/Unknown option '--bogus'[\s\S]*hello-world --help/);
+    });
+
+    describe('check-config', () => {
+      it('should print the effective configuration without secrets', async () => {
+        const { code, stdout, stderr } = await run(['check-config', '--config', configFile, '--port', '8080']);
+        expect(code).toBe(EXIT_CODES.OK);
+        expect(stderr).toBe('Configuration is valid\n');
+        expect(JSON.parse(stdout)).toMatchObject({ port: 8080, pidFile, sessionSecret: '[redacted]', tokenSecret: null });
+      });
+
+      it.each([
+        [['--port', 'http'], /"port" in options: "http" must be an integer/],
+        [['--log-level', 'loud'], /"logLevel"/],
+        [['--config', 'missing.json'], /Cannot read config file missing\.json/]
+      ])('should exit with 78 for %j', async (args, message) => {
+        const { code, stderr } = await run(['check-config', '--config', configFile, ...args]);
+        expect(code).toBe(EXIT_CODES.CONFIG);
+        expect(stderr).toMatch(message);
+      });
+
+      it('should report files the app cannot load', async () => {
+        fs.writeFileSync(path.join(dir, 'users.json'), '{ not json');
+        const { code, stderr } = await run(['check-config', '--config', configFile]);
+        expect(code).toBe(EXIT_CODES.CONFIG);
+        expect(stderr).toMatch(/users\.json/);
+      });
+
+      it('should report TLS files it cannot read', async () => {
+        const config = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+        fs.writeFileSync(configFile, JSON.stringify({ ...config, tlsCert: path.join(dir, 'cert.pem'), tlsKey: path.join(dir, 'key.pem') }));
+        const { code, stderr } = await run(['check-config', '--config', configFile]);
+        expect(code).toBe(EXIT_CODES.CONFIG);
+        expect(stderr).toMatch(/Cannot read tlsCert file .*cert\.pem/);
+      });
+    });
+
+    describe('routes', () => {
+      it('should print the route table with the access each route requires', async () => {
+        const { code, stdout } = await run(['routes', '--config', configFile]);
+        expect(code).toBe(EXIT_CODES.OK);
+        const lines = stdout.trimEnd().split('\n');
+        expect(lines[0]).toMatch(/^METHOD +PATH +ACCESS +SUMMARY$/);
+        expect(lines).toContainEqual(expect.stringMatching(/^DELETE +\/industries\/\{slug\} +admin +Delete an industry$/));
+        expect(lines).toContainEqual(expect.stringMatching(/^GET +\/me +login +/));
+        expect(lines).toContainEqual(expect.stringMatching(/^GET +\/healthz +public +Liveness$/));
+      });
+
+      it('should print JSON with --json', async () => {
+        const { stdout } = await run(['routes', '--config', configFile, '--json']);
+        expect(JSON.parse(stdout)).toContainEqual({ method: 'POST', path: '/uploads', access: 'editor', summary: expect.any(String) });
+      });
+    });
+
+    describe('status and stop', () => {
+      it('should report a server that is not running', async () => {
+        expect(await run(['status', '--config', configFile])).toMatchObject({ code: EXIT_CODES.NOT_RUNNING, stdout: 'Server is not running\n' });
+        expect(await run(['stop', '--config', configFile])).toMatchObject({ code: EXIT_CODES.OK, stdout: 'Server is not running\n' });
+      });
+
+      it('should detect and clean up a stale pidfile', async () => {
+        fs.mkdirSync(path.dirname(pidFile));
+        fs.writeFileSync(pidFile, `${DEAD_PID}\n`);
+        const status = await run(['status', '--config', configFile]);
+        expect(status.code).toBe(EXIT_CODES.STALE);
+        expect(status.stdout).toMatch(`names pid ${DEAD_PID}`);
+        const stop = await run(['stop', '--config', configFile]);
+        expect(stop.code).toBe(EXIT_CODES.OK);
+        expect(stop.stdout).toMatch(/removed stale pidfile/);
+        expect(fs.existsSync(pidFile)).toBe(false);
+      });
+
+      it('should not reload a server that is not running', async () => {
+        expect((await run(['reload', '--config', configFile])).code).toBe(EXIT_CODES.NOT_RUNNING);
+      });
+
+      it('should reject an invalid stop timeout', async () => {
+        expect((await run(['stop', '--config', configFile, '--timeout', 'soon'])).code).toBe(EXIT_CODES.USAGE);
+      });
+    });
+
+    describe('start', () => {
+      it('should run until stopped through the pidfile', async () => {
+        const child = spawn(process.execPath, [BIN, 'start', '--config', configFile], { stdio: 'ignore' });
+        const exited = new Promise((resolve) => child.on('exit', resolve));
+        try {
+          for (let i = 0; i < 100 && !fs.existsSync(pidFile); i++) {
+            await new Promise((resolve) => setTimeout(resolve, 50));
+          }
+          expect(fs.readFileSync(pidFile, 'utf8')).toBe(`${child.pid}\n`);
+          expect(await run(['status', '--config', configFile])).toMatchObject({
+            code: EXIT_CODES.RUNNING,
+            stdout: `Server is running (pid ${child.pid})\n`
+          });
+
+          const again = await run(['start', '--config', configFile]);
+          expect(again.code).toBe(EXIT_CODES.FAILURE);
+          expect(again.stderr).toMatch(`already running (pid ${child.pid}`);
+
+          expect(await run(['stop', '--config', configFile])).toMatchObject({
+            code: EXIT_CODES.OK,
+            stdout: `Server stopped (pid ${child.pid})\n`
+          });
+          expect(await exited).toBe(EXIT_CODES.OK);
+          expect(fs.existsSync(pidFile)).toBe(false);
+        } finally {
+          if (child.exitCode === null) {
+            child.kill('SIGKILL');
+          }
+        }
+      }, 15000);
+
+      it('should run a cluster that restarts crashed workers and reloads', async () => {
+        const probe = require('http').createServer();
+        await new Promise((resolve) => probe.listen(0, '127.0.0.1', resolve));
+        const { port } = probe.address();
+        await new Promise((resolve) => probe.close(resolve));
+        const get = (route, init) => fetch(`http://127.0.0.1:${port}${route}`, { signal: AbortSignal.timeout(3000), ...init });
+        const until = async (condition) => {
+          let workers = null;
+          for (let i = 0; i < 100; i++) {
+            try {
+              ({ workers } = await (await get('/readyz')).json());
+            } catch (err) {
+              // A connection to a worker that just exited
+            }
+            if (workers && condition(workers)) {
+              return workers;
+            }
+            await new Promise((resolve) => setTimeout(resolve, 100));
+          }
+          throw new Error(`The cluster did not reach the expected state: ${JSON.stringify(workers)}`);
+        };
+
+        // Logs in and issues a bearer token over one connection, so through one worker
+        const issueToken = async () => {
+          const agent = new http.Agent({ keepAlive: true, maxSockets: 1 });
+          const send = (method, route, body, headers = {}) => new Promise((resolve, reject) => {
+            const options = { host: '127.0.0.1', port, method, path: route, agent, headers: { 'Content-Type': 'application/json', ...headers } };
+            const req = http.request(options, (res) => {
+              let text = '';
+              res.on('data', (chunk) => { text += chunk; });
+              res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: text }));
+            });
+            req.on('error', reject);
+            req.end(JSON.stringify(body));
+          });
+          try {
+            const login = await send('POST', '/login', { username: 'ada', password: 'secret' });
+            const cookie = login.headers['set-cookie'][0].split(';')[0];
+            const issued = await send('POST', '/tokens', {}, { Cookie: cookie });
+            expect(issued.status).toBe(201);
+            return JSON.parse(issued.body).token;
+          } finally {
+            agent.destroy();
+          }
+        };
+        const me = (token) => get('/me', { headers: { Authorization: `Bearer ${token}` } });
+        fs.writeFileSync(path.join(dir, 'users.json'), JSON.stringify({
+          users: [{ username: 'ada', roles: ['reader'], password: await hashPassword('secret', { N: 1024 }) }]
+        }));
+
+        const child = spawn(process.execPath, [BIN, 'start', '--config', configFile, '--port', String(port), '--workers', '2'],
+          { stdio: 'ignore' });
+        const exited = new Promise((resolve) => child.on('exit', resolve));
+        try {
+          for (let i = 0; i < 200 && !fs.existsSync(pidFile); i++) {
+            await new Promise((resolve) => setTimeout(resolve, 50));
+          }
+          expect(fs.readFileSync(pidFile, 'utf8')).toBe(`${child.pid}\n`);
+          const first = await until((workers) => workers.length === 2);
+          expect(first.map(({ worker, status, restarts }) => [worker, status, restarts])).toEqual([[0, 'ready', 0], [1, 'ready', 0]]);
+          // No tokenSecret is configured: the workers share one the supervisor generated
+          const token = await issueToken();
+
+          process.kill(first[1].pid, 'SIGKILL');
+          const restarted = await until((workers) => workers.length === 2 && workers[1].restarts === 1 && workers[1].status === 'ready');
+          expect(restarted[1].pid).not.toBe(first[1].pid);
+          const metrics = await (await get('/metrics')).text();
+          expect(metrics).toMatch(/^process_resident_memory_bytes\{worker="1"\} \d+$/m);
+          expect(metrics).toMatch(/^cluster_worker_restarts_total 1$/m);
+
+          expect((await run(['reload', '--config', configFile])).code).toBe(EXIT_CODES.OK);
+          const old = restarted.map(({ pid }) => pid);
+          await until((workers) => workers.length === 2 && workers.every(({ pid, status }) => !old.includes(pid) && status === 'ready'));
+          // Every worker now is a newer process than the one that issued the token
+          for (let i = 0; i < 4; i++) {
+            expect((await me(token)).status).toBe(200);
+          }
+
+          expect((await run(['stop', '--config', configFile])).code).toBe(EXIT_CODES.OK);
+          expect(await exited).toBe(EXIT_CODES.OK);
+          expect(fs.existsSync(pidFile)).toBe(false);
+        } finally {
+          if (child.exitCode === null) {
+            child.kill('SIGKILL');
+          }
+        }
+      }, 30000);
+
+      it('should exit with 1 when the port is taken', async () => {
+        const blocker = require('http').createServer();
+        await new Promise((resolve) => blocker.listen(0, '127.0.0.1', resolve));
+        try {
+          const child = spawn(process.execPath, [BIN, 'start', '--config', configFile, '--port', String(blocker.address().port)],
+            { stdio: 'ignore' });
+          expect(await new Promise((resolve) => child.on('exit', resolve))).toBe(EXIT_CODES.FAILURE);
+          expect(fs.existsSync(pidFile)).toBe(false);
+        } finally {
+          blocker.close();
+        }
+      }, 15000);
+    });
+  });
+});
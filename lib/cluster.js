@@ -0,0 +1,444 @@
+/**
+ * Cluster Mode
+ *
+ * Runs the server in several worker processes sharing one listening socket
+ * (see node:cluster). The primary process only supervises:
+ * - forks one worker per slot, by default one per CPU
+ * - restarts a worker that exits unexpectedly, waiting `restartDelay`
+ *   milliseconds and doubling the wait on each further crash of the same
+ *   slot up to `maxRestartDelay`; a worker that ran for `stableTime` resets
+ *   the wait
+ * - on reload() (SIGHUP), replaces the workers one at a time: the new worker
+ *   must be listening before the old one is asked to drain, so the full
+ *   number of workers keeps serving throughout
+ * - answers workers' queries for the state and metrics of the whole cluster,
+ *   so /readyz and /metrics on any worker describe every worker
+ *
+ * Workers are started with the primary's own command line and recognize
+ * themselves by the WORKER_ENV variable; they call joinCluster() to answer
+ * the primary and to query it.
+ *
+ * IPC messages carry a `type`:
+ * - `cluster:query` (worker -> primary): asks for the cluster state
+ * - `cluster:collect` (primary -> worker): asks a worker for its state and metrics
+ * - `cluster:collected` (worker -> primary): the answer
+ * - `cluster:result` (primary -> worker): the cluster state
+ * - `cluster:shutdown` (primary -> worker): drain and exit
+ *
+ * @module lib/cluster
+ */
+
+const nodeCluster = require('cluster');
+const os = require('os');
+const { createRegistry } = require('./metrics');
+
+/**
+ * Environment variable holding a worker's slot number
+ * @type {string}
+ */
+const WORKER_ENV = 'CLUSTER_WORKER';
+
+/**
+ * Default supervision timings in milliseconds
+ * @type {Object<string, number>}
+ */
+const DEFAULTS = Object.freeze({
+  restartDelay: 1000,
+  maxRestartDelay: 30000,
+  stableTime: 10000,
+  queryTimeout: 2000,
+  collectTimeout: 1000
+});
+
+/**
+ * Returns the default number of workers
+ *
+ * @returns {number} The number of CPUs available to the process
+ */
+function defaultWorkerCount() {
+  return typeof os.availableParallelism === 'function' ? os.availableParallelism() : os.cpus().length;
+}
+
+/**
+ * Merges the exposition text of several registries
+ *
+ * Samples keep their labels plus the labels given for their source; each
+ * metric's HELP and TYPE lines appear once, followed by the samples of
+ * every source.
+ *
+ * @example
+ * mergeMetrics([{ labels: { worker: '0' }, text: 'up 1\n' }, { labels: { worker: '1' }, text: 'up 1\n' }]);
+ * // 'up{worker="0"} 1\nup{worker="1"} 1\n'
+ *
+ * @param {Array<{labels: Object<string, string>, text: string}>} sources - Rendered registries
+ * @returns {string} Exposition text
+ */
+function mergeMetrics(sources) {
+  const families = new Map();
+  const family = (name) => {
+    if (!families.has(name)) {
+      families.set(name, { comments: [], samples: [] });
+    }
+    return families.get(name);
+  };
+
+  for (const { labels, text } of sources) {
+    const extra = Object.entries(labels)
+      .map(([name, value]) => `${name}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`)
+      .join(',');
+    let current = null;
+    for (const line of text.split('\n')) {
+      const comment = /^# (HELP|TYPE) (\S+)/.exec(line);
+      if (comment) {
+        current = family(comment[2]);
+        if (current.comments.length < 2 && !current.comments.some((seen) => seen.startsWith(`# ${comment[1]} `))) {
+          current.comments.push(line);
+        }
+        continue;
+      }
+      const sample = /^([a-zA-Z_:][a-zA-Z0-9_:]*)(\{(.*)\})? (.*)$/.exec(line);
+      if (!sample) {
+        continue;
+      }
+      const [, name, , own, value] = sample;
+      const merged = [own, extra].filter(Boolean).join(',');
+      (current || family(name)).samples.push(`${name}${merged ? `{${merged}}` : ''} ${value}`);
+    }
+  }
+  return `${[...families.values()].flatMap(({ comments, samples }) => [...comments, ...samples]).join('\n')}\n`;
+}
+
+/**
+ * Creates a supervisor for a cluster of workers
+ *
+ * @param {Object} [options]
+ * @param {number} [options.size] - Number of workers; one per CPU by default
+ * @param {number} [options.shutdownTimeout=10000] - Milliseconds a worker may
+ *   take to drain; it is killed 5 seconds after that
+ * @param {number} [options.restartDelay=1000] - Wait before the first restart of a crashed worker
+ * @param {number} [options.maxRestartDelay=30000] - Longest wait between restarts
+ * @param {number} [options.stableTime=10000] - Uptime after which a crash counts as the first again
+ * @param {number} [options.collectTimeout=1000] - Milliseconds to wait for each worker's state
+ * @param {Object<string, string>} [options.env] - Extra environment variables of every worker
+ * @param {Object} [options.logger=console] - Logger (see lib/logger)
+ * @param {Object} [options.cluster] - node:cluster, or a stand-in for tests
+ * @param {Function} [options.now=Date.now] - Clock, for tests
+ * @returns {Object} The supervisor
+ */
+function createSupervisor({
+  size = defaultWorkerCount(),
+  shutdownTimeout = 10000,
+  restartDelay = DEFAULTS.restartDelay,
+  maxRestartDelay = DEFAULTS.maxRestartDelay,
+  stableTime = DEFAULTS.stableTime,
+  collectTimeout = DEFAULTS.collectTimeout,
+  env = {},
+  logger = console,
+  cluster = nodeCluster,
+  now = Date.now
+} = {}) {
+  const slots = Array.from({ length: size }, (_, index) => ({ index, member: null, failures: 0, restarts: 0, timer: null }));
+  const members = new Set();
+  let stopping = false;
+  let reloading = null;
+  let collectId = 0;
+
+  const registry = createRegistry();
+  const restarts = registry.counter({
+    name: 'cluster_worker_restarts_total',
+    help: 'Workers restarted after exiting unexpectedly'
+  });
+  registry.gauge({
+    name: 'cluster_workers',
+    help: 'Workers listening for requests',
+    collect: () => [...members].filter((member) => member.listening && !member.retiring).length
+  });
+
+  /**
+   * Asks one worker for its state and metrics
+   */
+  const collect = (member) => new Promise((resolve) => {
+    if (!member.worker.isConnected()) {
+      resolve(null);
+      return;
+    }
+    const id = ++collectId;
+    const timer = setTimeout(() => done(null), collectTimeout);
+    const onMessage = (message) => {
+      if (message && message.type === 'cluster:collected' && message.id === id) {
+        done(message);
+      }
+    };
+    const done = (result) => {
+      clearTimeout(timer);
+      member.worker.removeListener('message', onMessage);
+      resolve(result);
+    };
+    member.worker.on('message', onMessage);
+    member.worker.send({ type: 'cluster:collect', id });
+  });
+
+  /**
+   * Describes every worker and merges their metrics
+   *
+   * @returns {Promise<{workers: Array<Object>, metrics: string}>}
+   */
+  async function describe() {
+    const current = [...members];
+    const answers = await Promise.all(current.map(collect));
+    const workers = current.map((member, i) => ({
+      worker: member.slot.index,
+      pid: member.worker.process.pid,
+      status: answers[i] ? answers[i].status : member.listening ? 'unresponsive' : 'starting',
+      uptime: Math.floor((now() - member.startedAt) / 1000),
+      restarts: member.slot.restarts
+    })).sort((a, b) => a.worker - b.worker || a.uptime - b.uptime);
+    const sources = current
+      .map((member, i) => answers[i] && !member.retiring && { labels: { worker: String(member.slot.index) }, text: answers[i].metrics })
+      .filter(Boolean);
+    sources.push({ labels: {}, text: registry.render() });
+    return { workers, metrics: mergeMetrics(sources) };
+  }
+
+  /**
+   * Forks a worker for a slot
+   */
+  function fork(slot) {
+    const worker = cluster.fork({ ...env, [WORKER_ENV]: String(slot.index) });
+    const member = { worker, slot, listening: false, retiring: false, startedAt: now() };
+    members.add(member);
+    member.started = new Promise((resolve) => {
+      worker.once('listening', () => {
+        member.listening = true;
+        resolve(true);
+      });
+      worker.once('exit', () => resolve(false));
+    });
+    member.exited = new Promise((resolve) => {
+      worker.once('exit', (code, signal) => {
+        members.delete(member);
+        onExit(member, code, signal);
+        resolve();
+      });
+    });
+    worker.on('message', (message) => {
+      if (message && message.type === 'cluster:query') {
+        describe().then((state) => {
+          if (worker.isConnected()) {
+            worker.send({ type: 'cluster:result', id: message.id, ...state });
+          }
+        });
+      }
+    });
+    return member;
+  }
+
+  /**
+   * Restarts the slot of a worker that exited unexpectedly
+   */
+  function onExit(member, code, signal) {
+    const { slot } = member;
+    if (stopping || member.retiring || slot.member !== member) {
+      return;
+    }
+    slot.member = null;
+    if (now() - member.startedAt >= stableTime) {
+      slot.failures = 0;
+    }
+    const delay = Math.min(restartDelay * 2 ** slot.failures, maxRestartDelay);
+    slot.failures += 1;
+    logger.warn(`Worker ${slot.index} (pid ${member.worker.process.pid}) exited with `
+      + `${signal ? `signal ${signal}` : `code ${code}`}; restarting in ${delay} ms`, { worker: slot.index, delay });
+    slot.timer = setTimeout(() => {
+      slot.timer = null;
+      if (!stopping && !slot.member) {
+        slot.restarts += 1;
+        restarts.inc();
+        slot.member = fork(slot);
+      }
+    }, delay);
+  }
+
+  /**
+   * Asks a worker to drain and exit, killing it if it takes too long
+   */
+  function retire(member) {
+    member.retiring = true;
+    if (member.worker.isConnected()) {
+      member.worker.send({ type: 'cluster:shutdown' });
+    }
+    const timer = setTimeout(() => {
+      logger.warn(`Worker ${member.slot.index} (pid ${member.worker.process.pid}) did not exit in time; killing it`);
+      member.worker.process.kill('SIGKILL');
+    }, shutdownTimeout + 5000);
+    return member.exited.then(() => clearTimeout(timer));
+  }
+
+  return {
+    /** @returns {Object} The supervisor's own metrics registry */
+    registry,
+
+    /**
+     * Forks every worker
+     *
+     * @returns {Promise<number>} Resolves with the number of workers that
+     *   started listening once each has either listened or exited
+     */
+    async start() {
+      for (const slot of slots) {
+        slot.member = fork(slot);
+      }
+      const started = await Promise.all(slots.map((slot) => slot.member.started));
+      const listening = started.filter(Boolean).length;
+      logger.info(`Cluster running with ${listening} of ${size} workers`, { workers: listening });
+      return listening;
+    },
+
+    /**
+     * Replaces every worker, one at a time
+     *
+     * A replacement that exits before listening aborts the reload and the
+     * remaining workers are kept. Calls during a reload return the same
+     * promise.
+     *
+     * @returns {Promise<boolean>} True when every worker was replaced
+     */
+    reload() {
+      if (reloading) {
+        return reloading;
+      }
+      reloading = (async () => {
+        logger.info('Rolling restart of the workers');
+        for (const slot of slots) {
+          if (stopping) {
+            return false;
+          }
+          const previous = slot.member;
+          const next = fork(slot);
+          if (!(await next.started)) {
+            logger.error(`Replacement for worker ${slot.index} exited before listening; keeping the remaining workers`);
+            return false;
+          }
+          if (stopping) {
+            return false;
+          }
+          clearTimeout(slot.timer);
+          slot.timer = null;
+          slot.member = next;
+          slot.failures = 0;
+          if (previous) {
+            await retire(previous);
+          }
+        }
+        logger.info('Rolling restart complete');
+        return true;
+      })().finally(() => {
+        reloading = null;
+      });
+      return reloading;
+    },
+
+    /**
+     * Drains and stops every worker
+     *
+     * @returns {Promise<void>} Resolves once every worker has exited
+     */
+    async stop() {
+      stopping = true;
+      for (const slot of slots) {
+        clearTimeout(slot.timer);
+        slot.timer = null;
+      }
+      await Promise.all([...members].map(retire));
+    },
+
+    /** @returns {Promise<{workers: Array<Object>, metrics: string}>} See the `cluster:result` message */
+    describe
+  };
+}
+
+/**
+ * Connects a worker's app to the supervising primary
+ *
+ * Sets `app.locals.cluster`, which /readyz and /metrics use to describe the
+ * whole cluster.
+ *
+ * @param {express.Application} app - The worker's app
+ * @param {Object} [options]
+ * @param {Function} [options.onShutdown] - Called when the primary asks the worker to drain and exit
+ * @param {number} [options.timeout=2000] - Milliseconds to wait for the primary's answer
+ * @param {Object} [options.channel=process] - IPC channel with `send`, `on` and `removeListener`
+ * @returns {Object|null} The link, or null when the process is not a supervised worker
+ */
+function joinCluster(app, { onShutdown, timeout = DEFAULTS.queryTimeout, channel = process, env = process.env } = {}) {
+  if (typeof channel.send !== 'function' || env[WORKER_ENV] === undefined) {
+    return null;
+  }
+  const waiting = new Map();
+  let queryId = 0;
+
+  const onMessage = (message) => {
+    if (!message || typeof message.type !== 'string') {
+      return;
+    }
+    if (message.type === 'cluster:collect') {
+      channel.send({
+        type: 'cluster:collected',
+        id: message.id,
+        status: app.locals.lifecycle.state(),
+        metrics: app.locals.metrics.render()
+      });
+    } else if (message.type === 'cluster:result' && waiting.has(message.id)) {
+      waiting.get(message.id)(message);
+    } else if (message.type === 'cluster:shutdown' && onShutdown) {
+      onShutdown();
+    }
+  };
+  channel.on('message', onMessage);
+
+  const link = {
+    /** @type {number} Slot of this worker */
+    worker: Number(env[WORKER_ENV]),
+
+    /**
+     * Asks the primary for the state of every worker
+     *
+     * @returns {Promise<{workers: Array<Object>, metrics: string}>}
+     * @throws {Error} When the primary does not answer within the timeout
+     */
+    query() {
+      const id = ++queryId;
+      return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+          waiting.delete(id);
+          reject(new Error('The cluster primary did not answer'));
+        }, timeout);
+        waiting.set(id, ({ workers, metrics }) => {
+          clearTimeout(timer);
+          waiting.delete(id);
+          resolve({ workers, metrics });
+        });
+        channel.send({ type: 'cluster:query', id });
+      });
+    },
+
+    /** Stops answering the primary */
+    leave() {
+      channel.removeListener('message', onMessage);
+      if (app.locals.cluster === link) {
+        delete app.locals.cluster;
+      }
+    }
+  };
+  app.locals.cluster = link;
+  return link;
+}
+
+module.exports = {
+  WORKER_ENV,
+  DEFAULTS,
+  defaultWorkerCount,
+  mergeMetrics,
+  createSupervisor,
+  joinCluster
+};
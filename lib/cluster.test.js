@@ -0,0 +1,274 @@
+/**
+ * Unit Tests for cluster supervision
+ *
+ * @module lib/cluster.test
+ */
+
+const { EventEmitter } = require('events');
+const { WORKER_ENV, mergeMetrics, createSupervisor, joinCluster } = require('./cluster');
+const { createLifecycle } = require('./health');
+const { createRegistry } = require('./metrics');
+
+/**
+ * Stand-in for a node:cluster worker
+ */
+class FakeWorker extends EventEmitter {
+  constructor(pid, env) {
+    super();
+    this.env = env;
+    this.connected = true;
+    this.process = { pid, kill: (signal) => this.exit(null, signal) };
+  }
+
+  isConnected() {
+    return this.connected;
+  }
+
+  send(message) {
+    this.emit('sent', message);
+  }
+
+  exit(code, signal) {
+    if (this.connected) {
+      this.connected = false;
+      this.emit('exit', code, signal);
+    }
+  }
+}
+
+/**
+ * Stand-in for node:cluster whose workers listen, answer and obey shutdown
+ *
+ * @param {Array<string>} events - Records forks, listens and exits
+ */
+function createFakeCluster(events) {
+  const fake = {
+    workers: [],
+    // Set to make the next forks exit before listening
+    failing: 0,
+    fork(env) {
+      const worker = new FakeWorker(100 + fake.workers.length, env);
+      fake.workers.push(worker);
+      const name = `${env[WORKER_ENV]}:${worker.process.pid}`;
+      events.push(`fork ${name}`);
+      worker.on('exit', () => events.push(`exit ${name}`));
+      worker.on('sent', (message) => {
+        if (message.type === 'cluster:shutdown') {
+          setImmediate(() => worker.exit(0));
+        } else if (message.type === 'cluster:collect') {
+          worker.emit('message', { type: 'cluster:collected', id: message.id, status: 'ready', metrics: '# TYPE up gauge\nup 1\n' });
+        }
+      });
+      const failing = fake.failing > 0;
+      fake.failing -= 1;
+      setImmediate(() => {
+        if (failing) {
+          worker.exit(1);
+        } else {
+          events.push(`listen ${name}`);
+          worker.emit('listening');
+        }
+      });
+      return worker;
+    }
+  };
+  return fake;
+}
+
+const waitFor = async (condition) => {
+  for (let i = 0; i < 200 && !condition(); i++) {
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+  expect(condition()).toBe(true);
+};
+
+const silent = { info() {}, warn() {}, error() {} };
+
+describe('Cluster', () => {
+  describe('mergeMetrics()', () => {
+    it('should label each source and keep HELP and TYPE once', () => {
+      const text = '# HELP hits Hits\n# TYPE hits counter\nhits{route="/"} 2\nhits{route="/a"} 1\n';
+      expect(mergeMetrics([
+        { labels: { worker: '0' }, text },
+        { labels: { worker: '1' }, text: '# HELP hits Hits\n# TYPE hits counter\nhits{route="/"} 5\n# TYPE lag gauge\nlag 0.5\n' },
+        { labels: {}, text: '# TYPE workers gauge\nworkers 2\n' }
+      ])).toBe([
+        '# HELP hits Hits',
+        '# TYPE hits counter',
+        'hits{route="/",worker="0"} 2',
+        'hits{route="/a",worker="0"} 1',
+        'hits{route="/",worker="1"} 5',
+        '# TYPE lag gauge',
+        'lag{worker="1"} 0.5',
+        '# TYPE workers gauge',
+        'workers 2',
+        ''
+      ].join('\n'));
+    });
+
+    it('should keep histogram series under their metric', () => {
+      const registry = createRegistry();
+      registry.histogram({ name: 'latency', help: 'Latency', buckets: [1] }).observe({}, 0.5);
+      expect(mergeMetrics([{ labels: { worker: '3' }, text: registry.render() }])).toBe([
+        '# HELP latency Latency',
+        '# TYPE latency histogram',
+        'latency_bucket{le="1",worker="3"} 1',
+        'latency_bucket{le="+Inf",worker="3"} 1',
+        'latency_sum{worker="3"} 0.5',
+        'latency_count{worker="3"} 1',
+        ''
+      ].join('\n'));
+    });
+  });
+
+  describe('createSupervisor()', () => {
+    let events;
+    let fake;
+    let supervisor;
+    let warnings;
+
+    const create = (options) => {
+      supervisor = createSupervisor({
+        size: 2,
+        cluster: fake,
+        logger: { ...silent, warn: (msg, fields) => warnings.push(fields ? fields.delay : msg) },
+        ...options
+      });
+      return supervisor;
+    };
+
+    beforeEach(() => {
+      events = [];
+      warnings = [];
+      fake = createFakeCluster(events);
+    });
+
+    afterEach(async () => {
+      await supervisor.stop();
+    });
+
+    it('should fork one worker per slot', async () => {
+      expect(await create().start()).toBe(2);
+      expect(fake.workers.map(({ env }) => env)).toEqual([{ [WORKER_ENV]: '0' }, { [WORKER_ENV]: '1' }]);
+    });
+
+    it('should pass the extra environment to every worker', async () => {
+      await create({ env: { TOKEN_SECRET: 't'.repeat(32) } }).start();
+      expect(fake.workers.map(({ env }) => env)).toEqual([
+        { TOKEN_SECRET: 't'.repeat(32), [WORKER_ENV]: '0' },
+        { TOKEN_SECRET: 't'.repeat(32), [WORKER_ENV]: '1' }
+      ]);
+    });
+
+    it('should count workers that exit before listening', async () => {
+      fake.failing = 1;
+      expect(await create({ restartDelay: 1000 }).start()).toBe(1);
+    });
+
+    it('should restart crashed workers with exponential backoff', async () => {
+      let clock = 0;
+      await create({ restartDelay: 5, maxRestartDelay: 12, stableTime: 1000, now: () => clock }).start();
+      for (let crash = 1; crash <= 3; crash++) {
+        fake.workers[fake.workers.length - (crash === 1 ? 2 : 1)].exit(1);
+        await waitFor(() => fake.workers.length === 2 + crash);
+      }
+      expect(warnings).toEqual([5, 10, 12]);
+      expect(fake.workers.map(({ env }) => env[WORKER_ENV])).toEqual(['0', '1', '0', '0', '0']);
+
+      // A worker that ran for stableTime crashes as if for the first time
+      clock += 1000;
+      fake.workers[4].exit(null, 'SIGKILL');
+      await waitFor(() => fake.workers.length === 6);
+      expect(warnings).toEqual([5, 10, 12, 5]);
+      expect((await supervisor.describe()).metrics).toMatch(/^cluster_worker_restarts_total 4$/m);
+    });
+
+    it('should replace workers one at a time on reload', async () => {
+      await create().start();
+      events.length = 0;
+      expect(await supervisor.reload()).toBe(true);
+      expect(events).toEqual([
+        'fork 0:102', 'listen 0:102', 'exit 0:100',
+        'fork 1:103', 'listen 1:103', 'exit 1:101'
+      ]);
+      expect(warnings).toEqual([]);
+      expect((await supervisor.describe()).workers.map(({ pid }) => pid)).toEqual([102, 103]);
+    });
+
+    it('should keep the old workers when a replacement fails', async () => {
+      await create({ restartDelay: 1000 }).start();
+      fake.failing = 1;
+      expect(await supervisor.reload()).toBe(false);
+      expect(fake.workers.slice(0, 2).every((worker) => worker.connected)).toBe(true);
+      expect(fake.workers).toHaveLength(3);
+    });
+
+    it('should not restart workers while stopping', async () => {
+      await create({ restartDelay: 1 }).start();
+      await supervisor.stop();
+      await new Promise((resolve) => setTimeout(resolve, 20));
+      expect(fake.workers).toHaveLength(2);
+      expect(fake.workers.every((worker) => !worker.connected)).toBe(true);
+    });
+
+    it('should answer queries with every worker and their metrics', async () => {
+      await create().start();
+      const worker = fake.workers[1];
+      const sent = new Promise((resolve) => worker.on('sent', (message) => message.type === 'cluster:result' && resolve(message)));
+      worker.emit('message', { type: 'cluster:query', id: 7 });
+      const result = await sent;
+      expect(result.id).toBe(7);
+      expect(result.workers).toEqual([
+        { worker: 0, pid: 100, status: 'ready', uptime: 0, restarts: 0 },
+        { worker: 1, pid: 101, status: 'ready', uptime: 0, restarts: 0 }
+      ]);
+      expect(result.metrics).toMatch(/^up\{worker="0"\} 1\nup\{worker="1"\} 1$/m);
+      expect(result.metrics).toMatch(/^cluster_workers 2$/m);
+    });
+  });
+
+  describe('joinCluster()', () => {
+    let app;
+    let channel;
+
+    beforeEach(() => {
+      const lifecycle = createLifecycle();
+      lifecycle.set('ready');
+      const metrics = createRegistry();
+      metrics.gauge({ name: 'up', help: 'Up', collect: () => 1 });
+      app = { locals: { lifecycle, metrics } };
+      channel = new EventEmitter();
+      channel.sent = [];
+      channel.send = (message) => channel.sent.push(message);
+    });
+
+    it('should do nothing outside a supervised worker', () => {
+      expect(joinCluster(app, { channel, env: {} })).toBeNull();
+      expect(app.locals.cluster).toBeUndefined();
+    });
+
+    it('should answer the primary and relay shutdown', () => {
+      const onShutdown = jest.fn();
+      const link = joinCluster(app, { channel, env: { [WORKER_ENV]: '1' }, onShutdown });
+      expect(link.worker).toBe(1);
+      expect(app.locals.cluster).toBe(link);
+      channel.emit('message', { type: 'cluster:collect', id: 3 });
+      expect(channel.sent).toEqual([{ type: 'cluster:collected', id: 3, status: 'ready', metrics: '# HELP up Up\n# TYPE up gauge\nup 1\n' }]);
+      channel.emit('message', { type: 'cluster:shutdown' });
+      expect(onShutdown).toHaveBeenCalledTimes(1);
+      link.leave();
+      expect(app.locals.cluster).toBeUndefined();
+      channel.emit('message', { type: 'cluster:shutdown' });
+      expect(onShutdown).toHaveBeenCalledTimes(1);
+    });
+
+    it('should query the primary', async () => {
+      const link = joinCluster(app, { channel, env: { [WORKER_ENV]: '0' }, timeout: 20 });
+      const answered = link.query();
+      const { id } = channel.sent[0];
+      channel.emit('message', { type: 'cluster:result', id, workers: [{ worker: 0 }], metrics: 'up 1\n' });
+      expect(await answered).toEqual({ workers: [{ worker: 0 }], metrics: 'up 1\n' });
+      await expect(link.query()).rejects.toThrow('The cluster primary did not answer');
+    });
+  });
+});
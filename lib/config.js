@@ -0,0 +1,368 @@
+/**
+ * Runtime Configuration
+ *
+ * Resolves the server configuration from layered sources. Each layer
+ * overrides the ones before it:
+ * 1. Built-in defaults
+ * 2. JSON config file (path from `options.configFile` or `CONFIG_FILE`)
+ * 3. Environment variables (`HOST`, `PORT`, ...)
+ * 4. Options object passed to `createServer(options)` (or, for the listener
+ *    settings, to `startServer(options, callback)`)
+ *
+ * A value of `undefined` leaves a setting to the layers below, and `null`
+ * turns off a setting whose default is null (e.g. `tlsCert` or `logFile`).
+ * Every other value is validated; invalid input raises a ConfigError that names
+ * the offending setting and the layer it came from, or the setting that
+ * lacks another one it depends on (e.g. `http2` without `tlsCert`).
+ *
+ * @module lib/config
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_DAY_PARTS, validateDayParts } = require('./greeting');
+const { validateRateLimits, validateAllowlist } = require('./rate-limit');
+const { validateLevel } = require('./logger');
+const { DEFAULT_UPLOAD_TYPES, validateUploadTypes } = require('./uploads');
+const { validateClientAuth } = require('./tls');
+
+/**
+ * Parses a JSON environment value, returning the raw string when malformed
+ * so validation reports it
+ *
+ * @param {string} value - Environment variable value
+ * @returns {*} Parsed value or the original string
+ */
+function parseJsonEnv(value) {
+  try {
+    return JSON.parse(value);
+  } catch (err) {
+    return value;
+  }
+}
+
+/**
+ * Error raised when a configuration value is missing, malformed or out of range
+ */
+class ConfigError extends Error {
+  /**
+   * @param {string} message - Human readable description of the problem
+   * @param {Object} [details]
+   * @param {string} [details.key] - The setting that failed validation
+   * @param {string} [details.source] - The layer the value came from
+   */
+  constructor(message, { key, source } = {}) {
+    super(message);
+    this.name = 'ConfigError';
+    this.key = key;
+    this.source = source;
+  }
+}
+
+/**
+ * Value parsers and validators keyed by setting type.
+ * `fromEnv` converts an environment string, `validate` returns an error
+ * message or null when the value is acceptable.
+ */
+const TYPES = {
+  string: {
+    fromEnv: (value) => value,
+    validate: (value) => (typeof value === 'string' && value.trim() !== ''
+      ? null
+      : 'must be a non-empty string')
+  },
+  hostname: {
+    fromEnv: (value) => value,
+    validate: (value) => (typeof value === 'string' && /^[^\s/?#]+$/.test(value)
+      ? null
+      : 'must be a hostname or IP address')
+  },
+  port: {
+    fromEnv: (value) => (/^\d+$/.test(value.trim()) ? Number(value) : value),
+    validate: (value) => (Number.isInteger(value) && value >= 0 && value <= 65535
+      ? null
+      : 'must be an integer between 0 and 65535')
+  },
+  integer: {
+    fromEnv: (value) => (/^-?\d+$/.test(value.trim()) ? Number(value) : value),
+    validate: (value) => (Number.isInteger(value) && value >= 0
+      ? null
+      : 'must be a non-negative integer')
+  },
+  boolean: {
+    fromEnv: (value) => {
+      const normalized = value.trim().toLowerCase();
+      if (['1', 'true', 'yes', 'on'].includes(normalized)) return true;
+      if (['0', 'false', 'no', 'off'].includes(normalized)) return false;
+      return value;
+    },
+    validate: (value) => (typeof value === 'boolean' ? null : 'must be a boolean')
+  },
+  secret: {
+    fromEnv: (value) => value,
+    validate: (value) => (typeof value === 'string' && value.length >= 32
+      ? null
+      : 'must be a string of at least 32 characters')
+  },
+  dayParts: {
+    fromEnv: parseJsonEnv,
+    validate: validateDayParts
+  },
+  rateLimits: {
+    fromEnv: parseJsonEnv,
+    validate: validateRateLimits
+  },
+  logLevel: {
+    fromEnv: (value) => value.trim().toLowerCase(),
+    validate: validateLevel
+  },
+  ipList: {
+    fromEnv: (value) => value.split(',').map((entry) => entry.trim()).filter(Boolean),
+    validate: validateAllowlist
+  },
+  mediaTypes: {
+    fromEnv: (value) => value.split(',').map((entry) => entry.trim().toLowerCase()).filter(Boolean),
+    validate: validateUploadTypes
+  },
+  clientAuth: {
+    fromEnv: (value) => value.trim().toLowerCase(),
+    validate: validateClientAuth
+  }
+};
+
+/**
+ * Supported settings
+ *
+ * @type {Object<string, {type: string, env: (string|undefined), default: *}>}
+ */
+const SCHEMA = {
+  environment: { type: 'string', env: 'NODE_ENV', default: 'development' },
+  hostname: { type: 'hostname', env: 'HOST', default: '127.0.0.1' },
+  port: { type: 'port', env: 'PORT', default: 3000 },
+  shutdownTimeout: { type: 'integer', env: 'SHUTDOWN_TIMEOUT', default: 10000 },
+  // Run `workers` processes under a supervisor (see lib/cluster); 0 workers = one per CPU
+  cluster: { type: 'boolean', env: 'CLUSTER', default: false },
+  workers: { type: 'integer', env: 'WORKERS', default: 0 },
+  // HTTPS when both are set: PEM files, reloaded when they change (see lib/tls)
+  tlsCert: { type: 'string', env: 'TLS_CERT', default: null },
+  tlsKey: { type: 'string', env: 'TLS_KEY', default: null },
+  tlsWatch: { type: 'boolean', env: 'TLS_WATCH', default: true },
+  // HTTP/2 on the HTTPS port, with HTTP/1.1 for clients that do not negotiate it
+  http2: { type: 'boolean', env: 'HTTP2', default: false },
+  // Plain HTTP port redirecting to the HTTPS port; null disables it
+  redirectPort: { type: 'port', env: 'REDIRECT_PORT', default: null },
+  // Client certificates are verified against the tlsCa bundle: none, request or require
+  tlsClientAuth: { type: 'clientAuth', env: 'TLS_CLIENT_AUTH', default: 'none' },
+  tlsCa: { type: 'string', env: 'TLS_CA', default: null },
+  dayParts: { type: 'dayParts', env: 'DAY_PARTS', default: DEFAULT_DAY_PARTS },
+  // Concurrent /greeting/stream connections per process, and milliseconds
+  // between their heartbeats (0 disables them)
+  greetingStreamLimit: { type: 'integer', env: 'GREETING_STREAM_LIMIT', default: 100 },
+  greetingStreamHeartbeat: { type: 'integer', env: 'GREETING_STREAM_HEARTBEAT', default: 15000 },
+  localesDir: { type: 'string', env: 'LOCALES_DIR', default: path.join(__dirname, '..', 'locales') },
+  defaultLocale: { type: 'string', env: 'DEFAULT_LOCALE', default: 'en' },
+  industriesFile: { type: 'string', env: 'INDUSTRIES_FILE', default: path.join(__dirname, '..', 'industry.csv') },
+  industriesWatch: { type: 'boolean', env: 'INDUSTRIES_WATCH', default: true },
+  usersFile: { type: 'string', env: 'USERS_FILE', default: path.join(__dirname, '..', 'users.json') },
+  // null generates a random secret per app (per cluster in cluster mode), so
+  // sessions do not survive a restart
+  sessionSecret: { type: 'secret', env: 'SESSION_SECRET', default: null },
+  sessionIdleTimeout: { type: 'integer', env: 'SESSION_IDLE_TIMEOUT', default: 30 * 60 * 1000 },
+  sessionMaxAge: { type: 'integer', env: 'SESSION_MAX_AGE', default: 8 * 60 * 60 * 1000 },
+  sessionRotateInterval: { type: 'integer', env: 'SESSION_ROTATE_INTERVAL', default: 15 * 60 * 1000 },
+  sessionCookieSecure: { type: 'boolean', env: 'SESSION_COOKIE_SECURE', default: false },
+  loginMaxAttempts: { type: 'integer', env: 'LOGIN_MAX_ATTEMPTS', default: 5 },
+  loginLockoutTime: { type: 'integer', env: 'LOGIN_LOCKOUT_TIME', default: 15 * 60 * 1000 },
+  // null generates a random secret per app (per cluster in cluster mode), so
+  // tokens do not survive a restart
+  tokenSecret: { type: 'secret', env: 'TOKEN_SECRET', default: null },
+  tokenTtl: { type: 'integer', env: 'TOKEN_TTL', default: 24 * 60 * 60 * 1000 },
+  tokenMaxTtl: { type: 'integer', env: 'TOKEN_MAX_TTL', default: 90 * 24 * 60 * 60 * 1000 },
+  revocationFile: { type: 'string', env: 'REVOCATION_FILE', default: path.join(__dirname, '..', 'revoked-tokens.json') },
+  // Rules keyed by mount path, e.g. { "/greeting": { "limit": 60, "window": 60000 } }
+  rateLimits: { type: 'rateLimits', env: 'RATE_LIMITS', default: {} },
+  rateLimitAllowlist: { type: 'ipList', env: 'RATE_LIMIT_ALLOWLIST', default: [] },
+  mediaDir: { type: 'string', env: 'MEDIA_DIR', default: path.join(__dirname, '..', 'media') },
+  mediaCacheDir: { type: 'string', env: 'MEDIA_CACHE_DIR', default: path.join(__dirname, '..', '.cache', 'media') },
+  // Least recently used thumbnails are deleted beyond either limit
+  thumbnailCacheMaxEntries: { type: 'integer', env: 'THUMBNAIL_CACHE_MAX_ENTRIES', default: 1000 },
+  thumbnailCacheMaxSize: { type: 'integer', env: 'THUMBNAIL_CACHE_MAX_SIZE', default: 100 * 1024 * 1024 },
+  // Serve JPEGs (and their metadata and thumbnails) without GPS location data
+  stripGps: { type: 'boolean', env: 'STRIP_GPS', default: true },
+  documentsDir: { type: 'string', env: 'DOCUMENTS_DIR', default: path.join(__dirname, '..', 'documents') },
+  uploadsDir: { type: 'string', env: 'UPLOADS_DIR', default: path.join(__dirname, '..', 'uploads') },
+  uploadMaxFileSize: { type: 'integer', env: 'UPLOAD_MAX_FILE_SIZE', default: 25 * 1024 * 1024 },
+  uploadMaxFiles: { type: 'integer', env: 'UPLOAD_MAX_FILES', default: 10 },
+  // Compared with the sniffed content, not the client's Content-Type
+  uploadTypes: { type: 'mediaTypes', env: 'UPLOAD_TYPES', default: DEFAULT_UPLOAD_TYPES },
+  // Written by `hello-world start`, read by `stop` and `status` (see lib/cli)
+  pidFile: { type: 'string', env: 'PID_FILE', default: path.join(__dirname, '..', 'server.pid') },
+  logLevel: { type: 'logLevel', env: 'LOG_LEVEL', default: 'info' },
+  // null logs to stdout
+  logFile: { type: 'string', env: 'LOG_FILE', default: null },
+  logMaxSize: { type: 'integer', env: 'LOG_MAX_SIZE', default: 10 * 1024 * 1024 },
+  logMaxFiles: { type: 'integer', env: 'LOG_MAX_FILES', default: 5 }
+};
+
+/**
+ * Environment variable naming the JSON config file
+ * @type {string}
+ */
+const CONFIG_FILE_ENV = 'CONFIG_FILE';
+
+/**
+ * Returns the built-in defaults
+ *
+ * @returns {Object} A fresh object holding the default value of every setting
+ */
+function getDefaults() {
+  const defaults = {};
+  for (const [key, spec] of Object.entries(SCHEMA)) {
+    defaults[key] = spec.default;
+  }
+  return defaults;
+}
+
+/**
+ * Reads and parses a JSON config file
+ *
+ * @param {string} file - Path to the config file, resolved against the working directory
+ * @returns {Object} The parsed settings
+ * @throws {ConfigError} When the file cannot be read or is not a JSON object
+ */
+function readConfigFile(file) {
+  const source = `config file ${file}`;
+  let text;
+  try {
+    text = fs.readFileSync(path.resolve(file), 'utf8');
+  } catch (err) {
+    throw new ConfigError(`Cannot read ${source}: ${err.message}`, { source });
+  }
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new ConfigError(`Invalid JSON in ${source}: ${err.message}`, { source });
+  }
+
+  if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+    throw new ConfigError(`${source} must contain a JSON object`, { source });
+  }
+  return data;
+}
+
+/**
+ * Extracts settings from environment variables
+ *
+ * @param {Object<string, string>} env - Environment variables
+ * @returns {Object} Settings for every variable that is set
+ */
+function readEnv(env) {
+  const values = {};
+  for (const [key, spec] of Object.entries(SCHEMA)) {
+    if (spec.env && env[spec.env] !== undefined && env[spec.env] !== '') {
+      values[key] = TYPES[spec.type].fromEnv(env[spec.env]);
+    }
+  }
+  return values;
+}
+
+/**
+ * Validates one configuration layer
+ *
+ * @param {Object} values - Settings from a single layer
+ * @param {string} source - Layer name used in error messages
+ * @returns {Object} The settings the layer sets, without undefined values
+ * @throws {ConfigError} On unknown settings or invalid values
+ */
+function validateLayer(values, source) {
+  const set = {};
+  for (const [key, value] of Object.entries(values)) {
+    const spec = SCHEMA[key];
+    if (!spec) {
+      throw new ConfigError(`Unknown setting "${key}" in ${source}`, { key, source });
+    }
+    if (value === undefined) {
+      continue;
+    }
+    set[key] = value;
+    if (value === null && spec.default === null) {
+      continue;
+    }
+    const problem = TYPES[spec.type].validate(value);
+    if (problem) {
+      const origin = source === 'environment' ? `environment variable ${spec.env}` : source;
+      throw new ConfigError(
+        `Invalid value for "${key}" in ${origin}: ${JSON.stringify(value)} ${problem}`,
+        { key, source }
+      );
+    }
+  }
+  return set;
+}
+
+/**
+ * Checks settings that only make sense together
+ *
+ * @param {Object} config - Merged settings
+ * @throws {ConfigError} When a setting needs another one that is missing
+ */
+function validateCombination(config) {
+  const requirements = [
+    ['tlsCert', config.tlsCert !== null, 'tlsKey', config.tlsKey !== null],
+    ['tlsKey', config.tlsKey !== null, 'tlsCert', config.tlsCert !== null],
+    ['http2', config.http2, 'tlsCert', config.tlsCert !== null],
+    ['redirectPort', config.redirectPort !== null, 'tlsCert', config.tlsCert !== null],
+    ['tlsClientAuth', config.tlsClientAuth !== 'none', 'tlsCa', config.tlsCa !== null]
+  ];
+  for (const [key, used, needed, present] of requirements) {
+    if (used && !present) {
+      throw new ConfigError(`"${key}" requires "${needed}" to be set`, { key });
+    }
+  }
+  if (config.redirectPort !== null && config.redirectPort !== 0 && config.redirectPort === config.port) {
+    throw new ConfigError(`"redirectPort" must differ from "port" (${config.port})`, { key: 'redirectPort' });
+  }
+}
+
+/**
+ * Resolves the effective configuration from all layers
+ *
+ * @param {Object} [options] - Settings passed programmatically (highest precedence)
+ * @param {string} [options.configFile] - Path to a JSON config file
+ * @param {Object<string, string>} [env=process.env] - Environment variables
+ * @returns {Object} Frozen, fully validated configuration
+ * @throws {ConfigError} When any layer contains an invalid value
+ */
+function loadConfig(options = {}, env = process.env) {
+  if (options === null || typeof options !== 'object' || Array.isArray(options)) {
+    throw new ConfigError('Server options must be an object', { source: 'options' });
+  }
+
+  const { configFile = env[CONFIG_FILE_ENV], ...overrides } = options;
+
+  const layers = [];
+  if (configFile !== undefined && configFile !== '') {
+    if (typeof configFile !== 'string') {
+      throw new ConfigError('"configFile" must be a path string', { key: 'configFile', source: 'options' });
+    }
+    layers.push([readConfigFile(configFile), `config file ${configFile}`]);
+  }
+  layers.push([readEnv(env), 'environment']);
+  layers.push([overrides, 'options']);
+
+  const config = getDefaults();
+  for (const [values, source] of layers) {
+    Object.assign(config, validateLayer(values, source));
+  }
+  validateCombination(config);
+  return Object.freeze(config);
+}
+
+module.exports = {
+  ConfigError,
+  SCHEMA,
+  getDefaults,
+  loadConfig
+};
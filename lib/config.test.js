@@ -0,0 +1,205 @@
+/**
+ * Unit Tests for the layered runtime configuration
+ *
+ * @module lib/config.test
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ConfigError, getDefaults, loadConfig } = require('./config');
+
+describe('Runtime Configuration', () => {
+  let tmpDir;
+
+  beforeAll(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-test-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  function writeConfig(name, content) {
+    const file = path.join(tmpDir, name);
+    fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+    return file;
+  }
+
+  describe('Defaults', () => {
+    it('should default to 127.0.0.1:3000', () => {
+      expect(getDefaults()).toMatchObject({ hostname: '127.0.0.1', port: 3000 });
+    });
+
+    it('should return defaults when no layer is set', () => {
+      expect(loadConfig({}, {})).toEqual(getDefaults());
+    });
+
+    it('should return a frozen object', () => {
+      expect(Object.isFrozen(loadConfig({}, {}))).toBe(true);
+    });
+  });
+
+  describe('Layer precedence', () => {
+    it('should apply the config file over defaults', () => {
+      const file = writeConfig('file.json', { port: 4000 });
+      expect(loadConfig({ configFile: file }, {})).toMatchObject({ hostname: '127.0.0.1', port: 4000 });
+    });
+
+    it('should read the config file path from CONFIG_FILE', () => {
+      const file = writeConfig('env-file.json', { hostname: 'localhost' });
+      expect(loadConfig({}, { CONFIG_FILE: file }).hostname).toBe('localhost');
+    });
+
+    it('should apply environment variables over the config file', () => {
+      const file = writeConfig('layered.json', { hostname: 'localhost', port: 4000 });
+      const config = loadConfig({ configFile: file }, { PORT: '5000' });
+      expect(config).toMatchObject({ hostname: 'localhost', port: 5000 });
+    });
+
+    it('should apply options over environment variables', () => {
+      const config = loadConfig({ port: 6000 }, { HOST: '0.0.0.0', PORT: '5000' });
+      expect(config).toMatchObject({ hostname: '0.0.0.0', port: 6000 });
+    });
+
+    it('should ignore empty environment variables', () => {
+      expect(loadConfig({}, { PORT: '' }).port).toBe(3000);
+    });
+
+    it('should ignore options that are undefined', () => {
+      const config = loadConfig({ port: undefined, logFile: undefined }, { PORT: '5000', LOG_FILE: 'app.log' });
+      expect(config).toMatchObject({ port: 5000, logFile: 'app.log' });
+    });
+
+    it('should let options set nullable settings back to null', () => {
+      const file = writeConfig('tls.json', { tlsCert: 'cert.pem', tlsKey: 'key.pem', redirectPort: 8080 });
+      const config = loadConfig(
+        { configFile: file, tlsCert: null, tlsKey: null, redirectPort: null, logFile: null },
+        { LOG_FILE: 'app.log' }
+      );
+      expect(config).toMatchObject({ tlsCert: null, tlsKey: null, redirectPort: null, logFile: null });
+    });
+
+    it('should accept null from the config file for nullable settings only', () => {
+      const nullable = writeConfig('nullable.json', { tlsCa: null, sessionSecret: null });
+      expect(loadConfig({ configFile: nullable }, {})).toMatchObject({ tlsCa: null, sessionSecret: null });
+      expect(() => loadConfig({ port: null }, {})).toThrow(/"port" in options: null must be/);
+    });
+  });
+
+  describe('Validation', () => {
+    it('should accept port 0 for an ephemeral port', () => {
+      expect(loadConfig({ port: 0 }, {}).port).toBe(0);
+    });
+
+    it.each([-1, 65536, 3.5, '3000', null])('should reject port %p from options', (port) => {
+      expect(() => loadConfig({ port }, {})).toThrow(ConfigError);
+    });
+
+    it('should name the environment variable in errors', () => {
+      expect(() => loadConfig({}, { PORT: 'http' })).toThrow(/environment variable PORT/);
+    });
+
+    it('should parse integer settings from the environment', () => {
+      expect(loadConfig({}, { SHUTDOWN_TIMEOUT: '2500' }).shutdownTimeout).toBe(2500);
+    });
+
+    it('should reject negative integers', () => {
+      expect(() => loadConfig({ shutdownTimeout: -1 }, {})).toThrow(/non-negative integer/);
+    });
+
+    it('should parse day part boundaries from DAY_PARTS as JSON', () => {
+      expect(loadConfig({}, { DAY_PARTS: '{"evening":"18:00"}' }).dayParts).toEqual({ evening: '18:00' });
+    });
+
+    it('should reject day part boundaries out of order', () => {
+      expect(() => loadConfig({ dayParts: { night: '04:00' } }, {})).toThrow(/"dayParts"/);
+    });
+
+    it('should parse rate limits from RATE_LIMITS as JSON', () => {
+      expect(loadConfig({}, { RATE_LIMITS: '{"/greeting":{"limit":5,"window":1000}}' }).rateLimits)
+        .toEqual({ '/greeting': { limit: 5, window: 1000 } });
+      expect(() => loadConfig({ rateLimits: { '/greeting': { limit: 0, window: 1000 } } }, {}))
+        .toThrow(/"rateLimits".*rule for \/greeting needs a "limit"/);
+    });
+
+    it('should parse the rate limit allowlist as a comma-separated list', () => {
+      expect(loadConfig({}, { RATE_LIMIT_ALLOWLIST: '10.0.0.0/8, ::1' }).rateLimitAllowlist).toEqual(['10.0.0.0/8', '::1']);
+      expect(() => loadConfig({}, { RATE_LIMIT_ALLOWLIST: 'localhost' })).toThrow(/RATE_LIMIT_ALLOWLIST.*"localhost"/);
+    });
+
+    it('should parse the upload types as a comma-separated list', () => {
+      expect(loadConfig({}, { UPLOAD_TYPES: 'image/*, Application/PDF' }).uploadTypes).toEqual(['image/*', 'application/pdf']);
+      expect(() => loadConfig({}, { UPLOAD_TYPES: 'jpeg' })).toThrow(/UPLOAD_TYPES.*invalid content type "jpeg"/);
+      expect(() => loadConfig({ uploadTypes: [] }, {})).toThrow(/"uploadTypes".*non-empty list/);
+    });
+
+    it('should require session secrets of at least 32 characters', () => {
+      expect(loadConfig({}, { SESSION_SECRET: 'x'.repeat(32) }).sessionSecret).toBe('x'.repeat(32));
+      expect(() => loadConfig({}, { SESSION_SECRET: 'short' })).toThrow(/SESSION_SECRET.*at least 32 characters/);
+    });
+
+    it('should reject hostnames containing whitespace', () => {
+      expect(() => loadConfig({ hostname: 'local host' }, {})).toThrow(/"hostname"/);
+    });
+
+    it('should reject unknown settings', () => {
+      let error;
+      try {
+        loadConfig({ prot: 3000 }, {});
+      } catch (err) {
+        error = err;
+      }
+      expect(error).toBeInstanceOf(ConfigError);
+      expect(error.key).toBe('prot');
+      expect(error.source).toBe('options');
+    });
+
+    it('should reject non-object options', () => {
+      expect(() => loadConfig('3000', {})).toThrow(ConfigError);
+    });
+
+    it('should report a missing config file', () => {
+      expect(() => loadConfig({ configFile: path.join(tmpDir, 'missing.json') }, {}))
+        .toThrow(/Cannot read config file/);
+    });
+
+    it('should report malformed JSON', () => {
+      const file = writeConfig('broken.json', '{ "port": ');
+      expect(() => loadConfig({ configFile: file }, {})).toThrow(/Invalid JSON/);
+    });
+
+    it('should require a JSON object in the config file', () => {
+      const file = writeConfig('array.json', [3000]);
+      expect(() => loadConfig({ configFile: file }, {})).toThrow(/must contain a JSON object/);
+    });
+
+    it('should validate values from the config file', () => {
+      const file = writeConfig('bad-port.json', { port: 'eighty' });
+      expect(() => loadConfig({ configFile: file }, {})).toThrow(/config file/);
+    });
+
+    it('should parse the TLS settings from the environment', () => {
+      expect(loadConfig({}, {
+        TLS_CERT: 'cert.pem',
+        TLS_KEY: 'key.pem',
+        TLS_CA: 'ca.pem',
+        TLS_CLIENT_AUTH: 'Require',
+        HTTP2: 'on',
+        REDIRECT_PORT: '8080'
+      })).toMatchObject({ tlsCert: 'cert.pem', tlsClientAuth: 'require', http2: true, redirectPort: 8080 });
+      expect(() => loadConfig({}, { TLS_CLIENT_AUTH: 'optional' })).toThrow(/TLS_CLIENT_AUTH/);
+    });
+
+    it.each([
+      [{ tlsCert: 'cert.pem' }, '"tlsCert" requires "tlsKey" to be set'],
+      [{ tlsKey: 'key.pem' }, '"tlsKey" requires "tlsCert" to be set'],
+      [{ http2: true }, '"http2" requires "tlsCert" to be set'],
+      [{ redirectPort: 8080 }, '"redirectPort" requires "tlsCert" to be set'],
+      [{ tlsCert: 'c', tlsKey: 'k', tlsClientAuth: 'require' }, '"tlsClientAuth" requires "tlsCa" to be set'],
+      [{ tlsCert: 'c', tlsKey: 'k', port: 8443, redirectPort: 8443 }, '"redirectPort" must differ from "port" (8443)']
+    ])('should reject the incomplete combination %j', (options, message) => {
+      expect(() => loadConfig(options, {})).toThrow(new ConfigError(message));
+    });
+  });
+});
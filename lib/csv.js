@@ -0,0 +1,138 @@
+/**
+ * CSV Parsing and Formatting
+ *
+ * A small RFC 4180 implementation: comma separated fields, double-quoted
+ * fields that may contain commas, quotes ("") and line breaks, LF or CRLF
+ * record separators and an optional UTF-8 byte order mark.
+ *
+ * @module lib/csv
+ */
+
+/**
+ * Error raised for malformed CSV input
+ */
+class CsvError extends Error {
+  /**
+   * @param {string} message - Human readable description of the problem
+   * @param {number} line - 1-based line number where the problem was found
+   */
+  constructor(message, line) {
+    super(`${message} (line ${line})`);
+    this.name = 'CsvError';
+    this.line = line;
+  }
+}
+
+/**
+ * Parses CSV text into records
+ *
+ * Blank lines are skipped. Each record keeps the line it starts on so
+ * callers can report problems against the original file.
+ *
+ * @param {string} text - CSV document
+ * @returns {Array<{line: number, fields: string[]}>} Records in file order
+ * @throws {CsvError} On an unterminated quoted field or stray quote
+ */
+function parseCsv(text) {
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  const records = [];
+  let fields = [];
+  let field = '';
+  let line = 1;
+  let recordLine = 1;
+  let quoted = false;
+  let fieldStarted = false;
+
+  const endRecord = () => {
+    fields.push(field);
+    if (fields.length > 1 || fields[0] !== '') {
+      records.push({ line: recordLine, fields });
+    }
+    fields = [];
+    field = '';
+    fieldStarted = false;
+  };
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"') {
+        if (input[i + 1] === '"') {
+          field += '"';
+          i += 1;
+        } else {
+          quoted = false;
+          const next = input[i + 1];
+          if (next !== undefined && next !== ',' && next !== '\n' && next !== '\r') {
+            throw new CsvError('Unexpected character after closing quote', line);
+          }
+        }
+      } else {
+        if (char === '\n') line += 1;
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      if (fieldStarted) {
+        throw new CsvError('Unexpected quote inside an unquoted field', line);
+      }
+      quoted = true;
+      fieldStarted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+      fieldStarted = false;
+    } else if (char === '\r' || char === '\n') {
+      if (char === '\r' && input[i + 1] === '\n') i += 1;
+      endRecord();
+      line += 1;
+      recordLine = line;
+    } else {
+      field += char;
+      fieldStarted = true;
+    }
+  }
+
+  if (quoted) {
+    throw new CsvError('Unterminated quoted field', recordLine);
+  }
+  if (field !== '' || fields.length) {
+    endRecord();
+  }
+  return records;
+}
+
+/**
+ * Quotes a field when it contains a separator, quote or line break
+ *
+ * @param {*} value - Field value
+ * @returns {string} CSV-safe field
+ */
+function formatField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) || /^\s|\s$/.test(text)
+    ? `"${text.replace(/"/g, '""')}"`
+    : text;
+}
+
+/**
+ * Formats rows as CSV text
+ *
+ * @param {Array<Array<*>>} rows - Rows of field values, header first
+ * @param {Object} [options]
+ * @param {string} [options.newline='\n'] - Record separator
+ * @returns {string} CSV document ending with a newline
+ */
+function formatCsv(rows, { newline = '\n' } = {}) {
+  return rows.map((row) => row.map(formatField).join(',')).join(newline) + newline;
+}
+
+module.exports = {
+  CsvError,
+  parseCsv,
+  formatField,
+  formatCsv
+};
@@ -0,0 +1,73 @@
+/**
+ * Unit Tests for CSV parsing and formatting
+ *
+ * @module lib/csv.test
+ */
+
+const { CsvError, parseCsv, formatCsv } = require('./csv');
+
+describe('CSV', () => {
+
+  describe('parseCsv()', () => {
+    it('should parse simple records with line numbers', () => {
+      expect(parseCsv('a,b\nc,d\n')).toEqual([
+        { line: 1, fields: ['a', 'b'] },
+        { line: 2, fields: ['c', 'd'] }
+      ]);
+    });
+
+    it('should strip a byte order mark', () => {
+      expect(parseCsv('\uFEFFIndustry\nRetail')[0].fields).toEqual(['Industry']);
+    });
+
+    it('should accept CRLF line endings', () => {
+      expect(parseCsv('a\r\nb\r\n').map((record) => record.fields)).toEqual([['a'], ['b']]);
+    });
+
+    it('should handle quoted fields with commas, quotes and newlines', () => {
+      const records = parseCsv('"Arts, ""Fine""",x\n"multi\nline",y\nz,w');
+      expect(records[0].fields).toEqual(['Arts, "Fine"', 'x']);
+      expect(records[1]).toEqual({ line: 2, fields: ['multi\nline', 'y'] });
+      expect(records[2].line).toBe(4);
+    });
+
+    it('should keep empty fields', () => {
+      expect(parseCsv('a,,c\n,\n')[0].fields).toEqual(['a', '', 'c']);
+      expect(parseCsv('a,,c\n,\n')[1].fields).toEqual(['', '']);
+    });
+
+    it('should skip blank lines', () => {
+      expect(parseCsv('a\n\n\nb\n').map((record) => record.line)).toEqual([1, 4]);
+    });
+
+    it('should report an unterminated quote with its line', () => {
+      let error;
+      try {
+        parseCsv('a\n"b\nc');
+      } catch (err) {
+        error = err;
+      }
+      expect(error).toBeInstanceOf(CsvError);
+      expect(error.line).toBe(2);
+    });
+
+    it('should reject a quote inside an unquoted field', () => {
+      expect(() => parseCsv('ab"c"')).toThrow(/Unexpected quote/);
+    });
+
+    it('should reject text after a closing quote', () => {
+      expect(() => parseCsv('"a"b')).toThrow(/after closing quote/);
+    });
+  });
+
+  describe('formatCsv()', () => {
+    it('should quote fields that need it', () => {
+      expect(formatCsv([['Industry'], ['Arts, "Fine"'], [' padded']])).toBe('Industry\n"Arts, ""Fine"""\n" padded"\n');
+    });
+
+    it('should round-trip through parseCsv()', () => {
+      const rows = [['name', 'note'], ['a,b', 'line\nbreak'], ['"q"', '']];
+      expect(parseCsv(formatCsv(rows, { newline: '\r\n' })).map((record) => record.fields)).toEqual(rows);
+    });
+  });
+});
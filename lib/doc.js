@@ -0,0 +1,405 @@
+/**
+ * Word 97-2003 Documents
+ *
+ * Extracts metadata and plain text from legacy .doc files:
+ *
+ * - properties from the `\x05SummaryInformation` and
+ *   `\x05DocumentSummaryInformation` property sets ([MS-OLEPS])
+ * - the main document text, assembled from the piece table in the table
+ *   stream ([MS-DOC] section 2.4.1)
+ *
+ * Field codes are dropped in favor of their results; paragraph, line and
+ * page breaks become newlines and table cells tabs. Headers, footnotes and
+ * comments are not part of the body text.
+ *
+ * @module lib/doc
+ */
+
+const { CfbError, readCompoundFile } = require('./cfb');
+
+/**
+ * Error raised for files that are not readable Word documents
+ */
+class DocError extends Error {
+  /**
+   * @param {string} message - What is wrong with the file
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'DocError';
+  }
+}
+
+/**
+ * Smallest nFib of the Word 97 file format
+ * @type {number}
+ */
+const WORD97_NFIB = 0x00c1;
+
+/**
+ * Property ids of the SummaryInformation set
+ * @type {Object<number, string>}
+ */
+const SUMMARY_PROPERTIES = {
+  0x02: 'title',
+  0x03: 'subject',
+  0x04: 'author',
+  0x05: 'keywords',
+  0x06: 'comments',
+  0x07: 'template',
+  0x08: 'lastAuthor',
+  0x09: 'revision',
+  0x0a: 'editingTime',
+  0x0b: 'printed',
+  0x0c: 'created',
+  0x0d: 'modified',
+  0x0e: 'pages',
+  0x0f: 'words',
+  0x10: 'characters',
+  0x12: 'application'
+};
+
+/**
+ * Property ids of the DocumentSummaryInformation set
+ * @type {Object<number, string>}
+ */
+const DOCUMENT_SUMMARY_PROPERTIES = {
+  0x02: 'category',
+  0x05: 'lines',
+  0x06: 'paragraphs',
+  0x0e: 'manager',
+  0x0f: 'company'
+};
+
+const CODEPAGE_PROPERTY = 0x01;
+const FILETIME_EPOCH_OFFSET = 11644473600000n;
+
+/**
+ * Text encodings of common Windows code pages
+ * @type {Object<number, string>}
+ */
+const CODEPAGES = {
+  874: 'windows-874',
+  932: 'shift_jis',
+  936: 'gbk',
+  949: 'euc-kr',
+  950: 'big5',
+  1200: 'utf-16le',
+  1250: 'windows-1250',
+  1251: 'windows-1251',
+  1253: 'windows-1253',
+  1254: 'windows-1254',
+  1255: 'windows-1255',
+  1256: 'windows-1256',
+  1257: 'windows-1257',
+  1258: 'windows-1258',
+  10000: 'macintosh',
+  20127: 'us-ascii',
+  28591: 'iso-8859-1',
+  65001: 'utf-8'
+};
+
+/**
+ * Characters 0x80-0x9F of Windows-1252, which Node's TextDecoder decodes as
+ * Latin-1 control characters instead
+ * @type {string}
+ */
+const WINDOWS_1252_HIGH = '\u20ac\u0081\u201a\u0192\u201e\u2026\u2020\u2021\u02c6\u2030\u0160\u2039\u0152\u008d\u017d\u008f'
+  + '\u0090\u2018\u2019\u201c\u201d\u2022\u2013\u2014\u02dc\u2122\u0161\u203a\u0153\u009d\u017e\u0178';
+
+/**
+ * Decodes Windows-1252 text
+ *
+ * @param {Buffer} bytes - Encoded text
+ * @returns {string} The text
+ */
+function decodeWindows1252(bytes) {
+  let text = '';
+  for (const byte of bytes) {
+    text += byte >= 0x80 && byte < 0xa0 ? WINDOWS_1252_HIGH[byte - 0x80] : String.fromCharCode(byte);
+  }
+  return text;
+}
+
+/**
+ * Decodes 8-bit text in a Windows code page
+ *
+ * @param {Buffer} bytes - Encoded text
+ * @param {number} codepage - Code page from the property set
+ * @returns {string} The text, up to the first NUL
+ */
+function decodeText(bytes, codepage) {
+  let text;
+  try {
+    text = CODEPAGES[codepage] && codepage !== 1252
+      ? new TextDecoder(CODEPAGES[codepage]).decode(bytes)
+      : decodeWindows1252(bytes);
+  } catch (err) {
+    text = decodeWindows1252(bytes);
+  }
+  return text.replace(/\0[\s\S]*$/, '');
+}
+
+/**
+ * Converts a FILETIME (100 ns intervals since 1601) to an ISO 8601 date
+ *
+ * @param {bigint} value - FILETIME
+ * @returns {string|null} The date, or null for zero (unset)
+ */
+function fileTime(value) {
+  if (value === 0n) {
+    return null;
+  }
+  const time = Number(value / 10000n - FILETIME_EPOCH_OFFSET);
+  const date = new Date(time);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Reads the first section of a property set stream
+ *
+ * @param {Buffer} stream - Property set stream
+ * @param {Object<number, string>} names - Property ids to read
+ * @returns {Object} Named values; FILETIME dates as ISO strings, except
+ *   `editingTime`, which is a duration in minutes
+ * @throws {DocError} When the stream is malformed
+ */
+function readPropertySet(stream, names) {
+  const check = (offset, size) => {
+    if (offset < 0 || offset + size > stream.length) {
+      throw new DocError('Property set points outside its stream');
+    }
+  };
+  check(0, 48);
+  if (stream.readUInt16LE(0) !== 0xfffe) {
+    throw new DocError('Property set has an invalid byte order mark');
+  }
+  if (stream.readUInt32LE(24) < 1) {
+    return {};
+  }
+  const section = stream.readUInt32LE(44);
+  check(section, 8);
+  const count = stream.readUInt32LE(section + 4);
+  check(section + 8, count * 8);
+
+  const entries = [];
+  for (let index = 0; index < count; index += 1) {
+    entries.push({
+      id: stream.readUInt32LE(section + 8 + index * 8),
+      offset: section + stream.readUInt32LE(section + 12 + index * 8)
+    });
+  }
+  let codepage = 1252;
+  const codepageEntry = entries.find(({ id }) => id === CODEPAGE_PROPERTY);
+  if (codepageEntry) {
+    check(codepageEntry.offset, 6);
+    codepage = stream.readUInt16LE(codepageEntry.offset + 4);
+  }
+
+  const values = {};
+  for (const { id, offset } of entries) {
+    const name = names[id];
+    if (!name) {
+      continue;
+    }
+    check(offset, 4);
+    const type = stream.readUInt16LE(offset);
+    const at = offset + 4;
+    switch (type) {
+      case 0x02: // VT_I2
+        check(at, 2);
+        values[name] = stream.readInt16LE(at);
+        break;
+      case 0x03: // VT_I4
+      case 0x13: // VT_UI4
+        check(at, 4);
+        values[name] = type === 0x03 ? stream.readInt32LE(at) : stream.readUInt32LE(at);
+        break;
+      case 0x0b: // VT_BOOL
+        check(at, 2);
+        values[name] = stream.readUInt16LE(at) !== 0;
+        break;
+      case 0x1e: { // VT_LPSTR
+        check(at, 4);
+        const length = stream.readUInt32LE(at);
+        check(at + 4, length);
+        const bytes = stream.subarray(at + 4, at + 4 + length);
+        values[name] = codepage === 1200
+          ? bytes.toString('utf16le').replace(/\0[\s\S]*$/, '')
+          : decodeText(bytes, codepage);
+        break;
+      }
+      case 0x1f: { // VT_LPWSTR
+        check(at, 4);
+        const length = stream.readUInt32LE(at) * 2;
+        check(at + 4, length);
+        values[name] = stream.toString('utf16le', at + 4, at + 4 + length).replace(/\0[\s\S]*$/, '');
+        break;
+      }
+      case 0x40: { // VT_FILETIME
+        check(at, 8);
+        const value = stream.readBigUInt64LE(at);
+        values[name] = name === 'editingTime' ? Number(value / 600000000n) : fileTime(value);
+        break;
+      }
+      default:
+        break;
+    }
+  }
+  return values;
+}
+
+/**
+ * Converts Word's control characters in body text
+ *
+ * @param {string} text - Raw text from the piece table
+ * @returns {string} Plain text with `\n` line ends
+ */
+function cleanText(text) {
+  let result = '';
+  // Each open field is either in its instructions (dropped) or its result
+  const fields = [];
+  for (const char of text) {
+    const code = char.charCodeAt(0);
+    if (code === 0x13) {
+      fields.push('instructions');
+      continue;
+    }
+    if (code === 0x14) {
+      if (fields.length) fields[fields.length - 1] = 'result';
+      continue;
+    }
+    if (code === 0x15) {
+      fields.pop();
+      continue;
+    }
+    if (fields.includes('instructions')) {
+      continue;
+    }
+    if (code === 0x0d || code === 0x0b || code === 0x0c) {
+      result += '\n';
+    } else if (code === 0x07) {
+      result += '\t';
+    } else if (code === 0x1e) {
+      result += '-';
+    } else if (code === 0xa0) {
+      result += ' ';
+    } else if (code === 0x09 || code >= 0x20) {
+      result += char;
+    }
+  }
+  // A row end follows its last cell mark: turn "cell\t\n" into "cell\n"
+  return result.replace(/\t\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+/**
+ * Reads the main text of a WordDocument stream
+ *
+ * @param {Buffer} word - WordDocument stream
+ * @param {Function} readTable - Returns the 0Table or 1Table stream by name
+ * @returns {string} Plain text
+ * @throws {DocError} For encrypted, pre-Word 97 or malformed documents
+ */
+function readBodyText(word, readTable) {
+  if (word.length < 0x01aa || word.readUInt16LE(0) !== 0xa5ec) {
+    throw new DocError('WordDocument stream has no valid file information block');
+  }
+  const nFib = word.readUInt16LE(2);
+  if (nFib < WORD97_NFIB) {
+    throw new DocError(`Word documents older than Word 97 are not supported (nFib ${nFib})`);
+  }
+  const flags = word.readUInt16LE(0x0a);
+  if (flags & 0x0100) {
+    throw new DocError('Document is encrypted');
+  }
+  const table = readTable(flags & 0x0200 ? '1Table' : '0Table');
+  const textLength = word.readUInt32LE(0x4c);
+  const fcClx = word.readUInt32LE(0x01a2);
+  const lcbClx = word.readUInt32LE(0x01a6);
+  if (lcbClx === 0 || fcClx + lcbClx > table.length) {
+    throw new DocError('Piece table lies outside the table stream');
+  }
+
+  // Skip property modifiers (clxt 1) up to the piece table (clxt 2)
+  const clx = table.subarray(fcClx, fcClx + lcbClx);
+  let offset = 0;
+  while (offset < clx.length && clx[offset] === 0x01) {
+    if (offset + 3 > clx.length) {
+      throw new DocError('Piece table is truncated');
+    }
+    offset += 3 + clx.readUInt16LE(offset + 1);
+  }
+  if (offset + 5 > clx.length || clx[offset] !== 0x02) {
+    throw new DocError('Piece table is missing');
+  }
+  const size = clx.readUInt32LE(offset + 1);
+  const plc = clx.subarray(offset + 5, offset + 5 + size);
+  if (plc.length !== size || size < 4 || (size - 4) % 12 !== 0) {
+    throw new DocError('Piece table is truncated');
+  }
+
+  const pieces = (size - 4) / 12;
+  const parts = [];
+  let remaining = textLength;
+  for (let index = 0; index < pieces && remaining > 0; index += 1) {
+    const start = plc.readUInt32LE(index * 4);
+    const end = plc.readUInt32LE((index + 1) * 4);
+    const count = Math.min(end - start, remaining);
+    if (end < start) {
+      throw new DocError('Piece table is out of order');
+    }
+    const descriptor = (pieces + 1) * 4 + index * 8;
+    const fc = plc.readUInt32LE(descriptor + 2);
+    const compressed = (fc & 0x40000000) !== 0;
+    const position = compressed ? (fc & 0x3fffffff) / 2 : fc;
+    const length = compressed ? count : count * 2;
+    if (position + length > word.length) {
+      throw new DocError('Piece of text lies outside the WordDocument stream');
+    }
+    const bytes = word.subarray(position, position + length);
+    parts.push(compressed ? decodeWindows1252(bytes) : bytes.toString('utf16le'));
+    remaining -= count;
+  }
+  return cleanText(parts.join(''));
+}
+
+/**
+ * Reads a Word 97-2003 document
+ *
+ * @param {Buffer} buffer - The .doc file
+ * @returns {{properties: Object, text: string}} `properties` holds the
+ *   summary information (title, author, created, modified, pages, words,
+ *   ...) without absent entries; `text` is the body text
+ * @throws {DocError} When the file is not a readable Word document
+ */
+function readDoc(buffer) {
+  try {
+    const file = readCompoundFile(buffer);
+    if (!file.has('WordDocument')) {
+      throw new DocError('Compound file is not a Word document (no WordDocument stream)');
+    }
+    const properties = {
+      ...(file.has('\x05SummaryInformation')
+        ? readPropertySet(file.read('\x05SummaryInformation'), SUMMARY_PROPERTIES)
+        : {}),
+      ...(file.has('\x05DocumentSummaryInformation')
+        ? readPropertySet(file.read('\x05DocumentSummaryInformation'), DOCUMENT_SUMMARY_PROPERTIES)
+        : {})
+    };
+    const text = readBodyText(file.read('WordDocument'), (name) => file.read(name));
+    return { properties, text };
+  } catch (err) {
+    if (err instanceof CfbError) {
+      throw new DocError(err.message);
+    }
+    if (err instanceof RangeError) {
+      throw new DocError('Document structure is truncated');
+    }
+    throw err;
+  }
+}
+
+module.exports = {
+  DocError,
+  readDoc
+};
@@ -0,0 +1,79 @@
+/**
+ * Unit Tests for Word document extraction
+ *
+ * @module lib/doc.test
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DocError, readDoc } = require('./doc');
+
+const SAMPLE = fs.readFileSync(path.join(__dirname, '..', 'documents', 'sample.doc'));
+
+// The WordDocument stream of sample.doc starts at sector 0 (byte 512); its
+// directory entry is the third of the directory in sector 0x65
+const WORD_OFFSET = 512;
+const WORD_ENTRY_OFFSET = 512 + 0x65 * 512 + 2 * 128;
+
+describe('Word Documents', () => {
+  describe('readDoc()', () => {
+    it('should read the summary information of sample.doc', () => {
+      expect(readDoc(SAMPLE).properties).toEqual({
+        // A space in the Symbol font's private-use range
+        title: '\uf020',
+        subject: 'IEEE Transactions on Magnetics ',
+        author: 'yanqing',
+        keywords: '',
+        comments: '',
+        template: 'Sample doc paper',
+        lastAuthor: 'yanqing',
+        revision: '1',
+        application: 'Microsoft Word 9.0',
+        editingTime: 3,
+        printed: '2003-06-06T18:50:00.000Z',
+        created: '2007-10-10T22:44:00.000Z',
+        modified: '2007-10-10T22:59:00.000Z',
+        pages: 1,
+        words: 4361,
+        characters: 24863,
+        company: 'IEEE',
+        lines: 207,
+        paragraphs: 49
+      });
+    });
+
+    it('should extract the body text of sample.doc', () => {
+      const { text } = readDoc(SAMPLE);
+      expect(text).toContain('Template for Preparation of Papers for IEEE Sponsored Conferences & Symposia\n');
+      expect(text).toContain('Abstract—These instructions give you guidelines');
+      expect(text).toMatch(/Available: http:\/\/www\.halcyon\.com\/pub\/journals\/ 21ps03-vidmar$/);
+      expect(text).not.toMatch(/[\x00-\x08\x0b-\x1f\x80-\x9f]/);
+      expect(text).not.toContain('\r');
+    });
+
+    describe('unreadable documents', () => {
+      const corrupt = (offset, write) => {
+        const copy = Buffer.from(SAMPLE);
+        write(copy, offset);
+        return copy;
+      };
+
+      it.each([
+        ['a file that is no compound file', Buffer.from('plain text'), /signature/],
+        ['a compound file without a Word document',
+          corrupt(WORD_ENTRY_OFFSET, (b, o) => b.write('X', o + 22, 'utf16le')), /no WordDocument stream/],
+        ['a damaged file information block', corrupt(WORD_OFFSET, (b, o) => b.writeUInt16LE(0, o)), /file information block/],
+        ['a Word 95 document', corrupt(WORD_OFFSET + 2, (b, o) => b.writeUInt16LE(0x65, o)), /older than Word 97/],
+        ['an encrypted document', corrupt(WORD_OFFSET + 0x0a, (b, o) => b.writeUInt16LE(b.readUInt16LE(o) | 0x0100, o)),
+          /encrypted/],
+        ['a piece table out of range', corrupt(WORD_OFFSET + 0x01a2, (b, o) => b.writeUInt32LE(0x7fffffff, o)),
+          /Piece table lies outside/],
+        ['a missing table stream', corrupt(WORD_OFFSET + 0x0a, (b, o) => b.writeUInt16LE(b.readUInt16LE(o) & ~0x0200, o)),
+          /no stream "0Table"/]
+      ])('should reject %s', (name, buffer, message) => {
+        expect(() => readDoc(buffer)).toThrow(DocError);
+        expect(() => readDoc(buffer)).toThrow(message);
+      });
+    });
+  });
+});
@@ -0,0 +1,216 @@
+/**
+ * Word Document API
+ *
+ * Metadata and plain text of legacy Word (.doc) files, as JSON:
+ *
+ * - GET /        : The .doc files of the documents directory
+ * - GET /:name   : Properties and body text of one of them
+ * - POST /       : Properties and body text of an uploaded .doc (not stored)
+ *
+ * Files are identified by content: anything but an OLE2 compound file is a
+ * 415, and compound files that are corrupt or hold no Word document a 422.
+ *
+ * @module lib/documents
+ */
+
+const fs = require('fs');
+const express = require('express');
+const { HttpError, NotFoundError, UnsupportedMediaTypeError } = require('./errors');
+const { DocError, readDoc } = require('./doc');
+const { SNIFF_LENGTH, sniffType } = require('./sniff');
+const { operation } = require('./openapi');
+
+/**
+ * Content type sniffed for OLE2 compound files
+ * @type {string}
+ */
+const OLE_TYPE = 'application/x-ole-storage';
+
+/**
+ * Content types accepted by POST /documents
+ * @type {string[]}
+ */
+const UPLOAD_TYPES = ['application/msword', 'application/x-ole-storage', 'application/octet-stream'];
+
+/**
+ * Largest accepted upload
+ * @type {string}
+ */
+const UPLOAD_LIMIT = '10mb';
+
+/**
+ * Description of a document (see lib/openapi)
+ * @type {Object}
+ */
+const DOCUMENT_SCHEMA = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    size: { type: 'integer' },
+    properties: { type: 'object', description: 'Summary information: title, author, created, pages, ...' },
+    text: { type: 'string', description: 'Body text' }
+  },
+  required: ['size', 'properties', 'text']
+};
+
+/**
+ * Errors of unreadable documents
+ * @type {Object}
+ */
+const DOCUMENT_ERRORS = {
+  415: 'Not a compound file',
+  422: 'Corrupt, encrypted or older than Word 97'
+};
+
+/**
+ * Error for files that are not readable Word documents
+ */
+class DocumentError extends HttpError {
+  /**
+   * @param {string} detail - What is wrong with the file
+   */
+  constructor(detail) {
+    super(422, detail);
+    this.name = 'DocumentError';
+  }
+}
+
+/**
+ * Extracts the properties and text of a .doc file
+ *
+ * @param {Buffer} buffer - File contents
+ * @param {string} label - How to refer to the file in errors
+ * @returns {{properties: Object, text: string}} See readDoc()
+ * @throws {UnsupportedMediaTypeError|DocumentError} When it is not a readable .doc
+ */
+function extract(buffer, label) {
+  const type = sniffType(buffer.subarray(0, SNIFF_LENGTH));
+  if (type !== OLE_TYPE) {
+    throw new UnsupportedMediaTypeError(`${label} is ${type}, not a Word document`);
+  }
+  try {
+    return readDoc(buffer);
+  } catch (err) {
+    if (err instanceof DocError) {
+      throw new DocumentError(`${label} cannot be read: ${err.message}`);
+    }
+    throw err;
+  }
+}
+
+/**
+ * Creates the document router
+ *
+ * @param {Object} store - Media store over the documents directory (see lib/media)
+ * @returns {express.Router} Router to mount at /documents
+ */
+function documentsRouter(store) {
+  const router = express.Router();
+
+  /**
+   * Lists the .doc files of the documents directory
+   *
+   * @route GET /documents
+   * @returns {Object} 200 - `{ documents: [{ name, size, modified }] }`, sorted by name
+   */
+  router.get('/', operation({
+    summary: 'List the Word documents',
+    responses: {
+      200: {
+        description: 'The .doc files, sorted by name',
+        schema: {
+          type: 'object',
+          properties: {
+            documents: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  name: { type: 'string' },
+                  size: { type: 'integer' },
+                  modified: { type: 'string', format: 'date-time' }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  }), async (req, res) => {
+    let names;
+    try {
+      names = await fs.promises.readdir(store.root);
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        throw err;
+      }
+      names = [];
+    }
+    const documents = [];
+    for (const name of names.filter((candidate) => /\.doc$/i.test(candidate)).sort()) {
+      const entry = await store.resolve([name]);
+      if (entry) {
+        documents.push({ name, size: entry.size, modified: entry.mtime.toISOString() });
+      }
+    }
+    res.json({ documents });
+  });
+
+  /**
+   * Describes a document of the documents directory
+   *
+   * @route GET /documents/:name
+   * @returns {Object} 200 - `{ name, size, properties, text }`; 404 when
+   *   missing, 415 when not a compound file, 422 when corrupt
+   */
+  router.get('/:name', operation({
+    summary: 'Properties and text of a Word document',
+    params: { type: 'object', properties: { name: { type: 'string' } } },
+    responses: {
+      200: { description: 'The document', schema: DOCUMENT_SCHEMA, headers: { ETag: 'Entity tag' } },
+      404: 'No such document',
+      ...DOCUMENT_ERRORS
+    }
+  }), async (req, res) => {
+    const { name } = req.params;
+    const entry = await store.resolve([name]);
+    if (!entry) {
+      throw new NotFoundError(`No document named "${name}"`);
+    }
+    const { properties, text } = extract(await fs.promises.readFile(entry.file), `"${name}"`);
+    res.set({ 'ETag': entry.etag, 'Cache-Control': 'public, no-cache' });
+    res.json({ name, size: entry.size, properties, text });
+  });
+
+  /**
+   * Describes an uploaded document without keeping it
+   *
+   * @route POST /documents
+   * @param {Buffer} body - The .doc file (application/msword)
+   * @returns {Object} 200 - `{ size, properties, text }`; 413 when larger
+   *   than 10 MB, 415 on other content, 422 when corrupt
+   */
+  router.post('/', express.raw({ type: UPLOAD_TYPES, limit: UPLOAD_LIMIT }), operation({
+    summary: 'Describe an uploaded Word document without storing it',
+    consumes: Object.fromEntries(UPLOAD_TYPES.map((type) => [type, null])),
+    responses: {
+      200: { description: 'The document', schema: DOCUMENT_SCHEMA },
+      413: 'Larger than 10 MB',
+      ...DOCUMENT_ERRORS
+    }
+  }), (req, res) => {
+    if (!Buffer.isBuffer(req.body)) {
+      throw new UnsupportedMediaTypeError(`Upload must be one of ${UPLOAD_TYPES.join(', ')}`);
+    }
+    const { properties, text } = extract(req.body, 'Upload');
+    res.json({ size: req.body.length, properties, text });
+  });
+
+  return router;
+}
+
+module.exports = {
+  UPLOAD_TYPES,
+  DocumentError,
+  documentsRouter
+};
@@ -0,0 +1,131 @@
+/**
+ * Unit Tests for the Word document API
+ *
+ * @module lib/documents.test
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const { createMediaStore } = require('./media');
+const { documentsRouter } = require('./documents');
+const { errorHandler } = require('./errors');
+
+const SAMPLE = path.join(__dirname, '..', 'documents', 'sample.doc');
+
+describe('Word Document API', () => {
+  let dir;
+  let app;
+  const sample = fs.readFileSync(SAMPLE);
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'documents-'));
+    fs.copyFileSync(SAMPLE, path.join(dir, 'sample.doc'));
+    fs.writeFileSync(path.join(dir, 'renamed.doc'), 'Not a Word document\n');
+    fs.writeFileSync(path.join(dir, 'truncated.doc'), sample.subarray(0, 4096));
+    fs.writeFileSync(path.join(dir, 'notes.txt'), 'hello\n');
+    fs.writeFileSync(path.join(dir, '.hidden.doc'), sample);
+
+    app = express();
+    app.use('/documents', documentsRouter(createMediaStore(dir)));
+    app.use(errorHandler());
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('GET /documents', () => {
+    it('should list the visible .doc files', async () => {
+      const res = await request(app).get('/documents');
+      expect(res.status).toBe(200);
+      expect(res.body.documents.map(({ name }) => name)).toEqual(['renamed.doc', 'sample.doc', 'truncated.doc']);
+      expect(res.body.documents[1]).toEqual({
+        name: 'sample.doc',
+        size: sample.length,
+        modified: fs.statSync(path.join(dir, 'sample.doc')).mtime.toISOString()
+      });
+    });
+
+    it('should list nothing when the directory is missing', async () => {
+      const missing = express();
+      missing.use('/documents', documentsRouter(createMediaStore(path.join(dir, 'missing'))));
+      expect((await request(missing).get('/documents')).body).toEqual({ documents: [] });
+    });
+  });
+
+  describe('GET /documents/:name', () => {
+    it('should return the properties and text of a document', async () => {
+      const res = await request(app).get('/documents/sample.doc');
+      expect(res.status).toBe(200);
+      expect(res.headers['content-type']).toMatch(/^application\/json/);
+      expect(res.headers.etag).toMatch(/^"[\w-]+"$/);
+      expect(res.body).toEqual({
+        name: 'sample.doc',
+        size: sample.length,
+        properties: expect.objectContaining({
+          author: 'yanqing',
+          created: '2007-10-10T22:44:00.000Z',
+          modified: '2007-10-10T22:59:00.000Z',
+          pages: 1,
+          words: 4361
+        }),
+        text: expect.stringContaining('Template for Preparation of Papers')
+      });
+    });
+
+    it('should answer If-None-Match with 304', async () => {
+      const { headers } = await request(app).get('/documents/sample.doc');
+      expect((await request(app).get('/documents/sample.doc').set('If-None-Match', headers.etag)).status).toBe(304);
+    });
+
+    it.each([
+      ['missing.doc', 404, /No document named/],
+      ['.hidden.doc', 404, /No document named/],
+      ['renamed.doc', 415, /text\/plain; charset=utf-8, not a Word document/],
+      ['truncated.doc', 422, /cannot be read: Sector \d+ lies beyond the end of the file/]
+    ])('should refuse %s with %i', async (name, status, detail) => {
+      const res = await request(app).get(`/documents/${name}`);
+      expect(res.status).toBe(status);
+      expect(res.headers['content-type']).toMatch(/^application\/problem\+json/);
+      expect(res.body.detail).toMatch(detail);
+    });
+  });
+
+  describe('POST /documents', () => {
+    it('should describe an uploaded document without storing it', async () => {
+      const res = await request(app).post('/documents').set('Content-Type', 'application/msword').send(sample);
+      expect(res.status).toBe(200);
+      expect(res.body.size).toBe(sample.length);
+      expect(res.body.properties.company).toBe('IEEE');
+      expect(res.body.text).toContain('Abstract—These instructions');
+      expect(fs.readdirSync(dir)).toHaveLength(5);
+    });
+
+    it('should refuse other content types', async () => {
+      const res = await request(app).post('/documents').set('Content-Type', 'text/plain').send('hello');
+      expect(res.status).toBe(415);
+      expect(res.body.detail).toMatch(/application\/msword/);
+    });
+
+    it('should refuse uploads that are not Word documents', async () => {
+      const jpeg = fs.readFileSync(path.join(__dirname, '..', 'media', 'demo.jpg'));
+      const res = await request(app).post('/documents').set('Content-Type', 'application/msword').send(jpeg);
+      expect(res.status).toBe(415);
+      expect(res.body.detail).toBe('Upload is image/jpeg, not a Word document');
+      const corrupt = Buffer.from(sample);
+      corrupt.writeUInt16LE(0x0065, 512 + 2);
+      const refused = await request(app).post('/documents').set('Content-Type', 'application/octet-stream').send(corrupt);
+      expect(refused.status).toBe(422);
+      expect(refused.body.detail).toMatch(/older than Word 97/);
+    });
+
+    it('should refuse uploads over 10 MB', async () => {
+      const res = await request(app).post('/documents').set('Content-Type', 'application/msword')
+        .send(Buffer.alloc(10 * 1024 * 1024 + 1));
+      expect(res.status).toBe(413);
+    });
+  });
+});
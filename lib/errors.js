@@ -0,0 +1,348 @@
+/**
+ * HTTP Errors and Problem Details
+ *
+ * Routes signal failures by throwing (or passing to `next`) an HttpError;
+ * Express 5 forwards errors from async handlers too. `errorHandler()` turns
+ * every error into an RFC 7807 problem document:
+ *
+ *     {
+ *       "type": "about:blank",
+ *       "title": "Not Found",
+ *       "status": 404,
+ *       "detail": "No industry with slug \"robotics\"",
+ *       "instance": "/industries/robotics",
+ *       "correlationId": "5b0c6c3e-..."
+ *     }
+ *
+ * served as `application/problem+json`, or as an HTML page or plain text
+ * when the client prefers those. Error-specific members such as `parameter`
+ * are added alongside. Unexpected errors become 500s whose message and stack
+ * are only shown outside production.
+ *
+ * @module lib/errors
+ */
+
+const { STATUS_CODES } = require('http');
+const { escapeMarkup } = require('./markup');
+
+/**
+ * Problem representations, in server preference order
+ * @type {string[]}
+ */
+const PROBLEM_TYPES = ['application/problem+json', 'application/json', 'text/html', 'text/plain'];
+
+/**
+ * Base class for errors that map to an HTTP status
+ */
+class HttpError extends Error {
+  /**
+   * @param {number} status - HTTP status code (4xx or 5xx)
+   * @param {string} [detail] - Human readable explanation of this occurrence
+   * @param {Object} [options]
+   * @param {string} [options.type='about:blank'] - URI identifying the problem type
+   * @param {string} [options.title] - Short summary of the problem type; the status text by default
+   * @param {Object<string, string>} [options.headers] - Response headers to send with the problem
+   * @param {...*} [options.extensions] - Additional members of the problem document
+   */
+  constructor(status, detail, { type = 'about:blank', title, headers = {}, ...extensions } = {}) {
+    super(detail || STATUS_CODES[status] || 'Error');
+    this.name = 'HttpError';
+    this.status = status;
+    this.type = type;
+    this.title = title || STATUS_CODES[status] || 'Error';
+    this.headers = headers;
+    this.extensions = extensions;
+  }
+}
+
+/**
+ * 400 Bad Request for invalid input
+ */
+class ValidationError extends HttpError {
+  /**
+   * @param {string} detail - What is wrong with the input
+   * @param {Object} [options] - See HttpError; `parameter` names the offending input
+   */
+  constructor(detail, options = {}) {
+    super(400, detail, options);
+    this.name = 'ValidationError';
+    this.parameter = options.parameter;
+  }
+}
+
+/**
+ * 401 Unauthorized: missing or invalid credentials
+ */
+class UnauthorizedError extends HttpError {
+  /**
+   * @param {string} detail - Why the credentials were not accepted
+   * @param {Object} [options] - See HttpError; `challenge` is the WWW-Authenticate value
+   */
+  constructor(detail, { challenge, headers = {}, ...options } = {}) {
+    super(401, detail, { ...options, headers: challenge ? { ...headers, 'WWW-Authenticate': challenge } : headers });
+    this.name = 'UnauthorizedError';
+  }
+}
+
+/**
+ * 403 Forbidden: authenticated but not permitted
+ */
+class ForbiddenError extends HttpError {
+  /**
+   * @param {string} detail - What permission is missing
+   * @param {Object} [options] - See HttpError
+   */
+  constructor(detail, options) {
+    super(403, detail, options);
+    this.name = 'ForbiddenError';
+  }
+}
+
+/**
+ * 404 Not Found
+ */
+class NotFoundError extends HttpError {
+  /**
+   * @param {string} detail - What was not found
+   * @param {Object} [options] - See HttpError
+   */
+  constructor(detail, options) {
+    super(404, detail, options);
+    this.name = 'NotFoundError';
+  }
+}
+
+/**
+ * 405 Method Not Allowed
+ */
+class MethodNotAllowedError extends HttpError {
+  /**
+   * @param {string} detail - Which method was refused
+   * @param {string[]} allow - Methods the resource supports
+   * @param {Object} [options] - See HttpError
+   */
+  constructor(detail, allow, options = {}) {
+    super(405, detail, { ...options, headers: { ...options.headers, Allow: allow.join(', ') } });
+    this.name = 'MethodNotAllowedError';
+  }
+}
+
+/**
+ * 406 Not Acceptable: no representation matches Accept
+ */
+class NotAcceptableError extends HttpError {
+  /**
+   * @param {string} detail - Which representations are available
+   * @param {Object} [options] - See HttpError
+   */
+  constructor(detail, options) {
+    super(406, detail, options);
+    this.name = 'NotAcceptableError';
+  }
+}
+
+/**
+ * 409 Conflict with the current state of the resource
+ */
+class ConflictError extends HttpError {
+  /**
+   * @param {string} detail - What conflicts
+   * @param {Object} [options] - See HttpError
+   */
+  constructor(detail, options) {
+    super(409, detail, options);
+    this.name = 'ConflictError';
+  }
+}
+
+/**
+ * 412 Precondition Failed: a conditional header did not match
+ */
+class PreconditionFailedError extends HttpError {
+  /**
+   * @param {string} detail - Which precondition failed
+   * @param {Object} [options] - See HttpError
+   */
+  constructor(detail, options) {
+    super(412, detail, options);
+    this.name = 'PreconditionFailedError';
+  }
+}
+
+/**
+ * 415 Unsupported Media Type
+ */
+class UnsupportedMediaTypeError extends HttpError {
+  /**
+   * @param {string} detail - Which media types are accepted
+   * @param {Object} [options] - See HttpError
+   */
+  constructor(detail, options) {
+    super(415, detail, options);
+    this.name = 'UnsupportedMediaTypeError';
+  }
+}
+
+/**
+ * 429 Too Many Requests
+ */
+class TooManyRequestsError extends HttpError {
+  /**
+   * @param {string} detail - What limit was hit
+   * @param {Object} [options] - See HttpError; `retryAfter` is in seconds
+   */
+  constructor(detail, { retryAfter, headers = {}, ...options } = {}) {
+    super(429, detail, {
+      ...options,
+      headers: retryAfter === undefined ? headers : { ...headers, 'Retry-After': String(retryAfter) }
+    });
+    this.name = 'TooManyRequestsError';
+  }
+}
+
+/**
+ * Converts any thrown value into an HttpError
+ *
+ * Errors from Express middleware that carry a 4xx `status` (body parsers,
+ * for example) keep it; anything else is a 500.
+ *
+ * @param {*} err - Thrown value
+ * @returns {HttpError} The error to report
+ */
+function toHttpError(err) {
+  if (err instanceof HttpError) {
+    return err;
+  }
+  if (err && err.type === 'entity.parse.failed') {
+    return new ValidationError('Request body is not valid JSON');
+  }
+  const status = err && (err.status || err.statusCode);
+  if (Number.isInteger(status) && status >= 400 && status < 500) {
+    return new HttpError(status, err.expose === false ? undefined : err.message);
+  }
+  return new HttpError(500);
+}
+
+/**
+ * Builds the problem document for an error
+ *
+ * @param {*} err - Thrown value
+ * @param {express.Request} req - The request
+ * @param {boolean} production - Hide internal details
+ * @returns {Object} Problem document
+ */
+function toProblem(err, req, production) {
+  const error = toHttpError(err);
+  const problem = {
+    type: error.type,
+    title: error.title,
+    status: error.status,
+    detail: error.message,
+    instance: req.originalUrl,
+    correlationId: req.id,
+    ...error.extensions
+  };
+  if (error !== err && error.status >= 500 && !production && err && err.stack) {
+    problem.detail = err.message;
+    problem.stack = String(err.stack).split('\n').map((line) => line.trim());
+  }
+  return problem;
+}
+
+/**
+ * Renders a problem as an HTML page
+ *
+ * @param {Object} problem - Problem document
+ * @returns {string} HTML document
+ */
+function renderHtml(problem) {
+  return [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    `<head><meta charset="utf-8"><title>${problem.status} ${escapeMarkup(problem.title)}</title></head>`,
+    '<body>',
+    `<h1>${problem.status} ${escapeMarkup(problem.title)}</h1>`,
+    `<p>${escapeMarkup(problem.detail)}</p>`,
+    problem.correlationId ? `<p><small>Correlation ID: <code>${escapeMarkup(problem.correlationId)}</code></small></p>` : '',
+    problem.stack ? `<pre>${escapeMarkup(problem.stack.join('\n'))}</pre>` : '',
+    '</body>',
+    '</html>',
+    ''
+  ].filter((line) => line !== '').join('\n');
+}
+
+/**
+ * Renders a problem as plain text
+ *
+ * @param {Object} problem - Problem document
+ * @returns {string} Text body
+ */
+function renderText(problem) {
+  const lines = [`${problem.status} ${problem.title}: ${problem.detail}`];
+  if (problem.correlationId) lines.push(`Correlation ID: ${problem.correlationId}`);
+  if (problem.stack) lines.push('', ...problem.stack);
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Middleware raising 404 for requests no route answered
+ *
+ * @param {express.Request} req - The request
+ * @param {express.Response} res - The response
+ * @param {Function} next - Next middleware
+ */
+function notFound(req, res, next) {
+  next(new NotFoundError(`Cannot ${req.method} ${req.path}`));
+}
+
+/**
+ * Creates the error-handling middleware
+ *
+ * Register it after every route. Server errors (5xx) are logged with their
+ * correlation id.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.production=false] - Hide messages and stacks of unexpected errors
+ * @param {Object} [options.logger=console] - Receives server errors
+ * @returns {Function} Express error middleware
+ */
+function errorHandler({ production = false, logger = console } = {}) {
+  return (err, req, res, next) => {
+    if (res.headersSent) {
+      return next(err);
+    }
+
+    const problem = toProblem(err, req, production);
+    if (problem.status >= 500) {
+      logger.error(`[${req.id || '-'}] ${req.method} ${req.originalUrl} failed: ${err && err.stack ? err.stack : err}`);
+    }
+
+    res.status(problem.status).set(err instanceof HttpError ? err.headers : {});
+    res.vary('Accept');
+    const type = req.accepts(PROBLEM_TYPES) || PROBLEM_TYPES[0];
+    if (type === 'text/html') {
+      res.type('text/html').send(renderHtml(problem));
+    } else if (type === 'text/plain') {
+      res.type('text/plain').send(renderText(problem));
+    } else {
+      res.type(type).send(JSON.stringify(problem));
+    }
+  };
+}
+
+module.exports = {
+  HttpError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  MethodNotAllowedError,
+  NotAcceptableError,
+  ConflictError,
+  PreconditionFailedError,
+  UnsupportedMediaTypeError,
+  TooManyRequestsError,
+  toProblem,
+  notFound,
+  errorHandler
+};
@@ -0,0 +1,131 @@
+/**
+ * Unit Tests for HTTP errors and problem details
+ *
+ * @module lib/errors.test
+ */
+
+const express = require('express');
+const request = require('supertest');
+const {
+  HttpError,
+  ValidationError,
+  UnauthorizedError,
+  MethodNotAllowedError,
+  TooManyRequestsError,
+  toProblem,
+  notFound,
+  errorHandler
+} = require('./errors');
+const { requestId } = require('./request-id');
+
+describe('HTTP Errors', () => {
+
+  describe('HttpError', () => {
+    it('should default the title and detail to the status text', () => {
+      const error = new HttpError(404);
+      expect(error).toBeInstanceOf(Error);
+      expect(error).toMatchObject({ status: 404, title: 'Not Found', message: 'Not Found', type: 'about:blank' });
+    });
+
+    it('should carry headers for the subclasses that need them', () => {
+      expect(new UnauthorizedError('no', { challenge: 'Bearer realm="x"' }).headers)
+        .toEqual({ 'WWW-Authenticate': 'Bearer realm="x"' });
+      expect(new MethodNotAllowedError('no', ['GET', 'HEAD']).headers).toEqual({ Allow: 'GET, HEAD' });
+      expect(new TooManyRequestsError('slow down', { retryAfter: 30 }).headers).toEqual({ 'Retry-After': '30' });
+    });
+  });
+
+  describe('toProblem()', () => {
+    const req = { originalUrl: '/things?x=1', id: 'req-1' };
+
+    it('should describe HttpErrors with their extensions', () => {
+      expect(toProblem(new ValidationError('Bad x', { parameter: 'x' }), req, true)).toEqual({
+        type: 'about:blank',
+        title: 'Bad Request',
+        status: 400,
+        detail: 'Bad x',
+        instance: '/things?x=1',
+        correlationId: 'req-1',
+        parameter: 'x'
+      });
+    });
+
+    it('should keep 4xx statuses of foreign errors', () => {
+      const error = Object.assign(new Error('Payload too large'), { status: 413 });
+      expect(toProblem(error, req, true)).toMatchObject({ status: 413, title: 'Payload Too Large', detail: 'Payload too large' });
+    });
+
+    it('should hide unexpected errors in production only', () => {
+      const error = new Error('database exploded');
+      expect(toProblem(error, req, true)).toMatchObject({ status: 500, detail: 'Internal Server Error' });
+      expect(toProblem(error, req, true).stack).toBeUndefined();
+      const development = toProblem(error, req, false);
+      expect(development.detail).toBe('database exploded');
+      expect(development.stack[0]).toBe('Error: database exploded');
+    });
+  });
+
+  describe('errorHandler()', () => {
+    const makeApp = (options) => {
+      const app = express();
+      app.use(requestId);
+      app.use(express.json());
+      app.get('/invalid', () => {
+        throw new ValidationError('Bad <input>', { parameter: 'q' });
+      });
+      app.get('/broken', async () => {
+        throw new Error('boom');
+      });
+      app.post('/echo', (req, res) => res.json(req.body));
+      app.use(notFound);
+      app.use(errorHandler({ logger: { error: jest.fn() }, ...options }));
+      return app;
+    };
+
+    it('should answer with application/problem+json by default', async () => {
+      const res = await request(makeApp()).get('/invalid');
+      expect(res.status).toBe(400);
+      expect(res.headers['content-type']).toMatch(/^application\/problem\+json/);
+      expect(res.headers.vary).toMatch(/Accept/);
+      expect(res.body).toEqual({
+        type: 'about:blank',
+        title: 'Bad Request',
+        status: 400,
+        detail: 'Bad <input>',
+        instance: '/invalid',
+        correlationId: res.headers['x-request-id'],
+        parameter: 'q'
+      });
+    });
+
+    it('should render escaped HTML and plain text when preferred', async () => {
+      const html = await request(makeApp()).get('/invalid').set('Accept', 'text/html');
+      expect(html.headers['content-type']).toMatch(/^text\/html/);
+      expect(html.text).toContain('<p>Bad &lt;input&gt;</p>');
+      const text = await request(makeApp()).get('/invalid').set('Accept', 'text/plain').set('X-Request-Id', 'abc');
+      expect(text.text).toBe('400 Bad Request: Bad <input>\nCorrelation ID: abc\n');
+    });
+
+    it('should answer plain JSON to clients asking for it', async () => {
+      const res = await request(makeApp()).get('/missing').set('Accept', 'application/json');
+      expect(res.status).toBe(404);
+      expect(res.headers['content-type']).toMatch(/^application\/json/);
+      expect(res.body.detail).toBe('Cannot GET /missing');
+    });
+
+    it('should turn malformed JSON bodies into 400s', async () => {
+      const res = await request(makeApp()).post('/echo').set('Content-Type', 'application/json').send('{');
+      expect(res.status).toBe(400);
+      expect(res.body.detail).toBe('Request body is not valid JSON');
+    });
+
+    it('should log server errors with the correlation id', async () => {
+      const logger = { error: jest.fn() };
+      const res = await request(makeApp({ logger, production: true })).get('/broken').set('X-Request-Id', 'r-9');
+      expect(res.status).toBe(500);
+      expect(res.body).toMatchObject({ detail: 'Internal Server Error', correlationId: 'r-9' });
+      expect(res.body.stack).toBeUndefined();
+      expect(logger.error).toHaveBeenCalledWith(expect.stringMatching(/^\[r-9\] GET \/broken failed: Error: boom/));
+    });
+  });
+});
@@ -0,0 +1,254 @@
+/**
+ * Live Greeting Stream
+ *
+ * Serves `GET /greeting/stream` as Server-Sent Events: the greeting of the
+ * current day part as soon as a client connects, then a new event whenever
+ * the day part changes in the client's time zone (`?tz=`, the server's by
+ * default):
+ *
+ *     id: 2026-10-19/evening
+ *     event: greeting
+ *     data: {"greeting":"Good evening","period":"evening","locale":"en"}
+ *
+ * An event id names the day part and the local date it began on, so every
+ * server (and every cluster worker) gives the same day part the same id.
+ * A client that reconnects with the Last-Event-ID of the current day part
+ * gets no repeat of it; one that missed a change gets the current greeting.
+ * Comment lines sent every `heartbeatInterval` keep idle connections from
+ * being timed out by proxies.
+ *
+ * One timer checks every stream at the start of each minute, the
+ * granularity of day part boundaries, so changes are exact across DST
+ * transitions without being computed ahead. Streams beyond `maxStreams`
+ * get 503 with Retry-After, and every stream ends once the server starts
+ * draining (see lib/health), so shutdown does not wait for them.
+ *
+ * @module lib/greeting-stream
+ */
+
+const { HttpError } = require('./errors');
+const { DEFAULT_DAY_PARTS, parseTimeOfDay, getDayPart, getMinutesOfDay, resolveGreeting } = require('./greeting');
+
+/**
+ * Media type of the stream
+ * @type {string}
+ */
+const EVENT_STREAM = 'text/event-stream';
+
+/**
+ * Returns the date of a moment in a time zone
+ *
+ * @param {Date} date - The moment
+ * @param {string} [timeZone] - IANA time zone; the server's zone when omitted
+ * @returns {string} The date as YYYY-MM-DD
+ */
+function getLocalDate(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' })
+    .formatToParts(date);
+  const part = (type) => parts.find((entry) => entry.type === type).value;
+  return `${part('year')}-${part('month')}-${part('day')}`;
+}
+
+/**
+ * Identifies the day part a moment falls into
+ *
+ * @param {Date} date - The moment
+ * @param {string} [timeZone] - IANA time zone; the server's zone when omitted
+ * @param {Object<string, string>} [dayParts] - Boundary overrides
+ * @returns {{id: string, period: string}} The day part and its event id,
+ *   `<local date it began on>/<period>`
+ * @throws {GreetingError} When the time zone is unknown
+ */
+function identifyDayPart(date, timeZone, dayParts = {}) {
+  const minutes = getMinutesOfDay(date, timeZone);
+  const period = getDayPart(minutes, dayParts);
+  // Only night runs past midnight: after it, it began the evening before.
+  // Two hours before midnight stays on that date whatever a DST change does.
+  const began = minutes >= parseTimeOfDay({ ...DEFAULT_DAY_PARTS, ...dayParts }[period])
+    ? date
+    : new Date(date.getTime() - (minutes + 120) * 60000);
+  return { id: `${getLocalDate(began, timeZone)}/${period}`, period };
+}
+
+/**
+ * Creates the set of open greeting streams
+ *
+ * @param {Object} [options]
+ * @param {Object<string, string>} [options.dayParts] - Boundary overrides
+ * @param {number} [options.maxStreams=100] - Most streams open at once
+ * @param {number} [options.heartbeatInterval=15000] - Milliseconds between
+ *   heartbeat comments; 0 disables them
+ * @param {number} [options.retry=5000] - Reconnection delay suggested to
+ *   clients, in milliseconds
+ * @param {Object} [options.lifecycle] - Server lifecycle (see lib/health);
+ *   streams end when it starts draining
+ * @param {Function} [options.now] - Clock returning the current Date
+ * @returns {Object} The streams
+ */
+function createGreetingStreams({
+  dayParts,
+  maxStreams = 100,
+  heartbeatInterval = 15000,
+  retry = 5000,
+  lifecycle,
+  now = () => new Date()
+} = {}) {
+  /**
+   * Open streams
+   * @type {Set<{res: http.ServerResponse, timeZone: (string|undefined), translate: Function, locale: string, id: string}>}
+   */
+  const streams = new Set();
+  let tickTimer = null;
+  let heartbeatTimer = null;
+
+  /**
+   * Writes the greeting event of a day part
+   *
+   * @param {Object} stream - Open stream
+   * @param {{id: string, period: string}} dayPart - From identifyDayPart()
+   */
+  function send(stream, { id, period }) {
+    stream.id = id;
+    const data = JSON.stringify({ greeting: stream.translate(period), period, locale: stream.locale });
+    stream.res.write(`id: ${id}\nevent: greeting\ndata: ${data}\n\n`);
+  }
+
+  /**
+   * Sends an event to every stream whose day part has changed, then waits
+   * for the next minute
+   */
+  function tick() {
+    const date = now();
+    for (const stream of streams) {
+      const dayPart = identifyDayPart(date, stream.timeZone, dayParts);
+      if (dayPart.id !== stream.id) {
+        send(stream, dayPart);
+      }
+    }
+    tickTimer = setTimeout(tick, 60000 - (now().getTime() % 60000));
+    tickTimer.unref();
+  }
+
+  /**
+   * Starts the timers with the first stream and stops them with the last
+   */
+  function updateTimers() {
+    if (streams.size && !tickTimer) {
+      tickTimer = setTimeout(tick, 60000 - (now().getTime() % 60000));
+      tickTimer.unref();
+      if (heartbeatInterval > 0) {
+        heartbeatTimer = setInterval(() => {
+          for (const { res } of streams) {
+            res.write(': heartbeat\n\n');
+          }
+        }, heartbeatInterval);
+        heartbeatTimer.unref();
+      }
+    } else if (!streams.size && tickTimer) {
+      clearTimeout(tickTimer);
+      clearInterval(heartbeatTimer);
+      tickTimer = null;
+      heartbeatTimer = null;
+    }
+  }
+
+  /**
+   * Turns a response into a greeting stream
+   *
+   * @param {http.ServerResponse} res - Response whose headers are not sent yet
+   * @param {Object} options
+   * @param {string} [options.timeZone] - IANA time zone of the client
+   * @param {Function} options.translate - Returns the greeting of a day part
+   * @param {string} options.locale - Locale of the greetings
+   * @param {string} [options.lastEventId] - Last-Event-ID of a reconnecting client
+   * @throws {GreetingError} When the time zone is unusable
+   * @throws {HttpError} 503 when the server is draining or `maxStreams` are open
+   */
+  function open(res, { timeZone, translate, locale, lastEventId }) {
+    resolveGreeting({ tz: timeZone }, { dayParts, now });
+    const retryAfter = { headers: { 'Retry-After': String(Math.ceil(retry / 1000)) } };
+    if (lifecycle && lifecycle.state() === 'draining') {
+      throw new HttpError(503, 'The server is shutting down', retryAfter);
+    }
+    if (streams.size >= maxStreams) {
+      throw new HttpError(503, `At most ${maxStreams} greeting streams may be open at once`, retryAfter);
+    }
+
+    res.writeHead(200, {
+      'Content-Type': `${EVENT_STREAM}; charset=utf-8`,
+      'Cache-Control': 'no-cache',
+      // Keeps nginx from buffering the events
+      'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: ${retry}\n\n`);
+    const stream = { res, timeZone, translate, locale, id: null };
+    const dayPart = identifyDayPart(now(), timeZone, dayParts);
+    if (dayPart.id === lastEventId) {
+      stream.id = dayPart.id;
+    } else {
+      send(stream, dayPart);
+    }
+
+    streams.add(stream);
+    res.once('close', () => {
+      streams.delete(stream);
+      updateTimers();
+    });
+    updateTimers();
+  }
+
+  /**
+   * Ends every open stream
+   */
+  function close() {
+    for (const { res } of streams) {
+      res.end();
+    }
+  }
+
+  if (lifecycle) {
+    lifecycle.onChange((state) => {
+      if (state === 'draining') {
+        close();
+      }
+    });
+  }
+
+  return {
+    open,
+    close,
+    count: () => streams.size
+  };
+}
+
+/**
+ * Creates the handler of `GET /greeting/stream`
+ *
+ * Runs after lib/i18n's `localize()`, which provides the locale and
+ * translations; `tz` comes from the query string. HEAD answers with the
+ * stream's headers only.
+ *
+ * @param {Object} streams - From createGreetingStreams()
+ * @returns {Function} Express handler
+ */
+function greetingStreamHandler(streams) {
+  return (req, res) => {
+    if (req.method === 'HEAD') {
+      res.type(EVENT_STREAM).set('Cache-Control', 'no-cache').end();
+      return;
+    }
+    streams.open(res, {
+      timeZone: req.query.tz,
+      translate: res.locals.t,
+      locale: req.locale,
+      lastEventId: req.get('Last-Event-ID')
+    });
+  };
+}
+
+module.exports = {
+  EVENT_STREAM,
+  identifyDayPart,
+  createGreetingStreams,
+  greetingStreamHandler
+};
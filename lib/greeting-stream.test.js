@@ -0,0 +1,176 @@
+/**
+ * Unit Tests for the live greeting stream
+ *
+ * @module lib/greeting-stream.test
+ */
+
+const { EventEmitter } = require('events');
+const { HttpError } = require('./errors');
+const { GreetingError } = require('./greeting');
+const { createLifecycle } = require('./health');
+const { identifyDayPart, createGreetingStreams } = require('./greeting-stream');
+
+/**
+ * Stand-in for http.ServerResponse recording what is written
+ */
+class FakeResponse extends EventEmitter {
+  constructor() {
+    super();
+    this.chunks = [];
+    this.ended = false;
+  }
+
+  writeHead(status, headers) {
+    this.status = status;
+    this.headers = headers;
+  }
+
+  write(chunk) {
+    this.chunks.push(chunk);
+    return true;
+  }
+
+  end() {
+    this.ended = true;
+    this.emit('close');
+  }
+
+  /** @returns {Array<{id: string, data: Object}>} The greeting events written so far */
+  events() {
+    return this.chunks.filter((chunk) => chunk.startsWith('id: ')).map((chunk) => {
+      const [, id, data] = /^id: (.*)\nevent: greeting\ndata: (.*)\n\n$/.exec(chunk);
+      return { id, data: JSON.parse(data) };
+    });
+  }
+}
+
+const translate = (period) => `Good ${period}`;
+
+describe('Live Greeting Stream', () => {
+  describe('identifyDayPart()', () => {
+    it.each([
+      ['2026-10-19T18:30:00Z', 'UTC', '2026-10-19/evening'],
+      ['2026-10-19T22:00:00Z', 'UTC', '2026-10-19/night'],
+      // Night began the evening before
+      ['2026-10-20T03:00:00Z', 'UTC', '2026-10-19/night'],
+      ['2026-10-19T19:15:00Z', 'Asia/Tokyo', '2026-10-19/night'],
+      ['2026-10-19T23:00:00Z', 'Asia/Tokyo', '2026-10-20/morning'],
+      // 04:30 EDT, the night after clocks went forward
+      ['2026-03-08T08:30:00Z', 'America/New_York', '2026-03-07/night']
+    ])('should identify %s in %s as %s', (at, timeZone, id) => {
+      expect(identifyDayPart(new Date(at), timeZone).id).toBe(id);
+    });
+
+    it('should apply boundary overrides', () => {
+      expect(identifyDayPart(new Date('2026-10-19T22:30:00Z'), 'UTC', { night: '23:00' }))
+        .toEqual({ id: '2026-10-19/evening', period: 'evening' });
+    });
+  });
+
+  describe('createGreetingStreams()', () => {
+    let streams;
+
+    beforeEach(() => {
+      jest.useFakeTimers({ now: new Date('2026-10-19T16:59:30Z') });
+    });
+
+    afterEach(() => {
+      streams.close();
+      jest.useRealTimers();
+    });
+
+    const open = (options = {}) => {
+      const res = new FakeResponse();
+      streams.open(res, { timeZone: 'UTC', translate, locale: 'en', ...options });
+      return res;
+    };
+
+    it('should send the current greeting, then one event per change', () => {
+      streams = createGreetingStreams({ heartbeatInterval: 0 });
+      const res = open();
+      expect(res.status).toBe(200);
+      expect(res.headers['Content-Type']).toBe('text/event-stream; charset=utf-8');
+      expect(res.chunks[0]).toBe('retry: 5000\n\n');
+      expect(res.events()).toEqual([
+        { id: '2026-10-19/afternoon', data: { greeting: 'Good afternoon', period: 'afternoon', locale: 'en' } }
+      ]);
+
+      jest.advanceTimersByTime(29999);
+      expect(res.events()).toHaveLength(1);
+      jest.advanceTimersByTime(1);
+      expect(res.events()[1]).toEqual({ id: '2026-10-19/evening', data: { greeting: 'Good evening', period: 'evening', locale: 'en' } });
+
+      jest.advanceTimersByTime(12 * 60 * 60 * 1000);
+      expect(res.events().map(({ id }) => id)).toEqual([
+        '2026-10-19/afternoon', '2026-10-19/evening', '2026-10-19/night', '2026-10-20/morning'
+      ]);
+    });
+
+    it('should follow each client\'s time zone', () => {
+      streams = createGreetingStreams({ heartbeatInterval: 0 });
+      const tokyo = open({ timeZone: 'Asia/Tokyo' });
+      const paris = open({ timeZone: 'Europe/Paris' });
+      jest.advanceTimersByTime(3 * 60 * 60 * 1000);
+      expect(tokyo.events().map(({ id }) => id)).toEqual(['2026-10-19/night']);
+      expect(paris.events().map(({ id }) => id)).toEqual(['2026-10-19/evening', '2026-10-19/night']);
+    });
+
+    it('should send heartbeat comments', () => {
+      streams = createGreetingStreams({ heartbeatInterval: 1000 });
+      const res = open();
+      jest.advanceTimersByTime(2500);
+      expect(res.chunks.filter((chunk) => chunk === ': heartbeat\n\n')).toHaveLength(2);
+    });
+
+    it('should not repeat the day part named by Last-Event-ID', () => {
+      streams = createGreetingStreams({ heartbeatInterval: 0 });
+      expect(open({ lastEventId: '2026-10-19/afternoon' }).events()).toEqual([]);
+      expect(open({ lastEventId: '2026-10-19/morning' }).events().map(({ id }) => id)).toEqual(['2026-10-19/afternoon']);
+    });
+
+    it('should refuse streams beyond the limit', () => {
+      streams = createGreetingStreams({ maxStreams: 1 });
+      const first = open();
+      let error;
+      try {
+        open();
+      } catch (err) {
+        error = err;
+      }
+      expect(error).toBeInstanceOf(HttpError);
+      expect(error.status).toBe(503);
+      expect(error.headers).toEqual({ 'Retry-After': '5' });
+
+      first.emit('close');
+      expect(streams.count()).toBe(0);
+      expect(() => open()).not.toThrow();
+    });
+
+    it('should reject unknown time zones before writing anything', () => {
+      streams = createGreetingStreams();
+      const res = new FakeResponse();
+      expect(() => streams.open(res, { timeZone: 'Mars/Olympus', translate, locale: 'en' })).toThrow(GreetingError);
+      expect(res.chunks).toEqual([]);
+      expect(streams.count()).toBe(0);
+    });
+
+    it('should end every stream when the server starts draining', () => {
+      const lifecycle = createLifecycle();
+      lifecycle.set('ready');
+      streams = createGreetingStreams({ lifecycle });
+      const responses = [open(), open()];
+      lifecycle.set('draining');
+      expect(responses.every((res) => res.ended)).toBe(true);
+      expect(streams.count()).toBe(0);
+      expect(() => open()).toThrow('The server is shutting down');
+    });
+
+    it('should stop its timers with the last stream', () => {
+      streams = createGreetingStreams();
+      const res = open();
+      expect(jest.getTimerCount()).toBe(2);
+      res.emit('close');
+      expect(jest.getTimerCount()).toBe(0);
+    });
+  });
+});
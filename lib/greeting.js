@@ -0,0 +1,192 @@
+/**
+ * Time-of-Day Greetings
+ *
+ * Maps a moment in time to a day part (morning, afternoon, evening, night)
+ * and its greeting. Day parts start at configurable "HH:MM" boundaries and
+ * are evaluated in the server's time zone unless an IANA zone is given.
+ *
+ * @module lib/greeting
+ */
+
+const { ValidationError } = require('./errors');
+
+/**
+ * Day parts in chronological order; night wraps around midnight
+ * @type {string[]}
+ */
+const DAY_PARTS = ['morning', 'afternoon', 'evening', 'night'];
+
+/**
+ * Greeting text for each day part
+ * @type {Object<string, string>}
+ */
+const GREETINGS = {
+  morning: 'Good morning',
+  afternoon: 'Good afternoon',
+  evening: 'Good evening',
+  night: 'Good night'
+};
+
+/**
+ * Default start time of each day part
+ * @type {Object<string, string>}
+ */
+const DEFAULT_DAY_PARTS = Object.freeze({
+  morning: '05:00',
+  afternoon: '12:00',
+  evening: '17:00',
+  night: '21:00'
+});
+
+/**
+ * Error raised for an unusable `tz` or `at` value (400 Bad Request)
+ */
+class GreetingError extends ValidationError {
+  /**
+   * @param {string} message - Human readable description of the problem
+   * @param {string} parameter - Name of the offending query parameter
+   */
+  constructor(message, parameter) {
+    super(message, { parameter });
+    this.name = 'GreetingError';
+  }
+}
+
+/**
+ * Converts an "HH:MM" string to minutes after midnight
+ *
+ * @param {string} value - Time of day
+ * @returns {number|null} Minutes after midnight, or null when malformed
+ */
+function parseTimeOfDay(value) {
+  const match = typeof value === 'string' && /^([01]\d|2[0-3]):([0-5]\d)$/.exec(value);
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+/**
+ * Checks a (possibly partial) day part boundary map
+ *
+ * Missing day parts take their default; the resulting boundaries must be in
+ * chronological order from morning to night.
+ *
+ * @param {*} value - Boundary map such as `{ evening: '18:00' }`
+ * @returns {string|null} Problem description, or null when valid
+ */
+function validateDayParts(value) {
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+    return 'must be an object mapping day parts to "HH:MM" start times';
+  }
+  for (const [part, time] of Object.entries(value)) {
+    if (!DAY_PARTS.includes(part)) {
+      return `has unknown day part "${part}" (expected ${DAY_PARTS.join(', ')})`;
+    }
+    if (parseTimeOfDay(time) === null) {
+      return `has invalid start time for ${part} (expected "HH:MM")`;
+    }
+  }
+  const starts = DAY_PARTS.map((part) => parseTimeOfDay({ ...DEFAULT_DAY_PARTS, ...value }[part]));
+  for (let i = 1; i < starts.length; i += 1) {
+    if (starts[i] <= starts[i - 1]) {
+      return `must start ${DAY_PARTS[i]} after ${DAY_PARTS[i - 1]}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Returns the day part a time of day falls into
+ *
+ * @param {number} minutes - Minutes after midnight
+ * @param {Object<string, string>} [dayParts] - Boundary overrides
+ * @returns {string} One of DAY_PARTS
+ */
+function getDayPart(minutes, dayParts = {}) {
+  const boundaries = { ...DEFAULT_DAY_PARTS, ...dayParts };
+  let current = 'night';
+  for (const part of DAY_PARTS) {
+    if (minutes >= parseTimeOfDay(boundaries[part])) {
+      current = part;
+    }
+  }
+  return current;
+}
+
+/**
+ * Returns minutes after midnight of a date in a time zone
+ *
+ * @param {Date} date - The moment to convert
+ * @param {string} [timeZone] - IANA time zone; the server's zone when omitted
+ * @returns {number} Minutes after midnight
+ * @throws {GreetingError} When the time zone is unknown
+ */
+function getMinutesOfDay(date, timeZone) {
+  if (!timeZone) {
+    return date.getHours() * 60 + date.getMinutes();
+  }
+  let parts;
+  try {
+    parts = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hour: 'numeric',
+      minute: 'numeric',
+      hourCycle: 'h23'
+    }).formatToParts(date);
+  } catch (err) {
+    throw new GreetingError(`Unknown time zone "${timeZone}"`, 'tz');
+  }
+  const hour = Number(parts.find((part) => part.type === 'hour').value);
+  const minute = Number(parts.find((part) => part.type === 'minute').value);
+  return hour * 60 + minute;
+}
+
+/**
+ * Parses the `at` query parameter
+ *
+ * @param {string} [at] - ISO 8601 timestamp
+ * @param {Function} [now] - Clock used when `at` is omitted
+ * @returns {Date} The requested moment
+ * @throws {GreetingError} When the timestamp is malformed
+ */
+function parseMoment(at, now = () => new Date()) {
+  if (at === undefined) {
+    return now();
+  }
+  const date = typeof at === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(at) ? new Date(at) : null;
+  if (!date || Number.isNaN(date.getTime())) {
+    throw new GreetingError(`Invalid timestamp "${at}" (expected ISO 8601, e.g. 2024-01-01T18:30:00Z)`, 'at');
+  }
+  return date;
+}
+
+/**
+ * Picks the greeting for a moment
+ *
+ * @param {Object} [query] - Request query parameters
+ * @param {string} [query.tz] - IANA time zone to evaluate the moment in
+ * @param {string} [query.at] - ISO 8601 timestamp; defaults to now
+ * @param {Object} [options]
+ * @param {Object<string, string>} [options.dayParts] - Boundary overrides
+ * @param {Function} [options.now] - Clock returning the current Date
+ * @returns {{greeting: string, period: string}} The greeting and its day part
+ * @throws {GreetingError} On an unknown time zone or malformed timestamp
+ */
+function resolveGreeting({ tz, at } = {}, { dayParts, now } = {}) {
+  if (tz !== undefined && (typeof tz !== 'string' || tz === '')) {
+    throw new GreetingError('Time zone must be a single IANA name such as "Europe/Paris"', 'tz');
+  }
+  const date = parseMoment(at, now);
+  const period = getDayPart(getMinutesOfDay(date, tz), dayParts);
+  return { greeting: GREETINGS[period], period };
+}
+
+module.exports = {
+  DAY_PARTS,
+  GREETINGS,
+  DEFAULT_DAY_PARTS,
+  GreetingError,
+  parseTimeOfDay,
+  validateDayParts,
+  getDayPart,
+  getMinutesOfDay,
+  resolveGreeting
+};
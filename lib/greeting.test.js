@@ -0,0 +1,97 @@
+/**
+ * Unit Tests for time-of-day greetings
+ *
+ * @module lib/greeting.test
+ */
+
+const {
+  DEFAULT_DAY_PARTS,
+  GreetingError,
+  validateDayParts,
+  getDayPart,
+  getMinutesOfDay,
+  resolveGreeting
+} = require('./greeting');
+
+describe('Time-of-Day Greetings', () => {
+
+  describe('getDayPart()', () => {
+    it.each([
+      [0, 'night'],
+      [4 * 60 + 59, 'night'],
+      [5 * 60, 'morning'],
+      [11 * 60 + 59, 'morning'],
+      [12 * 60, 'afternoon'],
+      [17 * 60, 'evening'],
+      [21 * 60, 'night'],
+      [23 * 60 + 59, 'night']
+    ])('should map minute %i to %s', (minutes, period) => {
+      expect(getDayPart(minutes)).toBe(period);
+    });
+
+    it('should apply boundary overrides', () => {
+      expect(getDayPart(17 * 60 + 30, { evening: '18:00' })).toBe('afternoon');
+    });
+  });
+
+  describe('validateDayParts()', () => {
+    it('should accept the defaults', () => {
+      expect(validateDayParts(DEFAULT_DAY_PARTS)).toBeNull();
+    });
+
+    it('should accept partial overrides', () => {
+      expect(validateDayParts({ night: '22:30' })).toBeNull();
+    });
+
+    it('should reject unknown day parts', () => {
+      expect(validateDayParts({ noon: '12:00' })).toMatch(/unknown day part "noon"/);
+    });
+
+    it('should reject malformed times', () => {
+      expect(validateDayParts({ morning: '5am' })).toMatch(/invalid start time/);
+      expect(validateDayParts({ morning: '24:00' })).toMatch(/invalid start time/);
+    });
+
+    it('should reject boundaries out of order', () => {
+      expect(validateDayParts({ evening: '11:00' })).toMatch(/evening after afternoon/);
+    });
+
+    it('should reject non-objects', () => {
+      expect(validateDayParts('05:00')).toMatch(/must be an object/);
+    });
+  });
+
+  describe('getMinutesOfDay()', () => {
+    const date = new Date('2024-01-15T23:30:00Z');
+
+    it('should convert to the requested time zone', () => {
+      expect(getMinutesOfDay(date, 'UTC')).toBe(23 * 60 + 30);
+      expect(getMinutesOfDay(date, 'Asia/Kolkata')).toBe(5 * 60);
+    });
+
+    it('should throw a GreetingError for unknown zones', () => {
+      expect(() => getMinutesOfDay(date, 'Not/AZone')).toThrow(GreetingError);
+    });
+  });
+
+  describe('resolveGreeting()', () => {
+    it('should use the clock when no timestamp is given', () => {
+      const now = () => new Date('2024-01-15T08:00:00Z');
+      expect(resolveGreeting({ tz: 'UTC' }, { now })).toEqual({ greeting: 'Good morning', period: 'morning' });
+    });
+
+    it('should report the offending parameter', () => {
+      let error;
+      try {
+        resolveGreeting({ at: 'noon' });
+      } catch (err) {
+        error = err;
+      }
+      expect(error.parameter).toBe('at');
+    });
+
+    it('should reject date-only timestamps', () => {
+      expect(() => resolveGreeting({ at: '2024-01-15' })).toThrow(/Invalid timestamp/);
+    });
+  });
+});
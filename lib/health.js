@@ -0,0 +1,179 @@
+/**
+ * Health Checks
+ *
+ * Probes for orchestrators and load balancers:
+ *
+ * - `GET /healthz` (liveness): 200 whenever the process can answer at all
+ * - `GET /readyz` (readiness): 200 only while the server should receive
+ *   traffic; 503 before startup finishes and once draining has begun
+ *
+ * Readiness follows a lifecycle driven by the server: `starting` ->
+ * `ready` -> `draining` -> `stopped`, and back to `ready` on a restart.
+ * Long-lived responses subscribe to it to end themselves when draining
+ * begins (see lib/greeting-stream).
+ *
+ * In cluster mode (`app.locals.cluster`, see lib/cluster) /readyz also
+ * lists every worker with its state; the status code still reflects the
+ * answering worker, which is the one the load balancer would send traffic to.
+ *
+ * @module lib/health
+ */
+
+const express = require('express');
+const { operation } = require('./openapi');
+
+/**
+ * Lifecycle states in order
+ * @type {string[]}
+ */
+const STATES = Object.freeze(['starting', 'ready', 'draining', 'stopped']);
+
+/**
+ * Body of /readyz responses
+ * @type {Object}
+ */
+const READY_SCHEMA = {
+  type: 'object',
+  properties: {
+    status: { type: 'string', enum: STATES },
+    workers: {
+      type: 'array',
+      description: 'Cluster mode only',
+      items: {
+        type: 'object',
+        properties: {
+          worker: { type: 'integer' },
+          pid: { type: 'integer' },
+          status: { type: 'string', description: 'A lifecycle state, or "unresponsive"' },
+          uptime: { type: 'integer', description: 'Seconds' },
+          restarts: { type: 'integer' }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Creates a lifecycle tracker
+ *
+ * @returns {Object} The lifecycle
+ */
+function createLifecycle() {
+  let state = 'starting';
+  let connections = null;
+  const listeners = new Set();
+
+  return {
+    /** @returns {string} The current state, one of STATES */
+    state: () => state,
+
+    /** @returns {boolean} True while traffic should be routed here */
+    isReady: () => state === 'ready',
+
+    /**
+     * @param {string} next - New state, one of STATES
+     * @throws {TypeError} On an unknown state
+     */
+    set(next) {
+      if (!STATES.includes(next)) {
+        throw new TypeError(`Unknown lifecycle state "${next}"`);
+      }
+      if (next === state) return;
+      state = next;
+      for (const listener of [...listeners]) {
+        listener(state);
+      }
+    },
+
+    /**
+     * @param {Function} listener - Called with the new state on every change
+     * @returns {Function} Removes the listener
+     */
+    onChange(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    /**
+     * @param {Object|null} tracker - Connection tracker of the listening
+     *   server (see lib/shutdown), or null once it is closed
+     */
+    trackConnections(tracker) {
+      connections = tracker;
+    },
+
+    /** @returns {number} Open connections of the listening server */
+    openConnections: () => (connections ? connections.count() : 0)
+  };
+}
+
+/**
+ * Creates the router serving /healthz and /readyz
+ *
+ * Responses are never cached, so a probe always sees the current state.
+ *
+ * @param {Object} lifecycle - See createLifecycle()
+ * @returns {express.Router} Router to mount at the app root
+ */
+function healthRouter(lifecycle) {
+  const router = express.Router();
+  const startedAt = Date.now();
+
+  router.use(['/healthz', '/readyz'], (req, res, next) => {
+    res.set('Cache-Control', 'no-store');
+    next();
+  });
+
+  /**
+   * @route GET /healthz
+   * @returns {Object} 200 `{ status: "ok", uptime }` with the uptime in seconds
+   */
+  router.get('/healthz', operation({
+    summary: 'Liveness',
+    tags: ['health'],
+    responses: {
+      200: {
+        description: 'The process is up',
+        schema: {
+          type: 'object',
+          properties: { status: { const: 'ok' }, uptime: { type: 'integer', description: 'Seconds' } }
+        }
+      }
+    }
+  }), (req, res) => {
+    res.json({ status: 'ok', uptime: Math.floor((Date.now() - startedAt) / 1000) });
+  });
+
+  /**
+   * @route GET /readyz
+   * @returns {Object} 200 `{ status: "ready" }`, or 503 with the current
+   *   state; in cluster mode with `workers`
+   */
+  router.get('/readyz', operation({
+    summary: 'Readiness',
+    tags: ['health'],
+    responses: {
+      200: { description: 'Ready for traffic', schema: READY_SCHEMA },
+      503: { description: 'Starting, draining or stopped', schema: READY_SCHEMA }
+    }
+  }), async (req, res) => {
+    const body = { status: lifecycle.state() };
+    const { cluster } = req.app.locals;
+    if (cluster) {
+      try {
+        body.workers = (await cluster.query()).workers;
+      } catch (err) {
+        // The primary is gone or busy; this worker's own state still holds
+      }
+    }
+    res.status(lifecycle.isReady() ? 200 : 503).json(body);
+  });
+
+  return router;
+}
+
+module.exports = {
+  STATES,
+  createLifecycle,
+  healthRouter
+};
@@ -0,0 +1,71 @@
+/**
+ * Unit Tests for health checks
+ *
+ * @module lib/health.test
+ */
+
+const express = require('express');
+const request = require('supertest');
+const { createLifecycle, healthRouter } = require('./health');
+
+describe('Health Checks', () => {
+  let lifecycle;
+  let app;
+
+  beforeEach(() => {
+    lifecycle = createLifecycle();
+    app = express();
+    app.use(healthRouter(lifecycle));
+  });
+
+  it('should always answer /healthz while the process runs', async () => {
+    const res = await request(app).get('/healthz');
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ status: 'ok', uptime: expect.any(Number) });
+    expect(res.headers['cache-control']).toBe('no-store');
+  });
+
+  it('should report ready only in the ready state', async () => {
+    expect((await request(app).get('/readyz')).body).toEqual({ status: 'starting' });
+    expect((await request(app).get('/readyz')).status).toBe(503);
+    lifecycle.set('ready');
+    expect((await request(app).get('/readyz')).status).toBe(200);
+    lifecycle.set('draining');
+    const draining = await request(app).get('/readyz');
+    expect(draining.status).toBe(503);
+    expect(draining.body).toEqual({ status: 'draining' });
+    expect((await request(app).get('/healthz')).status).toBe(200);
+  });
+
+  it('should list the cluster workers in /readyz', async () => {
+    const workers = [{ worker: 0, pid: 10, status: 'ready', uptime: 5, restarts: 0 }];
+    app.locals.cluster = { query: async () => ({ workers, metrics: '' }) };
+    lifecycle.set('ready');
+    expect((await request(app).get('/readyz')).body).toEqual({ status: 'ready', workers });
+    app.locals.cluster.query = async () => {
+      throw new Error('The cluster primary did not answer');
+    };
+    expect((await request(app).get('/readyz')).body).toEqual({ status: 'ready' });
+  });
+
+  it('should reject unknown states', () => {
+    expect(() => lifecycle.set('paused')).toThrow(TypeError);
+  });
+
+  it('should count the open connections of the tracked server', () => {
+    expect(lifecycle.openConnections()).toBe(0);
+    lifecycle.trackConnections({ count: () => 3 });
+    expect(lifecycle.openConnections()).toBe(3);
+  });
+
+  it('should notify listeners of state changes', () => {
+    const changes = [];
+    const remove = lifecycle.onChange((state) => changes.push(state));
+    lifecycle.set('ready');
+    lifecycle.set('ready');
+    lifecycle.set('draining');
+    remove();
+    lifecycle.set('stopped');
+    expect(changes).toEqual(['ready', 'draining']);
+  });
+});
@@ -0,0 +1,249 @@
+/**
+ * Localized Greetings
+ *
+ * Loads a locale catalog from JSON files on disk (one `<tag>.json` file per
+ * locale, e.g. `pt-BR.json`) and negotiates the response locale from a
+ * `?lang=` override and the `Accept-Language` header.
+ *
+ * Lookups walk a fallback chain that drops one subtag at a time and ends at
+ * the default locale, e.g. `pt-BR` → `pt` → `en`, so a regional file only
+ * needs the messages that differ from its parent language. The default
+ * locale ends every chain, so it must have every message.
+ *
+ * @module lib/i18n
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ConfigError } = require('./config');
+
+/**
+ * Loose BCP 47 language tag, e.g. "en", "pt-BR", "zh-Hant-TW"
+ * @type {RegExp}
+ */
+const LANGUAGE_TAG = /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i;
+
+/**
+ * Normalizes the case of a language tag ("PT-br" → "pt-BR")
+ *
+ * @param {string} tag - Language tag
+ * @returns {string} Canonically cased tag
+ */
+function canonicalizeTag(tag) {
+  return tag.split('-').map((subtag, index) => {
+    if (index === 0) return subtag.toLowerCase();
+    if (subtag.length === 2) return subtag.toUpperCase();
+    if (subtag.length === 4) return subtag[0].toUpperCase() + subtag.slice(1).toLowerCase();
+    return subtag.toLowerCase();
+  }).join('-');
+}
+
+/**
+ * Loads every `<tag>.json` locale file in a directory
+ *
+ * @param {string} dir - Directory to read
+ * @param {string} defaultLocale - Locale every fallback chain ends at
+ * @param {string[]} [keys=[]] - Message keys the application looks up
+ * @returns {{defaultLocale: string, messages: Object<string, Object<string, string>>}} The catalog
+ * @throws {ConfigError} When the directory or a file is unreadable or malformed,
+ *   or the default locale has no file or lacks a message that `keys` or
+ *   another locale has
+ */
+function loadCatalog(dir, defaultLocale, keys = []) {
+  let files;
+  try {
+    files = fs.readdirSync(dir).filter((file) => file.endsWith('.json'));
+  } catch (err) {
+    throw new ConfigError(`Cannot read locales directory ${dir}: ${err.message}`, { key: 'localesDir' });
+  }
+
+  const messages = {};
+  for (const file of files) {
+    const tag = path.basename(file, '.json');
+    const source = path.join(dir, file);
+    if (!LANGUAGE_TAG.test(tag)) {
+      throw new ConfigError(`Locale file ${source} is not named after a language tag`, { key: 'localesDir' });
+    }
+
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(source, 'utf8'));
+    } catch (err) {
+      throw new ConfigError(`Cannot load locale file ${source}: ${err.message}`, { key: 'localesDir' });
+    }
+    if (data === null || typeof data !== 'object' || Array.isArray(data)
+        || !Object.values(data).every((value) => typeof value === 'string')) {
+      throw new ConfigError(`Locale file ${source} must map message keys to strings`, { key: 'localesDir' });
+    }
+    messages[canonicalizeTag(tag)] = data;
+  }
+
+  const canonicalDefault = canonicalizeTag(defaultLocale);
+  if (!messages[canonicalDefault]) {
+    throw new ConfigError(`Default locale "${defaultLocale}" has no file in ${dir}`, { key: 'defaultLocale' });
+  }
+  const known = new Set([...keys, ...Object.values(messages).flatMap(Object.keys)]);
+  const missing = [...known].filter((key) => !Object.prototype.hasOwnProperty.call(messages[canonicalDefault], key));
+  if (missing.length) {
+    throw new ConfigError(
+      `Default locale "${defaultLocale}" in ${dir} lacks the messages ${missing.map((key) => `"${key}"`).join(', ')}`,
+      { key: 'defaultLocale' }
+    );
+  }
+  return { defaultLocale: canonicalDefault, messages };
+}
+
+/**
+ * Parses an Accept-Language header
+ *
+ * @param {string} [header] - Header value, e.g. "pt-BR,pt;q=0.9,en;q=0.5"
+ * @returns {string[]} Acceptable tags, most preferred first; entries with
+ *   q=0 or malformed syntax are dropped
+ */
+function parseAcceptLanguage(header) {
+  if (typeof header !== 'string') {
+    return [];
+  }
+  return header.split(',')
+    .map((entry, index) => {
+      const [tag, ...params] = entry.trim().split(';').map((part) => part.trim());
+      let q = 1;
+      for (const param of params) {
+        const match = /^q=([01](\.\d{0,3})?)$/i.exec(param);
+        if (!match) return null;
+        q = Number(match[1]);
+      }
+      if (q <= 0 || q > 1 || (tag !== '*' && !LANGUAGE_TAG.test(tag))) return null;
+      return { tag, q, index };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.q - a.q || a.index - b.index)
+    .map(({ tag }) => tag);
+}
+
+/**
+ * Returns the fallback chain of a locale within a catalog
+ *
+ * @param {Object} catalog - Catalog from loadCatalog()
+ * @param {string} locale - Supported locale tag
+ * @returns {string[]} The locale, its supported parents and the default locale
+ */
+function getFallbackChain(catalog, locale) {
+  const chain = [];
+  const subtags = locale.split('-');
+  while (subtags.length) {
+    const tag = subtags.join('-');
+    if (catalog.messages[tag]) chain.push(tag);
+    subtags.pop();
+  }
+  if (!chain.includes(catalog.defaultLocale)) {
+    chain.push(catalog.defaultLocale);
+  }
+  return chain;
+}
+
+/**
+ * Finds the supported locale closest to a requested tag
+ *
+ * @param {Object} catalog - Catalog from loadCatalog()
+ * @param {string} tag - Requested language tag
+ * @returns {string|null} Supported locale, or null when nothing matches
+ */
+function matchLocale(catalog, tag) {
+  if (tag === '*') {
+    return catalog.defaultLocale;
+  }
+  if (typeof tag !== 'string' || !LANGUAGE_TAG.test(tag)) {
+    return null;
+  }
+  const subtags = canonicalizeTag(tag).split('-');
+  while (subtags.length) {
+    const candidate = subtags.join('-');
+    if (catalog.messages[candidate]) return candidate;
+    subtags.pop();
+  }
+  return null;
+}
+
+/**
+ * Picks the response locale
+ *
+ * @param {Object} catalog - Catalog from loadCatalog()
+ * @param {Object} [preferences]
+ * @param {string} [preferences.lang] - Explicit `?lang=` override
+ * @param {string} [preferences.acceptLanguage] - Accept-Language header value
+ * @returns {string} The best supported locale, or the default locale
+ */
+function negotiateLocale(catalog, { lang, acceptLanguage } = {}) {
+  const candidates = [lang, ...parseAcceptLanguage(acceptLanguage)];
+  for (const candidate of candidates) {
+    const match = candidate === undefined ? null : matchLocale(catalog, candidate);
+    if (match) return match;
+  }
+  return catalog.defaultLocale;
+}
+
+/**
+ * Looks up a message, walking the locale's fallback chain
+ *
+ * @param {Object} catalog - Catalog from loadCatalog()
+ * @param {string} locale - Supported locale tag
+ * @param {string} key - Message key, e.g. "evening"
+ * @returns {string|undefined} The message, or undefined when no locale in the chain has it
+ */
+function translate(catalog, locale, key) {
+  for (const tag of getFallbackChain(catalog, locale)) {
+    if (Object.prototype.hasOwnProperty.call(catalog.messages[tag], key)) {
+      return catalog.messages[tag][key];
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Lists the supported locales with their native display names
+ *
+ * @param {Object} catalog - Catalog from loadCatalog()
+ * @returns {Array<{tag: string, name: string, fallbacks: string[]}>} Locales sorted by tag
+ */
+function listLocales(catalog) {
+  return Object.keys(catalog.messages).sort().map((tag) => {
+    let name = tag;
+    try {
+      name = new Intl.DisplayNames([tag], { type: 'language' }).of(tag) || tag;
+    } catch (err) {
+      // Keep the tag when the runtime has no display name data for it
+    }
+    return { tag, name, fallbacks: getFallbackChain(catalog, tag).slice(1) };
+  });
+}
+
+/**
+ * Creates a middleware that negotiates the locale of a request
+ *
+ * Sets `req.locale`, a `res.locals.t(key)` translator, `Content-Language`
+ * and `Vary: Accept-Language`.
+ *
+ * @param {Object} catalog - Catalog from loadCatalog()
+ * @returns {Function} Express middleware
+ */
+function localize(catalog) {
+  return (req, res, next) => {
+    const lang = typeof req.query.lang === 'string' ? req.query.lang : undefined;
+    const locale = negotiateLocale(catalog, { lang, acceptLanguage: req.get('Accept-Language') });
+    req.locale = locale;
+    res.locals.t = (key) => translate(catalog, locale, key);
+    res.set('Content-Language', locale);
+    res.vary('Accept-Language');
+    next();
+  };
+}
+
+module.exports = {
+  loadCatalog,
+  parseAcceptLanguage,
+  negotiateLocale,
+  translate,
+  listLocales,
+  localize
+};
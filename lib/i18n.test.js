@@ -0,0 +1,161 @@
+/**
+ * Unit Tests for locale catalog loading and Accept-Language negotiation
+ *
+ * @module lib/i18n.test
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ConfigError } = require('./config');
+const {
+  loadCatalog,
+  parseAcceptLanguage,
+  negotiateLocale,
+  translate,
+  listLocales
+} = require('./i18n');
+
+const LOCALES_DIR = path.join(__dirname, '..', 'locales');
+
+describe('Localization', () => {
+  const catalog = loadCatalog(LOCALES_DIR, 'en');
+
+  describe('loadCatalog()', () => {
+    let tmpDir;
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'i18n-test-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('should load the bundled locales', () => {
+      expect(Object.keys(catalog.messages)).toEqual(expect.arrayContaining(['en', 'pt', 'pt-BR', 'fr']));
+      expect(catalog.defaultLocale).toBe('en');
+    });
+
+    it('should canonicalize file names', () => {
+      fs.writeFileSync(path.join(tmpDir, 'EN.json'), '{"hello":"Hi"}');
+      fs.writeFileSync(path.join(tmpDir, 'zh-hant-tw.json'), '{"hello":"你好"}');
+      expect(Object.keys(loadCatalog(tmpDir, 'en').messages).sort()).toEqual(['en', 'zh-Hant-TW']);
+    });
+
+    it('should require a file for the default locale', () => {
+      fs.writeFileSync(path.join(tmpDir, 'fr.json'), '{"hello":"Salut"}');
+      expect(() => loadCatalog(tmpDir, 'en')).toThrow(/Default locale "en"/);
+    });
+
+    it('should require every message in the default locale', () => {
+      fs.writeFileSync(path.join(tmpDir, 'en.json'), '{"hello":"Hi"}');
+      fs.writeFileSync(path.join(tmpDir, 'fr.json'), '{"hello":"Salut","evening":"Bonsoir"}');
+      let error;
+      try {
+        loadCatalog(tmpDir, 'en', ['hello', 'morning']);
+      } catch (err) {
+        error = err;
+      }
+      expect(error).toBeInstanceOf(ConfigError);
+      expect(error.key).toBe('defaultLocale');
+      expect(error.message).toBe(`Default locale "en" in ${tmpDir} lacks the messages "morning", "evening"`);
+    });
+
+    it('should load the bundled locales with every greeting message', () => {
+      expect(() => loadCatalog(LOCALES_DIR, 'en', ['hello', 'morning', 'afternoon', 'evening', 'night'])).not.toThrow();
+    });
+
+    it('should reject malformed JSON', () => {
+      fs.writeFileSync(path.join(tmpDir, 'en.json'), '{"hello":');
+      expect(() => loadCatalog(tmpDir, 'en')).toThrow(ConfigError);
+    });
+
+    it('should reject non-string messages', () => {
+      fs.writeFileSync(path.join(tmpDir, 'en.json'), '{"hello":{"text":"Hi"}}');
+      expect(() => loadCatalog(tmpDir, 'en')).toThrow(/must map message keys to strings/);
+    });
+
+    it('should reject files not named after a language tag', () => {
+      fs.writeFileSync(path.join(tmpDir, 'en.json'), '{}');
+      fs.writeFileSync(path.join(tmpDir, 'english.json'), '{}');
+      expect(() => loadCatalog(tmpDir, 'en')).toThrow(/not named after a language tag/);
+    });
+
+    it('should report a missing directory', () => {
+      expect(() => loadCatalog(path.join(tmpDir, 'missing'), 'en')).toThrow(/Cannot read locales directory/);
+    });
+  });
+
+  describe('parseAcceptLanguage()', () => {
+    it('should order tags by q-value, keeping header order for ties', () => {
+      expect(parseAcceptLanguage('fr;q=0.5, pt-BR, de;q=0.8, en')).toEqual(['pt-BR', 'en', 'de', 'fr']);
+    });
+
+    it('should drop q=0 and malformed entries', () => {
+      expect(parseAcceptLanguage('fr;q=0, de;q=abc, !!, en')).toEqual(['en']);
+    });
+
+    it('should return an empty list for a missing header', () => {
+      expect(parseAcceptLanguage(undefined)).toEqual([]);
+    });
+  });
+
+  describe('negotiateLocale()', () => {
+    it('should match an exact locale', () => {
+      expect(negotiateLocale(catalog, { acceptLanguage: 'pt-BR' })).toBe('pt-BR');
+    });
+
+    it('should fall back to the parent language', () => {
+      expect(negotiateLocale(catalog, { acceptLanguage: 'fr-CA' })).toBe('fr');
+    });
+
+    it('should skip unsupported languages', () => {
+      expect(negotiateLocale(catalog, { acceptLanguage: 'sv, de;q=0.7' })).toBe('de');
+    });
+
+    it('should use the default locale for a wildcard', () => {
+      expect(negotiateLocale(catalog, { acceptLanguage: 'sv, *;q=0.1' })).toBe('en');
+    });
+
+    it('should prefer the lang override', () => {
+      expect(negotiateLocale(catalog, { lang: 'ja', acceptLanguage: 'fr' })).toBe('ja');
+    });
+
+    it('should ignore an unsupported lang override', () => {
+      expect(negotiateLocale(catalog, { lang: 'xx', acceptLanguage: 'fr' })).toBe('fr');
+    });
+
+    it('should match case-insensitively', () => {
+      expect(negotiateLocale(catalog, { lang: 'PT-br' })).toBe('pt-BR');
+    });
+  });
+
+  describe('translate()', () => {
+    it('should walk the fallback chain pt-BR → pt', () => {
+      expect(translate(catalog, 'pt-BR', 'hello')).toBe('Oi, Mundo!');
+      expect(translate(catalog, 'pt-BR', 'morning')).toBe('Bom dia');
+    });
+
+    it('should fall back to the default locale', () => {
+      const partial = { defaultLocale: 'en', messages: { en: { hello: 'Hello' }, fr: {} } };
+      expect(translate(partial, 'fr', 'hello')).toBe('Hello');
+    });
+
+    it('should return undefined for unknown keys', () => {
+      expect(translate(catalog, 'en', 'missing')).toBeUndefined();
+    });
+  });
+
+  describe('listLocales()', () => {
+    it('should list locales with display names and fallbacks', () => {
+      const locales = listLocales(catalog);
+      expect(locales.find((locale) => locale.tag === 'pt-BR')).toEqual({
+        tag: 'pt-BR',
+        name: expect.any(String),
+        fallbacks: ['pt', 'en']
+      });
+      expect(locales.find((locale) => locale.tag === 'en').fallbacks).toEqual([]);
+    });
+  });
+});
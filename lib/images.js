@@ -0,0 +1,333 @@
+/**
+ * Image Metadata and Thumbnails
+ *
+ * Routes below /media for JPEG files of a media store (see lib/media):
+ *
+ * - GET /:name/metadata  : Dimensions, EXIF and color profile (see lib/jpeg)
+ * - GET /:name/thumbnail : A scaled-down JPEG fitting in `w` × `h`
+ *
+ * Thumbnails follow the EXIF orientation, never upscale, and are cached on
+ * disk under a key derived from the original's ETag and the requested size,
+ * so a changed original gets fresh thumbnails and stale ones are never
+ * served. Concurrent requests for the same thumbnail share one rendering,
+ * which runs on a worker thread (see lib/thumbnails). Sizes come from
+ * THUMBNAIL_SIZES only, and the least recently used thumbnails are deleted
+ * once the cache holds more than `maxCacheEntries` files or
+ * `maxCacheSize` bytes.
+ *
+ * `gpsSanitizer()` plugs into the media store to serve JPEGs without their
+ * location data; metadata and thumbnails are then made from the sanitized
+ * copies as well.
+ *
+ * @module lib/images
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const express = require('express');
+const { HttpError, NotFoundError, UnsupportedMediaTypeError, ValidationError } = require('./errors');
+const { writeFileAtomic } = require('./atomic-write');
+const { operation } = require('./openapi');
+const { JpegError, parseJpeg, stripGps } = require('./jpeg');
+const { THUMBNAIL_QUALITY, renderInWorker } = require('./thumbnails');
+
+/**
+ * Bounding box sizes thumbnails can be requested in, in pixels; a fixed set
+ * keeps the number of distinct renderings (and cache files) per image small
+ * @type {number[]}
+ */
+const THUMBNAIL_SIZES = Object.freeze([64, 128, 256, 512, 1024]);
+
+/**
+ * Largest thumbnail width or height in pixels
+ * @type {number}
+ */
+const MAX_THUMBNAIL_SIZE = THUMBNAIL_SIZES[THUMBNAIL_SIZES.length - 1];
+
+/**
+ * Bounding box used when neither `w` nor `h` is given
+ * @type {number}
+ */
+const DEFAULT_THUMBNAIL_SIZE = 256;
+
+/**
+ * Prefix of cached thumbnail file names
+ * @type {string}
+ */
+const THUMBNAIL_PREFIX = 'thumb-';
+
+/**
+ * Path parameters and errors shared by the routes (see lib/openapi)
+ */
+const NAME_PARAMS = { type: 'object', properties: { name: { type: 'string', description: 'File name of a JPEG' } } };
+const IMAGE_ERRORS = {
+  404: 'No such file',
+  415: 'Not a JPEG',
+  422: 'The JPEG is corrupt'
+};
+
+/**
+ * Error for JPEG files that cannot be parsed or decoded
+ */
+class ImageError extends HttpError {
+  /**
+   * @param {string} detail - What is wrong with the image
+   */
+  constructor(detail) {
+    super(422, detail);
+    this.name = 'ImageError';
+  }
+}
+
+/**
+ * Creates a sanitizer removing GPS data from JPEGs (see createMediaStore())
+ *
+ * Stripped copies are written to the cache directory. Files that are not
+ * JPEGs, carry no location data or cannot be parsed are served as they are.
+ *
+ * @param {string} cacheDir - Directory for the sanitized copies
+ * @returns {Function} `async (file, type)` returning the copy's path, or null
+ */
+function gpsSanitizer(cacheDir) {
+  return async (file, type) => {
+    if (type !== 'image/jpeg') {
+      return null;
+    }
+    const original = await fs.promises.readFile(file);
+    let result;
+    try {
+      result = stripGps(original);
+    } catch (err) {
+      if (err instanceof JpegError) {
+        return null;
+      }
+      throw err;
+    }
+    if (!result.stripped) {
+      return null;
+    }
+    const digest = crypto.createHash('sha256').update(original).digest('hex');
+    const copy = path.join(path.resolve(cacheDir), `nogps-${digest}.jpg`);
+    fs.mkdirSync(path.dirname(copy), { recursive: true });
+    writeFileAtomic(copy, result.buffer);
+    return copy;
+  };
+}
+
+/**
+ * Parses a thumbnail dimension
+ *
+ * @param {*} value - Query parameter
+ * @param {string} name - Parameter name, for the error
+ * @returns {number|undefined} Pixels, or undefined when absent
+ * @throws {ValidationError} When it is not one of THUMBNAIL_SIZES
+ */
+function parseDimension(value, name) {
+  if (value === undefined) {
+    return undefined;
+  }
+  const pixels = typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : NaN;
+  if (!THUMBNAIL_SIZES.includes(pixels)) {
+    throw new ValidationError(`"${name}" must be one of ${THUMBNAIL_SIZES.join(', ')}`, { parameter: name });
+  }
+  return pixels;
+}
+
+/**
+ * Creates the router for image metadata and thumbnails
+ *
+ * @param {Object} options
+ * @param {Object} options.store - Media store (see lib/media)
+ * @param {string} options.cacheDir - Directory for cached thumbnails
+ * @param {number} [options.maxCacheEntries=1000] - Most cached thumbnails
+ * @param {number} [options.maxCacheSize=104857600] - Most bytes of cached thumbnails
+ * @returns {express.Router} Router to mount at /media, before the media router
+ */
+function imagesRouter({ store, cacheDir, maxCacheEntries = 1000, maxCacheSize = 100 * 1024 * 1024 }) {
+  const router = express.Router();
+  const pending = new Map();
+  const dir = path.resolve(cacheDir);
+
+  /**
+   * Sizes of the cached thumbnails by file, least recently used first;
+   * starts from the files already on disk, oldest first
+   * @type {Map<string, number>}
+   */
+  const cached = new Map();
+  let cachedBytes = 0;
+  try {
+    fs.readdirSync(dir)
+      .filter((name) => name.startsWith(THUMBNAIL_PREFIX))
+      .map((name) => ({ file: path.join(dir, name), stats: fs.statSync(path.join(dir, name)) }))
+      .sort((a, b) => a.stats.mtimeMs - b.stats.mtimeMs)
+      .forEach(({ file, stats }) => remember(file, stats.size));
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      throw err;
+    }
+  }
+
+  /**
+   * Marks a cached thumbnail as most recently used, then deletes the least
+   * recently used ones beyond the limits
+   *
+   * @param {string} file - Thumbnail path
+   * @param {number} size - Its size in bytes
+   */
+  function remember(file, size) {
+    cachedBytes -= cached.has(file) ? cached.get(file) : 0;
+    cached.delete(file);
+    cached.set(file, size);
+    cachedBytes += size;
+    while (cached.size > 1 && (cached.size > maxCacheEntries || cachedBytes > maxCacheSize)) {
+      const [oldest, oldestSize] = cached.entries().next().value;
+      cached.delete(oldest);
+      cachedBytes -= oldestSize;
+      fs.rmSync(oldest, { force: true });
+    }
+  }
+
+  /**
+   * Resolves a JPEG of the store and reads it
+   *
+   * @param {string} name - File name
+   * @returns {Promise<{entry: Object, buffer: Buffer}>} The file and its contents
+   * @throws {NotFoundError|UnsupportedMediaTypeError} When it is missing or no JPEG
+   */
+  async function load(name) {
+    const entry = await store.resolve([name]);
+    if (!entry) {
+      throw new NotFoundError(`No media named "${name}"`);
+    }
+    if (entry.type !== 'image/jpeg') {
+      throw new UnsupportedMediaTypeError(`"${name}" is ${entry.type}; only JPEG images are supported`);
+    }
+    return { entry, buffer: await fs.promises.readFile(entry.file) };
+  }
+
+  /**
+   * Returns a cached thumbnail, rendering it first when needed
+   *
+   * @param {string} name - File name
+   * @param {string} key - Cache key
+   * @param {number} [width] - Bounding box width
+   * @param {number} [height] - Bounding box height
+   * @returns {Promise<Buffer>} The thumbnail
+   */
+  async function thumbnail(name, key, width, height) {
+    const file = path.join(dir, `${THUMBNAIL_PREFIX}${key}.jpg`);
+    try {
+      const buffer = await fs.promises.readFile(file);
+      remember(file, buffer.length);
+      return buffer;
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        throw err;
+      }
+    }
+    if (!pending.has(key)) {
+      pending.set(key, (async () => {
+        const { buffer } = await load(name);
+        let rendered;
+        try {
+          rendered = await renderInWorker(buffer, width, height);
+        } catch (err) {
+          throw new ImageError(`"${name}" cannot be decoded: ${err.message}`);
+        }
+        fs.mkdirSync(dir, { recursive: true });
+        writeFileAtomic(file, rendered);
+        remember(file, rendered.length);
+        return rendered;
+      })().finally(() => pending.delete(key)));
+    }
+    return pending.get(key);
+  }
+
+  /**
+   * Describes a JPEG
+   *
+   * @route GET /media/:name/metadata
+   * @returns {Object} 200 - `{ name, size, width, height, orientation, ..., exif, icc }`;
+   *   404 when missing, 415 when not a JPEG, 422 when corrupt
+   */
+  router.get('/:name/metadata', operation({
+    summary: 'Dimensions, EXIF and color profile of a JPEG',
+    tags: ['media'],
+    params: NAME_PARAMS,
+    responses: {
+      200: { description: 'The metadata', schema: { type: 'object' }, headers: { ETag: 'Entity tag' } },
+      ...IMAGE_ERRORS
+    }
+  }), async (req, res) => {
+    const { entry, buffer } = await load(req.params.name);
+    let metadata;
+    try {
+      metadata = parseJpeg(buffer);
+    } catch (err) {
+      if (err instanceof JpegError) {
+        throw new ImageError(`"${req.params.name}" is not a valid JPEG: ${err.message}`);
+      }
+      throw err;
+    }
+    res.set({ 'ETag': `"${entry.etag.slice(1, -1)}.meta"`, 'Cache-Control': 'public, no-cache' });
+    res.json({ name: req.params.name, size: entry.size, ...metadata });
+  });
+
+  /**
+   * Serves a thumbnail fitting in `w` × `h` (256 × 256 when neither is given)
+   *
+   * @route GET /media/:name/thumbnail
+   * @param {number} [w] - Query: maximum width, one of THUMBNAIL_SIZES
+   * @param {number} [h] - Query: maximum height, one of THUMBNAIL_SIZES
+   * @returns {Buffer} 200 - image/jpeg; 304 when the client's copy is current,
+   *   400 on bad sizes, 404 when missing, 415 when not a JPEG, 422 when corrupt
+   */
+  router.get('/:name/thumbnail', operation({
+    summary: 'Scaled-down copy of a JPEG',
+    tags: ['media'],
+    params: NAME_PARAMS,
+    query: {
+      type: 'object',
+      properties: {
+        w: { type: 'integer', enum: THUMBNAIL_SIZES, description: 'Maximum width' },
+        h: { type: 'integer', enum: THUMBNAIL_SIZES, description: 'Maximum height' }
+      }
+    },
+    responses: {
+      200: { description: `JPEG fitting in w × h (${DEFAULT_THUMBNAIL_SIZE} × ${DEFAULT_THUMBNAIL_SIZE} by default)`, type: 'image/jpeg' },
+      304: 'The client\'s copy is current',
+      ...IMAGE_ERRORS
+    }
+  }), async (req, res) => {
+    let width = parseDimension(req.query.w, 'w');
+    let height = parseDimension(req.query.h, 'h');
+    if (width === undefined && height === undefined) {
+      width = DEFAULT_THUMBNAIL_SIZE;
+      height = DEFAULT_THUMBNAIL_SIZE;
+    }
+    const entry = await store.resolve([req.params.name]);
+    if (!entry) {
+      throw new NotFoundError(`No media named "${req.params.name}"`);
+    }
+    const key = crypto.createHash('sha256')
+      .update(`${entry.etag}:${width || ''}x${height || ''}:${THUMBNAIL_QUALITY}`)
+      .digest('base64url');
+    res.set({ 'ETag': `"${key}"`, 'Cache-Control': 'public, no-cache', 'X-Content-Type-Options': 'nosniff' });
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+    res.type('image/jpeg').send(await thumbnail(req.params.name, key, width, height));
+  });
+
+  return router;
+}
+
+module.exports = {
+  THUMBNAIL_SIZES,
+  MAX_THUMBNAIL_SIZE,
+  DEFAULT_THUMBNAIL_SIZE,
+  ImageError,
+  gpsSanitizer,
+  imagesRouter
+};
@@ -0,0 +1,267 @@
+/**
+ * Unit Tests for image metadata and thumbnails
+ *
+ * @module lib/images.test
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const jpegJs = require('jpeg-js');
+const { createMediaStore, mediaRouter } = require('./media');
+const { MAX_THUMBNAIL_SIZE, gpsSanitizer, imagesRouter } = require('./images');
+const { errorHandler } = require('./errors');
+
+const DEMO = path.join(__dirname, '..', 'media', 'demo.jpg');
+
+/**
+ * Collects a binary response body
+ */
+function binary(res, callback) {
+  const chunks = [];
+  res.on('data', (chunk) => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+}
+
+/**
+ * Encodes a 32 × 16 image, red on the left and blue on the right, with an
+ * Exif orientation and optionally a GPS latitude of 52° 31' N
+ */
+function photo({ orientation = 1, gps = false } = {}) {
+  const data = Buffer.alloc(32 * 16 * 4);
+  for (let index = 0; index < 32 * 16; index += 1) {
+    data.set(index % 32 < 16 ? [255, 0, 0, 255] : [0, 0, 255, 255], index * 4);
+  }
+  const image = jpegJs.encode({ width: 32, height: 16, data }, 95).data;
+
+  const count = gps ? 2 : 1;
+  const gpsOffset = 8 + 2 + count * 12 + 4;
+  const tiff = Buffer.alloc(gps ? gpsOffset + 2 + 2 * 12 + 4 + 24 : gpsOffset);
+  tiff.write('II', 0, 'latin1');
+  tiff.writeUInt16LE(42, 2);
+  tiff.writeUInt32LE(8, 4);
+  tiff.writeUInt16LE(count, 8);
+  tiff.writeUInt16LE(0x0112, 10);
+  tiff.writeUInt16LE(3, 12);
+  tiff.writeUInt32LE(1, 14);
+  tiff.writeUInt16LE(orientation, 18);
+  if (gps) {
+    tiff.writeUInt16LE(0x8825, 22);
+    tiff.writeUInt16LE(4, 24);
+    tiff.writeUInt32LE(1, 26);
+    tiff.writeUInt32LE(gpsOffset, 30);
+    tiff.writeUInt16LE(2, gpsOffset);
+    tiff.writeUInt16LE(0x0001, gpsOffset + 2);
+    tiff.writeUInt16LE(2, gpsOffset + 4);
+    tiff.writeUInt32LE(2, gpsOffset + 6);
+    tiff.write('N', gpsOffset + 10, 'latin1');
+    tiff.writeUInt16LE(0x0002, gpsOffset + 14);
+    tiff.writeUInt16LE(5, gpsOffset + 16);
+    tiff.writeUInt32LE(3, gpsOffset + 18);
+    tiff.writeUInt32LE(gpsOffset + 30, gpsOffset + 22);
+    [52, 1, 31, 1, 0, 1].forEach((value, index) => tiff.writeUInt32LE(value, gpsOffset + 30 + index * 4));
+  }
+  const payload = Buffer.concat([Buffer.from('Exif\0\0', 'latin1'), tiff]);
+  const header = Buffer.from([0xff, 0xe1, 0, 0]);
+  header.writeUInt16BE(payload.length + 2, 2);
+  return Buffer.concat([image.subarray(0, 2), header, payload, image.subarray(2)]);
+}
+
+describe('Image Metadata and Thumbnails', () => {
+  let dir;
+  let root;
+  let cacheDir;
+  let app;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'images-'));
+    root = path.join(dir, 'media');
+    cacheDir = path.join(dir, 'cache');
+    fs.mkdirSync(root);
+    fs.copyFileSync(DEMO, path.join(root, 'demo.jpg'));
+    fs.writeFileSync(path.join(root, 'rotated.jpg'), photo({ orientation: 6 }));
+    fs.writeFileSync(path.join(root, 'located.jpg'), photo({ gps: true }));
+    fs.writeFileSync(path.join(root, 'corrupt.jpg'), Buffer.from('ffd8ffe000100000', 'hex'));
+    fs.writeFileSync(path.join(root, 'notes.txt'), 'hello media\n');
+
+    app = express();
+    const store = createMediaStore(root);
+    app.use('/media', imagesRouter({ store, cacheDir }));
+    app.use('/media', mediaRouter(store));
+    app.use(errorHandler());
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('GET /media/:name/metadata', () => {
+    it('should describe a JPEG without downloading it', async () => {
+      const res = await request(app).get('/media/demo.jpg/metadata');
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual(expect.objectContaining({
+        name: 'demo.jpg',
+        size: fs.statSync(DEMO).size,
+        width: 3840,
+        height: 2160,
+        orientation: 1,
+        colorSpace: 'YCbCr'
+      }));
+      expect(res.body.icc.description).toBe('sRGB IEC61966-2.1');
+      expect(res.headers.etag).toMatch(/^"[\w-]+\.meta"$/);
+    });
+
+    it('should report the orientation and GPS position', async () => {
+      expect((await request(app).get('/media/rotated.jpg/metadata')).body.orientation).toBe(6);
+      const located = await request(app).get('/media/located.jpg/metadata');
+      expect(located.body.exif.gps).toEqual({ latitude: 52.5166667, longitude: null, altitude: null, timestamp: null });
+    });
+
+    it('should answer If-None-Match with 304', async () => {
+      const { headers } = await request(app).get('/media/demo.jpg/metadata');
+      expect((await request(app).get('/media/demo.jpg/metadata').set('If-None-Match', headers.etag)).status).toBe(304);
+    });
+
+    it.each([
+      ['missing.jpg', 404],
+      ['notes.txt', 415],
+      ['corrupt.jpg', 422],
+      ['.hidden', 404]
+    ])('should refuse %s with %i', async (name, status) => {
+      const res = await request(app).get(`/media/${encodeURIComponent(name)}/metadata`);
+      expect(res.status).toBe(status);
+      expect(res.headers['content-type']).toMatch(/^application\/problem\+json/);
+    });
+  });
+
+  describe('GET /media/:name/thumbnail', () => {
+    it('should scale down to fit the requested box and cache the result', async () => {
+      const res = await request(app).get('/media/demo.jpg/thumbnail?w=64&h=64').buffer(true).parse(binary);
+      expect(res.status).toBe(200);
+      expect(res.headers['content-type']).toBe('image/jpeg');
+      const thumbnail = jpegJs.decode(res.body);
+      expect([thumbnail.width, thumbnail.height]).toEqual([64, 36]);
+
+      const [cached] = fs.readdirSync(cacheDir);
+      expect(fs.readFileSync(path.join(cacheDir, cached)).equals(res.body)).toBe(true);
+      fs.writeFileSync(path.join(cacheDir, cached), 'from the cache');
+      const again = await request(app).get('/media/demo.jpg/thumbnail?h=64&w=64').buffer(true).parse(binary);
+      expect(again.body.toString()).toBe('from the cache');
+    });
+
+    it('should default to a 256 pixel box and never upscale', async () => {
+      const small = await request(app).get('/media/demo.jpg/thumbnail').buffer(true).parse(binary);
+      expect(jpegJs.decode(small.body).width).toBe(256);
+      const large = await request(app).get('/media/located.jpg/thumbnail?w=1024').buffer(true).parse(binary);
+      expect(jpegJs.decode(large.body).width).toBe(32);
+    });
+
+    it('should turn the image upright', async () => {
+      const res = await request(app).get('/media/rotated.jpg/thumbnail?w=64').buffer(true).parse(binary);
+      const { width, height, data } = jpegJs.decode(res.body);
+      expect([width, height]).toEqual([16, 32]);
+      const pixel = (x, y) => [...data.subarray((y * width + x) * 4, (y * width + x) * 4 + 3)];
+      expect(pixel(8, 4)[0]).toBeGreaterThan(200);
+      expect(pixel(8, 4)[2]).toBeLessThan(60);
+      expect(pixel(8, 28)[2]).toBeGreaterThan(200);
+      expect(pixel(8, 28)[0]).toBeLessThan(60);
+    });
+
+    it('should render concurrent requests for the same thumbnail once', async () => {
+      const readFile = jest.spyOn(fs.promises, 'readFile');
+      const [first, second] = await Promise.all([
+        request(app).get('/media/rotated.jpg/thumbnail?w=64').buffer(true).parse(binary),
+        request(app).get('/media/rotated.jpg/thumbnail?w=64').buffer(true).parse(binary)
+      ]);
+      expect(first.body.equals(second.body)).toBe(true);
+      expect(readFile.mock.calls.filter(([file]) => file === path.join(root, 'rotated.jpg'))).toHaveLength(1);
+    });
+
+    it('should answer If-None-Match with 304 and change the ETag with the size', async () => {
+      const { headers } = await request(app).get('/media/rotated.jpg/thumbnail?w=64');
+      expect((await request(app).get('/media/rotated.jpg/thumbnail?w=64').set('If-None-Match', headers.etag)).status)
+        .toBe(304);
+      expect((await request(app).get('/media/rotated.jpg/thumbnail?w=128')).headers.etag).not.toBe(headers.etag);
+    });
+
+    it('should delete the least recently used thumbnails beyond the cache limits', async () => {
+      const limited = express();
+      limited.use('/media', imagesRouter({ store: createMediaStore(root), cacheDir, maxCacheEntries: 2 }));
+      const get = (size) => request(limited).get(`/media/rotated.jpg/thumbnail?w=${size}`);
+      await get(64);
+      await get(128);
+      await get(64);
+      await get(256);
+      const cached = () => fs.readdirSync(cacheDir).map((name) => fs.readFileSync(path.join(cacheDir, name)));
+      expect(cached()).toHaveLength(2);
+
+      // The files on disk count against the limits of a new router
+      const restarted = express();
+      restarted.use('/media', imagesRouter({ store: createMediaStore(root), cacheDir, maxCacheEntries: 2, maxCacheSize: 1 }));
+      await request(restarted).get('/media/located.jpg/thumbnail?w=64');
+      expect(cached()).toHaveLength(1);
+    });
+
+    it.each([
+      ['w=0'],
+      ['w=abc'],
+      ['h=1.5'],
+      ['w=100'],
+      [`w=${MAX_THUMBNAIL_SIZE + 1}`],
+      ['w=64&w=128']
+    ])('should reject %s', async (query) => {
+      const res = await request(app).get(`/media/demo.jpg/thumbnail?${query}`);
+      expect(res.status).toBe(400);
+      expect(res.body.parameter).toMatch(/^[wh]$/);
+    });
+
+    it.each([
+      ['missing.jpg', 404],
+      ['notes.txt', 415],
+      ['corrupt.jpg', 422]
+    ])('should refuse %s with %i', async (name, status) => {
+      expect((await request(app).get(`/media/${name}/thumbnail?w=64`)).status).toBe(status);
+    });
+  });
+
+  describe('gpsSanitizer()', () => {
+    let sanitized;
+
+    beforeEach(() => {
+      sanitized = express();
+      const store = createMediaStore(root, { sanitize: gpsSanitizer(cacheDir) });
+      sanitized.use('/media', imagesRouter({ store, cacheDir }));
+      sanitized.use('/media', mediaRouter(store));
+      sanitized.use(errorHandler());
+    });
+
+    it('should serve JPEGs and their metadata without GPS data', async () => {
+      const original = fs.readFileSync(path.join(root, 'located.jpg'));
+      const res = await request(sanitized).get('/media/located.jpg').buffer(true).parse(binary);
+      expect(res.status).toBe(200);
+      expect(res.body.length).toBe(original.length);
+      expect(res.body.equals(original)).toBe(false);
+      expect(res.headers['content-length']).toBe(String(res.body.length));
+      expect((await request(sanitized).get('/media/located.jpg/metadata')).body.exif.gps).toBeNull();
+      expect((await request(sanitized).get('/media/located.jpg/metadata')).body.exif.orientation).toBe(1);
+    });
+
+    it('should recreate a sanitized copy removed from the cache', async () => {
+      await request(sanitized).get('/media/located.jpg');
+      fs.rmSync(cacheDir, { recursive: true, force: true });
+      const res = await request(sanitized).get('/media/located.jpg').buffer(true).parse(binary);
+      expect(res.status).toBe(200);
+      expect(res.body.length).toBeGreaterThan(0);
+    });
+
+    it('should serve other files unchanged', async () => {
+      const res = await request(sanitized).get('/media/demo.jpg').buffer(true).parse(binary);
+      expect(res.body.equals(fs.readFileSync(DEMO))).toBe(true);
+      expect((await request(sanitized).get('/media/notes.txt')).text).toBe('hello media\n');
+      expect(fs.existsSync(cacheDir)).toBe(false);
+    });
+  });
+});
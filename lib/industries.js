@@ -0,0 +1,1090 @@
+/**
+ * Industry Catalog
+ *
+ * Serves the list of industries kept in `industry.csv` (a CSV file with an
+ * "Industry" header row). The file is loaded at startup and reloaded when
+ * it changes on disk. Every industry gets a stable URL slug derived from
+ * its name, e.g. "Arts/Entertainment/Publishing" → "arts-entertainment-publishing".
+ * Slugs are saved in the file's "Slug" column, so an industry keeps its slug
+ * ("retail-2" included) when others are added, renamed or deleted; rows
+ * without one (e.g. added by hand) get a fresh slug that no other row uses.
+ *
+ * Writes rewrite the whole file atomically (temporary file + rename) and
+ * keep "Other" pinned last. Each one holds the file's lock (see
+ * lib/atomic-write) and starts from the file as it is, so cluster workers
+ * do not overwrite each other's changes. Each industry carries a strong
+ * ETag so clients can guard updates and deletes with If-Match.
+ *
+ * Routes (mounted at /industries):
+ * - GET /          : Search, sort and paginate the catalog
+ * - POST /         : Create an industry
+ * - POST /import   : Bulk import a CSV upload, with a validation report
+ * - GET /export    : Stream the catalog as CSV or JSON
+ * - GET /:slug     : Fetch one industry
+ * - PUT /:slug     : Replace (rename) an industry
+ * - PATCH /:slug   : Partially update an industry
+ * - DELETE /:slug  : Delete an industry
+ *
+ * @module lib/industries
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const express = require('express');
+const { CsvError, parseCsv, formatCsv } = require('./csv');
+const { writeFileAtomic, withFileLock } = require('./atomic-write');
+const { operation } = require('./openapi');
+const {
+  HttpError,
+  ValidationError,
+  NotFoundError,
+  NotAcceptableError,
+  UnsupportedMediaTypeError
+} = require('./errors');
+
+/**
+ * Header names recognised as the industry name column
+ * @type {string[]}
+ */
+const NAME_HEADERS = ['industry', 'name'];
+
+/**
+ * Header written to the CSV file
+ * @type {string}
+ */
+const HEADER = 'Industry';
+
+/**
+ * Header of the column slugs are saved in
+ * @type {string}
+ */
+const SLUG_HEADER = 'Slug';
+
+/**
+ * Shape of a saved slug
+ * @type {RegExp}
+ */
+const SLUG_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+/**
+ * Catch-all industry that always stays last in the file
+ * @type {string}
+ */
+const PINNED_LAST = 'other';
+
+/**
+ * Longest accepted industry name
+ * @type {number}
+ */
+const MAX_NAME_LENGTH = 100;
+
+/**
+ * Import modes: `merge` adds new industries, `replace` makes the upload the new catalog
+ * @type {string[]}
+ */
+const IMPORT_MODES = ['merge', 'replace'];
+
+/**
+ * Media types accepted by POST /industries/import
+ * @type {string[]}
+ */
+const IMPORT_TYPES = ['text/csv', 'application/csv', 'text/plain'];
+
+/**
+ * Representations produced by GET /industries/export, in preference order
+ * @type {string[]}
+ */
+const EXPORT_TYPES = ['text/csv', 'application/json'];
+
+/**
+ * Supported sort orders; `position` keeps file order
+ * @type {string[]}
+ */
+const SORT_ORDERS = ['position', '-position', 'name', '-name'];
+
+/**
+ * Supported search modes for the `q` parameter
+ * @type {string[]}
+ */
+const MATCH_MODES = ['substring', 'prefix'];
+
+/**
+ * Page size limits
+ */
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/**
+ * JSON Schemas of the routes (see lib/openapi)
+ */
+const INDUSTRY_SCHEMA = {
+  type: 'object',
+  properties: {
+    slug: { type: 'string' },
+    name: { type: 'string' },
+    position: { type: 'integer', description: 'Zero-based position in the file' }
+  },
+  required: ['slug', 'name', 'position']
+};
+const NAME_SCHEMA = { type: 'string', minLength: 1, maxLength: MAX_NAME_LENGTH };
+const SLUG_PARAMS = { type: 'object', properties: { slug: { type: 'string' } } };
+const IF_MATCH_RESPONSES = {
+  404: 'No industry has the slug',
+  412: 'If-Match does not match the current ETag'
+};
+
+/**
+ * Milliseconds to wait for a burst of file change events to settle
+ * @type {number}
+ */
+const RELOAD_DELAY = 50;
+
+/**
+ * Error raised for an invalid list query parameter
+ */
+class IndustryQueryError extends ValidationError {
+  /**
+   * @param {string} message - Human readable description of the problem
+   * @param {string} parameter - Name of the offending query parameter
+   */
+  constructor(message, parameter) {
+    super(message, { parameter });
+    this.name = 'IndustryQueryError';
+  }
+}
+
+/**
+ * Error raised when a write cannot be applied
+ */
+class IndustryWriteError extends HttpError {
+  /**
+   * @param {string} message - Human readable description of the problem
+   * @param {number} status - HTTP status describing the failure (400, 404, 409 or 412)
+   */
+  constructor(message, status) {
+    super(status, message);
+    this.name = 'IndustryWriteError';
+  }
+}
+
+/**
+ * Derives a URL slug from an industry name
+ *
+ * @param {string} name - Industry name, e.g. "Arts/Entertainment/Publishing"
+ * @returns {string} Lowercase, dash separated slug
+ */
+function slugify(name) {
+  return name
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Reads the name column, and the slug column when there is one, of an industry CSV
+ *
+ * @param {string} text - CSV document with a header row
+ * @returns {Array<{name: string, line: number, slug?: string}>} Trimmed names
+ *   (possibly empty) in file order
+ * @throws {CsvError} When the CSV is malformed or has no name column
+ */
+function readNameColumn(text) {
+  const [header, ...records] = parseCsv(text);
+  if (!header) {
+    throw new CsvError('Missing header row', 1);
+  }
+  const headers = header.fields.map((field) => field.trim().toLowerCase());
+  const column = headers.findIndex((field) => NAME_HEADERS.includes(field));
+  if (column === -1) {
+    throw new CsvError(`Header must contain an "Industry" column, found "${header.fields.join(',')}"`, header.line);
+  }
+  const slugColumn = headers.indexOf(SLUG_HEADER.toLowerCase());
+  return records.map(({ fields, line }) => ({
+    name: (fields[column] || '').trim(),
+    line,
+    ...(slugColumn === -1 ? {} : { slug: (fields[slugColumn] || '').trim() })
+  }));
+}
+
+/**
+ * Extracts industries from CSV text
+ *
+ * @param {string} text - CSV document with a header row
+ * @returns {Array<{name: string, line: number, slug?: string}>} Rows with a name, in file order
+ * @throws {CsvError} When the CSV is malformed or has no name column
+ */
+function parseIndustries(text) {
+  return readNameColumn(text).filter(({ name }) => name !== '');
+}
+
+/**
+ * Builds catalog entries with unique slugs
+ *
+ * Industries keep their saved slug when it is well-formed and no earlier
+ * one has it. The others get the slug of their name, or the first free
+ * numeric suffix of it ("-2", "-3", ...) when that is taken.
+ *
+ * @param {Array<string|{name: string, slug?: string}>} industries - Names, or
+ *   names with their saved slugs, in file order
+ * @returns {Array<{slug: string, name: string, position: number}>} Entries
+ */
+function buildEntries(industries) {
+  const rows = industries.map((industry) => (typeof industry === 'string' ? { name: industry } : industry));
+  const taken = new Set();
+  const kept = rows.map(({ slug }) => {
+    if (typeof slug === 'string' && SLUG_PATTERN.test(slug) && !taken.has(slug)) {
+      taken.add(slug);
+      return slug;
+    }
+    return null;
+  });
+  return rows.map(({ name }, position) => {
+    let slug = kept[position];
+    if (!slug) {
+      const base = slugify(name) || 'industry';
+      slug = base;
+      for (let suffix = 2; taken.has(slug); suffix += 1) {
+        slug = `${base}-${suffix}`;
+      }
+      taken.add(slug);
+    }
+    return { slug, name, position };
+  });
+}
+
+/**
+ * Returns the key names are compared by for uniqueness
+ *
+ * @param {string} name - Industry name
+ * @returns {string} Case-insensitive comparison key
+ */
+function nameKey(name) {
+  return name.trim().toLowerCase();
+}
+
+/**
+ * Returns the key near-duplicates share: names that differ only by case,
+ * whitespace, accents or separators ("Arts/Entertainment" and
+ * "arts - entertainment") map to the same key
+ *
+ * @param {string} name - Industry name
+ * @returns {string} Loose comparison key
+ */
+function looseKey(name) {
+  return name
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Works out what an import would change
+ *
+ * Rows are validated in order. A row is a duplicate when its name matches
+ * an earlier row or, in merge mode, an existing industry; the match is
+ * "exact" when the names are identical and "near" when they differ only by
+ * case, whitespace or separators.
+ *
+ * @param {Array<{name: string, line: number}>} rows - Uploaded rows
+ * @param {string[]} existing - Current industry names
+ * @param {string} mode - "merge" or "replace"
+ * @returns {{names: string[], accepted: Object[], duplicates: Object[], invalid: Object[], removed: string[]}}
+ *   The resulting names and the per-row outcome
+ */
+function planImport(rows, existing, mode) {
+  const accepted = [];
+  const duplicates = [];
+  const invalid = [];
+  const known = new Map();
+
+  const remember = (name, source, line) => {
+    known.set(`exact:${nameKey(name)}`, { name, source, line });
+    known.set(`loose:${looseKey(name)}`, { name, source, line });
+  };
+  if (mode === 'merge') {
+    existing.forEach((name) => remember(name, 'catalog'));
+  }
+
+  for (const { name: raw, line } of rows) {
+    let name;
+    try {
+      name = validateName(raw);
+    } catch (err) {
+      invalid.push({ line, value: raw, error: err.message });
+      continue;
+    }
+    const match = known.get(`exact:${nameKey(name)}`) || known.get(`loose:${looseKey(name)}`);
+    if (match) {
+      duplicates.push({
+        line,
+        name,
+        kind: match.name === name ? 'exact' : 'near',
+        existing: match.name,
+        source: match.source,
+        ...(match.line ? { existingLine: match.line } : {})
+      });
+      continue;
+    }
+    accepted.push({ line, name });
+    remember(name, 'upload', line);
+  }
+
+  const acceptedNames = accepted.map(({ name }) => name);
+  if (mode === 'replace') {
+    const kept = new Set(acceptedNames.map(looseKey));
+    return {
+      names: acceptedNames,
+      accepted,
+      duplicates,
+      invalid,
+      removed: existing.filter((name) => !kept.has(looseKey(name)))
+    };
+  }
+  return { names: [...existing, ...acceptedNames], accepted, duplicates, invalid, removed: [] };
+}
+
+/**
+ * Moves the catch-all "Other" industry to the end, keeping all others in order
+ *
+ * @param {Array<string|{name: string}>} industries - Industry names, or objects with a name
+ * @returns {Array<string|{name: string}>} Reordered industries
+ */
+function pinOtherLast(industries) {
+  const isOther = (industry) => nameKey(typeof industry === 'string' ? industry : industry.name) === PINNED_LAST;
+  return [
+    ...industries.filter((industry) => !isOther(industry)),
+    ...industries.filter(isOther)
+  ];
+}
+
+/**
+ * Validates and normalizes an industry name from a request body
+ *
+ * @param {*} name - Proposed name
+ * @returns {string} Trimmed name
+ * @throws {IndustryWriteError} When the name is missing, too long or has control characters
+ */
+function validateName(name) {
+  if (typeof name !== 'string' || name.trim() === '') {
+    throw new IndustryWriteError('"name" must be a non-empty string', 400);
+  }
+  const trimmed = name.trim();
+  if (trimmed.length > MAX_NAME_LENGTH) {
+    throw new IndustryWriteError(`"name" must be at most ${MAX_NAME_LENGTH} characters`, 400);
+  }
+  if (/[\u0000-\u001f\u007f]/.test(trimmed)) {
+    throw new IndustryWriteError('"name" must not contain control characters', 400);
+  }
+  return trimmed;
+}
+
+/**
+ * Computes the strong ETag of an entry
+ *
+ * Covers the slug and name only: the position shifts whenever an earlier
+ * industry is added or deleted, which must not fail If-Match on this one.
+ *
+ * @param {Object} entry - Catalog entry
+ * @returns {string} Quoted entity tag
+ */
+function entityTag(entry) {
+  const digest = crypto.createHash('sha256').update(JSON.stringify([entry.slug, entry.name])).digest('base64url');
+  return `"${digest.slice(0, 27)}"`;
+}
+
+/**
+ * Evaluates an If-Match header against an entity tag (strong comparison)
+ *
+ * @param {string|undefined} header - If-Match header value
+ * @param {string} etag - Current entity tag
+ * @returns {boolean} True when the precondition holds or no header was sent
+ */
+function ifMatchSatisfied(header, etag) {
+  if (header === undefined) return true;
+  if (header.trim() === '*') return true;
+  return header.split(',').map((tag) => tag.trim()).includes(etag);
+}
+
+/**
+ * Encodes a pagination cursor
+ *
+ * @param {Object} state - Query state the cursor continues
+ * @returns {string} Opaque base64url cursor
+ */
+function encodeCursor(state) {
+  return Buffer.from(JSON.stringify(state)).toString('base64url');
+}
+
+/**
+ * Decodes a pagination cursor
+ *
+ * @param {string} cursor - Cursor from a previous page
+ * @returns {{offset: number, q: string, match: string, sort: string}} Query state
+ * @throws {IndustryQueryError} When the cursor is malformed
+ */
+function decodeCursor(cursor) {
+  let state;
+  try {
+    state = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (err) {
+    state = null;
+  }
+  if (!state || !Number.isInteger(state.offset) || state.offset < 0
+      || typeof state.q !== 'string' || !MATCH_MODES.includes(state.match)
+      || !SORT_ORDERS.includes(state.sort)) {
+    throw new IndustryQueryError('Invalid cursor', 'cursor');
+  }
+  return state;
+}
+
+/**
+ * Parses a non-negative integer query parameter
+ *
+ * @param {*} value - Raw query value
+ * @param {string} parameter - Parameter name for error messages
+ * @param {number} fallback - Value used when the parameter is absent
+ * @returns {number} The parsed integer
+ * @throws {IndustryQueryError} When the value is not a non-negative integer
+ */
+function parseInteger(value, parameter, fallback) {
+  if (value === undefined) return fallback;
+  if (typeof value !== 'string' || !/^\d+$/.test(value)) {
+    throw new IndustryQueryError(`"${parameter}" must be a non-negative integer`, parameter);
+  }
+  return Number(value);
+}
+
+/**
+ * Validates list query parameters
+ *
+ * A `cursor` carries the search, sort and offset of the page it continues
+ * and takes precedence over `q`, `match`, `sort` and `offset`.
+ *
+ * @param {Object} query - Request query parameters
+ * @returns {{q: string, match: string, sort: string, limit: number, offset: number}} Normalized query
+ * @throws {IndustryQueryError} On an invalid parameter
+ */
+function parseListQuery(query) {
+  for (const key of ['q', 'match', 'sort', 'cursor']) {
+    if (query[key] !== undefined && typeof query[key] !== 'string') {
+      throw new IndustryQueryError(`"${key}" must be given once`, key);
+    }
+  }
+
+  const limit = parseInteger(query.limit, 'limit', DEFAULT_LIMIT);
+  if (limit < 1 || limit > MAX_LIMIT) {
+    throw new IndustryQueryError(`"limit" must be between 1 and ${MAX_LIMIT}`, 'limit');
+  }
+
+  if (query.cursor !== undefined) {
+    return { ...decodeCursor(query.cursor), limit };
+  }
+
+  const { q = '', match = 'substring', sort = 'position' } = query;
+  if (!MATCH_MODES.includes(match)) {
+    throw new IndustryQueryError(`"match" must be one of ${MATCH_MODES.join(', ')}`, 'match');
+  }
+  if (!SORT_ORDERS.includes(sort)) {
+    throw new IndustryQueryError(`"sort" must be one of ${SORT_ORDERS.join(', ')}`, 'sort');
+  }
+  return { q: q.trim(), match, sort, limit, offset: parseInteger(query.offset, 'offset', 0) };
+}
+
+/**
+ * Creates a catalog backed by a CSV file
+ *
+ * @param {string} file - Path to the CSV file
+ * @param {Object} [options]
+ * @param {boolean} [options.watch=true] - Reload when the file changes
+ * @param {Object} [options.logger=console] - Receives reload failures
+ * @returns {Object} The catalog
+ * @throws {Error} When the file cannot be read or parsed at startup
+ */
+function createIndustryCatalog(file, { watch = true, logger = console } = {}) {
+  let entries = [];
+  let bySlug = new Map();
+  let loadedAt = null;
+  let watcher = null;
+  let reloadTimer = null;
+
+  /**
+   * Replaces the catalog contents with the current file
+   *
+   * @throws {Error} When the file cannot be read or parsed
+   */
+  function reload() {
+    apply(parseIndustries(fs.readFileSync(file, 'utf8')));
+  }
+
+  /**
+   * Replaces the in-memory catalog
+   *
+   * @param {Array<{name: string, slug?: string}>} industries - Industries in file order
+   */
+  function apply(industries) {
+    entries = buildEntries(industries);
+    bySlug = new Map(entries.map((entry) => [entry.slug, entry]));
+    loadedAt = new Date();
+  }
+
+  /**
+   * Runs a write while holding the file's lock, starting from the file as it
+   * is now, so writes of other processes (cluster workers) are not lost
+   *
+   * @param {Function} fn - Reads and changes the freshly loaded catalog
+   * @returns {Promise<*>} What `fn` returned
+   */
+  function locked(fn) {
+    return withFileLock(file, () => {
+      reload();
+      return fn();
+    });
+  }
+
+  /**
+   * Writes industries with their slugs to the CSV file atomically and
+   * reloads the catalog
+   *
+   * @param {Array<{name: string, slug?: string}>} industries - Current entries
+   *   keep their slug; new or renamed ones come without and get one; "Other"
+   *   is moved last
+   */
+  function persist(industries) {
+    apply(pinOtherLast(industries));
+    writeFileAtomic(file, formatCsv([[HEADER, SLUG_HEADER], ...entries.map(({ name, slug }) => [name, slug])]));
+  }
+
+  /**
+   * Looks up an entry for a write, checking its If-Match precondition
+   *
+   * @param {string} slug - Industry slug
+   * @param {string} [ifMatch] - If-Match header value
+   * @returns {Object} The entry
+   * @throws {IndustryWriteError} 404 when unknown, 412 when the precondition fails
+   */
+  function getForWrite(slug, ifMatch) {
+    const entry = get(slug);
+    if (!entry) {
+      throw new IndustryWriteError(`Industry "${slug}" not found`, 404);
+    }
+    if (!ifMatchSatisfied(ifMatch, entityTag(entry))) {
+      throw new IndustryWriteError(`Industry "${slug}" has changed; fetch it again and retry`, 412);
+    }
+    return entry;
+  }
+
+  /**
+   * Throws when another industry already uses a name (case-insensitively)
+   *
+   * @param {string} name - Proposed name
+   * @param {Object} [except] - Entry being renamed
+   * @throws {IndustryWriteError} 409 on a duplicate
+   */
+  function assertUnique(name, except) {
+    const duplicate = entries.find((entry) => entry !== except && nameKey(entry.name) === nameKey(name));
+    if (duplicate) {
+      throw new IndustryWriteError(`Industry "${duplicate.name}" already exists`, 409);
+    }
+  }
+
+  /**
+   * Adds an industry before "Other"
+   *
+   * @param {*} name - Proposed name
+   * @returns {Promise<Object>} The created entry
+   * @throws {IndustryWriteError} On an invalid or duplicate name
+   */
+  function create(name) {
+    const value = validateName(name);
+    return locked(() => {
+      assertUnique(value);
+      persist([...entries, { name: value }]);
+      return entries.find((entry) => entry.name === value);
+    });
+  }
+
+  /**
+   * Updates an industry
+   *
+   * @param {string} slug - Industry slug
+   * @param {Object} changes - Fields to change
+   * @param {*} [changes.name] - New name; the slug follows it
+   * @param {string} [ifMatch] - If-Match header value
+   * @returns {Promise<Object>} The updated entry
+   * @throws {IndustryWriteError} On an unknown slug, failed precondition, invalid or duplicate name
+   */
+  function update(slug, { name }, ifMatch) {
+    return locked(() => {
+      const entry = getForWrite(slug, ifMatch);
+      if (name === undefined) {
+        return entry;
+      }
+      const value = validateName(name);
+      assertUnique(value, entry);
+      persist(entries.map((current) => (current === entry ? { name: value } : current)));
+      return entries.find((current) => current.name === value);
+    });
+  }
+
+  /**
+   * Imports industries from an uploaded CSV
+   *
+   * @param {string} text - CSV document with an "Industry" header
+   * @param {Object} [options]
+   * @param {string} [options.mode='merge'] - "merge" or "replace"
+   * @param {boolean} [options.dryRun=false] - Report without writing
+   * @returns {Promise<Object>} Import report
+   * @throws {CsvError} When the upload is not valid CSV
+   */
+  async function importCsv(text, { mode = 'merge', dryRun = false } = {}) {
+    const rows = readNameColumn(text);
+    return locked(() => applyImport(rows, mode, dryRun));
+  }
+
+  /**
+   * Applies an import to the freshly loaded catalog (see importCsv())
+   *
+   * @param {Array<Object>} rows - Rows from readNameColumn()
+   * @param {string} mode - "merge" or "replace"
+   * @param {boolean} dryRun - Report without writing
+   * @returns {Object} Import report
+   */
+  function applyImport(rows, mode, dryRun) {
+    const existing = entries.map((entry) => entry.name);
+    const plan = planImport(rows, existing, mode);
+    const changed = mode === 'merge'
+      ? plan.accepted.length > 0
+      : plan.names.join('\n') !== existing.join('\n');
+
+    // Industries the import keeps hold on to their slugs
+    const current = new Map(entries.map((entry) => [looseKey(entry.name), entry.slug]));
+    const industries = plan.names.map((name) => ({ name, slug: current.get(looseKey(name)) }));
+    let slugs;
+    if (dryRun || !changed) {
+      slugs = new Map(buildEntries(pinOtherLast(industries)).map((entry) => [entry.name, entry.slug]));
+    } else {
+      persist(industries);
+      slugs = new Map(entries.map((entry) => [entry.name, entry.slug]));
+    }
+
+    return {
+      mode,
+      dryRun,
+      changed: changed && !dryRun,
+      summary: {
+        rows: rows.length,
+        accepted: plan.accepted.length,
+        duplicates: plan.duplicates.length,
+        invalid: plan.invalid.length,
+        removed: plan.removed.length
+      },
+      accepted: plan.accepted.map((row) => ({ ...row, slug: slugs.get(row.name) })),
+      duplicates: plan.duplicates,
+      invalid: plan.invalid,
+      removed: plan.removed
+    };
+  }
+
+  /**
+   * Deletes an industry
+   *
+   * @param {string} slug - Industry slug
+   * @param {string} [ifMatch] - If-Match header value
+   * @returns {Promise<Object>} The deleted entry
+   * @throws {IndustryWriteError} On an unknown slug or failed precondition
+   */
+  function remove(slug, ifMatch) {
+    return locked(() => {
+      const entry = getForWrite(slug, ifMatch);
+      persist(entries.filter((current) => current !== entry));
+      return entry;
+    });
+  }
+
+  /**
+   * Searches, sorts and paginates the catalog
+   *
+   * @param {Object} query - Normalized query from parseListQuery()
+   * @returns {Object} Page with `total`, `count`, `limit`, `offset`, `nextCursor` and `items`
+   */
+  function list({ q, match, sort, limit, offset }) {
+    const needle = q.toLowerCase();
+    const matches = needle
+      ? entries.filter(({ name }) => (match === 'prefix'
+        ? name.toLowerCase().startsWith(needle)
+        : name.toLowerCase().includes(needle)))
+      : entries.slice();
+
+    const descending = sort.startsWith('-');
+    const key = descending ? sort.slice(1) : sort;
+    matches.sort((a, b) => (key === 'name'
+      ? a.name.localeCompare(b.name, 'en', { sensitivity: 'base' })
+      : a.position - b.position));
+    if (descending) matches.reverse();
+
+    const items = matches.slice(offset, offset + limit);
+    const nextOffset = offset + items.length;
+    return {
+      total: matches.length,
+      count: items.length,
+      limit,
+      offset,
+      nextCursor: nextOffset < matches.length ? encodeCursor({ offset: nextOffset, q, match, sort }) : null,
+      items
+    };
+  }
+
+  /**
+   * Looks up an industry by slug
+   *
+   * @param {string} slug - Industry slug
+   * @returns {Object|undefined} The entry, if any
+   */
+  function get(slug) {
+    return bySlug.get(slug.toLowerCase());
+  }
+
+  /**
+   * Stops watching the file
+   */
+  function close() {
+    clearTimeout(reloadTimer);
+    if (watcher) {
+      watcher.close();
+      watcher = null;
+    }
+  }
+
+  reload();
+
+  if (watch) {
+    // Watch the directory so editors that replace the file are noticed too
+    watcher = fs.watch(path.dirname(path.resolve(file)), (eventType, filename) => {
+      if (filename && filename.toString() !== path.basename(file)) return;
+      clearTimeout(reloadTimer);
+      reloadTimer = setTimeout(() => {
+        try {
+          reload();
+        } catch (err) {
+          logger.error(`Keeping previous industries, cannot reload ${file}: ${err.message}`);
+        }
+      }, RELOAD_DELAY);
+      reloadTimer.unref();
+    });
+    watcher.unref();
+  }
+
+  return {
+    file,
+    list,
+    get,
+    create,
+    update,
+    remove,
+    importCsv,
+    entries: () => entries.slice(),
+    reload,
+    close,
+    size: () => entries.length,
+    loadedAt: () => loadedAt
+  };
+}
+
+/**
+ * Creates the /industries router
+ *
+ * Failures are raised as lib/errors errors for the app's errorHandler().
+ *
+ * @param {Object} catalog - Catalog from createIndustryCatalog()
+ * @param {Object} [options]
+ * @param {Function} [options.authorizeReplace] - Middleware guarding imports in
+ *   replace mode, which delete every industry the upload leaves out; open by default
+ * @returns {express.Router} Router to mount at /industries
+ */
+function industriesRouter(catalog, { authorizeReplace = (req, res, next) => next() } = {}) {
+  const router = express.Router();
+
+  /**
+   * Validates the shape of a write request body
+   *
+   * @param {express.Request} req - The request
+   * @param {boolean} requireName - Whether `name` must be present
+   * @returns {Object} The body
+   * @throws {IndustryWriteError} When the body is not a JSON object with known fields
+   */
+  function readBody(req, requireName) {
+    const { body } = req;
+    if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+      throw new IndustryWriteError('Request body must be a JSON object', 400);
+    }
+    const unknown = Object.keys(body).filter((key) => key !== 'name');
+    if (unknown.length) {
+      throw new IndustryWriteError(`Unknown or read-only field "${unknown[0]}"`, 400);
+    }
+    if (requireName && body.name === undefined) {
+      throw new IndustryWriteError('"name" is required', 400);
+    }
+    return body;
+  }
+
+  /**
+   * Industry list endpoint handler
+   *
+   * @route GET /industries
+   * @param {string} [q] - Case-insensitive search text
+   * @param {string} [match=substring] - "substring" or "prefix"
+   * @param {string} [sort=position] - "position", "name", "-position" or "-name"
+   * @param {number} [limit=20] - Page size, 1-100
+   * @param {number} [offset=0] - Items to skip
+   * @param {string} [cursor] - `nextCursor` of the previous page
+   * @returns {Object} JSON page `{ total, count, limit, offset, nextCursor, items }`
+   */
+  router.get('/', operation({
+    summary: 'Search and page through industries',
+    query: {
+      type: 'object',
+      properties: {
+        q: { type: 'string', description: 'Case-insensitive search text' },
+        match: { type: 'string', enum: MATCH_MODES, default: 'substring' },
+        sort: { type: 'string', enum: SORT_ORDERS, default: 'position' },
+        limit: { type: 'integer', minimum: 1, maximum: MAX_LIMIT, default: DEFAULT_LIMIT },
+        offset: { type: 'integer', minimum: 0, default: 0 },
+        cursor: { type: 'string', description: '`nextCursor` of the previous page' }
+      }
+    },
+    responses: {
+      200: {
+        description: 'One page of matching industries',
+        schema: {
+          type: 'object',
+          properties: {
+            total: { type: 'integer' },
+            count: { type: 'integer' },
+            limit: { type: 'integer' },
+            offset: { type: 'integer' },
+            nextCursor: { type: ['string', 'null'] },
+            items: { type: 'array', items: INDUSTRY_SCHEMA }
+          }
+        }
+      }
+    }
+  }), (req, res) => {
+    res.json(catalog.list(parseListQuery(req.query)));
+  });
+
+  /**
+   * Industry creation endpoint handler
+   *
+   * @route POST /industries
+   * @param {Object} body - JSON `{ name }`
+   * @returns {Object} 201 with the created entry and its Location, 400 on an
+   *   invalid name, 409 when the name exists (case-insensitively)
+   */
+  router.post('/', express.json(), operation({
+    summary: 'Add an industry',
+    body: { type: 'object', properties: { name: NAME_SCHEMA }, required: ['name'], additionalProperties: false },
+    responses: {
+      201: { description: 'The new industry', schema: INDUSTRY_SCHEMA, headers: { Location: 'URL of the industry', ETag: 'Entity tag' } },
+      409: 'An industry has the same name'
+    }
+  }), async (req, res) => {
+    const entry = await catalog.create(readBody(req, true).name);
+    res.status(201)
+      .location(`${req.baseUrl}/${entry.slug}`)
+      .set('ETag', entityTag(entry))
+      .json(entry);
+  });
+
+  /**
+   * Bulk import endpoint handler
+   * Accepts a CSV upload with an "Industry" header and reports, row by row,
+   * what was accepted, what duplicated an existing or earlier name and what
+   * was invalid
+   *
+   * @route POST /industries/import
+   * @param {string} body - CSV document (text/csv)
+   * @param {string} [mode=merge] - "merge" adds new industries; "replace" makes the upload the catalog
+   * @param {boolean} [dryRun=false] - Report without changing anything
+   * @returns {Object} JSON import report; 400 on malformed CSV, 415 on other content types
+   */
+  router.post('/import', (req, res, next) => (req.query.mode === 'replace'
+    ? authorizeReplace(req, res, next)
+    : next()), express.text({ type: IMPORT_TYPES, limit: '1mb' }), operation({
+    summary: 'Import industries from CSV',
+    query: {
+      type: 'object',
+      properties: {
+        mode: { type: 'string', enum: IMPORT_MODES, default: 'merge' },
+        dryRun: { type: 'boolean', default: false, description: 'Report without changing anything' }
+      }
+    },
+    consumes: Object.fromEntries(IMPORT_TYPES.map((type) => [type, { type: 'string' }])),
+    responses: {
+      200: { description: 'What was accepted, duplicated, invalid or removed', schema: { type: 'object' } },
+      400: 'Malformed CSV (with the failing `line`) or invalid parameters',
+      413: 'Larger than 1 MB',
+      415: 'Not CSV'
+    }
+  }), async (req, res) => {
+    if (typeof req.body !== 'string') {
+      throw new UnsupportedMediaTypeError(`Upload must be one of ${IMPORT_TYPES.join(', ')}`);
+    }
+    const mode = req.query.mode === undefined ? 'merge' : req.query.mode;
+    if (!IMPORT_MODES.includes(mode)) {
+      throw new ValidationError(`"mode" must be one of ${IMPORT_MODES.join(', ')}`, { parameter: 'mode' });
+    }
+    const dryRun = ['true', '1', ''].includes(req.query.dryRun);
+    try {
+      res.json(await catalog.importCsv(req.body, { mode, dryRun }));
+    } catch (err) {
+      if (err instanceof CsvError) {
+        throw new ValidationError(err.message, { line: err.line });
+      }
+      throw err;
+    }
+  });
+
+  /**
+   * Export endpoint handler
+   * Streams the whole catalog in file order as CSV (Industry,Slug columns,
+   * re-importable) or as a JSON array, chosen by Accept
+   *
+   * @route GET /industries/export
+   * @returns {string} CSV or JSON attachment; 406 for other types
+   */
+  router.get('/export', operation({
+    summary: 'Download the whole catalog',
+    responses: {
+      200: {
+        description: 'Attachment in file order',
+        content: {
+          'text/csv': { schema: { type: 'string' } },
+          'application/json': { schema: { type: 'array', items: INDUSTRY_SCHEMA } }
+        }
+      },
+      406: 'Neither CSV nor JSON is acceptable'
+    }
+  }), (req, res) => {
+    res.vary('Accept');
+    const type = req.accepts(EXPORT_TYPES);
+    if (!type) {
+      throw new NotAcceptableError(`Export is available as ${EXPORT_TYPES.join(', ')}`);
+    }
+    const snapshot = catalog.entries();
+    const chunks = type === 'text/csv'
+      ? (function* csvChunks() {
+        yield formatCsv([[HEADER, 'Slug']]);
+        for (const entry of snapshot) {
+          yield formatCsv([[entry.name, entry.slug]]);
+        }
+      }())
+      : (function* jsonChunks() {
+        yield '[';
+        for (let i = 0; i < snapshot.length; i += 1) {
+          yield `${i ? ',' : ''}\n${JSON.stringify(snapshot[i])}`;
+        }
+        yield '\n]\n';
+      }());
+    res.type(type).attachment(`industries.${type === 'text/csv' ? 'csv' : 'json'}`);
+    if (req.method === 'HEAD') {
+      // Measure instead of streaming so HEAD reports the GET body's length
+      let length = 0;
+      for (const chunk of chunks) {
+        length += Buffer.byteLength(chunk);
+      }
+      return res.set('Content-Length', String(length)).end();
+    }
+    Readable.from(chunks).pipe(res);
+  });
+
+  /**
+   * Single industry endpoint handler
+   *
+   * @route GET /industries/:slug
+   * @returns {Object} JSON `{ slug, name, position }` with a strong ETag, or 404 when unknown
+   */
+  router.get('/:slug', operation({
+    summary: 'Get an industry',
+    params: SLUG_PARAMS,
+    responses: {
+      200: { description: 'The industry', schema: INDUSTRY_SCHEMA, headers: { ETag: 'Entity tag for If-Match' } },
+      404: 'No industry has the slug'
+    }
+  }), (req, res) => {
+    const entry = catalog.get(req.params.slug);
+    if (!entry) {
+      throw new NotFoundError(`Industry "${req.params.slug}" not found`);
+    }
+    res.set('ETag', entityTag(entry)).json(entry);
+  });
+
+  /**
+   * Industry replace and update endpoint handlers
+   * PUT requires the full representation (`name`); PATCH applies the fields given
+   *
+   * @route PUT /industries/:slug
+   * @route PATCH /industries/:slug
+   * @param {Object} body - JSON `{ name }`
+   * @returns {Object} The updated entry with its new ETag; 404, 409 or 412 on failure
+   */
+  const update = (partial) => async (req, res) => {
+    const entry = await catalog.update(req.params.slug, readBody(req, !partial), req.get('If-Match'));
+    res.set('ETag', entityTag(entry)).json(entry);
+  };
+  const writeSpec = (partial) => operation({
+    summary: partial ? 'Rename an industry (partial update)' : 'Replace an industry',
+    params: SLUG_PARAMS,
+    body: {
+      type: 'object',
+      properties: { name: NAME_SCHEMA },
+      required: partial ? [] : ['name'],
+      additionalProperties: false
+    },
+    responses: {
+      200: { description: 'The updated industry; renaming changes the slug', schema: INDUSTRY_SCHEMA },
+      409: 'Another industry has the name',
+      ...IF_MATCH_RESPONSES
+    }
+  });
+  router.put('/:slug', express.json(), writeSpec(false), update(false));
+  router.patch('/:slug', express.json(), writeSpec(true), update(true));
+
+  /**
+   * Industry deletion endpoint handler
+   *
+   * @route DELETE /industries/:slug
+   * @returns {void} 204 on success; 404 or 412 on failure
+   */
+  router.delete('/:slug', operation({
+    summary: 'Delete an industry',
+    params: SLUG_PARAMS,
+    responses: { 204: 'Deleted', ...IF_MATCH_RESPONSES }
+  }), async (req, res) => {
+    await catalog.remove(req.params.slug, req.get('If-Match'));
+    res.status(204).end();
+  });
+
+  return router;
+}
+
+module.exports = {
+  IndustryQueryError,
+  IndustryWriteError,
+  slugify,
+  looseKey,
+  planImport,
+  pinOtherLast,
+  entityTag,
+  parseIndustries,
+  buildEntries,
+  parseListQuery,
+  createIndustryCatalog,
+  industriesRouter
+};
@@ -0,0 +1,572 @@
+/**
+ * Unit Tests for the industry catalog
+ *
+ * @module lib/industries.test
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const {
+  slugify,
+  looseKey,
+  planImport,
+  pinOtherLast,
+  parseIndustries,
+  buildEntries,
+  parseListQuery,
+  createIndustryCatalog,
+  industriesRouter
+} = require('./industries');
+const { ForbiddenError, errorHandler } = require('./errors');
+
+const INDUSTRY_CSV = path.join(__dirname, '..', 'industry.csv');
+
+describe('Industry Catalog', () => {
+
+  describe('slugify()', () => {
+    it.each([
+      ['Arts/Entertainment/Publishing', 'arts-entertainment-publishing'],
+      ['QA/Quality Control', 'qa-quality-control'],
+      ['Non-Profit/Volunteer', 'non-profit-volunteer'],
+      ['  Café & Bar ', 'cafe-and-bar']
+    ])('should slugify "%s" as "%s"', (name, slug) => {
+      expect(slugify(name)).toBe(slug);
+    });
+  });
+
+  describe('looseKey()', () => {
+    it('should ignore case, whitespace, accents and separators', () => {
+      expect(looseKey('Arts/Entertainment/Publishing')).toBe(looseKey(' arts - entertainment  publishing'));
+      expect(looseKey('Café')).toBe(looseKey('CAFE'));
+      expect(looseKey('Retail')).not.toBe(looseKey('Retailing'));
+    });
+  });
+
+  describe('planImport()', () => {
+    const rows = (...names) => names.map((name, index) => ({ name, line: index + 2 }));
+
+    it('should accept new names and append them in merge mode', () => {
+      const plan = planImport(rows('Robotics'), ['Retail', 'Other'], 'merge');
+      expect(plan.accepted).toEqual([{ line: 2, name: 'Robotics' }]);
+      expect(plan.names).toEqual(['Retail', 'Other', 'Robotics']);
+    });
+
+    it('should classify exact and near duplicates of the catalog', () => {
+      const plan = planImport(rows('Retail', 'retail ', 'Human-Resources'), ['Retail', 'Human Resources'], 'merge');
+      expect(plan.duplicates).toEqual([
+        { line: 2, name: 'Retail', kind: 'exact', existing: 'Retail', source: 'catalog' },
+        { line: 3, name: 'retail', kind: 'near', existing: 'Retail', source: 'catalog' },
+        { line: 4, name: 'Human-Resources', kind: 'near', existing: 'Human Resources', source: 'catalog' }
+      ]);
+    });
+
+    it('should detect duplicates within the upload', () => {
+      const plan = planImport(rows('Robotics', 'ROBOTICS'), [], 'merge');
+      expect(plan.duplicates[0]).toMatchObject({ line: 3, source: 'upload', existingLine: 2 });
+    });
+
+    it('should report invalid rows with their line numbers', () => {
+      const plan = planImport(rows('', 'x'.repeat(101)), [], 'merge');
+      expect(plan.invalid.map(({ line }) => line)).toEqual([2, 3]);
+      expect(plan.invalid[0].error).toMatch(/non-empty/);
+    });
+
+    it('should replace the catalog and list removed names in replace mode', () => {
+      const plan = planImport(rows('retail', 'Sales'), ['Retail', 'Legal'], 'replace');
+      expect(plan.names).toEqual(['retail', 'Sales']);
+      expect(plan.duplicates).toEqual([]);
+      expect(plan.removed).toEqual(['Legal']);
+    });
+  });
+
+  describe('pinOtherLast()', () => {
+    it('should move "Other" to the end', () => {
+      expect(pinOtherLast(['Retail', 'other', 'Sales'])).toEqual(['Retail', 'Sales', 'other']);
+    });
+  });
+
+  describe('parseIndustries()', () => {
+    it('should read the Industry column', () => {
+      expect(parseIndustries('Industry,Slug\nRetail, retail-2 \nSales,\n')).toEqual([
+        { name: 'Retail', line: 2, slug: 'retail-2' },
+        { name: 'Sales', line: 3, slug: '' }
+      ]);
+      expect(parseIndustries('Code,Industry\n1,"Retail"\n2, Sales \n')).toEqual([
+        { name: 'Retail', line: 2 },
+        { name: 'Sales', line: 3 }
+      ]);
+    });
+
+    it('should require a header with an Industry column', () => {
+      expect(() => parseIndustries('Sector\nRetail\n')).toThrow(/"Industry" column/);
+    });
+
+    it('should reject an empty document', () => {
+      expect(() => parseIndustries('')).toThrow(/Missing header row/);
+    });
+  });
+
+  describe('buildEntries()', () => {
+    it('should suffix duplicate slugs', () => {
+      expect(buildEntries(['Retail', 'retail']).map((entry) => entry.slug)).toEqual(['retail', 'retail-2']);
+    });
+
+    it('should keep saved slugs and give the others a free one', () => {
+      const entries = buildEntries([
+        { name: 'retail', slug: 'retail-2' },
+        { name: 'Retail' },
+        { name: 'Sales', slug: 'Not a slug' },
+        { name: 'Legal', slug: 'retail-2' }
+      ]);
+      expect(entries.map((entry) => entry.slug)).toEqual(['retail-2', 'retail', 'sales', 'legal']);
+    });
+  });
+
+  describe('parseListQuery()', () => {
+    it('should apply defaults', () => {
+      expect(parseListQuery({})).toEqual({ q: '', match: 'substring', sort: 'position', limit: 20, offset: 0 });
+    });
+
+    it.each([
+      [{ limit: '0' }, 'limit'],
+      [{ limit: '101' }, 'limit'],
+      [{ offset: '-1' }, 'offset'],
+      [{ sort: 'size' }, 'sort'],
+      [{ match: 'regex' }, 'match'],
+      [{ q: ['a', 'b'] }, 'q'],
+      [{ cursor: 'not-a-cursor' }, 'cursor']
+    ])('should reject %p', (query, parameter) => {
+      expect(() => parseListQuery(query)).toThrow(expect.objectContaining({ parameter }));
+    });
+  });
+
+  describe('createIndustryCatalog()', () => {
+    const catalog = createIndustryCatalog(INDUSTRY_CSV, { watch: false });
+
+    it('should load all 43 industries from industry.csv', () => {
+      expect(catalog.size()).toBe(43);
+      expect(catalog.get('accounting-finance').name).toBe('Accounting/Finance');
+      expect(catalog.get('other').position).toBe(42);
+    });
+
+    it('should look up slugs case-insensitively', () => {
+      expect(catalog.get('RETAIL').name).toBe('Retail');
+    });
+
+    it('should search by case-insensitive substring', () => {
+      const page = catalog.list(parseListQuery({ q: 'SERVICE' }));
+      expect(page.items.map((item) => item.name)).toEqual([
+        'Customer Service',
+        'Professional Services',
+        'Restaurant/Food Service'
+      ]);
+    });
+
+    it('should search by prefix', () => {
+      const page = catalog.list(parseListQuery({ q: 'co', match: 'prefix' }));
+      expect(page.items.map((item) => item.name)).toEqual([
+        'Construction/Facilities',
+        'Consumer Goods'
+      ]);
+    });
+
+    it('should sort by name descending', () => {
+      const page = catalog.list(parseListQuery({ sort: '-name', limit: '2' }));
+      expect(page.items.map((item) => item.name)).toEqual(['Transportation/Logistics', 'Telecommunications']);
+    });
+
+    it('should page with offsets and report totals', () => {
+      const page = catalog.list(parseListQuery({ limit: '10', offset: '40' }));
+      expect(page).toMatchObject({ total: 43, count: 3, limit: 10, offset: 40, nextCursor: null });
+    });
+
+    it('should walk every page with cursors', () => {
+      const names = [];
+      let query = parseListQuery({ q: 'e', limit: '7', sort: 'name' });
+      let page;
+      do {
+        page = catalog.list(query);
+        names.push(...page.items.map((item) => item.name));
+        query = page.nextCursor && parseListQuery({ cursor: page.nextCursor, limit: '7' });
+      } while (page.nextCursor);
+      expect(names).toHaveLength(page.total);
+      expect(names).toEqual([...names].sort((a, b) => a.localeCompare(b, 'en', { sensitivity: 'base' })));
+    });
+  });
+
+  describe('file reloading', () => {
+    let tmpDir;
+    let file;
+    let catalog;
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'industries-test-'));
+      file = path.join(tmpDir, 'industry.csv');
+      fs.writeFileSync(file, 'Industry\nRetail\n');
+    });
+
+    afterEach(() => {
+      catalog.close();
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    function waitFor(predicate, timeout = 2000) {
+      const started = Date.now();
+      return new Promise((resolve, reject) => {
+        const check = () => {
+          if (predicate()) return resolve();
+          if (Date.now() - started > timeout) return reject(new Error('Timed out'));
+          setTimeout(check, 20);
+        };
+        check();
+      });
+    }
+
+    it('should reload when the file changes', async () => {
+      catalog = createIndustryCatalog(file);
+      fs.writeFileSync(file, 'Industry\nRetail\nSales\n');
+      await waitFor(() => catalog.size() === 2);
+      expect(catalog.get('sales').name).toBe('Sales');
+    });
+
+    it('should keep the previous data when the new file is invalid', async () => {
+      const logger = { error: jest.fn() };
+      catalog = createIndustryCatalog(file, { logger });
+      fs.writeFileSync(file, 'Sector\nRetail\n');
+      await waitFor(() => logger.error.mock.calls.length > 0);
+      expect(catalog.get('retail').name).toBe('Retail');
+    });
+  });
+
+  describe('writes', () => {
+    let tmpDir;
+    let file;
+    let catalog;
+    let app;
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'industries-write-test-'));
+      file = path.join(tmpDir, 'industry.csv');
+      fs.writeFileSync(file, 'Industry\nRetail\nSales\nOther\n');
+      catalog = createIndustryCatalog(file, { watch: false });
+      app = express();
+      app.use('/industries', industriesRouter(catalog));
+      app.use(errorHandler());
+    });
+
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    const fileNames = () => parseIndustries(fs.readFileSync(file, 'utf8')).map(({ name }) => name);
+
+    it('should keep the writes of another catalog sharing the file', async () => {
+      const other = createIndustryCatalog(file, { watch: false });
+      await Promise.all([catalog.create('Robotics'), other.create('Mining'), catalog.remove('sales')]);
+      await other.create('Legal');
+      expect(fileNames().sort()).toEqual(['Legal', 'Mining', 'Other', 'Retail', 'Robotics']);
+      await catalog.create('Fishing');
+      expect(catalog.get('legal').name).toBe('Legal');
+    });
+
+    describe('POST /industries', () => {
+      it('should create an industry before "Other"', async () => {
+        const response = await request(app).post('/industries').send({ name: '  Robotics ' });
+        expect(response.status).toBe(201);
+        expect(response.headers.location).toBe('/industries/robotics');
+        expect(response.headers.etag).toMatch(/^"[\w-]+"$/);
+        expect(response.body).toEqual({ slug: 'robotics', name: 'Robotics', position: 2 });
+        expect(fileNames()).toEqual(['Retail', 'Sales', 'Robotics', 'Other']);
+      });
+
+      it('should quote names that need it in the CSV', async () => {
+        await request(app).post('/industries').send({ name: 'Arts, Crafts' });
+        expect(fs.readFileSync(file, 'utf8')).toContain('"Arts, Crafts"');
+        expect(catalog.get('arts-crafts').name).toBe('Arts, Crafts');
+      });
+
+      it('should reject case-insensitive duplicates with 409', async () => {
+        const response = await request(app).post('/industries').send({ name: 'RETAIL' });
+        expect(response.status).toBe(409);
+        expect(fileNames()).toEqual(['Retail', 'Sales', 'Other']);
+      });
+
+      it.each([
+        [{}, /"name" is required/],
+        [{ name: '' }, /non-empty string/],
+        [{ name: 42 }, /non-empty string/],
+        [{ name: 'x'.repeat(101) }, /at most 100/],
+        [{ name: 'Bad\nName' }, /control characters/],
+        [{ name: 'Retail 2', slug: 'r2' }, /^Unknown field "slug"$/]
+      ])('should reject the body %p with 400', async (body, message) => {
+        const response = await request(app).post('/industries').send(body);
+        expect(response.status).toBe(400);
+        expect(response.headers['content-type']).toMatch(/application\/problem\+json/);
+        expect(response.body.detail).toMatch(message);
+      });
+
+      it('should list every schema violation', async () => {
+        const response = await request(app).post('/industries').send({ name: 42, slug: 'x', position: 1 });
+        expect(response.status).toBe(400);
+        expect(response.body.detail).toBe('"name" must be a non-empty string; Unknown field "slug"; Unknown field "position"');
+        expect(response.body.errors).toEqual([
+          { in: 'body', pointer: '/name', message: '"name" must be a non-empty string' },
+          { in: 'body', pointer: '/slug', message: 'Unknown field "slug"' },
+          { in: 'body', pointer: '/position', message: 'Unknown field "position"' }
+        ]);
+      });
+
+      it('should reject malformed JSON with 400', async () => {
+        const response = await request(app)
+          .post('/industries')
+          .set('Content-Type', 'application/json')
+          .send('{"name":');
+        expect(response.status).toBe(400);
+        expect(response.body.detail).toMatch(/not valid JSON/);
+      });
+    });
+
+    describe('PUT and PATCH /industries/:slug', () => {
+      it('should rename an industry and change its slug', async () => {
+        const response = await request(app).put('/industries/sales').send({ name: 'Sales/Marketing' });
+        expect(response.status).toBe(200);
+        expect(response.body).toEqual({ slug: 'sales-marketing', name: 'Sales/Marketing', position: 1 });
+        expect(catalog.get('sales')).toBeUndefined();
+      });
+
+      it('should require name on PUT but not on PATCH', async () => {
+        expect((await request(app).put('/industries/sales').send({})).status).toBe(400);
+        expect((await request(app).patch('/industries/sales').send({})).status).toBe(200);
+      });
+
+      it('should not change other slugs when an industry is deleted or renamed', async () => {
+        await catalog.create('Sales Marketing');
+        await catalog.create('Sales-Marketing');
+        expect(catalog.get('sales-marketing-2').name).toBe('Sales-Marketing');
+        await request(app).delete('/industries/sales-marketing');
+        await request(app).patch('/industries/retail').send({ name: 'Sales/Marketing' });
+        expect(catalog.get('sales-marketing-2').name).toBe('Sales-Marketing');
+        expect(catalog.get('sales-marketing').name).toBe('Sales/Marketing');
+
+        const reopened = createIndustryCatalog(file, { watch: false });
+        expect(reopened.entries().map((entry) => entry.slug)).toEqual(['sales-marketing', 'sales', 'sales-marketing-2', 'other']);
+      });
+
+      it('should keep "Other" last when renaming to it', async () => {
+        await request(app).delete('/industries/other');
+        await request(app).patch('/industries/retail').send({ name: 'Other' });
+        expect(fileNames()).toEqual(['Sales', 'Other']);
+      });
+
+      it('should allow changing only the case of a name', async () => {
+        const response = await request(app).patch('/industries/retail').send({ name: 'RETAIL' });
+        expect(response.status).toBe(200);
+        expect(response.body.name).toBe('RETAIL');
+      });
+
+      it('should reject renaming onto another industry with 409', async () => {
+        const response = await request(app).patch('/industries/retail').send({ name: 'sales' });
+        expect(response.status).toBe(409);
+      });
+
+      it('should return 404 for an unknown slug', async () => {
+        const response = await request(app).patch('/industries/unknown').send({ name: 'X' });
+        expect(response.status).toBe(404);
+      });
+    });
+
+    describe('If-Match', () => {
+      it('should apply the write when the ETag matches', async () => {
+        const { headers } = await request(app).get('/industries/retail');
+        const response = await request(app)
+          .patch('/industries/retail')
+          .set('If-Match', headers.etag)
+          .send({ name: 'Retail/Wholesale' });
+        expect(response.status).toBe(200);
+        expect(response.headers.etag).not.toBe(headers.etag);
+      });
+
+      it('should return 412 for a stale ETag', async () => {
+        const { headers } = await request(app).get('/industries/retail');
+        await request(app).patch('/industries/retail').send({ name: 'Retailing' });
+        const response = await request(app)
+          .put('/industries/retailing')
+          .set('If-Match', headers.etag)
+          .send({ name: 'Retail/Wholesale' });
+        expect(response.status).toBe(412);
+        expect(catalog.get('retailing').name).toBe('Retailing');
+      });
+
+      it('should keep an ETag valid across unrelated writes', async () => {
+        const { headers } = await request(app).get('/industries/retail');
+        await request(app).post('/industries').send({ name: 'Robotics' });
+        const response = await request(app)
+          .delete('/industries/retail')
+          .set('If-Match', headers.etag);
+        expect(response.status).toBe(204);
+      });
+
+      it('should keep an ETag valid when an earlier industry is deleted', async () => {
+        const { headers } = await request(app).get('/industries/sales');
+        await request(app).delete('/industries/retail');
+        const response = await request(app)
+          .patch('/industries/sales')
+          .set('If-Match', headers.etag)
+          .send({ name: 'Sales/Marketing' });
+        expect(response.status).toBe(200);
+      });
+
+      it('should accept If-Match: * for an existing industry', async () => {
+        const response = await request(app).delete('/industries/sales').set('If-Match', '*');
+        expect(response.status).toBe(204);
+      });
+    });
+
+    describe('POST /industries/import', () => {
+      const upload = (csv, query = '') => request(app)
+        .post(`/industries/import${query}`)
+        .set('Content-Type', 'text/csv')
+        .send(csv);
+
+      it('should import new industries and report every row', async () => {
+        const response = await upload('Industry\r\nRobotics\r\nsales\r\n,\r\n');
+        expect(response.status).toBe(200);
+        expect(response.body).toMatchObject({
+          mode: 'merge',
+          dryRun: false,
+          changed: true,
+          summary: { rows: 3, accepted: 1, duplicates: 1, invalid: 1, removed: 0 },
+          accepted: [{ line: 2, name: 'Robotics', slug: 'robotics' }],
+          duplicates: [{ line: 3, name: 'sales', kind: 'near', existing: 'Sales' }],
+          invalid: [{ line: 4 }]
+        });
+        expect(fileNames()).toEqual(['Retail', 'Sales', 'Robotics', 'Other']);
+      });
+
+      it('should change nothing in a dry run', async () => {
+        const before = fs.readFileSync(file, 'utf8');
+        const response = await upload('Industry\nRobotics\n', '?dryRun=true');
+        expect(response.body).toMatchObject({ dryRun: true, changed: false, summary: { accepted: 1 } });
+        expect(fs.readFileSync(file, 'utf8')).toBe(before);
+        expect(catalog.get('robotics')).toBeUndefined();
+      });
+
+      it('should replace the catalog in replace mode', async () => {
+        const response = await upload('Industry\nOther\nLegal\nRetail\n', '?mode=replace');
+        expect(response.body.removed).toEqual(['Sales']);
+        expect(fileNames()).toEqual(['Legal', 'Retail', 'Other']);
+      });
+
+      it('should run authorizeReplace for replace imports only, whatever the path spelling', async () => {
+        const guarded = express();
+        const authorizeReplace = jest.fn((req, res, next) => next(new ForbiddenError('Requires the admin role')));
+        guarded.use('/industries', industriesRouter(catalog, { authorizeReplace }));
+        guarded.use(errorHandler());
+        const post = (route) => request(guarded).post(route).set('Content-Type', 'text/csv').send('Industry\nLegal\n');
+        expect((await post('/industries/import/?mode=replace')).status).toBe(403);
+        expect((await post('/industries/IMPORT?mode=replace')).status).toBe(403);
+        expect((await post('/industries/import?mode=merge')).status).toBe(200);
+        expect(authorizeReplace).toHaveBeenCalledTimes(2);
+        expect(fileNames()).toEqual(['Retail', 'Sales', 'Legal', 'Other']);
+      });
+
+      it('should reject malformed CSV with the failing line', async () => {
+        const response = await upload('Industry\nRetail\n"Broken\n');
+        expect(response.status).toBe(400);
+        expect(response.body.line).toBe(3);
+      });
+
+      it('should reject an unknown mode', async () => {
+        expect((await upload('Industry\n', '?mode=sync')).status).toBe(400);
+      });
+
+      it('should reject other content types with 415', async () => {
+        const response = await request(app).post('/industries/import').send({ name: 'Robotics' });
+        expect(response.status).toBe(415);
+      });
+    });
+
+    describe('GET /industries/export', () => {
+      it('should stream CSV that can be imported again', async () => {
+        const response = await request(app).get('/industries/export');
+        expect(response.status).toBe(200);
+        expect(response.headers['content-type']).toMatch(/text\/csv/);
+        expect(response.headers['content-disposition']).toMatch(/industries\.csv/);
+        expect(response.text).toBe('Industry,Slug\nRetail,retail\nSales,sales\nOther,other\n');
+
+        const reimport = await request(app)
+          .post('/industries/import?dryRun=true')
+          .set('Content-Type', 'text/csv')
+          .send(response.text);
+        expect(reimport.body.summary).toMatchObject({ accepted: 0, duplicates: 3 });
+      });
+
+      it('should stream JSON when asked for it', async () => {
+        const response = await request(app)
+          .get('/industries/export')
+          .set('Accept', 'application/json');
+        expect(response.headers['content-type']).toMatch(/application\/json/);
+        expect(response.body).toEqual([
+          { slug: 'retail', name: 'Retail', position: 0 },
+          { slug: 'sales', name: 'Sales', position: 1 },
+          { slug: 'other', name: 'Other', position: 2 }
+        ]);
+      });
+
+      it('should return 406 for other types', async () => {
+        const response = await request(app).get('/industries/export').set('Accept', 'application/xml');
+        expect(response.status).toBe(406);
+      });
+    });
+
+    describe('DELETE /industries/:slug', () => {
+      it('should delete an industry', async () => {
+        const response = await request(app).delete('/industries/retail');
+        expect(response.status).toBe(204);
+        expect(fileNames()).toEqual(['Sales', 'Other']);
+        expect((await request(app).get('/industries/retail')).status).toBe(404);
+      });
+
+      it('should return 404 for an unknown slug', async () => {
+        expect((await request(app).delete('/industries/unknown')).status).toBe(404);
+      });
+    });
+  });
+
+  describe('industriesRouter()', () => {
+    const app = express();
+    app.use('/industries', industriesRouter(createIndustryCatalog(INDUSTRY_CSV, { watch: false })));
+    app.use(errorHandler());
+
+    it('should list industries', async () => {
+      const response = await request(app).get('/industries?limit=2');
+      expect(response.status).toBe(200);
+      expect(response.body.total).toBe(43);
+      expect(response.body.items).toEqual([
+        { slug: 'accounting-finance', name: 'Accounting/Finance', position: 0 },
+        { slug: 'advertising-public-relations', name: 'Advertising/Public Relations', position: 1 }
+      ]);
+      expect(typeof response.body.nextCursor).toBe('string');
+    });
+
+    it('should return 400 for invalid parameters', async () => {
+      const response = await request(app).get('/industries?sort=size');
+      expect(response.status).toBe(400);
+      expect(response.body.parameter).toBe('sort');
+    });
+
+    it('should fetch one industry by slug', async () => {
+      const response = await request(app).get('/industries/arts-entertainment-publishing');
+      expect(response.status).toBe(200);
+      expect(response.body.name).toBe('Arts/Entertainment/Publishing');
+    });
+
+    it('should return 404 for an unknown slug', async () => {
+      const response = await request(app).get('/industries/astrology');
+      expect(response.status).toBe(404);
+    });
+  });
+});
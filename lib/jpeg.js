@@ -0,0 +1,538 @@
+/**
+ * JPEG Metadata
+ *
+ * Reads a JPEG's marker segments without decoding the image:
+ *
+ * - SOFn: dimensions, precision, components, baseline or progressive
+ * - APP1 "Exif": camera, orientation, timestamps, exposure and GPS (TIFF IFDs)
+ * - APP2 "ICC_PROFILE": the embedded color profile, possibly split across segments
+ * - APP0 "JFIF" and APP14 "Adobe": density and color transform hints
+ *
+ * `stripGps()` returns a copy without location data: the GPS IFD is wiped
+ * and unlinked, and XMP packets (which may repeat the coordinates) are
+ * dropped.
+ *
+ * @module lib/jpeg
+ */
+
+/**
+ * Error raised for data that is not a well-formed JPEG
+ */
+class JpegError extends Error {
+  /**
+   * @param {string} message - What is wrong with the data
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'JpegError';
+  }
+}
+
+/**
+ * Start-of-frame markers; the others in C0-CF are DHT, JPG and DAC
+ * @type {Set<number>}
+ */
+const SOF_MARKERS = new Set([0xc0, 0xc1, 0xc2, 0xc3, 0xc5, 0xc6, 0xc7, 0xc9, 0xca, 0xcb, 0xcd, 0xce, 0xcf]);
+
+/**
+ * Progressive start-of-frame markers
+ * @type {Set<number>}
+ */
+const PROGRESSIVE_MARKERS = new Set([0xc2, 0xc6, 0xca, 0xce]);
+
+const EXIF_HEADER = Buffer.from('Exif\0\0', 'latin1');
+const ICC_HEADER = Buffer.from('ICC_PROFILE\0', 'latin1');
+const XMP_HEADER = Buffer.from('http://ns.adobe.com/xap/1.0/\0', 'latin1');
+
+/**
+ * Byte sizes of the TIFF field types, indexed by type id
+ * @type {number[]}
+ */
+const TYPE_SIZES = [0, 1, 1, 2, 4, 8, 1, 1, 2, 4, 8, 4, 8];
+
+/**
+ * TIFF tags read from each IFD
+ */
+const TAGS = {
+  ifd0: { 0x010f: 'make', 0x0110: 'model', 0x0112: 'orientation', 0x0131: 'software', 0x0132: 'dateTime' },
+  exif: {
+    0x829a: 'exposureTime',
+    0x829d: 'fNumber',
+    0x8827: 'iso',
+    0x9003: 'dateTimeOriginal',
+    0x9004: 'dateTimeDigitized',
+    0x920a: 'focalLength',
+    0xa434: 'lensModel'
+  },
+  gps: {
+    0x0001: 'latitudeRef',
+    0x0002: 'latitude',
+    0x0003: 'longitudeRef',
+    0x0004: 'longitude',
+    0x0005: 'altitudeRef',
+    0x0006: 'altitude',
+    0x0007: 'timeStamp',
+    0x001d: 'dateStamp'
+  }
+};
+
+const EXIF_IFD_POINTER = 0x8769;
+const GPS_IFD_POINTER = 0x8825;
+
+/**
+ * Splits a JPEG into its marker segments up to the start of scan
+ *
+ * @param {Buffer} buffer - JPEG data
+ * @returns {Array<{marker: number, offset: number, start: number, end: number}>} Segments;
+ *   `offset` is the marker's position, `start`-`end` the payload after the length field.
+ *   The last entry is the SOS segment, whose `end` is the end of the buffer.
+ * @throws {JpegError} When the data is not a JPEG or a segment is truncated
+ */
+function readSegments(buffer) {
+  if (buffer.length < 4 || buffer[0] !== 0xff || buffer[1] !== 0xd8) {
+    throw new JpegError('Missing JPEG start-of-image marker');
+  }
+  const segments = [];
+  let offset = 2;
+  while (offset < buffer.length) {
+    if (buffer[offset] !== 0xff) {
+      throw new JpegError(`Expected a marker at byte ${offset}`);
+    }
+    let marker = buffer[offset + 1];
+    while (marker === 0xff && offset + 2 < buffer.length) {
+      offset += 1;
+      marker = buffer[offset + 1];
+    }
+    if (marker === 0xd9) {
+      break;
+    }
+    if (offset + 4 > buffer.length) {
+      throw new JpegError('Truncated marker segment');
+    }
+    const length = buffer.readUInt16BE(offset + 2);
+    const end = offset + 2 + length;
+    if (length < 2 || end > buffer.length) {
+      throw new JpegError(`Truncated marker segment at byte ${offset}`);
+    }
+    if (marker === 0xda) {
+      segments.push({ marker, offset, start: offset + 4, end: buffer.length });
+      return segments;
+    }
+    segments.push({ marker, offset, start: offset + 4, end });
+    offset = end;
+  }
+  throw new JpegError('Missing start-of-scan marker');
+}
+
+/**
+ * Creates a bounds-checked reader over a TIFF structure
+ *
+ * @param {Buffer} tiff - TIFF data (the Exif payload after its header)
+ * @returns {Object} Reader
+ * @throws {JpegError} On a bad byte order mark
+ */
+function tiffReader(tiff) {
+  const order = tiff.toString('latin1', 0, 2);
+  if (order !== 'II' && order !== 'MM') {
+    throw new JpegError('Exif data has no valid TIFF byte order');
+  }
+  const little = order === 'II';
+  const check = (offset, size) => {
+    if (offset < 0 || offset + size > tiff.length) {
+      throw new JpegError('Exif data points outside its segment');
+    }
+  };
+  const u16 = (offset) => {
+    check(offset, 2);
+    return little ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset);
+  };
+  const u32 = (offset) => {
+    check(offset, 4);
+    return little ? tiff.readUInt32LE(offset) : tiff.readUInt32BE(offset);
+  };
+  const i32 = (offset) => {
+    check(offset, 4);
+    return little ? tiff.readInt32LE(offset) : tiff.readInt32BE(offset);
+  };
+  return { tiff, check, u16, u32, i32 };
+}
+
+/**
+ * Lists the entries of an IFD
+ *
+ * @param {Object} reader - See tiffReader()
+ * @param {number} offset - IFD offset within the TIFF data
+ * @returns {Array<{tag: number, type: number, count: number, entry: number, valueOffset: number, size: number}>}
+ *   Entries; `valueOffset` is where the value lives (inline or out of line)
+ */
+function readIfd({ check, u16, u32 }, offset) {
+  const count = u16(offset);
+  check(offset + 2, count * 12 + 4);
+  const entries = [];
+  for (let index = 0; index < count; index += 1) {
+    const entry = offset + 2 + index * 12;
+    const type = u16(entry + 2);
+    const items = u32(entry + 4);
+    const size = (TYPE_SIZES[type] || 0) * items;
+    entries.push({
+      tag: u16(entry),
+      type,
+      count: items,
+      entry,
+      size,
+      valueOffset: size > 4 ? u32(entry + 8) : entry + 8
+    });
+  }
+  return entries;
+}
+
+/**
+ * Decodes the value of an IFD entry
+ *
+ * @param {Object} reader - See tiffReader()
+ * @param {Object} entry - From readIfd()
+ * @returns {*} String for ASCII, number or array of numbers otherwise; undefined for unsupported types
+ */
+function readValue(reader, { type, count, valueOffset, size }) {
+  reader.check(valueOffset, size);
+  const values = [];
+  for (let index = 0; index < count; index += 1) {
+    const at = valueOffset + index * TYPE_SIZES[type];
+    switch (type) {
+      case 1:
+      case 7:
+        values.push(reader.tiff[at]);
+        break;
+      case 2:
+        return reader.tiff.toString('latin1', valueOffset, valueOffset + count).replace(/\0[\s\S]*$/, '').trim();
+      case 3:
+        values.push(reader.u16(at));
+        break;
+      case 4:
+        values.push(reader.u32(at));
+        break;
+      case 5:
+      case 10: {
+        const read = type === 5 ? reader.u32 : reader.i32;
+        const denominator = read(at + 4);
+        values.push(denominator === 0 ? 0 : read(at) / denominator);
+        break;
+      }
+      case 9:
+        values.push(reader.i32(at));
+        break;
+      default:
+        return undefined;
+    }
+  }
+  return values.length === 1 ? values[0] : values;
+}
+
+/**
+ * Reads the known tags of an IFD
+ *
+ * @param {Object} reader - See tiffReader()
+ * @param {number} offset - IFD offset
+ * @param {Object<number, string>} names - Tags to read
+ * @returns {{values: Object, pointers: Object<number, number>}} Named values and sub-IFD pointers
+ */
+function readTags(reader, offset, names) {
+  const values = {};
+  const pointers = {};
+  for (const entry of readIfd(reader, offset)) {
+    if (entry.tag === EXIF_IFD_POINTER || entry.tag === GPS_IFD_POINTER) {
+      pointers[entry.tag] = reader.u32(entry.entry + 8);
+    } else if (names[entry.tag]) {
+      values[names[entry.tag]] = readValue(reader, entry);
+    }
+  }
+  return { values, pointers };
+}
+
+/**
+ * Converts an Exif "YYYY:MM:DD HH:MM:SS" date to ISO 8601 (without zone)
+ *
+ * @param {string} [value] - Exif date
+ * @returns {string|null} e.g. "2024-01-01T18:30:00", or null when absent or malformed
+ */
+function exifDate(value) {
+  const match = typeof value === 'string' && /^(\d{4}):(\d{2}):(\d{2}) (\d{2}:\d{2}:\d{2})$/.exec(value);
+  return match ? `${match[1]}-${match[2]}-${match[3]}T${match[4]}` : null;
+}
+
+/**
+ * Converts degrees/minutes/seconds and a hemisphere to signed decimal degrees
+ *
+ * @param {number[]} dms - Degrees, minutes, seconds
+ * @param {string} ref - N, S, E or W
+ * @returns {number|null} Decimal degrees rounded to 7 places, or null when absent
+ */
+function toDegrees(dms, ref) {
+  if (!Array.isArray(dms) || dms.length !== 3) {
+    return null;
+  }
+  const degrees = dms[0] + dms[1] / 60 + dms[2] / 3600;
+  return Math.round((ref === 'S' || ref === 'W' ? -degrees : degrees) * 1e7) / 1e7;
+}
+
+/**
+ * Parses an Exif payload
+ *
+ * @param {Buffer} tiff - TIFF data following the "Exif\0\0" header
+ * @returns {Object} Camera, orientation, timestamps, exposure and GPS details
+ * @throws {JpegError} On malformed data
+ */
+function parseExif(tiff) {
+  const reader = tiffReader(tiff);
+  const ifd0 = readTags(reader, reader.u32(4), TAGS.ifd0);
+  const exif = ifd0.pointers[EXIF_IFD_POINTER] ? readTags(reader, ifd0.pointers[EXIF_IFD_POINTER], TAGS.exif).values : {};
+  const gps = ifd0.pointers[GPS_IFD_POINTER] ? readTags(reader, ifd0.pointers[GPS_IFD_POINTER], TAGS.gps).values : null;
+  const { values } = ifd0;
+
+  let location = null;
+  if (gps) {
+    const time = Array.isArray(gps.timeStamp) ? gps.timeStamp.map((part) => String(Math.floor(part)).padStart(2, '0')).join(':') : null;
+    location = {
+      latitude: toDegrees(gps.latitude, gps.latitudeRef),
+      longitude: toDegrees(gps.longitude, gps.longitudeRef),
+      altitude: typeof gps.altitude === 'number' ? (gps.altitudeRef === 1 ? -gps.altitude : gps.altitude) : null,
+      timestamp: gps.dateStamp && time ? `${gps.dateStamp.replace(/:/g, '-')}T${time}Z` : null
+    };
+  }
+
+  return {
+    camera: { make: values.make || null, model: values.model || null, lens: exif.lensModel || null },
+    software: values.software || null,
+    orientation: values.orientation || null,
+    timestamps: {
+      modified: exifDate(values.dateTime),
+      original: exifDate(exif.dateTimeOriginal),
+      digitized: exifDate(exif.dateTimeDigitized)
+    },
+    exposure: {
+      exposureTime: exif.exposureTime || null,
+      fNumber: exif.fNumber || null,
+      iso: exif.iso || null,
+      focalLength: exif.focalLength || null
+    },
+    gps: location
+  };
+}
+
+/**
+ * Reads the description tag of an ICC profile
+ *
+ * @param {Buffer} profile - ICC profile
+ * @param {number} offset - Tag data offset
+ * @param {number} size - Tag data size
+ * @returns {string|null} The description
+ */
+function iccText(profile, offset, size) {
+  if (offset + size > profile.length || size < 12) {
+    return null;
+  }
+  const type = profile.toString('latin1', offset, offset + 4);
+  if (type === 'desc') {
+    const length = profile.readUInt32BE(offset + 8);
+    return profile.toString('latin1', offset + 12, Math.min(offset + 12 + length, offset + size)).replace(/\0[\s\S]*$/, '');
+  }
+  if (type === 'mluc' && size >= 28) {
+    const length = profile.readUInt32BE(offset + 20);
+    const start = offset + profile.readUInt32BE(offset + 24);
+    if (start + length > offset + size) {
+      return null;
+    }
+    const text = Buffer.from(profile.subarray(start, start + length));
+    return text.swap16().toString('utf16le').replace(/\0[\s\S]*$/, '');
+  }
+  return null;
+}
+
+/**
+ * Parses the header and description of an ICC profile
+ *
+ * @param {Buffer} profile - ICC profile
+ * @returns {Object} `{ description, colorSpace, connectionSpace, deviceClass, version, size }`
+ * @throws {JpegError} When the profile is truncated or lacks its signature
+ */
+function parseIcc(profile) {
+  if (profile.length < 132 || profile.toString('latin1', 36, 40) !== 'acsp') {
+    throw new JpegError('Embedded ICC profile is malformed');
+  }
+  const trim = (start) => profile.toString('latin1', start, start + 4).trim();
+  let description = null;
+  const count = profile.readUInt32BE(128);
+  for (let index = 0; index < count && 132 + index * 12 + 12 <= profile.length; index += 1) {
+    const entry = 132 + index * 12;
+    if (profile.toString('latin1', entry, entry + 4) === 'desc') {
+      description = iccText(profile, profile.readUInt32BE(entry + 4), profile.readUInt32BE(entry + 8));
+    }
+  }
+  return {
+    description,
+    colorSpace: trim(16),
+    connectionSpace: trim(20),
+    deviceClass: trim(12),
+    version: `${profile[8]}.${profile[9] >> 4}.${profile[9] & 0x0f}`,
+    size: profile.length
+  };
+}
+
+/**
+ * Checks whether a segment payload starts with a header
+ *
+ * @param {Buffer} buffer - JPEG data
+ * @param {Object} segment - From readSegments()
+ * @param {Buffer} header - Expected leading bytes
+ * @returns {boolean} True on a match
+ */
+function hasHeader(buffer, { start, end }, header) {
+  return end - start >= header.length && buffer.subarray(start, start + header.length).equals(header);
+}
+
+/**
+ * Reads the metadata of a JPEG
+ *
+ * @param {Buffer} buffer - JPEG data
+ * @returns {Object} `{ width, height, orientation, progressive, bitsPerComponent, components,
+ *   colorSpace, density, exif, icc }`; `exif` and `icc` are null when absent
+ * @throws {JpegError} When the data is not a well-formed JPEG
+ */
+function parseJpeg(buffer) {
+  const segments = readSegments(buffer);
+  const result = {
+    width: null,
+    height: null,
+    orientation: 1,
+    progressive: false,
+    bitsPerComponent: null,
+    components: null,
+    colorSpace: null,
+    density: null,
+    exif: null,
+    icc: null
+  };
+  const iccChunks = [];
+  let adobeTransform = null;
+  let jfif = false;
+
+  for (const segment of segments) {
+    const { marker, start, end } = segment;
+    if (SOF_MARKERS.has(marker) && result.width === null) {
+      if (end - start < 6) {
+        throw new JpegError('Truncated start-of-frame segment');
+      }
+      result.bitsPerComponent = buffer[start];
+      result.height = buffer.readUInt16BE(start + 1);
+      result.width = buffer.readUInt16BE(start + 3);
+      result.components = buffer[start + 5];
+      result.progressive = PROGRESSIVE_MARKERS.has(marker);
+    } else if (marker === 0xe0 && hasHeader(buffer, segment, Buffer.from('JFIF\0', 'latin1')) && end - start >= 12) {
+      jfif = true;
+      const units = ['aspect', 'dpi', 'dpcm'][buffer[start + 7]];
+      result.density = { x: buffer.readUInt16BE(start + 8), y: buffer.readUInt16BE(start + 10), units: units || null };
+    } else if (marker === 0xe1 && hasHeader(buffer, segment, EXIF_HEADER) && !result.exif) {
+      result.exif = parseExif(buffer.subarray(start + EXIF_HEADER.length, end));
+    } else if (marker === 0xe2 && hasHeader(buffer, segment, ICC_HEADER) && end - start > ICC_HEADER.length + 2) {
+      iccChunks.push({ sequence: buffer[start + ICC_HEADER.length], data: buffer.subarray(start + ICC_HEADER.length + 2, end) });
+    } else if (marker === 0xee && hasHeader(buffer, segment, Buffer.from('Adobe', 'latin1')) && end - start >= 12) {
+      adobeTransform = buffer[start + 11];
+    }
+  }
+
+  if (result.width === null) {
+    throw new JpegError('Missing start-of-frame marker');
+  }
+  if (result.exif && result.exif.orientation >= 1 && result.exif.orientation <= 8) {
+    result.orientation = result.exif.orientation;
+  }
+  if (iccChunks.length) {
+    result.icc = parseIcc(Buffer.concat(iccChunks.sort((a, b) => a.sequence - b.sequence).map((chunk) => chunk.data)));
+  }
+  if (result.components === 1) {
+    result.colorSpace = 'Grayscale';
+  } else if (result.components === 4) {
+    result.colorSpace = adobeTransform === 2 ? 'YCCK' : 'CMYK';
+  } else if (result.components === 3) {
+    result.colorSpace = adobeTransform === 0 && !jfif ? 'RGB' : 'YCbCr';
+  }
+  return result;
+}
+
+/**
+ * Removes location data from a JPEG
+ *
+ * @param {Buffer} buffer - JPEG data
+ * @returns {{buffer: Buffer, stripped: boolean}} A copy without GPS data (the
+ *   input itself when there was none) and whether anything was removed
+ * @throws {JpegError} When the data is not a well-formed JPEG
+ */
+function stripGps(buffer) {
+  const segments = readSegments(buffer);
+  const output = Buffer.from(buffer);
+  const drop = [];
+  let stripped = false;
+
+  for (const segment of segments) {
+    if (segment.marker !== 0xe1) {
+      continue;
+    }
+    if (hasHeader(buffer, segment, XMP_HEADER)) {
+      drop.push(segment);
+      stripped = true;
+      continue;
+    }
+    if (!hasHeader(buffer, segment, EXIF_HEADER)) {
+      continue;
+    }
+    const tiff = output.subarray(segment.start + EXIF_HEADER.length, segment.end);
+    const reader = tiffReader(tiff);
+    const ifd0 = reader.u32(4);
+    const entries = readIfd(reader, ifd0);
+    const pointer = entries.find((entry) => entry.tag === GPS_IFD_POINTER);
+    if (!pointer) {
+      continue;
+    }
+
+    // Zero the GPS IFD and every value it points to
+    const gpsOffset = reader.u32(pointer.entry + 8);
+    const gpsEntries = readIfd(reader, gpsOffset);
+    for (const entry of gpsEntries) {
+      if (entry.size > 4) {
+        reader.check(entry.valueOffset, entry.size);
+        tiff.fill(0, entry.valueOffset, entry.valueOffset + entry.size);
+      }
+    }
+    tiff.fill(0, gpsOffset, gpsOffset + 2 + gpsEntries.length * 12 + 4);
+
+    // Unlink it from IFD0: shift the later entries and the next-IFD offset up
+    const count = entries.length;
+    const tableEnd = ifd0 + 2 + count * 12 + 4;
+    tiff.copy(tiff, pointer.entry, pointer.entry + 12, tableEnd);
+    tiff.fill(0, tableEnd - 12, tableEnd);
+    if (tiff.toString('latin1', 0, 2) === 'II') {
+      tiff.writeUInt16LE(count - 1, ifd0);
+    } else {
+      tiff.writeUInt16BE(count - 1, ifd0);
+    }
+    stripped = true;
+  }
+
+  if (!stripped) {
+    return { buffer, stripped };
+  }
+  const parts = [];
+  let position = 0;
+  for (const { offset, end } of drop) {
+    parts.push(output.subarray(position, offset));
+    position = end;
+  }
+  parts.push(output.subarray(position));
+  return { buffer: Buffer.concat(parts), stripped };
+}
+
+module.exports = {
+  JpegError,
+  parseJpeg,
+  stripGps
+};
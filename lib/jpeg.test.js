@@ -0,0 +1,281 @@
+/**
+ * Unit Tests for JPEG metadata
+ *
+ * @module lib/jpeg.test
+ */
+
+const fs = require('fs');
+const path = require('path');
+const jpegJs = require('jpeg-js');
+const { JpegError, parseJpeg, stripGps } = require('./jpeg');
+
+const DEMO = fs.readFileSync(path.join(__dirname, '..', 'media', 'demo.jpg'));
+
+/**
+ * Encodes a big-endian IFD; values longer than four bytes follow the table
+ *
+ * @param {Array<[number, number, *]>} entries - `[tag, type, value]`; ASCII
+ *   strings, SHORT/LONG numbers, RATIONAL `[numerator, denominator]` lists
+ * @param {number} offset - Where the IFD starts in the TIFF data
+ * @returns {Buffer} The IFD
+ */
+function ifd(entries, offset) {
+  const table = Buffer.alloc(2 + entries.length * 12 + 4);
+  const extra = [];
+  let dataOffset = offset + table.length;
+  table.writeUInt16BE(entries.length, 0);
+  entries.forEach(([tag, type, value], index) => {
+    let data;
+    let count;
+    if (type === 2) {
+      data = Buffer.from(`${value}\0`, 'latin1');
+      count = data.length;
+    } else if (type === 5) {
+      data = Buffer.alloc(value.length * 8);
+      value.forEach(([numerator, denominator], i) => {
+        data.writeUInt32BE(numerator, i * 8);
+        data.writeUInt32BE(denominator, i * 8 + 4);
+      });
+      count = value.length;
+    } else {
+      data = Buffer.alloc(4);
+      if (type === 3) data.writeUInt16BE(value, 0);
+      else data.writeUInt32BE(value, 0);
+      count = 1;
+    }
+    const at = 2 + index * 12;
+    table.writeUInt16BE(tag, at);
+    table.writeUInt16BE(type, at + 2);
+    table.writeUInt32BE(count, at + 4);
+    if (data.length <= 4) {
+      data.copy(table, at + 8);
+    } else {
+      table.writeUInt32BE(dataOffset, at + 8);
+      extra.push(data);
+      dataOffset += data.length;
+    }
+  });
+  return Buffer.concat([table, ...extra]);
+}
+
+/**
+ * Builds an APP1 Exif segment
+ *
+ * @param {Object} [options]
+ * @param {Array} [options.tags] - IFD0 entries
+ * @param {Array} [options.exif] - Exif IFD entries
+ * @param {Array} [options.gps] - GPS IFD entries
+ * @returns {Buffer} The segment, marker included
+ */
+function exifSegment({ tags = [], exif, gps } = {}) {
+  const pointers = [];
+  if (exif) pointers.push([0x8769, 4, 0]);
+  if (gps) pointers.push([0x8825, 4, 0]);
+  const ifd0Length = ifd([...tags, ...pointers], 8).length;
+  let next = 8 + ifd0Length;
+  const blocks = [];
+  for (const [entries, pointer] of [[exif, 0x8769], [gps, 0x8825]]) {
+    if (entries) {
+      pointers.find(([tag]) => tag === pointer)[2] = next;
+      blocks.push(ifd(entries, next));
+      next += blocks[blocks.length - 1].length;
+    }
+  }
+  const header = Buffer.from('MM\0\x2a\0\0\0\x08', 'latin1');
+  const payload = Buffer.concat([Buffer.from('Exif\0\0', 'latin1'), header, ifd([...tags, ...pointers], 8), ...blocks]);
+  return segment(0xe1, payload);
+}
+
+/**
+ * Builds a marker segment
+ */
+function segment(marker, payload) {
+  const head = Buffer.alloc(4);
+  head.writeUInt16BE(0xff00 | marker, 0);
+  head.writeUInt16BE(payload.length + 2, 2);
+  return Buffer.concat([head, payload]);
+}
+
+/**
+ * Builds a version 2 ICC profile with a `desc` tag
+ */
+function iccProfile(description) {
+  const text = Buffer.from(`${description}\0`, 'latin1');
+  const desc = Buffer.alloc(12 + text.length);
+  desc.write('desc', 0, 'latin1');
+  desc.writeUInt32BE(text.length, 8);
+  text.copy(desc, 12);
+  const profile = Buffer.alloc(144 + desc.length);
+  profile.writeUInt32BE(profile.length, 0);
+  profile[8] = 2;
+  profile[9] = 0x40;
+  profile.write('mntrRGB XYZ ', 12, 'latin1');
+  profile.write('acsp', 36, 'latin1');
+  profile.writeUInt32BE(1, 128);
+  profile.write('desc', 132, 'latin1');
+  profile.writeUInt32BE(144, 136);
+  profile.writeUInt32BE(desc.length, 140);
+  desc.copy(profile, 144);
+  return profile;
+}
+
+/**
+ * Inserts segments after the start-of-image marker of a small encoded image
+ */
+function withSegments(...segments) {
+  const image = jpegJs.encode({ width: 8, height: 4, data: Buffer.alloc(8 * 4 * 4, 0x80) }, 90).data;
+  return Buffer.concat([image.subarray(0, 2), ...segments, image.subarray(2)]);
+}
+
+const GPS = [
+  [0x0001, 2, 'N'],
+  [0x0002, 5, [[52, 1], [31, 1], [1234, 100]]],
+  [0x0003, 2, 'W'],
+  [0x0004, 5, [[13, 1], [24, 1], [0, 1]]],
+  [0x0006, 5, [[345, 10]]],
+  [0x0007, 5, [[14, 1], [5, 1], [9, 1]]],
+  [0x001d, 2, '2024:05:01']
+];
+
+const CAMERA = {
+  tags: [
+    [0x010f, 2, 'Acme'],
+    [0x0110, 2, 'Shooter 3000'],
+    [0x0112, 3, 6],
+    [0x0131, 2, 'Firmware 1.2'],
+    [0x0132, 2, '2024:05:02 10:00:00']
+  ],
+  exif: [
+    [0x829a, 5, [[1, 250]]],
+    [0x829d, 5, [[28, 10]]],
+    [0x8827, 3, 400],
+    [0x9003, 2, '2024:05:01 14:05:09'],
+    [0x9004, 2, '2024:05:01 14:05:10'],
+    [0x920a, 5, [[35, 1]]],
+    [0xa434, 2, 'Acme 35mm f/2.8']
+  ],
+  gps: GPS
+};
+
+describe('JPEG Metadata', () => {
+  describe('parseJpeg()', () => {
+    it('should describe demo.jpg', () => {
+      expect(parseJpeg(DEMO)).toEqual(expect.objectContaining({
+        width: 3840,
+        height: 2160,
+        orientation: 1,
+        progressive: false,
+        bitsPerComponent: 8,
+        components: 3,
+        colorSpace: 'YCbCr',
+        icc: {
+          description: 'sRGB IEC61966-2.1',
+          colorSpace: 'RGB',
+          connectionSpace: 'XYZ',
+          deviceClass: 'mntr',
+          version: '2.1.0',
+          size: 3144
+        }
+      }));
+      expect(parseJpeg(DEMO).exif.gps).toBeNull();
+    });
+
+    it('should read camera, orientation, timestamps, exposure and GPS from Exif', () => {
+      const metadata = parseJpeg(withSegments(exifSegment(CAMERA)));
+      expect(metadata.orientation).toBe(6);
+      expect(metadata.density).toEqual({ x: 1, y: 1, units: 'aspect' });
+      expect(metadata.exif).toEqual({
+        camera: { make: 'Acme', model: 'Shooter 3000', lens: 'Acme 35mm f/2.8' },
+        software: 'Firmware 1.2',
+        orientation: 6,
+        timestamps: {
+          modified: '2024-05-02T10:00:00',
+          original: '2024-05-01T14:05:09',
+          digitized: '2024-05-01T14:05:10'
+        },
+        exposure: { exposureTime: 0.004, fNumber: 2.8, iso: 400, focalLength: 35 },
+        gps: { latitude: 52.5200944, longitude: -13.4, altitude: 34.5, timestamp: '2024-05-01T14:05:09Z' }
+      });
+    });
+
+    it('should join an ICC profile split across APP2 segments', () => {
+      const profile = iccProfile('Test Profile');
+      const chunk = (sequence, data) => segment(0xe2, Buffer.concat([
+        Buffer.from('ICC_PROFILE\0', 'latin1'), Buffer.from([sequence, 2]), data
+      ]));
+      const buffer = withSegments(chunk(2, profile.subarray(100)), chunk(1, profile.subarray(0, 100)));
+      expect(parseJpeg(buffer).icc).toEqual({
+        description: 'Test Profile',
+        colorSpace: 'RGB',
+        connectionSpace: 'XYZ',
+        deviceClass: 'mntr',
+        version: '2.4.0',
+        size: profile.length
+      });
+    });
+
+    it('should report progressive and grayscale frames', () => {
+      const sof = Buffer.from('ffc2000b080010002001011100', 'hex');
+      const buffer = Buffer.concat([Buffer.from('ffd8', 'hex'), sof, Buffer.from('ffda0008010100003f00', 'hex')]);
+      expect(parseJpeg(buffer)).toEqual(expect.objectContaining({
+        width: 32, height: 16, progressive: true, components: 1, colorSpace: 'Grayscale', exif: null, icc: null
+      }));
+    });
+
+    it.each([
+      ['empty data', Buffer.alloc(0), /start-of-image/],
+      ['a PNG', Buffer.from('89504e470d0a1a0a', 'hex'), /start-of-image/],
+      ['a truncated segment', DEMO.subarray(0, 30), /Truncated/],
+      ['garbage between segments', Buffer.from('ffd8ffe0000400000102', 'hex'), /Expected a marker/],
+      ['no frame header', Buffer.from('ffd8ffda0008010100003f00', 'hex'), /start-of-frame/],
+      ['no scan', Buffer.from('ffd8ffd9', 'hex'), /start-of-scan/]
+    ])('should reject %s', (name, buffer, message) => {
+      expect(() => parseJpeg(buffer)).toThrow(JpegError);
+      expect(() => parseJpeg(buffer)).toThrow(message);
+    });
+
+    it('should reject Exif offsets pointing outside the segment', () => {
+      const exif = exifSegment({ tags: [[0x010f, 2, 'Acme camera']] });
+      exif.writeUInt32BE(0xfff0, 4 + 6 + 8 + 2 + 8);
+      expect(() => parseJpeg(withSegments(exif))).toThrow(/outside its segment/);
+      const badOrder = exifSegment();
+      badOrder.write('XX', 10, 'latin1');
+      expect(() => parseJpeg(withSegments(badOrder))).toThrow(/byte order/);
+    });
+  });
+
+  describe('stripGps()', () => {
+    it('should remove the GPS IFD and keep every other tag', () => {
+      const original = withSegments(exifSegment(CAMERA));
+      const { buffer, stripped } = stripGps(original);
+      expect(stripped).toBe(true);
+      expect(buffer.length).toBe(original.length);
+      const metadata = parseJpeg(buffer);
+      expect(metadata.exif.gps).toBeNull();
+      expect(metadata.exif.camera.model).toBe('Shooter 3000');
+      expect(metadata.exif.exposure.iso).toBe(400);
+      expect(buffer.includes(Buffer.from('2024:05:01\0', 'latin1'))).toBe(false);
+      expect(jpegJs.decode(buffer).width).toBe(8);
+    });
+
+    it('should drop XMP packets', () => {
+      const xmp = segment(0xe1, Buffer.from('http://ns.adobe.com/xap/1.0/\0<x:xmpmeta exif:GPSLatitude="52,31N"/>', 'latin1'));
+      const original = withSegments(exifSegment({ tags: [[0x0112, 3, 1]] }), xmp);
+      const { buffer, stripped } = stripGps(original);
+      expect(stripped).toBe(true);
+      expect(buffer.length).toBe(original.length - xmp.length);
+      expect(buffer.includes(Buffer.from('GPSLatitude'))).toBe(false);
+      expect(parseJpeg(buffer).orientation).toBe(1);
+    });
+
+    it('should return images without location data unchanged', () => {
+      const { buffer, stripped } = stripGps(DEMO);
+      expect(stripped).toBe(false);
+      expect(buffer).toBe(DEMO);
+    });
+
+    it('should reject data that is not a JPEG', () => {
+      expect(() => stripGps(Buffer.from('not a jpeg'))).toThrow(JpegError);
+    });
+  });
+});
@@ -0,0 +1,289 @@
+/**
+ * Structured Logging
+ *
+ * Log entries are single-line JSON objects:
+ *
+ *     {"time":"2024-01-01T18:30:00.000Z","level":"info","msg":"GET /evening 200","type":"access",...}
+ *
+ * A logger drops entries below its level and hands each line to a
+ * destination: anything with a `write(line)` method. `stdoutDestination()`
+ * and the size-rotated `createFileDestination()` are provided.
+ *
+ * `accessLog()` records one entry per request with its correlation id
+ * (`req.id`, see lib/request-id). Credentials in request headers and cookie
+ * values are redacted before they reach the log.
+ *
+ * @module lib/logger
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Log levels in ascending order of severity; `silent` disables logging
+ * @type {string[]}
+ */
+const LOG_LEVELS = Object.freeze(['debug', 'info', 'warn', 'error', 'silent']);
+
+/**
+ * Request headers whose values never reach the log
+ * @type {string[]}
+ */
+const SENSITIVE_HEADERS = Object.freeze(['authorization', 'proxy-authorization', 'cookie', 'set-cookie', 'x-api-key']);
+
+/**
+ * Placeholder for redacted values
+ * @type {string}
+ */
+const REDACTED = '[REDACTED]';
+
+/**
+ * Checks a log level name
+ *
+ * @param {*} value - Candidate level
+ * @returns {string|null} Problem description, or null when valid
+ */
+function validateLevel(value) {
+  return LOG_LEVELS.includes(value) ? null : `must be one of ${LOG_LEVELS.join(', ')}`;
+}
+
+/**
+ * Creates a destination writing to standard output
+ *
+ * @param {stream.Writable} [stream=process.stdout] - Target stream
+ * @returns {{write: Function}} The destination
+ */
+function stdoutDestination(stream = process.stdout) {
+  return {
+    write: (line) => stream.write(line)
+  };
+}
+
+/**
+ * Creates a destination appending to a file, rotated by size
+ *
+ * When a line would grow the file beyond `maxSize`, `app.log` becomes
+ * `app.log.1`, `app.log.1` becomes `app.log.2` and so on; the oldest beyond
+ * `maxFiles` is deleted. Writes are synchronous so entries are never lost on
+ * a crash and never interleave.
+ *
+ * @param {string} file - Log file path
+ * @param {Object} [options]
+ * @param {number} [options.maxSize=10485760] - Bytes per file; 0 disables rotation
+ * @param {number} [options.maxFiles=5] - Rotated files to keep
+ * @returns {{write: Function, close: Function}} The destination
+ */
+function createFileDestination(file, { maxSize = 10 * 1024 * 1024, maxFiles = 5 } = {}) {
+  const target = path.resolve(file);
+  let fd = null;
+  let size = 0;
+
+  const open = () => {
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fd = fs.openSync(target, 'a');
+    size = fs.fstatSync(fd).size;
+  };
+
+  const rotate = () => {
+    fs.closeSync(fd);
+    fd = null;
+    fs.rmSync(`${target}.${maxFiles}`, { force: true });
+    for (let index = maxFiles - 1; index >= 1; index -= 1) {
+      if (fs.existsSync(`${target}.${index}`)) {
+        fs.renameSync(`${target}.${index}`, `${target}.${index + 1}`);
+      }
+    }
+    if (maxFiles > 0) {
+      fs.renameSync(target, `${target}.1`);
+    } else {
+      fs.rmSync(target, { force: true });
+    }
+    open();
+  };
+
+  return {
+    /**
+     * @param {string} line - Complete log line, newline included
+     */
+    write(line) {
+      if (fd === null) {
+        open();
+      }
+      const bytes = Buffer.byteLength(line);
+      if (maxSize && size > 0 && size + bytes > maxSize) {
+        rotate();
+      }
+      fs.writeSync(fd, line);
+      size += bytes;
+    },
+
+    close() {
+      if (fd !== null) {
+        fs.closeSync(fd);
+        fd = null;
+      }
+    }
+  };
+}
+
+/**
+ * Converts Error values so they survive JSON serialization
+ *
+ * @param {string} key - Property name
+ * @param {*} value - Property value
+ * @returns {*} Serializable value
+ */
+function serialize(key, value) {
+  if (value instanceof Error) {
+    return { name: value.name, message: value.message, stack: value.stack };
+  }
+  return typeof value === 'bigint' ? String(value) : value;
+}
+
+/**
+ * Creates a JSON logger
+ *
+ * Every method takes a message and optional fields. `log` is an alias of
+ * `info`, so the logger can stand in for `console` where modules accept a
+ * `logger` option.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.level='info'] - Lowest level written, one of LOG_LEVELS
+ * @param {{write: Function}} [options.destination] - Receives each line; stdout by default
+ * @param {Object} [options.fields] - Fields added to every entry
+ * @param {Function} [options.now] - Clock returning a Date, for tests
+ * @returns {Object} The logger
+ * @throws {TypeError} On an unknown level
+ */
+function createLogger({ level = 'info', destination = stdoutDestination(), fields = {}, now = () => new Date() } = {}) {
+  const problem = validateLevel(level);
+  if (problem) {
+    throw new TypeError(`Log level "${level}" ${problem}`);
+  }
+  const threshold = LOG_LEVELS.indexOf(level);
+
+  const enabled = (name) => LOG_LEVELS.indexOf(name) >= threshold && name !== 'silent';
+
+  const write = (name) => (msg, extra = {}) => {
+    if (!enabled(name)) {
+      return;
+    }
+    const entry = { time: now().toISOString(), level: name, msg: String(msg), ...fields, ...extra };
+    destination.write(`${JSON.stringify(entry, serialize)}\n`);
+  };
+
+  return {
+    level,
+    enabled,
+    debug: write('debug'),
+    info: write('info'),
+    log: write('info'),
+    warn: write('warn'),
+    error: write('error'),
+
+    /**
+     * @param {Object} childFields - Fields added to every entry of the child
+     * @returns {Object} A logger sharing this one's level and destination
+     */
+    child: (childFields) => createLogger({ level, destination, fields: { ...fields, ...childFields }, now })
+  };
+}
+
+/**
+ * Copies request headers with credentials removed
+ *
+ * Authorization headers keep their scheme; cookies keep their names.
+ *
+ * @param {Object<string, (string|string[])>} headers - Request headers (lower-case names)
+ * @returns {Object<string, (string|string[])>} Headers safe to log
+ */
+function redactHeaders(headers) {
+  const safe = {};
+  for (const [name, value] of Object.entries(headers || {})) {
+    if (!SENSITIVE_HEADERS.includes(name)) {
+      safe[name] = value;
+    } else if (name === 'cookie') {
+      safe[name] = String(value).split(';')
+        .map((pair) => `${pair.split('=')[0].trim()}=${REDACTED}`)
+        .join('; ');
+    } else if (/authorization$/.test(name) && /^\S+\s/.test(value)) {
+      safe[name] = `${String(value).split(/\s/)[0]} ${REDACTED}`;
+    } else {
+      safe[name] = REDACTED;
+    }
+  }
+  return safe;
+}
+
+/**
+ * Creates middleware logging one entry per request
+ *
+ * The entry is written once the response finishes (or the client goes
+ * away), at `error` for 5xx, `warn` for 4xx and `info` otherwise.
+ *
+ * @param {Object} logger - See createLogger()
+ * @returns {Function} Express middleware
+ */
+function accessLog(logger) {
+  return (req, res, next) => {
+    const start = process.hrtime.bigint();
+    let bytes = 0;
+    let logged = false;
+
+    const count = (chunk, encoding) => {
+      if (typeof chunk === 'string') {
+        bytes += Buffer.byteLength(chunk, typeof encoding === 'string' ? encoding : 'utf8');
+      } else if (chunk && chunk.length) {
+        bytes += chunk.length;
+      }
+    };
+    const { write, end } = res;
+    res.write = function countedWrite(chunk, encoding, ...rest) {
+      count(chunk, encoding);
+      return write.call(this, chunk, encoding, ...rest);
+    };
+    res.end = function countedEnd(chunk, encoding, ...rest) {
+      if (typeof chunk !== 'function') {
+        count(chunk, encoding);
+      }
+      return end.call(this, chunk, encoding, ...rest);
+    };
+
+    const done = () => {
+      if (logged) {
+        return;
+      }
+      logged = true;
+      const status = res.statusCode;
+      const level = status >= 500 ? 'error' : status >= 400 ? 'warn' : 'info';
+      logger[level](`${req.method} ${req.originalUrl} ${status}`, {
+        type: 'access',
+        requestId: req.id,
+        method: req.method,
+        path: req.originalUrl,
+        status,
+        bytes,
+        latencyMs: Number(process.hrtime.bigint() - start) / 1e6,
+        userAgent: req.get('User-Agent') || null,
+        remoteAddress: req.ip,
+        user: req.user ? req.user.username : null,
+        aborted: !res.writableFinished,
+        headers: redactHeaders(req.headers)
+      });
+    };
+    res.once('finish', done);
+    res.once('close', done);
+    next();
+  };
+}
+
+module.exports = {
+  LOG_LEVELS,
+  SENSITIVE_HEADERS,
+  validateLevel,
+  stdoutDestination,
+  createFileDestination,
+  createLogger,
+  redactHeaders,
+  accessLog
+};
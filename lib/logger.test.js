@@ -0,0 +1,170 @@
+/**
+ * Unit Tests for structured logging
+ *
+ * @module lib/logger.test
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const {
+  validateLevel,
+  createFileDestination,
+  createLogger,
+  redactHeaders,
+  accessLog
+} = require('./logger');
+const { requestId } = require('./request-id');
+
+describe('Logging', () => {
+  const memory = () => {
+    const lines = [];
+    return { lines, write: (line) => lines.push(line), entries: () => lines.map((line) => JSON.parse(line)) };
+  };
+  const now = () => new Date(Date.UTC(2024, 0, 1, 18, 30));
+
+  describe('createLogger()', () => {
+    it('should write one JSON line per entry with time, level and fields', () => {
+      const destination = memory();
+      const logger = createLogger({ destination, now, fields: { service: 'hello' } });
+      logger.info('Server running', { port: 3000 });
+      expect(destination.lines).toEqual([
+        '{"time":"2024-01-01T18:30:00.000Z","level":"info","msg":"Server running","service":"hello","port":3000}\n'
+      ]);
+    });
+
+    it('should drop entries below the level', () => {
+      const destination = memory();
+      const logger = createLogger({ level: 'warn', destination, now });
+      logger.debug('a');
+      logger.info('b');
+      logger.log('c');
+      logger.warn('d');
+      logger.error('e');
+      expect(destination.entries().map((entry) => entry.level)).toEqual(['warn', 'error']);
+      expect(logger.enabled('info')).toBe(false);
+    });
+
+    it('should write nothing when silent', () => {
+      const destination = memory();
+      createLogger({ level: 'silent', destination }).error('boom');
+      expect(destination.lines).toEqual([]);
+    });
+
+    it('should serialize errors and add child fields', () => {
+      const destination = memory();
+      createLogger({ destination, now }).child({ requestId: 'r-1' }).error('failed', { err: new TypeError('bad') });
+      const [entry] = destination.entries();
+      expect(entry).toMatchObject({ requestId: 'r-1', err: { name: 'TypeError', message: 'bad' } });
+      expect(entry.err.stack).toMatch(/^TypeError: bad/);
+    });
+
+    it('should reject unknown levels', () => {
+      expect(validateLevel('verbose')).toMatch(/must be one of debug, info, warn, error, silent/);
+      expect(() => createLogger({ level: 'verbose' })).toThrow(TypeError);
+    });
+  });
+
+  describe('createFileDestination()', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'logger-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should append to the file, creating its directory', () => {
+      const file = path.join(dir, 'logs', 'app.log');
+      const destination = createFileDestination(file);
+      destination.write('one\n');
+      destination.write('two\n');
+      destination.close();
+      createFileDestination(file).write('three\n');
+      expect(fs.readFileSync(file, 'utf8')).toBe('one\ntwo\nthree\n');
+    });
+
+    it('should rotate by size and keep maxFiles old files', () => {
+      const file = path.join(dir, 'app.log');
+      const destination = createFileDestination(file, { maxSize: 10, maxFiles: 2 });
+      for (const line of ['aaaa\n', 'bbbb\n', 'cccc\n', 'dddd\n', 'eeee\n', 'ffff\n', 'gggg\n']) {
+        destination.write(line);
+      }
+      destination.close();
+      expect(fs.readFileSync(file, 'utf8')).toBe('gggg\n');
+      expect(fs.readFileSync(`${file}.1`, 'utf8')).toBe('eeee\nffff\n');
+      expect(fs.readFileSync(`${file}.2`, 'utf8')).toBe('cccc\ndddd\n');
+      expect(fs.existsSync(`${file}.3`)).toBe(false);
+    });
+  });
+
+  describe('redactHeaders()', () => {
+    it('should hide credentials but keep schemes and cookie names', () => {
+      expect(redactHeaders({
+        host: 'example.com',
+        authorization: 'Bearer abc.def',
+        'proxy-authorization': 'opaque',
+        cookie: 'sid=abc.123; theme=dark',
+        'x-api-key': 'k'
+      })).toEqual({
+        host: 'example.com',
+        authorization: 'Bearer [REDACTED]',
+        'proxy-authorization': '[REDACTED]',
+        cookie: 'sid=[REDACTED]; theme=[REDACTED]',
+        'x-api-key': '[REDACTED]'
+      });
+    });
+  });
+
+  describe('accessLog()', () => {
+    const makeApp = (destination) => {
+      const app = express();
+      app.use(requestId);
+      app.use(accessLog(createLogger({ destination, now })));
+      app.get('/hello', (req, res) => res.send('héllo'));
+      app.get('/fail', (req, res) => res.status(503).send('down'));
+      app.get('/missing', (req, res) => res.status(404).end());
+      return app;
+    };
+
+    it('should log method, path, status, bytes, latency and client details', async () => {
+      const destination = memory();
+      await request(makeApp(destination)).get('/hello?x=1')
+        .set('User-Agent', 'curl/8.0')
+        .set('X-Request-Id', 'req-42')
+        .set('Cookie', 'sid=secret');
+      const [entry] = destination.entries();
+      expect(entry).toMatchObject({
+        level: 'info',
+        msg: 'GET /hello?x=1 200',
+        type: 'access',
+        requestId: 'req-42',
+        method: 'GET',
+        path: '/hello?x=1',
+        status: 200,
+        bytes: 6,
+        userAgent: 'curl/8.0',
+        user: null,
+        aborted: false
+      });
+      expect(entry.remoteAddress).toMatch(/127\.0\.0\.1|::1/);
+      expect(entry.latencyMs).toBeGreaterThanOrEqual(0);
+      expect(entry.headers.cookie).toBe('sid=[REDACTED]');
+      expect(destination.lines.join('')).not.toContain('secret');
+    });
+
+    it('should pick the level from the status', async () => {
+      const destination = memory();
+      const app = makeApp(destination);
+      await request(app).get('/fail');
+      await request(app).get('/missing');
+      await request(app).head('/hello');
+      expect(destination.entries().map(({ level, status, bytes }) => [level, status, bytes]))
+        .toEqual([['error', 503, 4], ['warn', 404, 0], ['info', 200, 0]]);
+    });
+  });
+});
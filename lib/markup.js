@@ -0,0 +1,24 @@
+/**
+ * Markup Escaping
+ *
+ * @module lib/markup
+ */
+
+/**
+ * Escapes text for use in HTML or XML content and attribute values
+ *
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeMarkup(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+module.exports = {
+  escapeMarkup
+};
@@ -0,0 +1,384 @@
+/**
+ * Static Media
+ *
+ * Streams files from a media directory with the HTTP caching and partial
+ * content machinery clients expect:
+ *
+ * - strong ETags (SHA-256 of the content) and Last-Modified
+ * - If-None-Match / If-Modified-Since answered with 304 Not Modified
+ * - If-Match / If-Unmodified-Since answered with 412 Precondition Failed
+ * - Range requests: 206 with one range, `multipart/byteranges` with several,
+ *   416 when none can be satisfied; If-Range falls back to the full file
+ *   once it changed
+ *
+ * The Content-Type comes from the file's leading bytes (see lib/sniff), not
+ * its name. Only regular files inside the directory are served: `..`,
+ * hidden files and symbolic links resolving outside the root are 404s.
+ *
+ * A store can serve a sanitized copy in place of a file (see lib/images,
+ * which removes GPS data from JPEGs): validators, size and type then
+ * describe the copy.
+ *
+ * @module lib/media
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Readable, pipeline } = require('stream');
+const express = require('express');
+const { operation } = require('./openapi');
+const { HttpError, NotFoundError, PreconditionFailedError } = require('./errors');
+const { SNIFF_LENGTH, sniffType } = require('./sniff');
+
+/**
+ * Most ranges honored in one request; longer lists get the whole file
+ * @type {number}
+ */
+const MAX_RANGES = 16;
+
+/**
+ * Checks a decoded path segment
+ *
+ * @param {string} segment - One segment of the requested path
+ * @returns {boolean} True when it names a visible entry of its directory
+ */
+function isSafeSegment(segment) {
+  return segment !== '' && !segment.startsWith('.') && !/[/\\\0]/.test(segment);
+}
+
+/**
+ * Computes the strong ETag and sniffed type of a file
+ *
+ * @param {string} file - Absolute path
+ * @returns {Promise<{etag: string, type: string}>} The file's validators
+ */
+async function describe(file) {
+  const hash = crypto.createHash('sha256');
+  let head = Buffer.alloc(0);
+  for await (const chunk of fs.createReadStream(file)) {
+    if (head.length < SNIFF_LENGTH) {
+      head = Buffer.concat([head, chunk.subarray(0, SNIFF_LENGTH - head.length)]);
+    }
+    hash.update(chunk);
+  }
+  return { etag: `"${hash.digest('base64url')}"`, type: sniffType(head) };
+}
+
+/**
+ * Checks whether a file exists
+ *
+ * @param {string} file - Path
+ * @returns {Promise<boolean>} True when it does
+ */
+async function exists(file) {
+  try {
+    await fs.promises.access(file);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Creates a media store over a directory
+ *
+ * ETags and types are cached per file until its size, mtime or inode changes.
+ *
+ * @param {string} root - Media directory
+ * @param {Object} [options]
+ * @param {Function} [options.sanitize] - `async (file, type)` returning the path
+ *   of a copy to serve instead, or null to serve the file itself
+ * @returns {Object} The store
+ */
+function createMediaStore(root, { sanitize } = {}) {
+  const cache = new Map();
+
+  return {
+    root: path.resolve(root),
+
+    /**
+     * Finds a file by its path segments
+     *
+     * @param {string[]} segments - Decoded path segments below the root
+     * @returns {Promise<Object|null>} `{ file, size, mtime, etag, type }`, or null
+     *   when there is no such file or it lies outside the root; `file` is the
+     *   sanitized copy when there is one
+     */
+    async resolve(segments) {
+      if (!segments.length || !segments.every(isSafeSegment)) {
+        return null;
+      }
+      let base;
+      let file;
+      let stat;
+      try {
+        base = await fs.promises.realpath(this.root);
+        file = await fs.promises.realpath(path.join(base, ...segments));
+        stat = await fs.promises.stat(file);
+      } catch (err) {
+        if (err.code === 'ENOENT' || err.code === 'ENOTDIR' || err.code === 'ELOOP') {
+          return null;
+        }
+        throw err;
+      }
+      if (!file.startsWith(base + path.sep) || !stat.isFile()) {
+        return null;
+      }
+
+      const version = `${stat.ino}:${stat.size}:${stat.mtimeMs}`;
+      let cached = cache.get(file);
+      if (!cached || cached.version !== version || (cached.file !== file && !(await exists(cached.file)))) {
+        cached = { version, file, size: stat.size, ...(await describe(file)) };
+        const copy = sanitize ? await sanitize(file, cached.type) : null;
+        if (copy) {
+          const { size } = await fs.promises.stat(copy);
+          cached = { version, file: copy, size, ...(await describe(copy)) };
+        }
+        cache.set(file, cached);
+      }
+      return { file: cached.file, size: cached.size, mtime: stat.mtime, etag: cached.etag, type: cached.type };
+    }
+  };
+}
+
+/**
+ * Parses a Range header
+ *
+ * @param {string} [header] - Range header value
+ * @param {number} size - File size in bytes
+ * @returns {Array<{start: number, end: number}>|null} Satisfiable ranges in
+ *   request order (empty when none is), or null when the header is absent,
+ *   malformed or asks for more than MAX_RANGES ranges and should be ignored
+ */
+function parseRanges(header, size) {
+  const match = /^bytes=(.+)$/i.exec(header || '');
+  if (!match) {
+    return null;
+  }
+  const specs = match[1].split(',').map((spec) => spec.trim());
+  if (specs.length > MAX_RANGES) {
+    return null;
+  }
+  const ranges = [];
+  for (const spec of specs) {
+    const parts = /^(\d*)-(\d*)$/.exec(spec);
+    if (!parts || (parts[1] === '' && parts[2] === '')) {
+      return null;
+    }
+    if (parts[1] === '') {
+      const suffix = Number(parts[2]);
+      if (suffix > 0 && size > 0) {
+        ranges.push({ start: Math.max(0, size - suffix), end: size - 1 });
+      }
+      continue;
+    }
+    const start = Number(parts[1]);
+    if (parts[2] !== '' && Number(parts[2]) < start) {
+      return null;
+    }
+    const end = parts[2] === '' ? size - 1 : Number(parts[2]);
+    if (start < size) {
+      ranges.push({ start, end: Math.min(end, size - 1) });
+    }
+  }
+  return ranges;
+}
+
+/**
+ * Truncates a modification time to the one-second precision of HTTP dates
+ *
+ * @param {Date} mtime - Modification time
+ * @returns {number} Milliseconds since the epoch, whole seconds
+ */
+function httpTime(mtime) {
+  return Math.floor(mtime.getTime() / 1000) * 1000;
+}
+
+/**
+ * Splits an entity-tag list
+ *
+ * @param {string} header - If-Match or If-None-Match value
+ * @returns {string[]} The tags, weak ones keeping their W/ prefix
+ */
+function parseTags(header) {
+  return header.split(',').map((tag) => tag.trim()).filter(Boolean);
+}
+
+/**
+ * Evaluates If-Match and If-Unmodified-Since
+ *
+ * @param {express.Request} req - The request
+ * @param {Object} entry - Resolved file
+ * @returns {string|null} Name of the failed precondition, or null
+ */
+function failedPrecondition(req, entry) {
+  const ifMatch = req.get('If-Match');
+  if (ifMatch !== undefined) {
+    const tags = parseTags(ifMatch);
+    return tags.includes('*') || tags.includes(entry.etag) ? null : 'If-Match';
+  }
+  const since = Date.parse(req.get('If-Unmodified-Since') || '');
+  return !Number.isNaN(since) && httpTime(entry.mtime) > since ? 'If-Unmodified-Since' : null;
+}
+
+/**
+ * Evaluates If-None-Match and If-Modified-Since
+ *
+ * @param {express.Request} req - The request
+ * @param {Object} entry - Resolved file
+ * @returns {boolean} True when the client's copy is current (304)
+ */
+function isNotModified(req, entry) {
+  const ifNoneMatch = req.get('If-None-Match');
+  if (ifNoneMatch !== undefined) {
+    const tags = parseTags(ifNoneMatch).map((tag) => tag.replace(/^W\//, ''));
+    return tags.includes('*') || tags.includes(entry.etag);
+  }
+  const since = Date.parse(req.get('If-Modified-Since') || '');
+  return !Number.isNaN(since) && httpTime(entry.mtime) <= since;
+}
+
+/**
+ * Evaluates If-Range
+ *
+ * @param {express.Request} req - The request
+ * @param {Object} entry - Resolved file
+ * @returns {boolean} True when a Range header may be honored
+ */
+function rangeApplies(req, entry) {
+  const ifRange = req.get('If-Range');
+  if (ifRange === undefined) {
+    return true;
+  }
+  if (ifRange.trim().startsWith('"')) {
+    return ifRange.trim() === entry.etag;
+  }
+  return Date.parse(ifRange) === httpTime(entry.mtime);
+}
+
+/**
+ * Creates the body for a response
+ *
+ * @param {Object} entry - Resolved file
+ * @param {Array<{start: number, end: number, header: (string|undefined)}>} parts - Byte ranges,
+ *   each preceded by its multipart header when given
+ * @param {string} [trailer] - Text after the last part
+ * @returns {stream.Readable} The body
+ */
+function bodyStream(entry, parts, trailer) {
+  return Readable.from((async function* body() {
+    for (const { start, end, header } of parts) {
+      if (header) {
+        yield Buffer.from(header);
+      }
+      if (end >= start) {
+        yield* fs.createReadStream(entry.file, { start, end });
+      }
+    }
+    if (trailer) {
+      yield Buffer.from(trailer);
+    }
+  })(), { objectMode: false });
+}
+
+/**
+ * Creates the router serving a media store
+ *
+ * @param {Object} store - See createMediaStore()
+ * @returns {express.Router} Router to mount at /media
+ */
+function mediaRouter(store) {
+  const router = express.Router();
+
+  /**
+   * Streams a media file, honoring conditional and range requests
+   *
+   * @route GET /media/*file
+   * @returns {Buffer} The file (200), the requested ranges (206), 304, 412,
+   *   416, or 404 when there is no such file
+   */
+  router.get('/*file', operation({
+    summary: 'Download a media file',
+    description: 'Supports Range (206, 416) and conditional requests (304, 412).',
+    responses: {
+      200: { description: 'The file, with its sniffed Content-Type', type: 'application/octet-stream' },
+      206: { description: 'The requested byte ranges', type: 'application/octet-stream' },
+      304: 'The client\'s copy is current',
+      404: 'No such file',
+      412: 'A precondition failed',
+      416: 'The range is not satisfiable'
+    }
+  }), async (req, res) => {
+    const entry = await store.resolve(req.params.file);
+    if (!entry) {
+      throw new NotFoundError(`No media named "${req.params.file.join('/')}"`);
+    }
+
+    res.set({
+      'ETag': entry.etag,
+      'Last-Modified': entry.mtime.toUTCString(),
+      'Accept-Ranges': 'bytes',
+      'Cache-Control': 'public, no-cache',
+      'X-Content-Type-Options': 'nosniff'
+    });
+
+    const failed = failedPrecondition(req, entry);
+    if (failed) {
+      throw new PreconditionFailedError(`${failed} does not match the current file`);
+    }
+    if (isNotModified(req, entry)) {
+      return res.status(304).end();
+    }
+
+    const ranges = rangeApplies(req, entry) ? parseRanges(req.get('Range'), entry.size) : null;
+    let parts;
+    let trailer;
+    if (ranges && ranges.length === 0) {
+      throw new HttpError(416, `No requested range lies within the ${entry.size} bytes of the file`, {
+        headers: { 'Content-Range': `bytes */${entry.size}` }
+      });
+    } else if (!ranges) {
+      res.status(200).set({ 'Content-Type': entry.type, 'Content-Length': String(entry.size) });
+      parts = [{ start: 0, end: entry.size - 1 }];
+    } else if (ranges.length === 1) {
+      const [{ start, end }] = ranges;
+      res.status(206).set({
+        'Content-Type': entry.type,
+        'Content-Range': `bytes ${start}-${end}/${entry.size}`,
+        'Content-Length': String(end - start + 1)
+      });
+      parts = ranges;
+    } else {
+      const boundary = crypto.randomBytes(12).toString('hex');
+      parts = ranges.map(({ start, end }, index) => ({
+        start,
+        end,
+        header: `${index ? '\r\n' : ''}--${boundary}\r\nContent-Type: ${entry.type}\r\n`
+          + `Content-Range: bytes ${start}-${end}/${entry.size}\r\n\r\n`
+      }));
+      trailer = `\r\n--${boundary}--\r\n`;
+      const length = parts.reduce((total, { start, end, header }) =>
+        total + Buffer.byteLength(header) + end - start + 1, Buffer.byteLength(trailer));
+      res.status(206).set({
+        'Content-Type': `multipart/byteranges; boundary=${boundary}`,
+        'Content-Length': String(length)
+      });
+    }
+
+    if (req.method === 'HEAD') {
+      return res.end();
+    }
+    // A client that goes away mid-download is not an error worth reporting
+    pipeline(bodyStream(entry, parts, trailer), res, () => {});
+  });
+
+  return router;
+}
+
+module.exports = {
+  MAX_RANGES,
+  createMediaStore,
+  parseRanges,
+  mediaRouter
+};
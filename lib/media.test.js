@@ -0,0 +1,216 @@
+/**
+ * Unit Tests for static media
+ *
+ * @module lib/media.test
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const express = require('express');
+const request = require('supertest');
+const { createMediaStore, parseRanges, mediaRouter } = require('./media');
+const { errorHandler } = require('./errors');
+
+const DEMO = path.join(__dirname, '..', 'media', 'demo.jpg');
+
+/**
+ * Collects a binary response body
+ */
+function binary(res, callback) {
+  const chunks = [];
+  res.on('data', (chunk) => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+}
+
+describe('Static Media', () => {
+  let dir;
+  let root;
+  let app;
+  const demo = fs.readFileSync(DEMO);
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'media-'));
+    root = path.join(dir, 'root');
+    fs.mkdirSync(path.join(root, 'nested'), { recursive: true });
+    fs.copyFileSync(DEMO, path.join(root, 'demo.jpg'));
+    fs.writeFileSync(path.join(root, 'nested', 'notes.txt'), 'hello media\n');
+    fs.writeFileSync(path.join(root, 'page.html'), '<html><script>alert(1)</script></html>');
+    fs.writeFileSync(path.join(root, '.env'), 'SECRET=1');
+    fs.writeFileSync(path.join(dir, 'outside.txt'), 'secret');
+    fs.symlinkSync(path.join(dir, 'outside.txt'), path.join(root, 'escape.txt'));
+    fs.symlinkSync(path.join(root, 'nested', 'notes.txt'), path.join(root, 'inside.txt'));
+
+    app = express();
+    app.use('/media', mediaRouter(createMediaStore(root)));
+    app.use(errorHandler());
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('parseRanges()', () => {
+    it.each([
+      ['bytes=0-9', [{ start: 0, end: 9 }]],
+      ['bytes=90-', [{ start: 90, end: 99 }]],
+      ['bytes=-10', [{ start: 90, end: 99 }]],
+      ['bytes=-500', [{ start: 0, end: 99 }]],
+      ['bytes=95-200', [{ start: 95, end: 99 }]],
+      ['bytes=0-0, 50-59', [{ start: 0, end: 0 }, { start: 50, end: 59 }]],
+      ['bytes=200-300', []],
+      ['bytes=200-300, 0-1', [{ start: 0, end: 1 }]],
+      ['bytes=-0', []]
+    ])('should parse %s', (header, expected) => {
+      expect(parseRanges(header, 100)).toEqual(expected);
+    });
+
+    it.each([
+      [undefined],
+      ['items=0-5'],
+      ['bytes=5-1'],
+      ['bytes=-'],
+      ['bytes=a-b'],
+      [`bytes=${Array.from({ length: 17 }, (_, i) => `${i}-${i}`).join(',')}`]
+    ])('should ignore %s', (header) => {
+      expect(parseRanges(header, 100)).toBeNull();
+    });
+  });
+
+  describe('GET', () => {
+    it('should stream the whole file with validators', async () => {
+      const res = await request(app).get('/media/demo.jpg').buffer(true).parse(binary);
+      expect(res.status).toBe(200);
+      expect(res.headers['content-type']).toBe('image/jpeg');
+      expect(res.headers['content-length']).toBe(String(demo.length));
+      expect(res.headers['accept-ranges']).toBe('bytes');
+      expect(res.headers['x-content-type-options']).toBe('nosniff');
+      expect(res.headers.etag).toBe(`"${crypto.createHash('sha256').update(demo).digest('base64url')}"`);
+      expect(res.headers['last-modified']).toBe(fs.statSync(path.join(root, 'demo.jpg')).mtime.toUTCString());
+      expect(res.body.equals(demo)).toBe(true);
+    });
+
+    it('should sniff types from content, not names', async () => {
+      fs.copyFileSync(DEMO, path.join(root, 'photo.txt'));
+      expect((await request(app).get('/media/photo.txt')).headers['content-type']).toBe('image/jpeg');
+      expect((await request(app).get('/media/page.html')).headers['content-type']).toBe('text/plain; charset=utf-8');
+      expect((await request(app).get('/media/nested/notes.txt')).text).toBe('hello media\n');
+    });
+
+    it('should answer HEAD with headers only', async () => {
+      const res = await request(app).head('/media/demo.jpg');
+      expect(res.status).toBe(200);
+      expect(res.headers['content-length']).toBe(String(demo.length));
+      expect(res.body).toEqual({});
+    });
+
+    it('should update the ETag when the file changes', async () => {
+      const file = path.join(root, 'nested', 'notes.txt');
+      const before = (await request(app).get('/media/nested/notes.txt')).headers.etag;
+      fs.writeFileSync(file, 'changed, and longer\n');
+      const after = await request(app).get('/media/nested/notes.txt');
+      expect(after.headers.etag).not.toBe(before);
+      expect(after.text).toBe('changed, and longer\n');
+    });
+  });
+
+  describe('conditional requests', () => {
+    let etag;
+    let lastModified;
+
+    beforeEach(async () => {
+      const res = await request(app).head('/media/demo.jpg');
+      etag = res.headers.etag;
+      lastModified = res.headers['last-modified'];
+    });
+
+    it('should answer If-None-Match with 304 for a current ETag', async () => {
+      const res = await request(app).get('/media/demo.jpg').set('If-None-Match', `"other", W/${etag}`);
+      expect(res.status).toBe(304);
+      expect(res.headers.etag).toBe(etag);
+      expect((await request(app).get('/media/demo.jpg').set('If-None-Match', '"other"')).status).toBe(200);
+    });
+
+    it('should answer If-Modified-Since with 304 unless If-None-Match disagrees', async () => {
+      expect((await request(app).get('/media/demo.jpg').set('If-Modified-Since', lastModified)).status).toBe(304);
+      expect((await request(app).get('/media/demo.jpg').set('If-Modified-Since', 'Thu, 01 Jan 1970 00:00:00 GMT')).status)
+        .toBe(200);
+      expect((await request(app).get('/media/demo.jpg')
+        .set('If-Modified-Since', lastModified).set('If-None-Match', '"other"')).status).toBe(200);
+    });
+
+    it('should answer failed If-Match and If-Unmodified-Since with 412', async () => {
+      expect((await request(app).get('/media/demo.jpg').set('If-Match', '"other"')).status).toBe(412);
+      expect((await request(app).get('/media/demo.jpg').set('If-Match', etag)).status).toBe(200);
+      expect((await request(app).get('/media/demo.jpg').set('If-Unmodified-Since', 'Thu, 01 Jan 1970 00:00:00 GMT')).status)
+        .toBe(412);
+    });
+
+    it('should honor Range only while If-Range still matches', async () => {
+      expect((await request(app).get('/media/demo.jpg').set('Range', 'bytes=0-3').set('If-Range', etag)).status).toBe(206);
+      expect((await request(app).get('/media/demo.jpg').set('Range', 'bytes=0-3').set('If-Range', lastModified)).status)
+        .toBe(206);
+      expect((await request(app).get('/media/demo.jpg').set('Range', 'bytes=0-3').set('If-Range', '"stale"')).status)
+        .toBe(200);
+    });
+  });
+
+  describe('ranges', () => {
+    it('should answer a single range with 206 and Content-Range', async () => {
+      const res = await request(app).get('/media/demo.jpg').set('Range', 'bytes=100-199').buffer(true).parse(binary);
+      expect(res.status).toBe(206);
+      expect(res.headers['content-range']).toBe(`bytes 100-199/${demo.length}`);
+      expect(res.headers['content-length']).toBe('100');
+      expect(res.body.equals(demo.subarray(100, 200))).toBe(true);
+    });
+
+    it('should answer several ranges with multipart/byteranges', async () => {
+      const res = await request(app).get('/media/demo.jpg').set('Range', 'bytes=0-3, -4').buffer(true).parse(binary);
+      expect(res.status).toBe(206);
+      const boundary = /^multipart\/byteranges; boundary=(\w+)$/.exec(res.headers['content-type'])[1];
+      expect(res.headers['content-length']).toBe(String(res.body.length));
+      const size = demo.length;
+      const expected = Buffer.concat([
+        Buffer.from(`--${boundary}\r\nContent-Type: image/jpeg\r\nContent-Range: bytes 0-3/${size}\r\n\r\n`),
+        demo.subarray(0, 4),
+        Buffer.from(`\r\n--${boundary}\r\nContent-Type: image/jpeg\r\nContent-Range: bytes ${size - 4}-${size - 1}/${size}\r\n\r\n`),
+        demo.subarray(size - 4),
+        Buffer.from(`\r\n--${boundary}--\r\n`)
+      ]);
+      expect(res.body.equals(expected)).toBe(true);
+    });
+
+    it('should answer unsatisfiable ranges with 416', async () => {
+      const res = await request(app).get('/media/demo.jpg').set('Range', `bytes=${demo.length}-`);
+      expect(res.status).toBe(416);
+      expect(res.headers['content-range']).toBe(`bytes */${demo.length}`);
+      expect(res.body.title).toBe('Range Not Satisfiable');
+    });
+
+    it('should ignore malformed ranges', async () => {
+      expect((await request(app).get('/media/demo.jpg').set('Range', 'bytes=9-1')).status).toBe(200);
+    });
+  });
+
+  describe('path safety', () => {
+    it.each([
+      ['/media/..%2Foutside.txt'],
+      ['/media/nested/..%2F..%2Foutside.txt'],
+      ['/media/%2e%2e/outside.txt'],
+      ['/media/.env'],
+      ['/media/escape.txt'],
+      ['/media/nested'],
+      ['/media/missing.jpg'],
+      ['/media/demo.jpg%00.txt']
+    ])('should answer 404 for %s', async (url) => {
+      const res = await request(app).get(url);
+      expect(res.status).toBe(404);
+      expect(res.text).not.toContain('secret');
+    });
+
+    it('should follow symbolic links that stay inside the root', async () => {
+      expect((await request(app).get('/media/inside.txt')).text).toBe('hello media\n');
+    });
+  });
+});
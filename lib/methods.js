@@ -0,0 +1,126 @@
+/**
+ * Method Handling
+ *
+ * Looks each request's path up in the app's routing table (including
+ * mounted routers) before any route runs, and:
+ * - answers OPTIONS with 204 and an `Allow` header listing the path's methods
+ * - answers methods the path does not support with 405 and `Allow`, ahead of
+ *   authentication, since no credentials would make them succeed
+ * - leaves supported methods and unknown paths (404) to the routes
+ *
+ * HEAD is allowed wherever GET is; Express answers it from the GET route
+ * with the same headers, including Content-Length, and no body.
+ *
+ * @module lib/methods
+ */
+
+const { MethodNotAllowedError } = require('./errors');
+
+/**
+ * Checks a layer's path against a request path
+ *
+ * Uses the layer's own match(), which records the match on the layer. That
+ * is harmless here: the router matches every layer again right before
+ * dispatching to it, and the layers of the request in flight have already
+ * been dispatched.
+ *
+ * @param {Object} layer - Router layer
+ * @param {string} path - Request path relative to the layer's router
+ * @returns {string|null} The matched part of the path, or null
+ */
+function matchLayer(layer, path) {
+  try {
+    return layer.match(path) ? layer.path : null;
+  } catch (err) {
+    // Undecodable parameters; the router answers those with 400 itself
+    return null;
+  }
+}
+
+/**
+ * Collects the methods routes accept for a path
+ *
+ * @param {Array<Object>} stack - Router layers
+ * @param {string} path - Request path relative to the router
+ * @param {Set<string>} [methods] - Accumulator
+ * @returns {Set<string>} Upper-case method names; `*` when a route accepts every method
+ */
+function collectMethods(stack, path, methods = new Set()) {
+  for (const layer of stack) {
+    const matched = matchLayer(layer, path);
+    if (matched === null) continue;
+
+    if (layer.route) {
+      for (const [method, enabled] of Object.entries(layer.route.methods)) {
+        if (enabled) {
+          methods.add(method === '_all' ? '*' : method.toUpperCase());
+        }
+      }
+    } else if (typeof layer.handle === 'function' && Array.isArray(layer.handle.stack)) {
+      collectMethods(layer.handle.stack, path.slice(matched.length) || '/', methods);
+    }
+  }
+  return methods;
+}
+
+/**
+ * Lists the methods allowed on a path of an app
+ *
+ * @param {express.Application} app - The app
+ * @param {string} path - Request path
+ * @returns {string[]} Sorted upper-case methods including HEAD (with GET) and
+ *   OPTIONS, `['*']` when a route accepts any method, or an empty array for unknown paths
+ */
+function allowedMethods(app, path) {
+  return normalize(collectMethods(app.router.stack, path));
+}
+
+/**
+ * Completes and sorts a collected method set
+ *
+ * @param {Set<string>} methods - Methods from collectMethods()
+ * @returns {string[]} See allowedMethods()
+ */
+function normalize(methods) {
+  if (methods.has('*')) {
+    return ['*'];
+  }
+  if (!methods.size) {
+    return [];
+  }
+  const allowed = new Set(methods).add('OPTIONS');
+  if (allowed.has('GET')) {
+    allowed.add('HEAD');
+  }
+  return [...allowed].sort();
+}
+
+/**
+ * Middleware answering OPTIONS and unsupported methods on known paths
+ *
+ * Register it before the routes; the routing table is read per request, so
+ * routes added later are included. Paths with an explicit OPTIONS route
+ * are left to that route.
+ *
+ * @param {express.Request} req - The request
+ * @param {express.Response} res - The response
+ * @param {Function} next - Next middleware
+ */
+function methodNotAllowed(req, res, next) {
+  const routed = collectMethods(req.app.router.stack, req.path);
+  const allowed = normalize(routed);
+  if (!allowed.length || allowed[0] === '*' || routed.has(req.method)
+      || (allowed.includes(req.method) && req.method !== 'OPTIONS')) {
+    return next();
+  }
+
+  if (req.method === 'OPTIONS') {
+    return res.set('Allow', allowed.join(', ')).status(204).end();
+  }
+  next(new MethodNotAllowedError(`Method ${req.method} is not allowed on ${req.path}. Allowed: ${allowed.join(', ')}`, allowed));
+}
+
+module.exports = {
+  allowedMethods,
+  methodNotAllowed
+};
@@ -0,0 +1,94 @@
+/**
+ * Unit Tests for method handling
+ *
+ * @module lib/methods.test
+ */
+
+const express = require('express');
+const request = require('supertest');
+const { allowedMethods, methodNotAllowed } = require('./methods');
+
+describe('Method Handling', () => {
+  let app;
+
+  beforeEach(() => {
+    app = express();
+    app.use(methodNotAllowed);
+    app.get('/items', (req, res) => res.send('list'));
+    app.post('/items', (req, res) => res.status(201).end());
+    app.route('/anything').all((req, res) => res.send(req.method));
+    app.options('/custom', (req, res) => res.set('Allow', 'CUSTOM').send('mine'));
+    app.get('/custom', (req, res) => res.send('custom'));
+
+    const nested = express.Router();
+    nested.put('/:id', (req, res) => res.send('put'));
+    nested.delete('/:id', (req, res) => res.status(204).end());
+    app.use('/items', nested);
+  });
+
+  describe('allowedMethods()', () => {
+    it('should combine app routes and mounted routers', () => {
+      expect(allowedMethods(app, '/items')).toEqual(['GET', 'HEAD', 'OPTIONS', 'POST']);
+      expect(allowedMethods(app, '/items/7')).toEqual(['DELETE', 'OPTIONS', 'PUT']);
+    });
+
+    it('should report routes accepting every method', () => {
+      expect(allowedMethods(app, '/anything')).toEqual(['*']);
+    });
+
+    it('should return nothing for unknown paths', () => {
+      expect(allowedMethods(app, '/missing')).toEqual([]);
+      expect(allowedMethods(app, '/items/7/extra')).toEqual([]);
+    });
+  });
+
+  describe('methodNotAllowed()', () => {
+    it('should answer unsupported methods with 405 and Allow', async () => {
+      const res = await request(app).patch('/items/7');
+      expect(res.status).toBe(405);
+      expect(res.headers.allow).toBe('DELETE, OPTIONS, PUT');
+    });
+
+    it('should answer OPTIONS with 204 and Allow', async () => {
+      const res = await request(app).options('/items');
+      expect(res.status).toBe(204);
+      expect(res.headers.allow).toBe('GET, HEAD, OPTIONS, POST');
+    });
+
+    it('should leave explicit OPTIONS routes alone', async () => {
+      const res = await request(app).options('/custom');
+      expect(res.text).toBe('mine');
+      expect(res.headers.allow).toBe('CUSTOM');
+    });
+
+    it('should pass supported methods, catch-all routes and unknown paths through', async () => {
+      expect((await request(app).post('/items')).status).toBe(201);
+      expect((await request(app).head('/items')).status).toBe(200);
+      expect((await request(app).patch('/anything')).text).toBe('PATCH');
+      expect((await request(app).patch('/missing')).status).toBe(404);
+    });
+
+    it('should leave the route parameters of the request intact', async () => {
+      const posts = express.Router({ mergeParams: true });
+      posts.put('/:post', (req, res) => res.json(req.params));
+      app.get('/users/:name', (req, res) => res.send('user'));
+      app.use('/users/:user/posts', posts);
+      const res = await request(app).put('/users/ada/posts/7');
+      expect(res.body).toEqual({ user: 'ada', post: '7' });
+      expect((await request(app).patch('/users/ada/posts/7')).headers.allow).toBe('OPTIONS, PUT');
+    });
+
+    it('should leave undecodable paths to the router', async () => {
+      expect((await request(app).put('/items/%E0')).status).toBe(400);
+    });
+
+    it('should run before middleware registered after it', async () => {
+      app = express();
+      app.use(methodNotAllowed);
+      app.use((req, res) => res.status(401).end());
+      app.get('/secret', (req, res) => res.send('secret'));
+      expect((await request(app).post('/secret')).status).toBe(405);
+      expect((await request(app).get('/secret')).status).toBe(401);
+    });
+  });
+});
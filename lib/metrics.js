@@ -0,0 +1,337 @@
+/**
+ * Prometheus Metrics
+ *
+ * A small registry of counters, gauges and histograms rendered in the
+ * Prometheus text exposition format (version 0.0.4):
+ *
+ *     # HELP http_requests_total Requests served, by method, route and status
+ *     # TYPE http_requests_total counter
+ *     http_requests_total{method="GET",route="/industries/:slug",status="200"} 3
+ *
+ * `httpMetrics()` counts and times every request by its route pattern (not
+ * the raw URL, which would explode the number of series);
+ * `collectProcessMetrics()` adds memory, CPU and event-loop lag.
+ *
+ * In cluster mode (`app.locals.cluster`, see lib/cluster) the handler serves
+ * the metrics of every worker, each sample labelled with its `worker`.
+ *
+ * @module lib/metrics
+ */
+
+const { monitorEventLoopDelay } = require('perf_hooks');
+
+/**
+ * Content-Type of the exposition format
+ * @type {string}
+ */
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+/**
+ * Default latency buckets in seconds
+ * @type {number[]}
+ */
+const DEFAULT_BUCKETS = Object.freeze([0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]);
+
+/**
+ * Route label for requests no route matched (404s, OPTIONS, 405s)
+ * @type {string}
+ */
+const UNMATCHED_ROUTE = 'unmatched';
+
+/**
+ * Formats a sample value
+ *
+ * @param {number} value - Sample value
+ * @returns {string} Exposition format number
+ */
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+/**
+ * Formats a label set
+ *
+ * @param {Object<string, *>} labels - Label names and values
+ * @returns {string} `{name="value",...}`, or '' without labels
+ */
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) =>
+    `${name}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Creates an empty metrics registry
+ *
+ * Metric names must be unique. Each metric keeps one series per distinct
+ * label set; `collect` callbacks compute a value at scrape time instead.
+ *
+ * @returns {Object} The registry
+ * @throws {Error} From the metric factories when a name is registered twice
+ */
+function createRegistry() {
+  const metrics = new Map();
+
+  const register = (type, { name, help, labelNames = [], collect }) => {
+    if (metrics.has(name)) {
+      throw new Error(`Metric "${name}" is already registered`);
+    }
+    const metric = { type, name, help, labelNames, collect, series: new Map() };
+    metrics.set(name, metric);
+    return metric;
+  };
+
+  const seriesFor = (metric, labels, create) => {
+    const values = metric.labelNames.map((label) => (labels[label] === undefined ? '' : String(labels[label])));
+    const key = JSON.stringify(values);
+    if (!metric.series.has(key)) {
+      const named = Object.fromEntries(metric.labelNames.map((label, index) => [label, values[index]]));
+      metric.series.set(key, { labels: named, ...create() });
+    }
+    return metric.series.get(key);
+  };
+
+  const renderMetric = (metric) => {
+    const lines = [`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`];
+    if (metric.collect) {
+      const collected = metric.collect();
+      const samples = Array.isArray(collected) ? collected : [{ labels: {}, value: collected }];
+      for (const { labels, value } of samples) {
+        lines.push(`${metric.name}${formatLabels(labels)} ${formatValue(value)}`);
+      }
+      return lines;
+    }
+    for (const series of metric.series.values()) {
+      if (metric.type !== 'histogram') {
+        lines.push(`${metric.name}${formatLabels(series.labels)} ${formatValue(series.value)}`);
+        continue;
+      }
+      let cumulative = 0;
+      metric.buckets.forEach((bound, index) => {
+        cumulative += series.counts[index];
+        lines.push(`${metric.name}_bucket${formatLabels({ ...series.labels, le: formatValue(bound) })} ${cumulative}`);
+      });
+      lines.push(`${metric.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+      lines.push(`${metric.name}_sum${formatLabels(series.labels)} ${formatValue(series.sum)}`);
+      lines.push(`${metric.name}_count${formatLabels(series.labels)} ${series.count}`);
+    }
+    return lines;
+  };
+
+  return {
+    /**
+     * @param {Object} options - `{ name, help, labelNames?, collect? }`
+     * @returns {{inc: Function}} Counter; `inc(labels?, amount = 1)`
+     */
+    counter(options) {
+      const metric = register('counter', options);
+      return {
+        inc: (labels = {}, amount = 1) => {
+          seriesFor(metric, labels, () => ({ value: 0 })).value += amount;
+        }
+      };
+    },
+
+    /**
+     * @param {Object} options - `{ name, help, labelNames?, collect? }`
+     * @returns {{set: Function, inc: Function, dec: Function}} Gauge
+     */
+    gauge(options) {
+      const metric = register('gauge', options);
+      const series = (labels) => seriesFor(metric, labels, () => ({ value: 0 }));
+      return {
+        set: (labels, value) => {
+          series(labels).value = value;
+        },
+        inc: (labels = {}, amount = 1) => {
+          series(labels).value += amount;
+        },
+        dec: (labels = {}, amount = 1) => {
+          series(labels).value -= amount;
+        }
+      };
+    },
+
+    /**
+     * @param {Object} options - `{ name, help, labelNames?, buckets? }`
+     * @returns {{observe: Function}} Histogram; `observe(labels, value)`
+     */
+    histogram({ buckets = DEFAULT_BUCKETS, ...options }) {
+      const metric = register('histogram', options);
+      metric.buckets = [...buckets].sort((a, b) => a - b);
+      return {
+        observe: (labels, value) => {
+          const series = seriesFor(metric, labels, () => ({ counts: metric.buckets.map(() => 0), sum: 0, count: 0 }));
+          const index = metric.buckets.findIndex((bound) => value <= bound);
+          if (index !== -1) {
+            series.counts[index] += 1;
+          }
+          series.sum += value;
+          series.count += 1;
+        }
+      };
+    },
+
+    /**
+     * @returns {string} Every metric in the exposition format
+     */
+    render: () => `${[...metrics.values()].flatMap(renderMetric).join('\n')}\n`
+  };
+}
+
+/**
+ * Creates middleware recording request counts, latencies and in-flight requests
+ *
+ * Register it before the routes. The route label is the matched pattern
+ * including its mount path, e.g. `/industries/:slug`.
+ *
+ * @param {Object} registry - See createRegistry()
+ * @returns {Function} Express middleware
+ */
+function httpMetrics(registry) {
+  const labelNames = ['method', 'route', 'status'];
+  const requests = registry.counter({
+    name: 'http_requests_total',
+    help: 'Requests served, by method, route and status',
+    labelNames
+  });
+  const duration = registry.histogram({
+    name: 'http_request_duration_seconds',
+    help: 'Time to serve requests in seconds, by method, route and status',
+    labelNames
+  });
+  const inFlight = registry.gauge({
+    name: 'http_requests_in_flight',
+    help: 'Requests currently being served'
+  });
+
+  return (req, res, next) => {
+    const start = process.hrtime.bigint();
+    let route = UNMATCHED_ROUTE;
+    let matched;
+    // Express assigns req.route when a route handles the request; capture
+    // its full pattern then, while req.baseUrl still names the mount path
+    Object.defineProperty(req, 'route', {
+      configurable: true,
+      enumerable: true,
+      get: () => matched,
+      set: (value) => {
+        matched = value;
+        if (value) {
+          route = `${req.baseUrl}${value.path}`;
+        }
+      }
+    });
+
+    inFlight.inc();
+    let done = false;
+    const onDone = () => {
+      if (done) return;
+      done = true;
+      inFlight.dec();
+      const labels = { method: req.method, route, status: res.statusCode };
+      requests.inc(labels);
+      duration.observe(labels, Number(process.hrtime.bigint() - start) / 1e9);
+    };
+    res.once('finish', onDone);
+    res.once('close', onDone);
+    next();
+  };
+}
+
+/**
+ * Registers memory, CPU, uptime and event-loop lag metrics
+ *
+ * Event-loop lag is sampled continuously and reported (then reset) at each
+ * scrape as its mean, 99th percentile and maximum since the last scrape.
+ *
+ * @param {Object} registry - See createRegistry()
+ * @returns {Function} Stops event-loop sampling
+ */
+function collectProcessMetrics(registry) {
+  const lag = monitorEventLoopDelay({ resolution: 10 });
+  lag.enable();
+  const seconds = (nanoseconds) => (Number.isFinite(nanoseconds) ? nanoseconds / 1e9 : 0);
+  const startTime = Math.round((Date.now() - process.uptime() * 1000) / 1000);
+
+  registry.gauge({
+    name: 'nodejs_eventloop_lag_seconds',
+    help: 'Event loop delay since the last scrape, by statistic',
+    collect: () => {
+      const samples = lag.count
+        ? [
+          { labels: { stat: 'mean' }, value: seconds(lag.mean) },
+          { labels: { stat: 'p99' }, value: seconds(lag.percentile(99)) },
+          { labels: { stat: 'max' }, value: seconds(lag.max) }
+        ]
+        : [];
+      lag.reset();
+      return samples;
+    }
+  });
+  registry.gauge({
+    name: 'process_resident_memory_bytes',
+    help: 'Resident set size in bytes',
+    collect: () => process.memoryUsage().rss
+  });
+  registry.gauge({
+    name: 'nodejs_heap_size_used_bytes',
+    help: 'V8 heap in use in bytes',
+    collect: () => process.memoryUsage().heapUsed
+  });
+  registry.gauge({
+    name: 'nodejs_heap_size_total_bytes',
+    help: 'V8 heap allocated in bytes',
+    collect: () => process.memoryUsage().heapTotal
+  });
+  registry.counter({
+    name: 'process_cpu_user_seconds_total',
+    help: 'User CPU time spent in seconds',
+    collect: () => process.cpuUsage().user / 1e6
+  });
+  registry.counter({
+    name: 'process_cpu_system_seconds_total',
+    help: 'System CPU time spent in seconds',
+    collect: () => process.cpuUsage().system / 1e6
+  });
+  registry.gauge({
+    name: 'process_start_time_seconds',
+    help: 'Start time of the process since the Unix epoch in seconds',
+    collect: () => startTime
+  });
+
+  return () => lag.disable();
+}
+
+/**
+ * Creates the handler serving a registry for Prometheus to scrape
+ *
+ * @param {Object} registry - See createRegistry()
+ * @returns {Function} Express route handler
+ */
+function metricsHandler(registry) {
+  return async (req, res) => {
+    let text = null;
+    const { cluster } = req.app.locals;
+    if (cluster) {
+      try {
+        text = (await cluster.query()).metrics;
+      } catch (err) {
+        // Fall back to this worker's own metrics
+      }
+    }
+    res.set('Cache-Control', 'no-store').type(CONTENT_TYPE).send(text || registry.render());
+  };
+}
+
+module.exports = {
+  CONTENT_TYPE,
+  DEFAULT_BUCKETS,
+  UNMATCHED_ROUTE,
+  createRegistry,
+  httpMetrics,
+  collectProcessMetrics,
+  metricsHandler
+};
@@ -0,0 +1,139 @@
+/**
+ * Unit Tests for Prometheus metrics
+ *
+ * @module lib/metrics.test
+ */
+
+const express = require('express');
+const request = require('supertest');
+const { createRegistry, httpMetrics, collectProcessMetrics, metricsHandler } = require('./metrics');
+
+describe('Metrics', () => {
+
+  describe('createRegistry()', () => {
+    it('should render counters and gauges with escaped labels', () => {
+      const registry = createRegistry();
+      const counter = registry.counter({ name: 'jobs_total', help: 'Jobs run', labelNames: ['queue'] });
+      const gauge = registry.gauge({ name: 'temperature', help: 'Current temperature' });
+      counter.inc({ queue: 'a"b\\c\nd' });
+      counter.inc({ queue: 'a"b\\c\nd' }, 2);
+      counter.inc({ queue: 'plain' });
+      gauge.set({}, 21.5);
+      gauge.dec();
+      expect(registry.render()).toBe([
+        '# HELP jobs_total Jobs run',
+        '# TYPE jobs_total counter',
+        'jobs_total{queue="a\\"b\\\\c\\nd"} 3',
+        'jobs_total{queue="plain"} 1',
+        '# HELP temperature Current temperature',
+        '# TYPE temperature gauge',
+        'temperature 20.5',
+        ''
+      ].join('\n'));
+    });
+
+    it('should render cumulative histogram buckets with sum and count', () => {
+      const registry = createRegistry();
+      const histogram = registry.histogram({ name: 'size', help: 'Sizes', labelNames: ['kind'], buckets: [10, 1] });
+      histogram.observe({ kind: 'x' }, 0.5);
+      histogram.observe({ kind: 'x' }, 5);
+      histogram.observe({ kind: 'x' }, 50);
+      expect(registry.render()).toBe([
+        '# HELP size Sizes',
+        '# TYPE size histogram',
+        'size_bucket{kind="x",le="1"} 1',
+        'size_bucket{kind="x",le="10"} 2',
+        'size_bucket{kind="x",le="+Inf"} 3',
+        'size_sum{kind="x"} 55.5',
+        'size_count{kind="x"} 3',
+        ''
+      ].join('\n'));
+    });
+
+    it('should compute collected metrics at scrape time', () => {
+      const registry = createRegistry();
+      let value = 1;
+      registry.gauge({ name: 'live', help: 'Live value', collect: () => value });
+      registry.gauge({
+        name: 'multi',
+        help: 'Several series',
+        collect: () => [{ labels: { a: '1' }, value: 1 }, { labels: { a: '2' }, value: Infinity }]
+      });
+      value = 7;
+      expect(registry.render()).toContain('live 7\n');
+      expect(registry.render()).toContain('multi{a="1"} 1\nmulti{a="2"} +Inf\n');
+    });
+
+    it('should refuse duplicate names', () => {
+      const registry = createRegistry();
+      registry.counter({ name: 'x', help: 'x' });
+      expect(() => registry.gauge({ name: 'x', help: 'x' })).toThrow(/already registered/);
+    });
+  });
+
+  describe('httpMetrics()', () => {
+    const makeApp = () => {
+      const registry = createRegistry();
+      const app = express();
+      app.use(httpMetrics(registry));
+      const items = express.Router();
+      items.get('/:id', (req, res) => res.send(req.params.id));
+      items.delete('/:id', async () => {
+        throw Object.assign(new Error('nope'), { status: 409 });
+      });
+      app.use('/items', items);
+      app.get('/metrics', metricsHandler(registry));
+      app.use((err, req, res, next) => res.status(err.status).end());
+      return app;
+    };
+
+    it('should count requests by route pattern and status', async () => {
+      const app = makeApp();
+      await request(app).get('/items/1');
+      await request(app).get('/items/2');
+      await request(app).delete('/items/3');
+      await request(app).get('/nowhere');
+      const res = await request(app).get('/metrics');
+      expect(res.headers['content-type']).toMatch(/^text\/plain;.*version=0\.0\.4/);
+      expect(res.headers['cache-control']).toBe('no-store');
+      expect(res.text).toContain('http_requests_total{method="GET",route="/items/:id",status="200"} 2\n');
+      expect(res.text).toContain('http_requests_total{method="DELETE",route="/items/:id",status="409"} 1\n');
+      expect(res.text).toContain('http_requests_total{method="GET",route="unmatched",status="404"} 1\n');
+      expect(res.text).toContain('http_request_duration_seconds_count{method="GET",route="/items/:id",status="200"} 2\n');
+      expect(res.text).toMatch(/http_request_duration_seconds_bucket\{method="GET",route="\/items\/:id",status="200",le="\+Inf"\} 2\n/);
+    });
+
+    it('should count the scrape itself as in flight', async () => {
+      const res = await request(makeApp()).get('/metrics');
+      expect(res.text).toContain('# TYPE http_requests_in_flight gauge\nhttp_requests_in_flight 1\n');
+    });
+
+    it('should serve the metrics of every cluster worker', async () => {
+      const app = makeApp();
+      app.locals.cluster = { query: async () => ({ workers: [], metrics: 'up{worker="0"} 1\n' }) };
+      expect((await request(app).get('/metrics')).text).toBe('up{worker="0"} 1\n');
+      app.locals.cluster.query = async () => {
+        throw new Error('The cluster primary did not answer');
+      };
+      expect((await request(app).get('/metrics')).text).toContain('# TYPE http_requests_total counter');
+    });
+  });
+
+  describe('collectProcessMetrics()', () => {
+    it('should report memory, CPU, start time and event-loop lag', async () => {
+      const registry = createRegistry();
+      const stop = collectProcessMetrics(registry);
+      try {
+        await new Promise((resolve) => setTimeout(resolve, 30));
+        const text = registry.render();
+        expect(text).toMatch(/^process_resident_memory_bytes \d+$/m);
+        expect(text).toMatch(/^nodejs_heap_size_used_bytes \d+$/m);
+        expect(text).toMatch(/^process_cpu_user_seconds_total [\d.]+$/m);
+        expect(text).toMatch(/^process_start_time_seconds \d+$/m);
+        expect(text).toMatch(/^nodejs_eventloop_lag_seconds\{stat="p99"\} [\d.e-]+$/m);
+      } finally {
+        stop();
+      }
+    });
+  });
+});
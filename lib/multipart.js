@@ -0,0 +1,255 @@
+/**
+ * Streaming multipart/form-data Parser
+ *
+ * Parses a request body chunk by chunk as it arrives (RFC 7578), so uploads
+ * never have to fit in memory. The caller feeds chunks to `write()` and gets
+ * each part's headers, data and end through async handlers; `write()` only
+ * resolves once the handlers have, which carries backpressure from the
+ * destination (a file, say) back to the request.
+ *
+ * @module lib/multipart
+ */
+
+/**
+ * Error raised for malformed multipart bodies
+ */
+class MultipartError extends Error {
+  /**
+   * @param {string} message - What is wrong with the body
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'MultipartError';
+  }
+}
+
+/**
+ * Largest accepted header block of one part, in bytes
+ * @type {number}
+ */
+const MAX_HEADER_SIZE = 16 * 1024;
+
+const CRLF = Buffer.from('\r\n');
+const HEADER_END = Buffer.from('\r\n\r\n');
+
+/**
+ * Reads the boundary from a Content-Type header
+ *
+ * @param {string} [contentType] - Content-Type header value
+ * @returns {string|null} The boundary, or null when the type is not
+ *   multipart/form-data or has no valid boundary
+ */
+function getBoundary(contentType) {
+  const match = /^multipart\/form-data\s*;(.*)$/i.exec(contentType || '');
+  if (!match) {
+    return null;
+  }
+  const param = /(?:^|;)\s*boundary\s*=\s*(?:"([^"]{1,70})"|([^\s;"]{1,70}))\s*(?:;|$)/i.exec(match[1]);
+  return param ? param[1] || param[2] : null;
+}
+
+/**
+ * Parses a header with parameters, such as Content-Disposition
+ *
+ * `filename*` (RFC 5987, UTF-8 only) takes precedence over `filename`.
+ *
+ * @example
+ * parseHeaderParams('form-data; name="file"; filename="a.jpg"');
+ * // { value: 'form-data', params: { name: 'file', filename: 'a.jpg' } }
+ *
+ * @param {string} header - Header value
+ * @returns {{value: string, params: Object<string, string>}} Lower-cased value and parameters
+ */
+function parseHeaderParams(header) {
+  const [value, ...rest] = header.split(';');
+  const params = {};
+  const extended = {};
+  const pattern = /\s*([^\s=;]+)\s*=\s*(?:"((?:[^"\\]|\\.)*)"|([^;]*))\s*(?:;|$)/g;
+  let match;
+  while ((match = pattern.exec(rest.join(';'))) !== null) {
+    const name = match[1].toLowerCase();
+    // Only unescape quotes and backslashes: browsers send Windows paths unescaped
+    const raw = match[2] !== undefined ? match[2].replace(/\\(["\\])/g, '$1') : match[3].trim();
+    if (!name.endsWith('*')) {
+      params[name] = raw;
+      continue;
+    }
+    const encoded = /^utf-8'[^']*'(.*)$/i.exec(raw);
+    try {
+      if (encoded) {
+        extended[name.slice(0, -1)] = decodeURIComponent(encoded[1]);
+      }
+    } catch (err) {
+      // Malformed percent-encoding: keep the plain parameter
+    }
+  }
+  return { value: value.trim().toLowerCase(), params: { ...params, ...extended } };
+}
+
+/**
+ * Parses the header block of a part
+ *
+ * @param {string} block - Header lines without the terminating blank line
+ * @returns {Object<string, string>} Headers keyed by lower-case name
+ * @throws {MultipartError} On lines without a colon
+ */
+function parseHeaders(block) {
+  const headers = {};
+  for (const line of block.split('\r\n')) {
+    if (line === '') {
+      continue;
+    }
+    const colon = line.indexOf(':');
+    if (colon <= 0) {
+      throw new MultipartError(`Malformed part header "${line.slice(0, 40)}"`);
+    }
+    headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+  }
+  return headers;
+}
+
+/**
+ * Creates a parser for one multipart body
+ *
+ * @example
+ * const parser = createMultipartParser(getBoundary(req.get('Content-Type')), {
+ *   onPart: async (part) => { ... },
+ *   onData: async (chunk) => { ... },
+ *   onPartEnd: async () => { ... }
+ * });
+ * for await (const chunk of req) await parser.write(chunk);
+ * parser.end();
+ *
+ * @param {string} boundary - Boundary from getBoundary()
+ * @param {Object} handlers
+ * @param {Function} handlers.onPart - `async ({ headers, name, filename, type })` at the start of each part;
+ *   `filename` is null for plain fields and stripped of any directory otherwise
+ * @param {Function} handlers.onData - `async (chunk)` with the next piece of the current part's body
+ * @param {Function} handlers.onPartEnd - `async ()` after the last piece of the current part
+ * @param {Object} [options]
+ * @param {number} [options.maxHeaderSize=MAX_HEADER_SIZE] - Largest header block per part
+ * @returns {{write: Function, end: Function}} `write(chunk)` returns a promise; `end()`
+ *   throws MultipartError when the body stopped before its closing boundary
+ */
+function createMultipartParser(boundary, { onPart, onData, onPartEnd }, { maxHeaderSize = MAX_HEADER_SIZE } = {}) {
+  const delimiter = Buffer.from(`\r\n--${boundary}`);
+  // A leading CRLF lets the first boundary match the same delimiter as the others
+  let buffer = Buffer.from(CRLF);
+  let state = 'preamble';
+
+  /**
+   * Consumes as much of the buffer as the current state allows
+   *
+   * @returns {Promise<void>} Resolves when more data is needed
+   */
+  async function drain() {
+    for (;;) {
+      if (state === 'preamble' || state === 'body') {
+        const index = buffer.indexOf(delimiter);
+        if (index === -1) {
+          // Keep what could be the start of a delimiter split across chunks
+          const keep = Math.min(buffer.length, delimiter.length - 1);
+          if (state === 'body' && buffer.length > keep) {
+            await onData(buffer.subarray(0, buffer.length - keep));
+          }
+          buffer = buffer.subarray(buffer.length - keep);
+          return;
+        }
+        if (state === 'body') {
+          if (index > 0) {
+            await onData(buffer.subarray(0, index));
+          }
+          await onPartEnd();
+        }
+        buffer = buffer.subarray(index + delimiter.length);
+        state = 'boundary';
+      } else if (state === 'boundary') {
+        // "--" closes the body; otherwise optional whitespace and CRLF open a part
+        if (buffer.length < 2) {
+          return;
+        }
+        if (buffer[0] === 0x2d && buffer[1] === 0x2d) {
+          state = 'done';
+          return;
+        }
+        const lineEnd = buffer.indexOf(CRLF);
+        if (lineEnd === -1) {
+          if (buffer.length > 256) {
+            throw new MultipartError('Malformed boundary line');
+          }
+          return;
+        }
+        if (!/^[ \t]*$/.test(buffer.toString('latin1', 0, lineEnd))) {
+          throw new MultipartError('Malformed boundary line');
+        }
+        buffer = buffer.subarray(lineEnd + 2);
+        state = 'headers';
+      } else if (state === 'headers') {
+        // A part without headers starts right away with its blank line
+        const end = buffer.subarray(0, 2).equals(CRLF) ? -2 : buffer.indexOf(HEADER_END);
+        if (end === -1) {
+          if (buffer.length > maxHeaderSize) {
+            throw new MultipartError(`Part headers exceed ${maxHeaderSize} bytes`);
+          }
+          return;
+        }
+        if (end > maxHeaderSize) {
+          throw new MultipartError(`Part headers exceed ${maxHeaderSize} bytes`);
+        }
+        const headers = parseHeaders(end < 0 ? '' : buffer.toString('utf8', 0, end));
+        buffer = buffer.subarray(end + 4);
+        const disposition = parseHeaderParams(headers['content-disposition'] || '');
+        if (disposition.value !== 'form-data' || disposition.params.name === undefined) {
+          throw new MultipartError('Every part needs a Content-Disposition of form-data with a name');
+        }
+        const { filename } = disposition.params;
+        state = 'body';
+        await onPart({
+          headers,
+          name: disposition.params.name,
+          filename: filename === undefined ? null : filename.split(/[/\\]/).pop(),
+          type: headers['content-type'] || (filename === undefined ? 'text/plain' : 'application/octet-stream')
+        });
+      } else {
+        // Ignore the epilogue
+        buffer = Buffer.alloc(0);
+        return;
+      }
+    }
+  }
+
+  return {
+    /**
+     * Parses the next chunk of the body
+     *
+     * @param {Buffer} chunk - Body data
+     * @returns {Promise<void>} Resolves once the handlers are done with it
+     * @throws {MultipartError} On malformed input
+     */
+    async write(chunk) {
+      buffer = buffer.length ? Buffer.concat([buffer, chunk]) : chunk;
+      await drain();
+    },
+
+    /**
+     * Checks that the body was complete
+     *
+     * @throws {MultipartError} When the closing boundary is missing
+     */
+    end() {
+      if (state !== 'done') {
+        throw new MultipartError(state === 'preamble'
+          ? 'Body does not contain the multipart boundary'
+          : 'Body ended before the closing boundary');
+      }
+    }
+  };
+}
+
+module.exports = {
+  MAX_HEADER_SIZE,
+  MultipartError,
+  getBoundary,
+  parseHeaderParams,
+  createMultipartParser
+};
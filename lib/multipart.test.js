@@ -0,0 +1,140 @@
+/**
+ * Unit Tests for the streaming multipart/form-data parser
+ *
+ * @module lib/multipart.test
+ */
+
+const { MultipartError, getBoundary, parseHeaderParams, createMultipartParser } = require('./multipart');
+
+const BODY = [
+  'preamble to ignore',
+  '--xyz',
+  'Content-Disposition: form-data; name="title"',
+  '',
+  'Holiday',
+  '--xyz',
+  'Content-Disposition: form-data; name="photo"; filename="C:\\Users\\ada\\beach.jpg"',
+  'Content-Type: image/jpeg',
+  '',
+  'line one\r\n--xy not a boundary\r\nline two',
+  '--xyz--',
+  'epilogue to ignore'
+].join('\r\n');
+
+/**
+ * Parses a body fed in the given chunks and collects the parts
+ */
+async function parse(chunks, boundary = 'xyz', options) {
+  const parts = [];
+  const parser = createMultipartParser(boundary, {
+    onPart: async (part) => { parts.push({ ...part, data: [] }); },
+    onData: async (chunk) => { parts[parts.length - 1].data.push(Buffer.from(chunk)); },
+    onPartEnd: async () => { parts[parts.length - 1].ended = true; }
+  }, options);
+  for (const chunk of chunks) {
+    await parser.write(Buffer.from(chunk));
+  }
+  parser.end();
+  return parts.map(({ data, ...part }) => ({ ...part, body: Buffer.concat(data).toString() }));
+}
+
+describe('Multipart Parser', () => {
+  describe('getBoundary()', () => {
+    it.each([
+      ['multipart/form-data; boundary=xyz', 'xyz'],
+      ['Multipart/Form-Data;boundary="a b:c"; charset=utf-8', 'a b:c'],
+      ['multipart/form-data; charset=utf-8; boundary=----WebKit123', '----WebKit123']
+    ])('should read the boundary of %s', (contentType, boundary) => {
+      expect(getBoundary(contentType)).toBe(boundary);
+    });
+
+    it.each([
+      [undefined],
+      ['application/json'],
+      ['multipart/mixed; boundary=xyz'],
+      ['multipart/form-data'],
+      [`multipart/form-data; boundary=${'x'.repeat(71)}`]
+    ])('should return null for %s', (contentType) => {
+      expect(getBoundary(contentType)).toBeNull();
+    });
+  });
+
+  describe('parseHeaderParams()', () => {
+    it('should parse quoted and bare parameters', () => {
+      expect(parseHeaderParams('Form-Data; name="a \\"b\\""; filename=c.txt')).toEqual({
+        value: 'form-data',
+        params: { name: 'a "b"', filename: 'c.txt' }
+      });
+    });
+
+    it('should prefer UTF-8 filename* over filename', () => {
+      const { params } = parseHeaderParams('form-data; name="f"; filename="ete.jpg"; filename*=UTF-8\'\'%C3%A9t%C3%A9.jpg');
+      expect(params.filename).toBe('été.jpg');
+      expect(parseHeaderParams('form-data; filename="a.jpg"; filename*=UTF-8\'\'%E9').params.filename).toBe('a.jpg');
+    });
+  });
+
+  describe('createMultipartParser()', () => {
+    const expected = [
+      { name: 'title', filename: null, type: 'text/plain', body: 'Holiday', ended: true },
+      { name: 'photo', filename: 'beach.jpg', type: 'image/jpeg', body: 'line one\r\n--xy not a boundary\r\nline two', ended: true }
+    ];
+
+    it('should parse fields and files and ignore the preamble and epilogue', async () => {
+      const parts = await parse([BODY]);
+      expect(parts).toEqual(expected.map((part) => expect.objectContaining(part)));
+      expect(parts[1].headers).toEqual({
+        'content-disposition': 'form-data; name="photo"; filename="C:\\Users\\ada\\beach.jpg"',
+        'content-type': 'image/jpeg'
+      });
+    });
+
+    it('should give the same result however the body is split', async () => {
+      for (let split = 1; split < BODY.length; split += 1) {
+        const parts = await parse([BODY.slice(0, split), BODY.slice(split)]);
+        expect(parts).toEqual(expected.map((part) => expect.objectContaining(part)));
+      }
+      const bytes = await parse([...BODY]);
+      expect(bytes).toEqual(expected.map((part) => expect.objectContaining(part)));
+    });
+
+    it('should accept a body that starts with the boundary and has empty parts', async () => {
+      const parts = await parse(['--xyz\r\nContent-Disposition: form-data; name="empty"\r\n\r\n\r\n--xyz--']);
+      expect(parts).toEqual([expect.objectContaining({ name: 'empty', body: '', ended: true })]);
+    });
+
+    it('should wait for handlers before parsing on', async () => {
+      const events = [];
+      const parser = createMultipartParser('xyz', {
+        onPart: async () => { events.push('part'); },
+        onData: async () => {
+          await new Promise((resolve) => setTimeout(resolve, 10));
+          events.push('data');
+        },
+        onPartEnd: async () => { events.push('end'); }
+      });
+      await parser.write(Buffer.from('--xyz\r\nContent-Disposition: form-data; name="a"\r\n\r\nvalue\r\n--xyz--'));
+      expect(events).toEqual(['part', 'data', 'end']);
+    });
+
+    it.each([
+      ['a body without the boundary', ['just text'], /does not contain the multipart boundary/],
+      ['a body without the closing boundary', ['--xyz\r\nContent-Disposition: form-data; name="a"\r\n\r\nvalue'],
+        /ended before the closing boundary/],
+      ['a part without a name', ['--xyz\r\nContent-Disposition: form-data\r\n\r\nvalue\r\n--xyz--'], /with a name/],
+      ['a part that is no form data', ['--xyz\r\nContent-Disposition: attachment; name="a"\r\n\r\nx\r\n--xyz--'], /form-data/],
+      ['a malformed header', ['--xyz\r\nno colon here\r\n\r\nx\r\n--xyz--'], /Malformed part header/],
+      ['text after the boundary', ['--xyzabc\r\nContent-Disposition: form-data; name="a"\r\n\r\nx\r\n--xyz--'],
+        /Malformed boundary line/]
+    ])('should reject %s', async (name, chunks, message) => {
+      await expect(parse(chunks)).rejects.toThrow(MultipartError);
+      await expect(parse(chunks)).rejects.toThrow(message);
+    });
+
+    it('should reject oversized headers without buffering them', async () => {
+      const header = `--xyz\r\nContent-Disposition: form-data; name="a"\r\nX-Padding: ${'x'.repeat(200)}`;
+      await expect(parse([header], 'xyz', { maxHeaderSize: 100 })).rejects.toThrow(/Part headers exceed 100 bytes/);
+      await expect(parse([`${header}\r\n\r\nx\r\n--xyz--`], 'xyz', { maxHeaderSize: 100 })).rejects.toThrow(/exceed/);
+    });
+  });
+});
@@ -0,0 +1,136 @@
+/**
+ * Greeting Content Negotiation
+ *
+ * Renders a greeting in the representation the client asks for through
+ * `Accept`: plain text, JSON, HTML or XML. Every representation carries the
+ * same envelope:
+ *
+ *     { "greeting": "Good evening", "period": "evening", "locale": "en" }
+ *
+ * `period` is null for greetings that are not tied to a day part (GET /).
+ * Clients that accept none of the supported types get 406 Not Acceptable.
+ *
+ * @module lib/negotiate
+ */
+
+const { escapeMarkup } = require('./markup');
+const { NotAcceptableError } = require('./errors');
+const { DAY_PARTS } = require('./greeting');
+
+/**
+ * Serializes an envelope as XML elements
+ *
+ * @param {Object} envelope - Flat object of scalar values
+ * @returns {string} `<name>value</name>` lines; null values become empty elements
+ */
+function toXmlElements(envelope) {
+  return Object.entries(envelope)
+    .map(([name, value]) => (value === null || value === undefined
+      ? `  <${name}/>`
+      : `  <${name}>${escapeMarkup(value)}</${name}>`))
+    .join('\n');
+}
+
+/**
+ * Renderers keyed by media type, in server preference order.
+ * Each receives the envelope and the plain text form of the greeting.
+ *
+ * @type {Object<string, Function>}
+ */
+const RENDERERS = {
+  'text/plain': (envelope, text) => text,
+  'application/json': (envelope) => JSON.stringify(envelope),
+  'text/html': (envelope) => [
+    '<!DOCTYPE html>',
+    `<html lang="${escapeMarkup(envelope.locale)}">`,
+    `<head><meta charset="utf-8"><title>${escapeMarkup(envelope.greeting)}</title></head>`,
+    `<body><p class="greeting"${envelope.period ? ` data-period="${escapeMarkup(envelope.period)}"` : ''}>`
+      + `${escapeMarkup(envelope.greeting)}</p></body>`,
+    '</html>',
+    ''
+  ].join('\n'),
+  'application/xml': (envelope) => [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<response>',
+    toXmlElements(envelope),
+    '</response>',
+    ''
+  ].join('\n')
+};
+
+/**
+ * Media types that can be produced, in server preference order
+ * @type {string[]}
+ */
+const SUPPORTED_TYPES = Object.keys(RENDERERS);
+
+/**
+ * OpenAPI description of the greeting representations (see lib/openapi)
+ * @type {Object<string, Object>}
+ */
+const GREETING_CONTENT = {
+  'text/plain': { schema: { type: 'string' } },
+  'application/json': {
+    schema: {
+      type: 'object',
+      properties: {
+        greeting: { type: 'string' },
+        period: { type: ['string', 'null'], enum: [...DAY_PARTS, null] },
+        locale: { type: 'string' }
+      },
+      required: ['greeting', 'period', 'locale']
+    }
+  },
+  'text/html': { schema: { type: 'string' } },
+  'application/xml': { schema: { type: 'string' } }
+};
+
+/**
+ * Additional media types served by the renderer of another type
+ * @type {Object<string, string>}
+ */
+const ALIASES = {
+  'text/xml': 'application/xml'
+};
+
+/**
+ * Picks the response media type for a request
+ *
+ * A missing Accept header or a full wildcard selects text/plain.
+ *
+ * @param {express.Request} req - The request
+ * @returns {string|null} A supported media type, or null when none is acceptable
+ */
+function negotiateType(req) {
+  return req.accepts([...SUPPORTED_TYPES, ...Object.keys(ALIASES)]) || null;
+}
+
+/**
+ * Sends a greeting in the negotiated representation
+ *
+ * @param {express.Request} req - The request
+ * @param {express.Response} res - The response
+ * @param {Object} envelope - Response envelope
+ * @param {string} envelope.greeting - Greeting text
+ * @param {string|null} envelope.period - Day part, or null
+ * @param {string} envelope.locale - Locale of the greeting
+ * @param {Object} [options]
+ * @param {string} [options.text] - Plain text body; defaults to the greeting
+ * @throws {NotAcceptableError} When the client accepts none of the supported types
+ */
+function sendGreeting(req, res, envelope, { text = envelope.greeting } = {}) {
+  res.vary('Accept');
+  const type = negotiateType(req);
+  if (!type) {
+    throw new NotAcceptableError(`Supported types: ${SUPPORTED_TYPES.join(', ')}`);
+  }
+  res.type(type).send(RENDERERS[ALIASES[type] || type](envelope, text));
+}
+
+module.exports = {
+  SUPPORTED_TYPES,
+  GREETING_CONTENT,
+  escapeMarkup,
+  negotiateType,
+  sendGreeting
+};
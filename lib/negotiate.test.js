@@ -0,0 +1,53 @@
+/**
+ * Unit Tests for greeting content negotiation
+ *
+ * @module lib/negotiate.test
+ */
+
+const express = require('express');
+const request = require('supertest');
+const { SUPPORTED_TYPES, escapeMarkup, sendGreeting } = require('./negotiate');
+
+describe('Greeting Content Negotiation', () => {
+  const app = express();
+  app.get('/', (req, res) => {
+    sendGreeting(req, res, { greeting: '<Hi & bye>', period: null, locale: 'en' }, { text: 'plain\n' });
+  });
+
+  it('should list the supported types in preference order', () => {
+    expect(SUPPORTED_TYPES).toEqual(['text/plain', 'application/json', 'text/html', 'application/xml']);
+  });
+
+  it('should prefer text/plain for wildcards', async () => {
+    const response = await request(app).get('/').set('Accept', '*/*');
+    expect(response.headers['content-type']).toMatch(/text\/plain/);
+    expect(response.text).toBe('plain\n');
+  });
+
+  it('should escape markup in HTML', async () => {
+    const response = await request(app).get('/').set('Accept', 'text/html');
+    expect(response.text).toContain('&lt;Hi &amp; bye&gt;');
+    expect(response.text).not.toContain('data-period');
+  });
+
+  it('should escape markup in XML', async () => {
+    const response = await request(app).get('/').set('Accept', 'application/xml');
+    expect(response.text).toContain('<greeting>&lt;Hi &amp; bye&gt;</greeting>');
+  });
+
+  it('should pick a subtype from a type wildcard', async () => {
+    const response = await request(app).get('/').set('Accept', 'application/*');
+    expect(response.headers['content-type']).toMatch(/application\/json/);
+  });
+
+  it('should return 406 when nothing is acceptable', async () => {
+    const response = await request(app).get('/').set('Accept', 'application/pdf');
+    expect(response.status).toBe(406);
+  });
+
+  describe('escapeMarkup()', () => {
+    it('should escape quotes', () => {
+      expect(escapeMarkup('"a" \'b\'')).toBe('&quot;a&quot; &#39;b&#39;');
+    });
+  });
+});
@@ -0,0 +1,554 @@
+/**
+ * OpenAPI Description and Request Validation
+ *
+ * Routes declare their contract with `operation()`, a middleware placed
+ * after any body parser and before the handler:
+ *
+ *     router.get('/:slug', operation({
+ *       summary: 'Get an industry',
+ *       params: { type: 'object', properties: { slug: { type: 'string' } } },
+ *       responses: { 200: { description: 'The industry', schema: INDUSTRY } }
+ *     }), handler);
+ *
+ * The middleware validates `params`, `query` and `body` against their JSON
+ * Schemas (see lib/schema) and answers violations with one 400 listing all
+ * of them. `buildDocument()` walks the app's routing table, including
+ * mounted routers and the roles `authorize()` requires, and describes every
+ * route as OpenAPI 3.1; routes without a declaration are listed with their
+ * path parameters only.
+ *
+ * Express 5 does not keep the path a router was mounted at, so apps call
+ * `trackMountPaths()` before mounting routers.
+ *
+ * Routes:
+ * - GET /openapi.json : The OpenAPI document of the app
+ * - GET /docs         : HTML reference of the same, with a form to try each operation
+ *
+ * @module lib/openapi
+ */
+
+const express = require('express');
+const { ValidationError } = require('./errors');
+const { escapeMarkup } = require('./markup');
+const { validateSchema } = require('./schema');
+
+/**
+ * Problem details of errors (RFC 9457), as sent by lib/errors
+ * @type {Object}
+ */
+const PROBLEM_SCHEMA = {
+  type: 'object',
+  properties: {
+    type: { type: 'string' },
+    title: { type: 'string' },
+    status: { type: 'integer' },
+    detail: { type: 'string' },
+    instance: { type: 'string' },
+    correlationId: { type: 'string' },
+    parameter: { type: 'string', description: 'Offending query or path parameter' },
+    errors: {
+      type: 'array',
+      description: 'Every schema violation of a 400',
+      items: {
+        type: 'object',
+        properties: {
+          in: { type: 'string', enum: ['path', 'query', 'body'] },
+          name: { type: 'string', description: 'Parameter name (path and query)' },
+          pointer: { type: 'string', description: 'JSON Pointer into the body' },
+          message: { type: 'string' }
+        },
+        required: ['in', 'message']
+      }
+    }
+  },
+  required: ['type', 'title', 'status']
+};
+
+/**
+ * Converts a query or path parameter to the type its schema expects
+ *
+ * Numbers and booleans arrive as strings; `?flag` and `?flag=1` count as
+ * true, matching the handlers.
+ *
+ * @param {Object} schema - Schema of the parameter
+ * @param {*} value - Raw value, a string or an array of strings
+ * @returns {*} Converted value; values that do not convert are returned as is
+ */
+function coerceParameter(schema, value) {
+  const types = [].concat(schema.type || []);
+  if (types.includes('array')) {
+    return [].concat(value).map((item) => coerceParameter(schema.items || {}, item));
+  }
+  if (typeof value !== 'string') {
+    return value;
+  }
+  if ((types.includes('integer') || types.includes('number')) && value.trim() !== '' && Number.isFinite(Number(value))) {
+    return Number(value);
+  }
+  if (types.includes('boolean') && ['true', '1', '', 'false', '0'].includes(value)) {
+    return ['true', '1', ''].includes(value);
+  }
+  return value;
+}
+
+/**
+ * Validates path or query parameters
+ *
+ * @param {string} location - "path" or "query"
+ * @param {Object} [schema] - Object schema with a property per parameter
+ * @param {Object} values - req.params or req.query
+ * @returns {Array<Object>} Violations `{ in, name, message }`
+ */
+function checkParameters(location, schema, values) {
+  if (!schema) {
+    return [];
+  }
+  const errors = [];
+  const coerced = {};
+  for (const [name, value] of Object.entries(values || {})) {
+    const property = (schema.properties || {})[name];
+    if (property && Array.isArray(value) && ![].concat(property.type).includes('array')) {
+      errors.push({ in: location, name, message: `"${name}" must be given once` });
+    } else {
+      coerced[name] = property ? coerceParameter(property, value) : value;
+    }
+  }
+  for (const { pointer, message } of validateSchema(schema, coerced, `The ${location}`)) {
+    const name = pointer.split('/')[1].replace(/~1/g, '/').replace(/~0/g, '~');
+    errors.push({ in: location, name, message });
+  }
+  return errors;
+}
+
+/**
+ * Validates a parsed request body
+ *
+ * Bodies no parser handled (undefined) and raw text or binary bodies are
+ * left to the route.
+ *
+ * @param {Object} [schema] - Schema of the body
+ * @param {*} body - req.body
+ * @returns {Array<Object>} Violations `{ in: 'body', pointer, message }`
+ */
+function checkBody(schema, body) {
+  if (!schema || body === undefined || typeof body === 'string' || Buffer.isBuffer(body)) {
+    return [];
+  }
+  return validateSchema(schema, body, 'Request body').map(({ pointer, message }) => ({ in: 'body', pointer, message }));
+}
+
+/**
+ * Declares a route's contract and validates requests against it
+ *
+ * @param {Object} spec
+ * @param {string} [spec.summary] - One-line description
+ * @param {string} [spec.description] - Longer description (CommonMark)
+ * @param {string[]} [spec.tags] - Groups; the first path segment by default
+ * @param {string} [spec.operationId] - Generated from the method and path by default
+ * @param {boolean} [spec.auth] - Requires a logged-in user (see requireUser in lib/sessions)
+ * @param {Object} [spec.params] - Object schema of the path parameters
+ * @param {Object} [spec.query] - Object schema of the query parameters
+ * @param {Object} [spec.body] - Schema of a JSON (or form) body
+ * @param {Object<string, Object|null>} [spec.consumes] - Other body types and their schemas
+ * @param {boolean} [spec.optionalBody] - The body may be left out
+ * @param {Object<string, string|Object>} [spec.responses] - Description, or
+ *   `{ description, schema, type, content, headers }`, keyed by status
+ * @returns {Function} Express middleware carrying the spec as `openapi`
+ */
+function operation(spec) {
+  const middleware = (req, res, next) => {
+    const errors = [
+      ...checkParameters('path', spec.params, req.params),
+      ...checkParameters('query', spec.query, req.query),
+      ...checkBody(spec.body, req.body)
+    ];
+    if (!errors.length) {
+      return next();
+    }
+    const options = { errors };
+    if (errors[0].name !== undefined) {
+      options.parameter = errors[0].name;
+    }
+    next(new ValidationError(errors.map(({ message }) => message).join('; '), options));
+  };
+  middleware.openapi = spec;
+  return middleware;
+}
+
+/**
+ * Records the path of every router an app mounts, as `layer.mountPath`
+ *
+ * @param {express.Application} app - Call before the app mounts routers
+ * @returns {express.Application} The app
+ */
+function trackMountPaths(app) {
+  const use = app.use;
+  app.use = function useTracked(...args) {
+    const mountPath = typeof args[0] === 'string' ? args[0] : '/';
+    const start = this.router.stack.length;
+    use.apply(this, args);
+    this.router.stack.slice(start).forEach((layer) => { layer.mountPath = mountPath; });
+    return this;
+  };
+  return app;
+}
+
+/**
+ * Joins a mount path and a route path
+ *
+ * @param {string} base - Mount path, '' or '/' for the root
+ * @param {string} path - Route path
+ * @returns {string} e.g. "/industries/:slug"
+ */
+function joinPaths(base, path) {
+  const joined = `${base.replace(/\/+$/, '')}/${path.replace(/^\/+/, '')}`;
+  return joined.length > 1 ? joined.replace(/\/+$/, '') : '/';
+}
+
+/**
+ * Converts an Express path to an OpenAPI path template
+ *
+ * @param {string} path - e.g. "/media/:name/metadata" or "/media/*file"
+ * @returns {{path: string, keys: string[]}} e.g. "/media/{name}/metadata" and its parameter names
+ */
+function toTemplate(path) {
+  const keys = [];
+  const template = path.replace(/[:*](\w+)/g, (match, key) => {
+    keys.push(key);
+    return `{${key}}`;
+  });
+  return { path: template, keys };
+}
+
+/**
+ * Generates an operation ID from a method and path template
+ *
+ * @param {string} method - Lower-case HTTP method
+ * @param {string} path - OpenAPI path, e.g. "/industries/{slug}"
+ * @returns {string} e.g. "getIndustriesBySlug", or "getRoot" for "/"
+ */
+function operationId(method, path) {
+  const capitalize = (word) => word.charAt(0).toUpperCase() + word.slice(1);
+  const words = path.split('/').filter(Boolean).map((segment) => {
+    const param = /^\{(\w+)\}$/.exec(segment);
+    return param
+      ? `By${capitalize(param[1])}`
+      : segment.split(/[^A-Za-z0-9]+/).filter(Boolean).map(capitalize).join('');
+  });
+  return method + (words.join('') || 'Root');
+}
+
+/**
+ * Describes a response
+ *
+ * @param {string} status - Status code or "default"
+ * @param {string|Object} response - Description or `{ description, schema, type, headers }`;
+ *   `content` gives OpenAPI media types directly, for several representations
+ * @returns {Object} OpenAPI response object; 4xx and 5xx default to problem details
+ */
+function toResponse(status, response) {
+  const { description, schema, type, content, headers } = typeof response === 'string'
+    ? { description: response }
+    : response;
+  const result = { description };
+  if (headers) {
+    result.headers = Object.fromEntries(Object.entries(headers)
+      .map(([name, text]) => [name, { description: text, schema: { type: 'string' } }]));
+  }
+  if (content) {
+    result.content = content;
+  } else if (type || schema) {
+    result.content = { [type || 'application/json']: schema ? { schema } : {} };
+  } else if (Number(status) >= 400) {
+    result.content = { 'application/problem+json': { schema: { $ref: '#/components/schemas/Problem' } } };
+  }
+  return result;
+}
+
+/**
+ * Describes one method of a route
+ *
+ * @param {string} method - Lower-case HTTP method
+ * @param {string} path - OpenAPI path template
+ * @param {string[]} keys - Path parameter names
+ * @param {Object} spec - From operation(), or {} when undeclared
+ * @param {string|null} role - Role authorize() requires, if any
+ * @returns {Object} OpenAPI operation object
+ */
+function describeOperation(method, path, keys, spec, role) {
+  const result = {
+    operationId: spec.operationId || operationId(method, path),
+    tags: spec.tags || [path.split('/')[1].replace(/\{.*/, '') || 'root']
+  };
+  if (spec.summary) result.summary = spec.summary;
+  if (spec.description) result.description = spec.description;
+
+  const params = (spec.params && spec.params.properties) || {};
+  const query = (spec.query && spec.query.properties) || {};
+  const requiredQuery = (spec.query && spec.query.required) || [];
+  const parameter = (name, location, schema, required) => {
+    const { description, ...rest } = schema;
+    return { name, in: location, required, ...(description ? { description } : {}), schema: rest };
+  };
+  const parameters = [
+    ...keys.map((key) => parameter(key, 'path', params[key] || { type: 'string' }, true)),
+    ...Object.entries(query).map(([name, schema]) => parameter(name, 'query', schema, requiredQuery.includes(name)))
+  ];
+  if (parameters.length) result.parameters = parameters;
+
+  const content = {};
+  if (spec.body) {
+    content['application/json'] = { schema: spec.body };
+  }
+  for (const [type, schema] of Object.entries(spec.consumes || {})) {
+    content[type] = schema ? { schema } : {};
+  }
+  if (Object.keys(content).length) {
+    result.requestBody = { required: !spec.optionalBody, content };
+  }
+
+  const responses = Object.fromEntries(Object.entries(spec.responses || {})
+    .map(([status, response]) => [status, toResponse(status, response)]));
+  if ((spec.params || spec.query || spec.body) && !responses['400']) {
+    responses['400'] = toResponse('400', 'Invalid parameters or body; `errors` lists every violation');
+  }
+  if ((role || spec.auth) && !responses['401']) {
+    responses['401'] = toResponse('401', 'Authentication required');
+  }
+  if (role && !responses['403']) {
+    responses['403'] = toResponse('403', `Requires the ${role} role`);
+  }
+  result.responses = Object.keys(responses).length ? responses : { default: { description: 'Response' } };
+
+  if (role || spec.auth) {
+    const scopes = role ? [role] : [];
+    result.security = [{ bearerAuth: scopes }, { sessionCookie: scopes }];
+  }
+  return result;
+}
+
+/**
+ * Collects the operations of a routing table
+ *
+ * @param {Array<Object>} stack - Router layers
+ * @param {string} prefix - Path the stack is mounted at
+ * @param {Array<{path: string, roleFor: Function}>} guards - authorize() middleware seen so far
+ * @param {Object} paths - Accumulator keyed by OpenAPI path, then method
+ */
+function collectOperations(stack, prefix, guards, paths) {
+  const active = [...guards];
+  const roleAt = (path, method, extra) => {
+    const roles = [...active.filter((guard) => path === guard.path || path.startsWith(`${guard.path.replace(/\/$/, '')}/`)),
+      ...extra].map((guard) => guard.roleFor(method)).filter(Boolean);
+    return roles.length ? roles[roles.length - 1] : null;
+  };
+
+  for (const layer of stack) {
+    if (layer.route && typeof layer.route.path === 'string') {
+      const { path, keys } = toTemplate(joinPaths(prefix, layer.route.path));
+      const handles = layer.route.stack.map(({ handle }) => handle);
+      const spec = (handles.find((handle) => handle.openapi) || {}).openapi || {};
+      const routeGuards = handles.filter((handle) => handle.roleFor).map(({ roleFor }) => ({ roleFor }));
+      for (const [method, enabled] of Object.entries(layer.route.methods)) {
+        if (!enabled || method === '_all' || method === 'head') continue;
+        paths[path] = paths[path] || {};
+        if (!paths[path][method]) {
+          paths[path][method] = describeOperation(method, path, keys, spec,
+            roleAt(joinPaths(prefix, layer.route.path), method.toUpperCase(), routeGuards));
+        }
+      }
+    } else if (layer.handle && Array.isArray(layer.handle.stack)) {
+      collectOperations(layer.handle.stack, joinPaths(prefix, layer.mountPath || '/'), active, paths);
+    } else if (layer.handle && layer.handle.roleFor) {
+      active.push({ path: joinPaths(prefix, layer.mountPath || '/'), roleFor: layer.handle.roleFor });
+    }
+  }
+}
+
+/**
+ * Describes an app as an OpenAPI 3.1 document
+ *
+ * @param {express.Application} app - App whose routes to describe
+ * @param {Object} [options]
+ * @param {Object} [options.info] - OpenAPI info object (`title`, `version`, ...)
+ * @param {string} [options.cookieName='sid'] - Name of the session cookie
+ * @returns {Object} The document
+ */
+function buildDocument(app, { info = { title: 'API', version: '1.0.0' }, cookieName = 'sid' } = {}) {
+  const paths = {};
+  collectOperations(app.router.stack, '/', [], paths);
+  const sorted = Object.keys(paths).sort().map((path) => [path, paths[path]]);
+  return {
+    openapi: '3.1.0',
+    info,
+    paths: Object.fromEntries(sorted),
+    components: {
+      schemas: { Problem: PROBLEM_SCHEMA },
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', description: 'Token from POST /tokens' },
+        sessionCookie: { type: 'apiKey', in: 'cookie', name: cookieName, description: 'Session from POST /login' }
+      }
+    }
+  };
+}
+
+/**
+ * Browser script of the docs page: sends each "Try it" form with fetch()
+ * and shows the response
+ * @type {string}
+ */
+const TRY_IT_SCRIPT = `
+document.querySelectorAll('form.try').forEach(function (form) {
+  form.addEventListener('submit', function (event) {
+    event.preventDefault();
+    var path = form.dataset.path;
+    var query = new URLSearchParams();
+    var headers = {};
+    var token = document.getElementById('token').value.trim();
+    if (token) headers.Authorization = 'Bearer ' + token;
+    form.querySelectorAll('[data-in]').forEach(function (input) {
+      if (input.value === '') return;
+      if (input.dataset.in === 'path') path = path.replace('{' + input.name + '}', encodeURIComponent(input.value));
+      else query.append(input.name, input.value);
+    });
+    var options = { method: form.dataset.method, headers: headers, credentials: 'same-origin' };
+    var body = form.querySelector('textarea');
+    if (body && body.value !== '') {
+      headers['Content-Type'] = form.querySelector('select').value;
+      options.body = body.value;
+    }
+    var output = form.querySelector('output');
+    output.textContent = '...';
+    fetch(path + (query.toString() ? '?' + query : ''), options).then(function (res) {
+      return res.text().then(function (text) {
+        output.textContent = res.status + ' ' + res.statusText + '\\n' + (res.headers.get('Content-Type') || '') + '\\n\\n' + text;
+      });
+    }, function (err) {
+      output.textContent = String(err);
+    });
+  });
+});
+`;
+
+/**
+ * Renders the HTML reference of an OpenAPI document
+ *
+ * @param {Object} document - From buildDocument()
+ * @returns {string} HTML page
+ */
+function renderDocs(document) {
+  const groups = new Map();
+  for (const [path, methods] of Object.entries(document.paths)) {
+    for (const [method, op] of Object.entries(methods)) {
+      const tag = op.tags[0];
+      groups.set(tag, [...(groups.get(tag) || []), { path, method, op }]);
+    }
+  }
+  const json = (value) => `<pre>${escapeMarkup(JSON.stringify(value, null, 2))}</pre>`;
+  const renderOperation = ({ path, method, op }) => {
+    const parameters = op.parameters || [];
+    const bodyTypes = op.requestBody ? Object.keys(op.requestBody.content) : [];
+    return [
+      `<details id="${escapeMarkup(op.operationId)}">`,
+      `<summary><span class="method ${method}">${method.toUpperCase()}</span> <code>${escapeMarkup(path)}</code>`
+        + ` ${escapeMarkup(op.summary || '')}${op.security ? ` <small>(${escapeMarkup(op.security[0].bearerAuth[0] || 'login')})</small>` : ''}</summary>`,
+      op.description ? `<p>${escapeMarkup(op.description)}</p>` : '',
+      parameters.length ? [
+        '<table><tr><th>Name</th><th>In</th><th>Schema</th><th>Description</th></tr>',
+        ...parameters.map((param) => `<tr><td><code>${escapeMarkup(param.name)}</code>${param.required ? ' *' : ''}</td>`
+          + `<td>${param.in}</td><td><code>${escapeMarkup(JSON.stringify(param.schema))}</code></td>`
+          + `<td>${escapeMarkup(param.description || '')}</td></tr>`),
+        '</table>'
+      ].join('\n') : '',
+      ...bodyTypes.map((type) => `<h4>Body: <code>${escapeMarkup(type)}</code></h4>${
+        op.requestBody.content[type].schema ? json(op.requestBody.content[type].schema) : ''}`),
+      '<h4>Responses</h4><ul>',
+      ...Object.entries(op.responses).map(([status, response]) => `<li><b>${escapeMarkup(status)}</b> ${
+        escapeMarkup(response.description)}${response.content ? ` <code>${escapeMarkup(Object.keys(response.content).join(', '))}</code>` : ''}</li>`),
+      '</ul>',
+      `<form class="try" data-method="${method.toUpperCase()}" data-path="${escapeMarkup(path)}">`,
+      ...parameters.map((param) => `<label>${escapeMarkup(param.name)} <input name="${escapeMarkup(param.name)}" `
+        + `data-in="${param.in}"${param.required ? ' required' : ''}></label>`),
+      bodyTypes.length ? `<select>${bodyTypes.map((type) => `<option>${escapeMarkup(type)}</option>`).join('')}</select>`
+        + '<textarea rows="4" placeholder="Request body"></textarea>' : '',
+      '<button>Try it</button><output></output>',
+      '</form>',
+      '</details>'
+    ].filter(Boolean).join('\n');
+  };
+
+  return [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    `<head><meta charset="utf-8"><title>${escapeMarkup(document.info.title)} reference</title>`,
+    '<style>',
+    'body{font:15px/1.5 system-ui,sans-serif;max-width:960px;margin:2em auto;padding:0 1em}',
+    'details{border:1px solid #ddd;border-radius:4px;margin:.4em 0;padding:.4em .8em}summary{cursor:pointer}',
+    '.method{display:inline-block;min-width:4.5em;font:bold 12px monospace;color:#fff;background:#555;text-align:center;border-radius:3px}',
+    '.get{background:#2b7bb9}.post{background:#2e9e4f}.put,.patch{background:#c77c0e}.delete{background:#c0392b}',
+    'table{border-collapse:collapse}td,th{border:1px solid #ddd;padding:2px 6px;text-align:left}',
+    'pre,output{display:block;background:#f6f6f6;padding:.5em;overflow:auto;white-space:pre-wrap}',
+    'form label{display:block}textarea{display:block;width:100%}',
+    '</style></head>',
+    '<body>',
+    `<h1>${escapeMarkup(document.info.title)} <small>${escapeMarkup(document.info.version)}</small></h1>`,
+    '<p>Machine-readable: <a href="/openapi.json">/openapi.json</a> (OpenAPI 3.1). '
+      + '<label>Bearer token <input id="token" size="40" autocomplete="off"></label></p>',
+    ...[...groups].map(([tag, operations]) => `<h2>${escapeMarkup(tag)}</h2>\n${operations.map(renderOperation).join('\n')}`),
+    `<script>${TRY_IT_SCRIPT}</script>`,
+    '</body>',
+    '</html>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Creates the router serving /openapi.json and /docs
+ *
+ * The document is built from the routing table of the app serving the
+ * request, so routes mounted after this router are included.
+ *
+ * @param {Object} [options] - See buildDocument()
+ * @returns {express.Router} Router to mount at the app root
+ */
+function openapiRouter(options) {
+  const router = express.Router();
+
+  /**
+   * @route GET /openapi.json
+   * @returns {Object} The OpenAPI 3.1 document
+   */
+  router.get('/openapi.json', operation({
+    summary: 'OpenAPI description of this API',
+    tags: ['meta'],
+    responses: { 200: { description: 'OpenAPI 3.1 document', schema: { type: 'object' } } }
+  }), (req, res) => {
+    res.set('Cache-Control', 'no-cache').json(buildDocument(req.app, options));
+  });
+
+  /**
+   * @route GET /docs
+   * @returns {string} HTML reference with a "Try it" form per operation
+   */
+  router.get('/docs', operation({
+    summary: 'HTML reference of this API',
+    tags: ['meta'],
+    responses: { 200: { description: 'HTML page', type: 'text/html' } }
+  }), (req, res) => {
+    res.set('Cache-Control', 'no-cache').type('html').send(renderDocs(buildDocument(req.app, options)));
+  });
+
+  return router;
+}
+
+module.exports = {
+  PROBLEM_SCHEMA,
+  coerceParameter,
+  operation,
+  trackMountPaths,
+  toTemplate,
+  operationId,
+  buildDocument,
+  renderDocs,
+  openapiRouter
+};
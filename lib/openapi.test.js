@@ -0,0 +1,203 @@
+/**
+ * Unit Tests for the OpenAPI description and request validation
+ *
+ * @module lib/openapi.test
+ */
+
+const express = require('express');
+const request = require('supertest');
+const {
+  coerceParameter, operation, trackMountPaths, toTemplate, operationId, buildDocument, renderDocs, openapiRouter
+} = require('./openapi');
+const { authorize } = require('./access');
+const { errorHandler } = require('./errors');
+
+const ok = (req, res) => res.json({ params: req.params, body: req.body });
+
+/**
+ * Creates an app, signed in as admin, with a mounted, guarded router and the docs routes
+ */
+const createApp = () => {
+  const app = trackMountPaths(express());
+  const items = express.Router();
+  items.get('/', operation({
+    summary: 'List items',
+    query: {
+      type: 'object',
+      properties: { limit: { type: 'integer', minimum: 1, maximum: 10, description: 'Page size' }, all: { type: 'boolean' } }
+    },
+    responses: { 200: { description: 'The items', schema: { type: 'array' } } }
+  }), (req, res) => res.json({ query: req.query }));
+  items.put('/:id', express.json(), operation({
+    params: { type: 'object', properties: { id: { type: 'string', pattern: '^[a-z]+$' } } },
+    body: {
+      type: 'object',
+      required: ['name'],
+      additionalProperties: false,
+      properties: { name: { type: 'string', minLength: 1 }, size: { type: 'integer' } }
+    },
+    responses: { 200: 'Updated', 404: 'No such item' }
+  }), ok);
+  items.delete('/:id', authorize('admin'), ok);
+  app.use((req, res, next) => {
+    req.auth = { roles: ['admin'] };
+    next();
+  });
+  app.use(openapiRouter({ info: { title: 'Items <API>', version: '2.0.0' }, cookieName: 'session' }));
+  app.use('/items', authorize({ PUT: 'editor' }), items);
+  app.get('/plain/*rest', ok);
+  app.use(errorHandler());
+  return app;
+};
+
+describe('OpenAPI', () => {
+  describe('coerceParameter()', () => {
+    it.each([
+      [{ type: 'integer' }, '42', 42],
+      [{ type: 'integer' }, ' ', ' '],
+      [{ type: 'number' }, 'abc', 'abc'],
+      [{ type: 'boolean' }, '', true],
+      [{ type: 'boolean' }, '1', true],
+      [{ type: 'boolean' }, 'false', false],
+      [{ type: 'boolean' }, 'maybe', 'maybe'],
+      [{ type: 'array', items: { type: 'integer' } }, '3', [3]],
+      [{ type: 'string' }, '7', '7']
+    ])('should convert %j %j', (schema, value, expected) => {
+      expect(coerceParameter(schema, value)).toEqual(expected);
+    });
+  });
+
+  describe('toTemplate() and operationId()', () => {
+    it('should convert Express paths', () => {
+      expect(toTemplate('/media/:name/metadata')).toEqual({ path: '/media/{name}/metadata', keys: ['name'] });
+      expect(toTemplate('/media/*file')).toEqual({ path: '/media/{file}', keys: ['file'] });
+    });
+
+    it('should name operations after their method and path', () => {
+      expect(operationId('get', '/industries/{slug}')).toBe('getIndustriesBySlug');
+      expect(operationId('post', '/industries/import')).toBe('postIndustriesImport');
+      expect(operationId('get', '/good-morning')).toBe('getGoodMorning');
+      expect(operationId('get', '/')).toBe('getRoot');
+    });
+  });
+
+  describe('operation()', () => {
+    it('should pass valid requests through unchanged', async () => {
+      const res = await request(createApp()).get('/items?limit=5&all');
+      expect(res.status).toBe(200);
+      expect(res.body.query).toEqual({ limit: '5', all: '' });
+    });
+
+    it('should list every violation in one 400', async () => {
+      const res = await request(createApp()).put('/items/A1').send({ size: 'big', extra: true });
+      expect(res.status).toBe(400);
+      expect(res.body).toMatchObject({
+        detail: '"id" must match ^[a-z]+$; "name" is required; "size" must be an integer; Unknown field "extra"',
+        parameter: 'id',
+        errors: [
+          { in: 'path', name: 'id', message: '"id" must match ^[a-z]+$' },
+          { in: 'body', pointer: '/name', message: '"name" is required' },
+          { in: 'body', pointer: '/size', message: '"size" must be an integer' },
+          { in: 'body', pointer: '/extra', message: 'Unknown field "extra"' }
+        ]
+      });
+    });
+
+    it('should reject repeated and out-of-range parameters', async () => {
+      const res = await request(createApp()).get('/items?limit=0&all=maybe&all=1');
+      expect(res.status).toBe(400);
+      expect(res.body.errors).toEqual([
+        { in: 'query', name: 'all', message: '"all" must be given once' },
+        { in: 'query', name: 'limit', message: '"limit" must be between 1 and 10' }
+      ]);
+    });
+
+    it('should carry its spec', () => {
+      const spec = { summary: 'Test' };
+      expect(operation(spec).openapi).toBe(spec);
+    });
+  });
+
+  describe('buildDocument()', () => {
+    let document;
+
+    beforeAll(() => {
+      const app = createApp();
+      document = buildDocument(app, { info: { title: 'Items', version: '1.0.0' } });
+    });
+
+    it('should describe mounted routes under their full paths', () => {
+      expect(document.openapi).toBe('3.1.0');
+      expect(Object.keys(document.paths)).toEqual(['/docs', '/items', '/items/{id}', '/openapi.json', '/plain/{rest}']);
+      expect(Object.keys(document.paths['/items/{id}'])).toEqual(['put', 'delete']);
+    });
+
+    it('should describe parameters, bodies and responses', () => {
+      const list = document.paths['/items'].get;
+      expect(list).toMatchObject({ operationId: 'getItems', tags: ['items'], summary: 'List items' });
+      expect(list.parameters[0]).toEqual({
+        name: 'limit', in: 'query', required: false, description: 'Page size', schema: { type: 'integer', minimum: 1, maximum: 10 }
+      });
+      expect(list.responses['200'].content['application/json'].schema).toEqual({ type: 'array' });
+      expect(list.responses['400'].content['application/problem+json'].schema.$ref).toBe('#/components/schemas/Problem');
+      expect(list.security).toBeUndefined();
+
+      const put = document.paths['/items/{id}'].put;
+      expect(put.requestBody).toMatchObject({ required: true, content: { 'application/json': { schema: { required: ['name'] } } } });
+      expect(Object.keys(put.responses)).toEqual(['200', '400', '401', '403', '404']);
+    });
+
+    it('should list the role each operation requires', () => {
+      expect(document.paths['/items/{id}'].put.security).toEqual([{ bearerAuth: ['editor'] }, { sessionCookie: ['editor'] }]);
+      expect(document.paths['/items/{id}'].delete.security).toEqual([{ bearerAuth: ['admin'] }, { sessionCookie: ['admin'] }]);
+      expect(document.paths['/items/{id}'].delete.responses['403'].description).toBe('Requires the admin role');
+    });
+
+    it('should list undeclared routes with their path parameters', () => {
+      expect(document.paths['/plain/{rest}'].get).toEqual({
+        operationId: 'getPlainByRest',
+        tags: ['plain'],
+        parameters: [{ name: 'rest', in: 'path', required: true, schema: { type: 'string' } }],
+        responses: { default: { description: 'Response' } }
+      });
+    });
+
+    it('should name the session cookie', () => {
+      expect(document.components.securitySchemes.sessionCookie).toMatchObject({ in: 'cookie', name: 'sid' });
+    });
+  });
+
+  describe('renderDocs()', () => {
+    it('should escape every text', () => {
+      const html = renderDocs({
+        info: { title: 'A <b>', version: '1' },
+        paths: { '/x': { get: { operationId: 'getX', tags: ['x'], summary: '<script>', responses: { 200: { description: '&' } } } } }
+      });
+      expect(html).toMatch(/^<!DOCTYPE html>/);
+      expect(html).toContain('A &lt;b&gt; reference');
+      expect(html).toContain('&lt;script&gt;');
+      expect(html).not.toContain('<script>alert');
+      expect(html).toContain('<b>200</b> &amp;');
+    });
+  });
+
+  describe('GET /openapi.json and /docs', () => {
+    it('should serve the document of the app', async () => {
+      const res = await request(createApp()).get('/openapi.json');
+      expect(res.status).toBe(200);
+      expect(res.headers['cache-control']).toBe('no-cache');
+      expect(res.body.info).toEqual({ title: 'Items <API>', version: '2.0.0' });
+      expect(res.body.paths['/items/{id}'].put.security[1]).toEqual({ sessionCookie: ['editor'] });
+      expect(res.body.components.securitySchemes.sessionCookie.name).toBe('session');
+    });
+
+    it('should serve the HTML reference', async () => {
+      const res = await request(createApp()).get('/docs');
+      expect(res.status).toBe(200);
+      expect(res.headers['content-type']).toMatch(/^text\/html/);
+      expect(res.text).toContain('<title>Items &lt;API&gt; reference</title>');
+      expect(res.text).toContain('<form class="try" data-method="PUT" data-path="/items/{id}">');
+      expect(res.text).toContain('<small>(editor)</small>');
+    });
+  });
+});
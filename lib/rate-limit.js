@@ -0,0 +1,317 @@
+/**
+ * Rate Limiting
+ *
+ * `rateLimit()` caps how many requests a client may make in a window.
+ * Two algorithms are available:
+ *
+ * - `sliding-window`: at most `limit` requests in any `window` milliseconds
+ * - `token-bucket`: bursts of up to `limit` requests, refilled evenly at
+ *   `limit` per `window`
+ *
+ * Every limited response carries the IETF draft `RateLimit-Limit`,
+ * `RateLimit-Remaining`, `RateLimit-Reset` and `RateLimit-Policy` headers;
+ * refused requests get a 429 problem with `Retry-After`.
+ *
+ * Counters live in a store. `createMemoryStore()` keeps them in the process;
+ * a shared backend only has to implement `update()`:
+ *
+ *     store.update(key, ttl, apply) -> result | Promise<result>
+ *
+ * which must atomically call `apply(state)` with the key's current state
+ * (undefined when absent or expired), persist the returned `result.state`
+ * for `ttl` milliseconds and return `result`.
+ *
+ * @module lib/rate-limit
+ */
+
+const net = require('net');
+const { TooManyRequestsError } = require('./errors');
+
+/**
+ * Limiting algorithms. Each takes the stored state, the current time and the
+ * rule, and returns the new state with the decision:
+ * `{ state, allowed, remaining, reset, retryAfter }` (times in milliseconds).
+ *
+ * @type {Object<string, Function>}
+ */
+const ALGORITHMS = {
+  'sliding-window': (state, time, { limit, window }) => {
+    const hits = (state || []).filter((hit) => hit > time - window);
+    const allowed = hits.length < limit;
+    if (allowed) {
+      hits.push(time);
+    }
+    return {
+      state: hits,
+      allowed,
+      remaining: limit - hits.length,
+      // The oldest hit is the first to leave the window and free a request
+      reset: hits.length ? hits[0] + window - time : 0,
+      retryAfter: allowed ? 0 : hits[0] + window - time
+    };
+  },
+
+  'token-bucket': (state, time, { limit, window }) => {
+    const rate = limit / window;
+    let tokens = state ? Math.min(limit, state.tokens + (time - state.time) * rate) : limit;
+    const allowed = tokens >= 1;
+    if (allowed) {
+      tokens -= 1;
+    }
+    return {
+      state: { tokens, time },
+      allowed,
+      remaining: Math.floor(tokens),
+      reset: (limit - tokens) / rate,
+      retryAfter: allowed ? 0 : (1 - tokens) / rate
+    };
+  }
+};
+
+/**
+ * Strips the IPv4-mapped IPv6 prefix so `::ffff:10.0.0.1` matches `10.0.0.1`
+ *
+ * @param {string} ip - Client address
+ * @returns {string} Normalized address
+ */
+function normalizeIp(ip) {
+  return String(ip || '').replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, '');
+}
+
+/**
+ * Request keys: clients are counted per IP address, per API token (falling
+ * back to the IP for anonymous callers), or all together per route
+ *
+ * @type {Object<string, Function>}
+ */
+const KEYS = {
+  ip: (req) => `ip:${normalizeIp(req.ip)}`,
+  apiKey: (req) => (req.auth && req.auth.tokenId ? `token:${req.auth.tokenId}` : KEYS.ip(req)),
+  route: (req) => `route:${req.method} ${req.path}`
+};
+
+/**
+ * Parses an allowlist entry
+ *
+ * @param {string} entry - IP address or CIDR range, e.g. "10.0.0.0/8"
+ * @returns {{address: string, prefix: (number|undefined), family: string}|null} The entry, or null when malformed
+ */
+function parseAllowlistEntry(entry) {
+  const [address, prefix, extra] = String(entry).split('/');
+  const version = net.isIP(address);
+  const bits = version === 4 ? 32 : 128;
+  if (!version || extra !== undefined) {
+    return null;
+  }
+  if (prefix !== undefined && !(/^\d+$/.test(prefix) && Number(prefix) <= bits)) {
+    return null;
+  }
+  return { address, prefix: prefix === undefined ? undefined : Number(prefix), family: `ipv${version}` };
+}
+
+/**
+ * Checks a list of trusted IP addresses and CIDR ranges
+ *
+ * @param {*} value - Candidate allowlist
+ * @returns {string|null} Problem description, or null when valid
+ */
+function validateAllowlist(value) {
+  if (!Array.isArray(value)) {
+    return 'must be a list of IP addresses or CIDR ranges';
+  }
+  const bad = value.find((entry) => typeof entry !== 'string' || !parseAllowlistEntry(entry));
+  return bad === undefined ? null : `has invalid entry ${JSON.stringify(bad)} (expected an IP address or CIDR range)`;
+}
+
+/**
+ * Builds a matcher for an allowlist
+ *
+ * @param {string[]} entries - IP addresses and CIDR ranges
+ * @returns {Function} `(ip) => boolean`
+ * @throws {TypeError} On malformed entries
+ */
+function createAllowlist(entries) {
+  const problem = validateAllowlist(entries);
+  if (problem) {
+    throw new TypeError(`Rate limit allowlist ${problem}`);
+  }
+  const list = new net.BlockList();
+  for (const { address, prefix, family } of entries.map(parseAllowlistEntry)) {
+    if (prefix === undefined) {
+      list.addAddress(address, family);
+    } else {
+      list.addSubnet(address, prefix, family);
+    }
+  }
+  return (ip) => {
+    const address = normalizeIp(ip);
+    const version = net.isIP(address);
+    return version !== 0 && list.check(address, `ipv${version}`);
+  };
+}
+
+/**
+ * Checks one rate limit rule
+ *
+ * @param {*} rule - Candidate rule
+ * @returns {string|null} Problem description, or null when valid
+ */
+function validateRule(rule) {
+  if (rule === null || typeof rule !== 'object' || Array.isArray(rule)) {
+    return 'must be an object with "limit" and "window"';
+  }
+  const unknown = Object.keys(rule).find((name) => !['limit', 'window', 'algorithm', 'key'].includes(name));
+  if (unknown) {
+    return `has unknown option "${unknown}"`;
+  }
+  if (!Number.isInteger(rule.limit) || rule.limit < 1) {
+    return 'needs a "limit" of at least 1 request';
+  }
+  if (!Number.isInteger(rule.window) || rule.window < 1) {
+    return 'needs a "window" of at least 1 millisecond';
+  }
+  if (rule.algorithm !== undefined && !(rule.algorithm in ALGORITHMS)) {
+    return `has unknown algorithm "${rule.algorithm}" (expected ${Object.keys(ALGORITHMS).join(', ')})`;
+  }
+  if (rule.key !== undefined && !(rule.key in KEYS)) {
+    return `has unknown key "${rule.key}" (expected ${Object.keys(KEYS).join(', ')})`;
+  }
+  return null;
+}
+
+/**
+ * Checks a map of mount paths to rate limit rules
+ *
+ * @param {*} value - Rules such as `{ "/greeting": { "limit": 60, "window": 60000 } }`
+ * @returns {string|null} Problem description, or null when valid
+ */
+function validateRateLimits(value) {
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+    return 'must be an object mapping paths to { limit, window } rules';
+  }
+  for (const [path, rule] of Object.entries(value)) {
+    if (!path.startsWith('/')) {
+      return `has path "${path}" that does not start with "/"`;
+    }
+    const problem = validateRule(rule);
+    if (problem) {
+      return `rule for ${path} ${problem}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Creates an in-process counter store
+ *
+ * Expired entries are swept at most once a minute while the store is used.
+ *
+ * @param {Object} [options]
+ * @param {Function} [options.now=Date.now] - Clock, for tests
+ * @returns {Object} Store implementing `update(key, ttl, apply)`
+ */
+function createMemoryStore({ now = Date.now } = {}) {
+  const entries = new Map();
+  let nextSweep = 0;
+
+  const sweep = (time) => {
+    for (const [key, entry] of entries) {
+      if (entry.expires <= time) {
+        entries.delete(key);
+      }
+    }
+    nextSweep = time + 60 * 1000;
+  };
+
+  return {
+    /**
+     * @param {string} key - Counter key
+     * @param {number} ttl - Milliseconds to keep the new state
+     * @param {Function} apply - `(state) => ({ state, ... })`
+     * @returns {Object} The value returned by `apply`
+     */
+    update(key, ttl, apply) {
+      const time = now();
+      if (time >= nextSweep) {
+        sweep(time);
+      }
+      const entry = entries.get(key);
+      const result = apply(entry && entry.expires > time ? entry.state : undefined);
+      entries.set(key, { state: result.state, expires: time + ttl });
+      return result;
+    },
+
+    size: () => entries.size
+  };
+}
+
+/**
+ * Creates rate limiting middleware
+ *
+ * Counters are kept per mount path (`req.baseUrl`), so one store can serve
+ * several limits. Allowlisted clients are neither counted nor limited.
+ *
+ * @example
+ * app.use('/greeting', rateLimit({ limit: 60, window: 60 * 1000 }));
+ * app.use('/industries', rateLimit({ limit: 600, window: 60 * 60 * 1000, key: 'apiKey', algorithm: 'token-bucket' }));
+ *
+ * @param {Object} options
+ * @param {number} options.limit - Requests allowed per window
+ * @param {number} options.window - Window length in milliseconds
+ * @param {string} [options.algorithm='sliding-window'] - One of ALGORITHMS
+ * @param {string|Function} [options.key='ip'] - One of KEYS, or `(req) => string`
+ * @param {Object} [options.store] - Counter store; a new memory store by default
+ * @param {string[]} [options.allowlist=[]] - Trusted IP addresses and CIDR ranges
+ * @param {Function} [options.now=Date.now] - Clock, for tests
+ * @returns {Function} Express middleware
+ * @throws {TypeError} On an invalid rule or allowlist
+ */
+function rateLimit({
+  limit,
+  window,
+  algorithm = 'sliding-window',
+  key = 'ip',
+  store = createMemoryStore(),
+  allowlist = [],
+  now = Date.now
+}) {
+  const problem = validateRule({ limit, window, algorithm, ...(typeof key === 'function' ? {} : { key }) });
+  if (problem) {
+    throw new TypeError(`Rate limit ${problem}`);
+  }
+  const limiter = ALGORITHMS[algorithm];
+  const keyFor = typeof key === 'function' ? key : KEYS[key];
+  const trusted = createAllowlist(allowlist);
+  const policy = `${limit};w=${Math.ceil(window / 1000)}`;
+
+  return async (req, res, next) => {
+    if (trusted(req.ip)) {
+      return next();
+    }
+    const result = await store.update(`${req.baseUrl || '/'}|${keyFor(req)}`, window, (state) =>
+      limiter(state, now(), { limit, window }));
+
+    res.set({
+      'RateLimit-Limit': String(limit),
+      'RateLimit-Remaining': String(result.remaining),
+      'RateLimit-Reset': String(Math.ceil(result.reset / 1000)),
+      'RateLimit-Policy': policy
+    });
+    if (!result.allowed) {
+      throw new TooManyRequestsError(
+        `Rate limit of ${limit} requests per ${policy.split('=')[1]} s exceeded`,
+        { retryAfter: Math.max(1, Math.ceil(result.retryAfter / 1000)) }
+      );
+    }
+    next();
+  };
+}
+
+module.exports = {
+  ALGORITHMS,
+  KEYS,
+  validateAllowlist,
+  validateRateLimits,
+  createMemoryStore,
+  rateLimit
+};
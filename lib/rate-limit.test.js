@@ -0,0 +1,203 @@
+/**
+ * Unit Tests for rate limiting
+ *
+ * @module lib/rate-limit.test
+ */
+
+const express = require('express');
+const request = require('supertest');
+const { ALGORITHMS, validateAllowlist, validateRateLimits, createMemoryStore, rateLimit } = require('./rate-limit');
+const { errorHandler } = require('./errors');
+
+describe('Rate Limiting', () => {
+  let clock;
+  const now = () => clock;
+
+  beforeEach(() => {
+    clock = 1000000;
+  });
+
+  describe('sliding-window', () => {
+    const rule = { limit: 2, window: 1000 };
+    const run = (state) => ALGORITHMS['sliding-window'](state, clock, rule);
+
+    it('should allow up to the limit in any window', () => {
+      let result = run();
+      expect(result).toMatchObject({ allowed: true, remaining: 1, reset: 1000 });
+      clock += 400;
+      result = run(result.state);
+      expect(result).toMatchObject({ allowed: true, remaining: 0, reset: 600 });
+      clock += 400;
+      result = run(result.state);
+      expect(result).toMatchObject({ allowed: false, remaining: 0, reset: 200, retryAfter: 200 });
+      clock += 200;
+      expect(run(result.state)).toMatchObject({ allowed: true, remaining: 0 });
+    });
+  });
+
+  describe('token-bucket', () => {
+    const rule = { limit: 4, window: 1000 };
+    const run = (state) => ALGORITHMS['token-bucket'](state, clock, rule);
+
+    it('should allow bursts and refill evenly', () => {
+      let result;
+      for (let i = 0; i < 4; i += 1) {
+        result = run(result && result.state);
+        expect(result.allowed).toBe(true);
+      }
+      expect(result).toMatchObject({ remaining: 0, reset: 1000 });
+      result = run(result.state);
+      expect(result).toMatchObject({ allowed: false, retryAfter: 250 });
+      clock += 250;
+      result = run(result.state);
+      expect(result).toMatchObject({ allowed: true, remaining: 0 });
+      clock += 10000;
+      expect(run(result.state)).toMatchObject({ allowed: true, remaining: 3 });
+    });
+  });
+
+  describe('createMemoryStore()', () => {
+    it('should expire and sweep state after its ttl', () => {
+      const store = createMemoryStore({ now });
+      const seen = [];
+      const apply = (state) => {
+        seen.push(state);
+        return { state: (state || 0) + 1 };
+      };
+      store.update('a', 100, apply);
+      store.update('a', 100, apply);
+      clock += 100;
+      store.update('a', 100, apply);
+      expect(seen).toEqual([undefined, 1, undefined]);
+      store.update('b', 100, apply);
+      clock += 60 * 1000;
+      store.update('c', 100, apply);
+      expect(store.size()).toBe(1);
+    });
+  });
+
+  describe('validation', () => {
+    it.each([
+      [[], null],
+      [['127.0.0.1', '10.0.0.0/8', '::1', 'fd00::/8'], null],
+      ['127.0.0.1', /must be a list/],
+      [['10.0.0.0/33'], /invalid entry "10.0.0.0\/33"/],
+      [['example.com'], /invalid entry/]
+    ])('should check allowlist %j', (value, expected) => {
+      const problem = validateAllowlist(value);
+      if (expected) {
+        expect(problem).toMatch(expected);
+      } else {
+        expect(problem).toBeNull();
+      }
+    });
+
+    it.each([
+      [{ '/greeting': { limit: 1, window: 1000, algorithm: 'token-bucket', key: 'apiKey' } }, null],
+      [[], /must be an object/],
+      [{ greeting: { limit: 1, window: 1000 } }, /does not start with "\/"/],
+      [{ '/a': { limit: 1 } }, /rule for \/a needs a "window"/],
+      [{ '/a': { limit: 1, window: 1, algorithm: 'leaky' } }, /unknown algorithm "leaky"/],
+      [{ '/a': { limit: 1, window: 1, key: 'user' } }, /unknown key "user"/],
+      [{ '/a': { limit: 1, window: 1, burst: 3 } }, /unknown option "burst"/]
+    ])('should check rate limits %j', (value, expected) => {
+      const problem = validateRateLimits(value);
+      if (expected) {
+        expect(problem).toMatch(expected);
+      } else {
+        expect(problem).toBeNull();
+      }
+    });
+
+    it('should throw on invalid middleware options', () => {
+      expect(() => rateLimit({ limit: 0, window: 1000 })).toThrow(TypeError);
+      expect(() => rateLimit({ limit: 1, window: 1000, allowlist: ['nope'] })).toThrow(/allowlist/);
+    });
+  });
+
+  describe('rateLimit()', () => {
+    const appWith = (options, setup = () => {}) => {
+      const app = express();
+      setup(app);
+      const store = createMemoryStore({ now });
+      app.use('/limited', rateLimit({ limit: 2, window: 60 * 1000, store, now, ...options }));
+      app.use('/other', rateLimit({ limit: 2, window: 60 * 1000, store, now, ...options }));
+      app.get(['/limited', '/limited/:id', '/other'], (req, res) => res.send('ok'));
+      app.get('/open', (req, res) => res.send('ok'));
+      app.use(errorHandler());
+      return app;
+    };
+
+    it('should send RateLimit headers and refuse with 429 and Retry-After', async () => {
+      const app = appWith({});
+      const first = await request(app).get('/limited');
+      expect(first.status).toBe(200);
+      expect(first.headers).toMatchObject({
+        'ratelimit-limit': '2',
+        'ratelimit-remaining': '1',
+        'ratelimit-reset': '60',
+        'ratelimit-policy': '2;w=60'
+      });
+      await request(app).get('/limited');
+      clock += 15 * 1000;
+      const refused = await request(app).get('/limited');
+      expect(refused.status).toBe(429);
+      expect(refused.headers['retry-after']).toBe('45');
+      expect(refused.headers['ratelimit-remaining']).toBe('0');
+      expect(refused.headers['ratelimit-reset']).toBe('45');
+      expect(refused.headers['content-type']).toMatch(/application\/problem\+json/);
+      expect(refused.body).toMatchObject({ status: 429, detail: 'Rate limit of 2 requests per 60 s exceeded' });
+    });
+
+    it('should count each mount path separately and leave other routes alone', async () => {
+      const app = appWith({});
+      await request(app).get('/limited');
+      await request(app).get('/limited/7');
+      expect((await request(app).get('/limited')).status).toBe(429);
+      expect((await request(app).get('/other')).status).toBe(200);
+      const open = await request(app).get('/open');
+      expect(open.status).toBe(200);
+      expect(open.headers['ratelimit-limit']).toBeUndefined();
+    });
+
+    it('should skip allowlisted addresses', async () => {
+      const app = appWith({ allowlist: ['127.0.0.0/8', '::1'] });
+      for (let i = 0; i < 3; i += 1) {
+        const res = await request(app).get('/limited');
+        expect(res.status).toBe(200);
+        expect(res.headers['ratelimit-limit']).toBeUndefined();
+      }
+    });
+
+    it('should key by API token when asked, falling back to the address', async () => {
+      const app = appWith({ key: 'apiKey' }, (parent) => parent.use((req, res, next) => {
+        if (req.get('X-Token')) {
+          req.auth = { method: 'bearer', roles: ['reader'], tokenId: req.get('X-Token') };
+        }
+        next();
+      }));
+      await request(app).get('/limited').set('X-Token', 'a');
+      await request(app).get('/limited').set('X-Token', 'a');
+      expect((await request(app).get('/limited').set('X-Token', 'a')).status).toBe(429);
+      expect((await request(app).get('/limited').set('X-Token', 'b')).status).toBe(200);
+      expect((await request(app).get('/limited')).status).toBe(200);
+    });
+
+    it('should share one budget per route when keyed by route', async () => {
+      const app = appWith({ key: 'route' });
+      await request(app).get('/limited/1');
+      await request(app).get('/limited/1');
+      expect((await request(app).get('/limited/1')).status).toBe(429);
+      expect((await request(app).get('/limited/2')).status).toBe(200);
+    });
+
+    it('should accept custom key functions and asynchronous stores', async () => {
+      const memory = createMemoryStore({ now });
+      const store = { update: async (...args) => memory.update(...args) };
+      const app = appWith({ key: (req) => req.get('X-Tenant') || 'anonymous', store, limit: 1 });
+      expect((await request(app).get('/limited').set('X-Tenant', 'acme')).status).toBe(200);
+      expect((await request(app).get('/limited').set('X-Tenant', 'acme')).status).toBe(429);
+      expect((await request(app).get('/limited').set('X-Tenant', 'globex')).status).toBe(200);
+    });
+  });
+});
@@ -0,0 +1,43 @@
+/**
+ * Request Correlation IDs
+ *
+ * Gives every request an id, exposed as `req.id` and echoed in the
+ * `X-Request-Id` response header. A well-formed incoming `X-Request-Id`
+ * (from a proxy or the client) is kept so one id follows the request
+ * across services; otherwise a random UUID is generated.
+ *
+ * @module lib/request-id
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Header carrying the correlation id
+ * @type {string}
+ */
+const REQUEST_ID_HEADER = 'X-Request-Id';
+
+/**
+ * Accepted incoming ids: 1-128 letters, digits and . _ : -
+ * @type {RegExp}
+ */
+const VALID_ID = /^[A-Za-z0-9._:-]{1,128}$/;
+
+/**
+ * Middleware assigning the request's correlation id
+ *
+ * @param {express.Request} req - The request
+ * @param {express.Response} res - The response
+ * @param {Function} next - Next middleware
+ */
+function requestId(req, res, next) {
+  const incoming = req.get(REQUEST_ID_HEADER);
+  req.id = incoming && VALID_ID.test(incoming) ? incoming : crypto.randomUUID();
+  res.set(REQUEST_ID_HEADER, req.id);
+  next();
+}
+
+module.exports = {
+  REQUEST_ID_HEADER,
+  requestId
+};
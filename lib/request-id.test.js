@@ -0,0 +1,36 @@
+/**
+ * Unit Tests for request correlation ids
+ *
+ * @module lib/request-id.test
+ */
+
+const express = require('express');
+const request = require('supertest');
+const { REQUEST_ID_HEADER, requestId } = require('./request-id');
+
+describe('Request IDs', () => {
+  const app = express();
+  app.use(requestId);
+  app.get('/', (req, res) => res.send(req.id));
+
+  it('should generate a UUID when none is given', async () => {
+    const res = await request(app).get('/');
+    expect(res.text).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+    expect(res.headers[REQUEST_ID_HEADER.toLowerCase()]).toBe(res.text);
+  });
+
+  it('should keep a well-formed incoming id', async () => {
+    const res = await request(app).get('/').set(REQUEST_ID_HEADER, 'edge:42.a_b-c');
+    expect(res.text).toBe('edge:42.a_b-c');
+  });
+
+  it.each([
+    ['spaces', 'has spaces'],
+    ['markup', '<script>'],
+    ['overlong ids', 'x'.repeat(129)]
+  ])('should replace ids with %s', async (label, id) => {
+    const res = await request(app).get('/').set(REQUEST_ID_HEADER, id);
+    expect(res.text).not.toBe(id);
+    expect(res.headers['x-request-id']).toBe(res.text);
+  });
+});
@@ -0,0 +1,224 @@
+/**
+ * JSON Schema Validation
+ *
+ * Validates values against the subset of JSON Schema (2020-12) the API's
+ * declarations use, collecting every violation instead of stopping at the
+ * first:
+ * - type (a name or a list of names), enum, const
+ * - properties, required, additionalProperties
+ * - items, minItems, maxItems, uniqueItems
+ * - minLength, maxLength, pattern
+ * - minimum, maximum, exclusiveMinimum, exclusiveMaximum
+ * - anyOf
+ *
+ * Annotations such as `format`, `description` and `default` are ignored, as
+ * the specification makes them by default.
+ *
+ * @module lib/schema
+ */
+
+/**
+ * Names JSON Schema types with an article, for messages
+ * @type {Object<string, string>}
+ */
+const TYPE_NAMES = {
+  string: 'a string',
+  integer: 'an integer',
+  number: 'a number',
+  boolean: 'a boolean',
+  object: 'an object',
+  array: 'an array',
+  null: 'null'
+};
+
+/**
+ * Checks a value against a JSON Schema type name
+ *
+ * @param {*} value - Value to check
+ * @param {string} type - Type name
+ * @returns {boolean} True when the value is of the type
+ */
+function isType(value, type) {
+  switch (type) {
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'array': return Array.isArray(value);
+    case 'null': return value === null;
+    default: return typeof value === type;
+  }
+}
+
+/**
+ * Describes the types a schema accepts
+ *
+ * @param {Object} schema - Schema with a `type`
+ * @returns {string} e.g. "an integer" or "a non-empty string or null"
+ */
+function describeType(schema) {
+  return [].concat(schema.type)
+    .map((type) => (type === 'string' && schema.minLength >= 1 ? 'a non-empty string' : TYPE_NAMES[type] || type))
+    .join(' or ');
+}
+
+/**
+ * Quotes the location of a value for messages
+ *
+ * @param {string[]} path - Property names and array indexes from the root
+ * @param {string} root - Name of the root value
+ * @returns {string} e.g. `"scopes[0]"`, or the root name
+ */
+function label(path, root) {
+  if (!path.length) {
+    return root;
+  }
+  const name = path.map((key, i) => (/^\d+$/.test(key) ? `[${key}]` : `${i ? '.' : ''}${key}`)).join('');
+  return `"${name}"`;
+}
+
+/**
+ * Describes the numeric range of a schema
+ *
+ * @param {Object} schema - Schema with numeric bounds
+ * @returns {string} e.g. "between 1 and 100" or "greater than 0"
+ */
+function describeRange(schema) {
+  const { minimum, maximum, exclusiveMinimum, exclusiveMaximum } = schema;
+  if (minimum !== undefined && maximum !== undefined) {
+    return `between ${minimum} and ${maximum}`;
+  }
+  return [
+    minimum !== undefined && `at least ${minimum}`,
+    exclusiveMinimum !== undefined && `greater than ${exclusiveMinimum}`,
+    maximum !== undefined && `at most ${maximum}`,
+    exclusiveMaximum !== undefined && `less than ${exclusiveMaximum}`
+  ].filter(Boolean).join(' and ');
+}
+
+/**
+ * Compares JSON values structurally
+ *
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True when equal
+ */
+function jsonEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Validates a value against a schema
+ *
+ * @example
+ * validateSchema({ type: 'object', required: ['name'] }, {}, 'Request body');
+ * // [{ pointer: '', message: '"name" is required' }]
+ *
+ * @param {Object|boolean} schema - JSON Schema; `true` accepts and `false` rejects everything
+ * @param {*} value - Value to validate
+ * @param {string} [root='Value'] - Name of the value in messages
+ * @returns {Array<{pointer: string, message: string}>} Violations with the JSON
+ *   Pointer of the offending value; empty when valid
+ */
+function validateSchema(schema, value, root = 'Value') {
+  const violations = [];
+  walk(schema, value, [], root, violations);
+  return violations;
+}
+
+/**
+ * Validates one value and recurses into its members
+ *
+ * @param {Object|boolean} schema - Schema for the value
+ * @param {*} value - The value
+ * @param {string[]} path - Location of the value
+ * @param {string} root - Name of the root value
+ * @param {Array<Object>} violations - Accumulator
+ */
+function walk(schema, value, path, root, violations) {
+  const report = (message, at = path) => {
+    violations.push({ pointer: at.map((key) => `/${key.replace(/~/g, '~0').replace(/\//g, '~1')}`).join(''), message });
+  };
+  const name = label(path, root);
+
+  if (schema === true || schema === undefined) {
+    return;
+  }
+  if (schema === false) {
+    report(`${name} is not allowed`);
+    return;
+  }
+  if (schema.type !== undefined && ![].concat(schema.type).some((type) => isType(value, type))) {
+    report(`${name} must be ${describeType(schema)}`);
+    return;
+  }
+  if (schema.const !== undefined && !jsonEqual(value, schema.const)) {
+    report(`${name} must be ${JSON.stringify(schema.const)}`);
+  }
+  if (schema.enum && !schema.enum.some((option) => jsonEqual(value, option))) {
+    report(`${name} must be one of ${schema.enum.join(', ')}`);
+  }
+  if (schema.anyOf && !schema.anyOf.some((option) => !validateSchema(option, value).length)) {
+    report(`${name} does not match any of the accepted forms`);
+  }
+
+  if (typeof value === 'string') {
+    const length = [...value].length;
+    if (schema.minLength !== undefined && length < schema.minLength) {
+      report(`${name} must be ${schema.minLength === 1 ? 'a non-empty string' : `at least ${schema.minLength} characters`}`);
+    }
+    if (schema.maxLength !== undefined && length > schema.maxLength) {
+      report(`${name} must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) {
+      report(`${name} must match ${schema.pattern}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    const { minimum, maximum, exclusiveMinimum, exclusiveMaximum } = schema;
+    if ((minimum !== undefined && value < minimum) || (maximum !== undefined && value > maximum)
+        || (exclusiveMinimum !== undefined && value <= exclusiveMinimum)
+        || (exclusiveMaximum !== undefined && value >= exclusiveMaximum)) {
+      report(`${name} must be ${describeRange(schema)}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      report(`${name} must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      report(`${name} must have at most ${schema.maxItems} item${schema.maxItems === 1 ? '' : 's'}`);
+    }
+    if (schema.uniqueItems && new Set(value.map((item) => JSON.stringify(item))).size !== value.length) {
+      report(`${name} must not contain duplicates`);
+    }
+    if (schema.items !== undefined) {
+      value.forEach((item, i) => walk(schema.items, item, [...path, String(i)], root, violations));
+    }
+  }
+
+  if (isType(value, 'object')) {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (!Object.prototype.hasOwnProperty.call(value, key)) {
+        report(`${label([...path, key], root)} is required`, [...path, key]);
+      }
+    }
+    for (const [key, member] of Object.entries(value)) {
+      if (Object.prototype.hasOwnProperty.call(properties, key)) {
+        walk(properties[key], member, [...path, key], root, violations);
+      } else if (schema.additionalProperties === false) {
+        report(`Unknown field ${label([...path, key], root)}`, [...path, key]);
+      } else if (schema.additionalProperties !== undefined) {
+        walk(schema.additionalProperties, member, [...path, key], root, violations);
+      }
+    }
+  }
+}
+
+module.exports = {
+  isType,
+  describeType,
+  validateSchema
+};
@@ -0,0 +1,94 @@
+/**
+ * Unit Tests for JSON Schema validation
+ *
+ * @module lib/schema.test
+ */
+
+const { isType, describeType, validateSchema } = require('./schema');
+
+describe('Schema', () => {
+  describe('isType()', () => {
+    it.each([
+      [1, 'integer', true],
+      [1.5, 'integer', false],
+      [1.5, 'number', true],
+      [NaN, 'number', false],
+      [{}, 'object', true],
+      [[], 'object', false],
+      [null, 'object', false],
+      [[], 'array', true],
+      [null, 'null', true],
+      ['x', 'string', true]
+    ])('should check %j against %s', (value, type, expected) => {
+      expect(isType(value, type)).toBe(expected);
+    });
+  });
+
+  describe('describeType()', () => {
+    it('should name the accepted types', () => {
+      expect(describeType({ type: 'integer' })).toBe('an integer');
+      expect(describeType({ type: ['string', 'null'], minLength: 1 })).toBe('a non-empty string or null');
+    });
+  });
+
+  describe('validateSchema()', () => {
+    const SCHEMA = {
+      type: 'object',
+      required: ['name'],
+      additionalProperties: false,
+      properties: {
+        name: { type: 'string', minLength: 1, maxLength: 5 },
+        size: { type: 'integer', minimum: 1, maximum: 100 },
+        ratio: { type: 'number', exclusiveMinimum: 0 },
+        kind: { enum: ['a', 'b'] },
+        code: { type: 'string', pattern: '^[A-Z]+$' },
+        tags: { type: 'array', items: { type: 'string' }, maxItems: 2, uniqueItems: true },
+        owner: { type: 'object', properties: { 'a/b': { type: 'boolean' } } }
+      }
+    };
+
+    it('should accept a valid value', () => {
+      expect(validateSchema(SCHEMA, { name: 'x', size: 5, kind: 'a', tags: ['t'], owner: { 'a/b': true } })).toEqual([]);
+    });
+
+    it('should collect every violation with its pointer', () => {
+      const value = {
+        size: 0, ratio: 0, kind: 'c', code: 'abc', tags: ['t', 't', 3], owner: { 'a/b': 'yes' }, extra: 1
+      };
+      expect(validateSchema(SCHEMA, value, 'Request body')).toEqual([
+        { pointer: '/name', message: '"name" is required' },
+        { pointer: '/size', message: '"size" must be between 1 and 100' },
+        { pointer: '/ratio', message: '"ratio" must be greater than 0' },
+        { pointer: '/kind', message: '"kind" must be one of a, b' },
+        { pointer: '/code', message: '"code" must match ^[A-Z]+$' },
+        { pointer: '/tags', message: '"tags" must have at most 2 items' },
+        { pointer: '/tags', message: '"tags" must not contain duplicates' },
+        { pointer: '/tags/2', message: '"tags[2]" must be a string' },
+        { pointer: '/owner/a~1b', message: '"owner.a/b" must be a boolean' },
+        { pointer: '/extra', message: 'Unknown field "extra"' }
+      ]);
+    });
+
+    it('should measure strings in characters', () => {
+      expect(validateSchema(SCHEMA, { name: '😀😀😀😀😀' })).toEqual([]);
+      expect(validateSchema(SCHEMA, { name: '' })).toEqual([{ pointer: '/name', message: '"name" must be a non-empty string' }]);
+      expect(validateSchema(SCHEMA, { name: 'abcdef' })).toEqual([{ pointer: '/name', message: '"name" must be at most 5 characters' }]);
+    });
+
+    it('should name the root value', () => {
+      expect(validateSchema(SCHEMA, [], 'Request body')).toEqual([{ pointer: '', message: 'Request body must be an object' }]);
+      expect(validateSchema(false, 1)).toEqual([{ pointer: '', message: 'Value is not allowed' }]);
+    });
+
+    it('should check const and anyOf', () => {
+      expect(validateSchema({ const: 1 }, 2)).toEqual([{ pointer: '', message: 'Value must be 1' }]);
+      const schema = { anyOf: [{ type: 'string' }, { type: 'integer' }] };
+      expect(validateSchema(schema, 'x')).toEqual([]);
+      expect(validateSchema(schema, true)).toEqual([{ pointer: '', message: 'Value does not match any of the accepted forms' }]);
+    });
+
+    it('should ignore annotations', () => {
+      expect(validateSchema({ type: 'string', format: 'date-time', description: 'When' }, 'soon')).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,481 @@
+/**
+ * Session Authentication
+ *
+ * Browser logins against the local user store (see lib/users). A successful
+ * POST /login issues an HTTP-only cookie holding a random session id signed
+ * with HMAC-SHA256; sessions live in memory and end after a period of
+ * inactivity, at a fixed maximum age, or on POST /logout. The session id is
+ * replaced at login and periodically afterwards, and repeated failed logins
+ * lock the account for a while. Each process has its own store, so cluster
+ * workers only know the sessions they issued themselves.
+ *
+ * @module lib/sessions
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const { unauthorized } = require('./access');
+const { ValidationError, TooManyRequestsError } = require('./errors');
+const { operation } = require('./openapi');
+
+/**
+ * Name of the session cookie
+ * @type {string}
+ */
+const SESSION_COOKIE = 'sid';
+
+/**
+ * How long a rotated-out session id keeps working, so requests already in
+ * flight with the old cookie are not logged out
+ * @type {number}
+ */
+const ROTATION_GRACE = 10 * 1000;
+
+/**
+ * Schemas of the routes (see lib/openapi)
+ */
+const USER_SCHEMA = {
+  type: 'object',
+  properties: {
+    username: { type: 'string' },
+    name: { type: 'string' },
+    roles: { type: 'array', items: { type: 'string' } }
+  }
+};
+const CREDENTIALS_SCHEMA = {
+  type: 'object',
+  properties: {
+    username: { type: 'string', minLength: 1 },
+    password: { type: 'string', minLength: 1, format: 'password' }
+  },
+  required: ['username', 'password']
+};
+
+/**
+ * Parses a Cookie header
+ *
+ * @param {string} [header] - Cookie request header
+ * @returns {Object<string, string>} Cookie values by name; the first occurrence wins
+ */
+function parseCookies(header) {
+  const cookies = {};
+  for (const pair of (header || '').split(';')) {
+    const index = pair.indexOf('=');
+    if (index === -1) continue;
+    const name = pair.slice(0, index).trim();
+    let value = pair.slice(index + 1).trim();
+    if (value.startsWith('"') && value.endsWith('"')) {
+      value = value.slice(1, -1);
+    }
+    if (name && !(name in cookies)) {
+      try {
+        cookies[name] = decodeURIComponent(value);
+      } catch (err) {
+        cookies[name] = value;
+      }
+    }
+  }
+  return cookies;
+}
+
+/**
+ * Creates an in-memory session store
+ *
+ * @param {Object} options
+ * @param {string|null} options.secret - Cookie signing key; random when null
+ * @param {number} options.idleTimeout - Milliseconds of inactivity before a session ends
+ * @param {number} options.maxAge - Milliseconds after login before a session ends regardless of activity
+ * @param {number} options.rotateInterval - Milliseconds between session id changes; 0 disables rotation
+ * @param {Function} [options.now=Date.now] - Clock, for tests
+ * @returns {Object} The store
+ */
+function createSessionStore({ secret, idleTimeout, maxAge, rotateInterval, now = Date.now }) {
+  const key = secret || crypto.randomBytes(32).toString('hex');
+  const sessions = new Map();
+
+  const sign = (id) => crypto.createHmac('sha256', key).update(id).digest('base64url');
+
+  /**
+   * @param {Object} session - Stored session
+   * @param {number} time - Current time
+   * @returns {boolean} Whether the session has ended
+   */
+  const expired = (session, time) => time - session.lastSeen >= idleTimeout
+    || time - session.createdAt >= maxAge;
+
+  const sweep = (time) => {
+    for (const [id, session] of sessions) {
+      if (session.replacedBy ? time >= session.graceUntil : expired(session, time)) {
+        sessions.delete(id);
+      }
+    }
+  };
+
+  const issue = (user, createdAt, time) => {
+    const session = {
+      id: crypto.randomBytes(32).toString('base64url'),
+      user,
+      createdAt,
+      rotatedAt: time,
+      lastSeen: time
+    };
+    sessions.set(session.id, session);
+    return session;
+  };
+
+  return {
+    /**
+     * Starts a session
+     *
+     * @param {Object} user - Public profile of the logged-in user
+     * @returns {Object} The session
+     */
+    create(user) {
+      const time = now();
+      sweep(time);
+      return issue(user, time, time);
+    },
+
+    /**
+     * Checks the signature of a cookie value
+     *
+     * @param {string} [value] - Cookie value `<id>.<signature>`
+     * @returns {string|null} The session id, or null when the value is malformed or forged
+     */
+    verify(value) {
+      if (typeof value !== 'string') return null;
+      const index = value.lastIndexOf('.');
+      if (index <= 0) return null;
+      const id = value.slice(0, index);
+      const given = Buffer.from(value.slice(index + 1));
+      const expected = Buffer.from(sign(id));
+      return given.length === expected.length && crypto.timingSafeEqual(given, expected) ? id : null;
+    },
+
+    /**
+     * Looks up the session named by a signed cookie value and records activity
+     *
+     * @param {string} [value] - Cookie value `<id>.<signature>`
+     * @returns {Object|null} The live session, or null when unknown, forged or expired
+     */
+    resolve(value) {
+      const id = this.verify(value);
+      if (id === null) return null;
+
+      const time = now();
+      let session = sessions.get(id);
+      if (session && session.replacedBy) {
+        session = time < session.graceUntil ? sessions.get(session.replacedBy) : undefined;
+      }
+      if (!session) return null;
+      if (expired(session, time)) {
+        sessions.delete(session.id);
+        return null;
+      }
+      session.lastSeen = time;
+      return session;
+    },
+
+    /**
+     * Replaces a session's id when the rotation interval has passed
+     *
+     * @param {Object} session - Live session
+     * @returns {Object} The new session, or the same one when rotation is not due
+     */
+    rotate(session) {
+      const time = now();
+      if (!rotateInterval || time - session.rotatedAt < rotateInterval) {
+        return session;
+      }
+      const next = issue(session.user, session.createdAt, time);
+      sessions.set(session.id, { replacedBy: next.id, graceUntil: time + ROTATION_GRACE });
+      return next;
+    },
+
+    /**
+     * Ends a session
+     *
+     * @param {Object} session - The session
+     */
+    destroy(session) {
+      sessions.delete(session.id);
+    },
+
+    /**
+     * @param {Object} session - The session
+     * @returns {string} Signed cookie value
+     */
+    cookieValue: (session) => `${session.id}.${sign(session.id)}`,
+
+    /**
+     * @param {Object} session - The session
+     * @returns {Date} When the session ends at the latest
+     */
+    expiresAt: (session) => new Date(session.createdAt + maxAge),
+
+    size: () => [...sessions.values()].filter((session) => !session.replacedBy).length
+  };
+}
+
+/**
+ * Creates a failed-login tracker
+ *
+ * Counts consecutive failures per username. Reaching `maxAttempts` locks the
+ * username for `lockoutTime`; failures older than `lockoutTime` are
+ * forgotten, and a successful login clears the count. `attempt()` counts a
+ * login as failed before its password is checked, so concurrent guesses
+ * cannot all get past the lockout while the (slow) verification runs.
+ * Forgotten failures are swept at most once a minute while failures are
+ * recorded, so guesses at made-up usernames do not pile up.
+ *
+ * @param {Object} options
+ * @param {number} options.maxAttempts - Failures allowed before locking; 0 disables lockout
+ * @param {number} options.lockoutTime - Lock duration in milliseconds
+ * @param {Function} [options.now=Date.now] - Clock, for tests
+ * @returns {Object} The tracker
+ */
+function createLoginThrottle({ maxAttempts, lockoutTime, now = Date.now }) {
+  const attempts = new Map();
+  let nextSweep = 0;
+
+  const sweep = (time) => {
+    for (const [key, entry] of attempts) {
+      if (time - entry.lastFailure >= lockoutTime) {
+        attempts.delete(key);
+      }
+    }
+    nextSweep = time + 60 * 1000;
+  };
+
+  const current = (username, time) => {
+    const key = String(username).toLowerCase();
+    const entry = attempts.get(key);
+    if (entry && time - entry.lastFailure >= lockoutTime) {
+      attempts.delete(key);
+      return { key, entry: null };
+    }
+    return { key, entry };
+  };
+
+  return {
+    /**
+     * @param {string} username - Username being logged in
+     * @returns {number} Milliseconds until the username unlocks, or 0 when it is not locked
+     */
+    lockedFor(username) {
+      const time = now();
+      const { entry } = current(username, time);
+      return maxAttempts && entry && entry.failures >= maxAttempts
+        ? entry.lastFailure + lockoutTime - time
+        : 0;
+    },
+
+    /**
+     * Starts a login: counts it as failed unless the username is locked;
+     * call succeed() once the password turns out right
+     *
+     * @param {string} username - Username being logged in
+     * @returns {number} Milliseconds until the username unlocks, or 0 when the
+     *   login may proceed
+     */
+    attempt(username) {
+      const lockedFor = this.lockedFor(username);
+      if (lockedFor === 0) {
+        this.fail(username);
+      }
+      return lockedFor;
+    },
+
+    /**
+     * Records a failed login
+     *
+     * @param {string} username - Username being logged in
+     */
+    fail(username) {
+      if (!maxAttempts) return;
+      const time = now();
+      if (time >= nextSweep) {
+        sweep(time);
+      }
+      const { key, entry } = current(username, time);
+      attempts.set(key, { failures: (entry ? entry.failures : 0) + 1, lastFailure: time });
+    },
+
+    /**
+     * Clears the failures of a username after a successful login
+     *
+     * @param {string} username - Username that logged in
+     */
+    succeed(username) {
+      attempts.delete(String(username).toLowerCase());
+    },
+
+    size: () => attempts.size
+  };
+}
+
+/**
+ * Creates middleware that loads the session named by the request's cookie
+ *
+ * Sets `req.user`, `req.auth` and `req.session` for live sessions, rotates the session
+ * id when due and clears forged cookies. Requests without a live session
+ * pass through unauthenticated; a validly signed cookie this store does not
+ * know is kept, since in cluster mode another worker may hold its session.
+ *
+ * @param {Object} store - Session store from createSessionStore()
+ * @param {Object} cookieOptions - Options for the session cookie
+ * @returns {Function} Express middleware
+ */
+function loadSession(store, cookieOptions) {
+  return (req, res, next) => {
+    const value = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+    if (value === undefined) {
+      return next();
+    }
+    const session = store.resolve(value);
+    if (!session) {
+      // A validly signed id may belong to another cluster worker's store;
+      // only forged cookies are cleared
+      if (store.verify(value) === null) {
+        res.clearCookie(SESSION_COOKIE, cookieOptions);
+      }
+      return next();
+    }
+    const active = store.rotate(session);
+    if (active !== session || store.cookieValue(active) !== value) {
+      res.cookie(SESSION_COOKIE, store.cookieValue(active), { ...cookieOptions, expires: store.expiresAt(active) });
+    }
+    req.session = active;
+    req.user = active.user;
+    req.auth = { method: 'session', roles: active.user.roles };
+    next();
+  };
+}
+
+/**
+ * Middleware that rejects requests without a logged-in user with 401
+ *
+ * Bearer token callers (see lib/tokens) count as logged in.
+ *
+ * @param {express.Request} req - The request
+ * @param {express.Response} res - The response
+ * @param {Function} next - Next middleware
+ */
+function requireUser(req, res, next) {
+  if (!req.user) {
+    return next(unauthorized('Authentication required'));
+  }
+  next();
+}
+
+/**
+ * Creates the login, logout and current-user routes
+ *
+ * @param {Object} auth
+ * @param {Object} auth.users - User store from lib/users loadUsers()
+ * @param {Object} auth.sessions - Session store from createSessionStore()
+ * @param {Object} auth.throttle - Failed-login tracker from createLoginThrottle()
+ * @param {Object} auth.cookieOptions - Options for the session cookie
+ * @returns {express.Router} Router to mount at the application root
+ */
+function sessionRouter({ users, sessions, throttle, cookieOptions }) {
+  const router = express.Router();
+  const parseBody = [express.json(), express.urlencoded({ extended: false })];
+
+  /**
+   * Login endpoint handler
+   * Starts a new session; any session the request already had is ended so
+   * a session id planted before login is never promoted
+   *
+   * @route POST /login
+   * @param {string} username - Username, from a JSON or form body
+   * @param {string} password - Password, from a JSON or form body
+   * @returns {Object} JSON `{ user }` and a session cookie; 400 on a malformed
+   *   body, 401 on wrong credentials, 429 with Retry-After while locked out
+   */
+  router.post('/login', parseBody, operation({
+    summary: 'Log in',
+    tags: ['sessions'],
+    body: CREDENTIALS_SCHEMA,
+    consumes: { 'application/x-www-form-urlencoded': CREDENTIALS_SCHEMA },
+    responses: {
+      200: {
+        description: 'Logged in; the session cookie is set',
+        schema: { type: 'object', properties: { user: USER_SCHEMA } },
+        headers: { 'Set-Cookie': `${SESSION_COOKIE}=...` }
+      },
+      401: 'Wrong username or password',
+      429: 'Locked out after repeated failures; see Retry-After'
+    }
+  }), async (req, res) => {
+    const { username, password } = req.body || {};
+    if (typeof username !== 'string' || typeof password !== 'string' || !username || !password) {
+      throw new ValidationError('"username" and "password" are required');
+    }
+
+    const lockedFor = throttle.attempt(username);
+    if (lockedFor > 0) {
+      throw new TooManyRequestsError('Too many failed logins; try again later', {
+        retryAfter: Math.ceil(lockedFor / 1000)
+      });
+    }
+
+    const user = await users.authenticate(username, password);
+    if (!user) {
+      throw unauthorized('Invalid username or password');
+    }
+
+    throttle.succeed(username);
+    if (req.session) {
+      sessions.destroy(req.session);
+    }
+    const session = sessions.create(user);
+    res.cookie(SESSION_COOKIE, sessions.cookieValue(session), { ...cookieOptions, expires: sessions.expiresAt(session) });
+    res.json({ user });
+  });
+
+  /**
+   * Logout endpoint handler
+   *
+   * @route POST /logout
+   * @returns {void} 204; the session ends and its cookie is cleared
+   */
+  router.post('/logout', operation({
+    summary: 'Log out',
+    tags: ['sessions'],
+    responses: { 204: 'The session ended and its cookie is cleared' }
+  }), (req, res) => {
+    if (req.session) {
+      sessions.destroy(req.session);
+    }
+    res.clearCookie(SESSION_COOKIE, cookieOptions);
+    res.status(204).end();
+  });
+
+  /**
+   * Current user endpoint handler
+   *
+   * @route GET /me
+   * @returns {Object} JSON `{ username, name, roles }`; 401 when not logged in
+   */
+  router.get('/me', requireUser, operation({
+    summary: 'The logged-in user',
+    tags: ['sessions'],
+    auth: true,
+    responses: { 200: { description: 'The user', schema: USER_SCHEMA } }
+  }), (req, res) => {
+    res.json(req.user);
+  });
+
+  return router;
+}
+
+module.exports = {
+  SESSION_COOKIE,
+  parseCookies,
+  createSessionStore,
+  createLoginThrottle,
+  loadSession,
+  requireUser,
+  sessionRouter
+};
@@ -0,0 +1,336 @@
+/**
+ * Unit Tests for session authentication
+ *
+ * @module lib/sessions.test
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const { hashPassword, loadUsers } = require('./users');
+const {
+  SESSION_COOKIE,
+  parseCookies,
+  createSessionStore,
+  createLoginThrottle,
+  loadSession,
+  requireUser,
+  sessionRouter
+} = require('./sessions');
+const { errorHandler } = require('./errors');
+
+const MINUTE = 60 * 1000;
+
+describe('Session Authentication', () => {
+
+  describe('parseCookies()', () => {
+    it('should parse, trim, unquote and decode cookie pairs', () => {
+      expect(parseCookies('a=1; b="two"; c=%20x; junk')).toEqual({ a: '1', b: 'two', c: ' x' });
+    });
+
+    it('should keep the first of repeated names', () => {
+      expect(parseCookies('sid=first; sid=second')).toEqual({ sid: 'first' });
+    });
+
+    it('should handle a missing header', () => {
+      expect(parseCookies(undefined)).toEqual({});
+    });
+  });
+
+  describe('createSessionStore()', () => {
+    let clock;
+    const make = (options = {}) => createSessionStore({
+      secret: null,
+      idleTimeout: 30 * MINUTE,
+      maxAge: 120 * MINUTE,
+      rotateInterval: 15 * MINUTE,
+      now: () => clock,
+      ...options
+    });
+
+    beforeEach(() => {
+      clock = 0;
+    });
+
+    it('should resolve signed cookie values and reject forged ones', () => {
+      const store = make();
+      const session = store.create({ username: 'ada' });
+      const value = store.cookieValue(session);
+      expect(store.resolve(value).user).toEqual({ username: 'ada' });
+      expect(store.resolve(`${session.id}.forged`)).toBeNull();
+      expect(store.resolve(session.id)).toBeNull();
+      expect(store.resolve(undefined)).toBeNull();
+    });
+
+    it('should end sessions after the idle timeout', () => {
+      const store = make();
+      const value = store.cookieValue(store.create({ username: 'ada' }));
+      clock = 29 * MINUTE;
+      expect(store.resolve(value)).not.toBeNull();
+      clock = 58 * MINUTE;
+      expect(store.resolve(value)).not.toBeNull();
+      clock = 88 * MINUTE;
+      expect(store.resolve(value)).toBeNull();
+    });
+
+    it('should end sessions at the maximum age despite activity', () => {
+      const store = make();
+      const value = store.cookieValue(store.create({ username: 'ada' }));
+      for (clock = 20 * MINUTE; clock < 120 * MINUTE; clock += 20 * MINUTE) {
+        expect(store.resolve(value)).not.toBeNull();
+      }
+      clock = 120 * MINUTE;
+      expect(store.resolve(value)).toBeNull();
+    });
+
+    it('should rotate the id once the interval has passed and honour the old id briefly', () => {
+      const store = make();
+      const session = store.create({ username: 'ada' });
+      const oldValue = store.cookieValue(session);
+      clock = 10 * MINUTE;
+      expect(store.rotate(session)).toBe(session);
+
+      clock = 16 * MINUTE;
+      const rotated = store.rotate(session);
+      expect(rotated.id).not.toBe(session.id);
+      expect(rotated.createdAt).toBe(session.createdAt);
+      expect(store.resolve(oldValue)).toBe(rotated);
+      expect(store.size()).toBe(1);
+
+      clock += 11 * 1000;
+      expect(store.resolve(oldValue)).toBeNull();
+      expect(store.resolve(store.cookieValue(rotated))).toBe(rotated);
+    });
+
+    it('should forget destroyed sessions', () => {
+      const store = make();
+      const session = store.create({ username: 'ada' });
+      store.destroy(session);
+      expect(store.resolve(store.cookieValue(session))).toBeNull();
+      expect(store.size()).toBe(0);
+    });
+  });
+
+  describe('createLoginThrottle()', () => {
+    let clock;
+    let throttle;
+
+    beforeEach(() => {
+      clock = 0;
+      throttle = createLoginThrottle({ maxAttempts: 3, lockoutTime: 15 * MINUTE, now: () => clock });
+    });
+
+    it('should lock a username after the maximum failures', () => {
+      throttle.fail('ada');
+      throttle.fail('ADA');
+      expect(throttle.lockedFor('ada')).toBe(0);
+      throttle.fail('ada');
+      expect(throttle.lockedFor('Ada')).toBe(15 * MINUTE);
+      expect(throttle.lockedFor('grace')).toBe(0);
+    });
+
+    it('should unlock after the lockout time', () => {
+      [1, 2, 3].forEach(() => throttle.fail('ada'));
+      clock = 10 * MINUTE;
+      expect(throttle.lockedFor('ada')).toBe(5 * MINUTE);
+      clock = 15 * MINUTE;
+      expect(throttle.lockedFor('ada')).toBe(0);
+      throttle.fail('ada');
+      expect(throttle.lockedFor('ada')).toBe(0);
+    });
+
+    it('should clear failures on success', () => {
+      throttle.fail('ada');
+      throttle.fail('ada');
+      throttle.succeed('ada');
+      throttle.fail('ada');
+      expect(throttle.lockedFor('ada')).toBe(0);
+    });
+
+    it('should count attempts before their outcome is known', () => {
+      expect(throttle.attempt('ada')).toBe(0);
+      expect(throttle.attempt('ada')).toBe(0);
+      expect(throttle.attempt('ada')).toBe(0);
+      expect(throttle.attempt('ada')).toBe(15 * MINUTE);
+      throttle.succeed('ada');
+      expect(throttle.attempt('ada')).toBe(0);
+    });
+
+    it('should sweep the failures of usernames nobody tries again', () => {
+      ['ada', 'bob', 'eve'].forEach((username) => throttle.fail(username));
+      expect(throttle.size()).toBe(3);
+      clock = 15 * MINUTE;
+      throttle.fail('grace');
+      expect(throttle.size()).toBe(1);
+      expect(throttle.lockedFor('ada')).toBe(0);
+    });
+
+    it('should never lock when maxAttempts is 0', () => {
+      const open = createLoginThrottle({ maxAttempts: 0, lockoutTime: MINUTE });
+      [1, 2, 3, 4, 5].forEach(() => open.fail('ada'));
+      expect(open.lockedFor('ada')).toBe(0);
+      expect(open.size()).toBe(0);
+    });
+  });
+
+  describe('HTTP routes', () => {
+    let dir;
+    let app;
+    let sessions;
+    const cookieOptions = { httpOnly: true, sameSite: 'lax', secure: false, path: '/' };
+
+    const sessionCookie = (res) => (res.headers['set-cookie'] || [])
+      .find((cookie) => cookie.startsWith(`${SESSION_COOKIE}=`));
+
+    const login = (password = 'pw') => request(app).post('/login').send({ username: 'ada', password });
+
+    beforeAll(async () => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sessions-'));
+      fs.writeFileSync(path.join(dir, 'users.json'), JSON.stringify({
+        users: [{ username: 'ada', name: 'Ada Lovelace', roles: ['admin'], password: await hashPassword('pw', { N: 1024 }) }]
+      }));
+    });
+
+    afterAll(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+      sessions = createSessionStore({ secret: null, idleTimeout: MINUTE, maxAge: 10 * MINUTE, rotateInterval: 0 });
+      app = express();
+      app.use(loadSession(sessions, cookieOptions));
+      app.use(sessionRouter({
+        users: loadUsers(path.join(dir, 'users.json')),
+        sessions,
+        throttle: createLoginThrottle({ maxAttempts: 2, lockoutTime: MINUTE }),
+        cookieOptions
+      }));
+      app.get('/private', requireUser, (req, res) => res.send(`hi ${req.user.username}`));
+      app.use(errorHandler());
+    });
+
+    it('should log in with a JSON body and set a signed HTTP-only cookie', async () => {
+      const res = await login();
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ user: { username: 'ada', name: 'Ada Lovelace', roles: ['admin'] } });
+      const cookie = sessionCookie(res);
+      expect(cookie).toMatch(/^sid=[\w-]+\.[\w-]+;/);
+      expect(cookie).toMatch(/HttpOnly/);
+      expect(cookie).toMatch(/SameSite=Lax/);
+      expect(cookie).toMatch(/Expires=/);
+    });
+
+    it('should accept a form body', async () => {
+      const res = await request(app).post('/login').type('form').send('username=ada&password=pw');
+      expect(res.status).toBe(200);
+    });
+
+    it('should return the current user from GET /me', async () => {
+      const agent = request.agent(app);
+      await agent.post('/login').send({ username: 'ada', password: 'pw' });
+      const res = await agent.get('/me');
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ username: 'ada', name: 'Ada Lovelace', roles: ['admin'] });
+      expect((await agent.get('/private')).text).toBe('hi ada');
+    });
+
+    it('should answer 401 on routes requiring a user when not logged in', async () => {
+      expect((await request(app).get('/me')).status).toBe(401);
+      const res = await request(app).get('/private');
+      expect(res.status).toBe(401);
+      expect(res.body).toMatchObject({ detail: 'Authentication required' });
+    });
+
+    it('should clear the cookie of an unknown session', async () => {
+      const res = await request(app).get('/me').set('Cookie', 'sid=bogus.value');
+      expect(res.status).toBe(401);
+      expect(sessionCookie(res)).toMatch(/Expires=Thu, 01 Jan 1970/);
+    });
+
+    it('should keep a validly signed cookie of a session it does not know', async () => {
+      const other = createSessionStore({ secret: null, idleTimeout: MINUTE, maxAge: 10 * MINUTE, rotateInterval: 0 });
+      const foreign = sessions.cookieValue(other.create({ username: 'ada' }));
+      expect(sessions.verify(foreign)).not.toBeNull();
+      const res = await request(app).get('/me').set('Cookie', `sid=${foreign}`);
+      expect(res.status).toBe(401);
+      expect(sessionCookie(res)).toBeUndefined();
+    });
+
+    it('should reject wrong credentials with a generic message', async () => {
+      const wrong = await login('nope');
+      const unknown = await request(app).post('/login').send({ username: 'grace', password: 'pw' });
+      expect(wrong.status).toBe(401);
+      expect(unknown.status).toBe(401);
+      expect(wrong.body).toEqual(unknown.body);
+      expect(sessionCookie(wrong)).toBeUndefined();
+    });
+
+    it.each([
+      ['missing fields', { username: 'ada' }],
+      ['non-string fields', { username: 'ada', password: 1 }]
+    ])('should answer 400 for %s', async (label, body) => {
+      expect((await request(app).post('/login').send(body)).status).toBe(400);
+    });
+
+    it('should answer 400 for malformed JSON', async () => {
+      const res = await request(app).post('/login').set('Content-Type', 'application/json').send('{');
+      expect(res.status).toBe(400);
+      expect(res.body).toMatchObject({ detail: 'Request body is not valid JSON' });
+    });
+
+    it('should lock out after repeated failures, even for the right password', async () => {
+      await login('nope');
+      await login('nope');
+      const res = await login();
+      expect(res.status).toBe(429);
+      expect(Number(res.headers['retry-after'])).toBeGreaterThan(0);
+      expect(sessionCookie(res)).toBeUndefined();
+    });
+
+    it('should lock out parallel guesses while passwords are being verified', async () => {
+      const results = await Promise.all([1, 2, 3, 4, 5].map(() => login('nope')));
+      expect(results.map((res) => res.status).sort()).toEqual([401, 401, 429, 429, 429]);
+      expect((await login()).status).toBe(429);
+    });
+
+    it('should issue a fresh session id at login and end the previous one', async () => {
+      const agent = request.agent(app);
+      const first = sessionCookie(await agent.post('/login').send({ username: 'ada', password: 'pw' }));
+      const second = sessionCookie(await agent.post('/login').send({ username: 'ada', password: 'pw' }));
+      expect(second.split(';')[0]).not.toBe(first.split(';')[0]);
+      expect(sessions.size()).toBe(1);
+      const stale = await request(app).get('/me').set('Cookie', first.split(';')[0]);
+      expect(stale.status).toBe(401);
+    });
+
+    it('should end the session on logout', async () => {
+      const agent = request.agent(app);
+      await agent.post('/login').send({ username: 'ada', password: 'pw' });
+      const res = await agent.post('/logout');
+      expect(res.status).toBe(204);
+      expect(sessionCookie(res)).toMatch(/Expires=Thu, 01 Jan 1970/);
+      expect(sessions.size()).toBe(0);
+      expect((await agent.get('/me')).status).toBe(401);
+    });
+
+    it('should send a new cookie when the session id rotates', async () => {
+      let clock = 0;
+      sessions = createSessionStore({ secret: null, idleTimeout: MINUTE, maxAge: 10 * MINUTE, rotateInterval: MINUTE / 2, now: () => clock });
+      const rotating = express();
+      rotating.use(loadSession(sessions, cookieOptions));
+      rotating.get('/', requireUser, (req, res) => res.end());
+      const value = sessions.cookieValue(sessions.create({ username: 'ada' }));
+
+      const quiet = await request(rotating).get('/').set('Cookie', `sid=${value}`);
+      expect(sessionCookie(quiet)).toBeUndefined();
+
+      clock = MINUTE / 2;
+      const rotated = await request(rotating).get('/').set('Cookie', `sid=${value}`);
+      expect(rotated.status).toBe(200);
+      expect(sessionCookie(rotated)).toMatch(/^sid=/);
+      expect(sessionCookie(rotated)).not.toContain(value);
+    });
+  });
+});
@@ -0,0 +1,234 @@
+/**
+ * Graceful Shutdown
+ *
+ * Tracks the sockets and in-flight requests of an http.Server so it can be
+ * stopped without cutting off requests that are already being served:
+ * 1. Stop accepting new connections
+ * 2. Close idle keep-alive sockets right away
+ * 3. Let busy sockets finish their current request, then close them
+ * 4. Destroy whatever is still open once the timeout expires
+ *
+ * HTTPS servers are tracked by their TLS sockets. HTTP/2 connections carry
+ * many requests at once, so they are closed as sessions instead: a GOAWAY
+ * refuses new streams while the open ones finish.
+ *
+ * @module lib/shutdown
+ */
+
+/**
+ * Signals that trigger a graceful shutdown when running as a process
+ * @type {string[]}
+ */
+const SHUTDOWN_SIGNALS = ['SIGTERM', 'SIGINT'];
+
+/**
+ * Starts tracking the connections of a server
+ *
+ * Must be called before the server accepts its first connection, i.e.
+ * right after `listen()`.
+ *
+ * @param {http.Server|https.Server|http2.Http2SecureServer} server - The server to track
+ * @returns {Object} Connection tracker
+ * @returns {Function} returns.count - Returns the number of open connections
+ * @returns {Function} returns.isDraining - Returns true once shutdown has begun
+ * @returns {Function} returns.shutdown - Drains and closes the server, see shutdown()
+ */
+function trackConnections(server) {
+  /**
+   * Open sockets mapped to their number of in-flight requests
+   * @type {Map<net.Socket, number>}
+   */
+  const sockets = new Map();
+
+  /**
+   * Responses that have not finished yet
+   * @type {Set<http.ServerResponse>}
+   */
+  const responses = new Set();
+
+  /**
+   * Open HTTP/2 sessions
+   * @type {Set<http2.ServerHttp2Session>}
+   */
+  const sessions = new Set();
+
+  /**
+   * Raw sockets of a TLS server, including those still in the handshake
+   * @type {Set<net.Socket>}
+   */
+  const handshakes = new Set();
+  let draining = false;
+  let shutdownPromise = null;
+
+  // Requests of a TLS server arrive on the TLS socket, not the raw one
+  const secure = typeof server.setSecureContext === 'function';
+  if (secure) {
+    server.on('connection', (socket) => {
+      handshakes.add(socket);
+      socket.once('close', () => handshakes.delete(socket));
+    });
+  }
+
+  server.on(secure ? 'secureConnection' : 'connection', (socket) => {
+    if (socket.alpnProtocol === 'h2') return;
+    sockets.set(socket, 0);
+    socket.once('close', () => sockets.delete(socket));
+  });
+
+  server.on('session', (session) => {
+    sessions.add(session);
+    session.once('close', () => sessions.delete(session));
+  });
+
+  server.on('request', (req, res) => {
+    if (req.stream) return;
+    const { socket } = req;
+    sockets.set(socket, (sockets.get(socket) || 0) + 1);
+    responses.add(res);
+    if (draining && !res.headersSent) {
+      res.setHeader('Connection', 'close');
+    }
+
+    let done = false;
+    const onDone = () => {
+      if (done) return;
+      done = true;
+      responses.delete(res);
+      const remaining = (sockets.get(socket) || 1) - 1;
+      if (sockets.has(socket)) {
+        sockets.set(socket, remaining);
+      }
+      if (draining && remaining === 0) {
+        socket.end();
+      }
+    };
+    res.once('finish', onDone);
+    res.once('close', onDone);
+  });
+
+  /**
+   * Stops the server and drains its connections
+   *
+   * Calling it again while a shutdown is in progress returns the same promise.
+   *
+   * @param {number} timeout - Milliseconds to wait before destroying busy sockets
+   * @returns {Promise<{drained: number, killed: number}>} Resolves once every
+   *   connection is closed with the number closed gracefully and forcibly
+   */
+  function shutdown(timeout) {
+    if (shutdownPromise) {
+      return shutdownPromise;
+    }
+    draining = true;
+
+    shutdownPromise = new Promise((resolve) => {
+      let drained = 0;
+      let killed = 0;
+      const destroyed = new WeakSet();
+
+      const listenerClosed = server.listening
+        ? new Promise((done) => server.close(() => done()))
+        : Promise.resolve();
+
+      const connectionsClosed = Promise.all([...sockets.keys(), ...sessions].map((connection) => new Promise((done) => {
+        connection.once('close', () => {
+          if (destroyed.has(connection)) {
+            killed += 1;
+          } else {
+            drained += 1;
+          }
+          done();
+        });
+      })));
+
+      for (const res of responses) {
+        if (!res.headersSent) {
+          res.setHeader('Connection', 'close');
+        }
+      }
+      for (const [socket, inFlight] of sockets) {
+        if (inFlight === 0) {
+          socket.end();
+        }
+      }
+      for (const session of sessions) {
+        session.close();
+      }
+
+      const timer = setTimeout(() => {
+        for (const connection of [...sockets.keys(), ...sessions]) {
+          destroyed.add(connection);
+          connection.destroy();
+        }
+        for (const socket of handshakes) {
+          socket.destroy();
+        }
+      }, timeout);
+
+      Promise.all([listenerClosed, connectionsClosed]).then(() => {
+        clearTimeout(timer);
+        resolve({ drained, killed });
+      });
+    });
+    return shutdownPromise;
+  }
+
+  return {
+    count: () => sockets.size + sessions.size,
+    isDraining: () => draining,
+    shutdown
+  };
+}
+
+/**
+ * Stops the process gracefully on SIGTERM/SIGINT
+ *
+ * The first signal runs `stop` and exits with code 0 once it settles
+ * (1 if it fails); a second signal exits immediately with code 1.
+ *
+ * @param {Function} stop - Returns a promise that settles once the server is stopped
+ * @param {Object} [options]
+ * @param {string[]} [options.signals] - Signals to handle
+ * @param {Function} [options.exit=process.exit] - Called with the exit code
+ * @param {Object} [options.logger=console] - Receives progress messages
+ * @returns {Function} Removes the signal handlers
+ */
+function handleSignals(stop, { signals = SHUTDOWN_SIGNALS, exit = process.exit, logger = console } = {}) {
+  let stopping = false;
+
+  const onSignal = (signal) => {
+    if (stopping) {
+      logger.error(`Received ${signal} again, exiting immediately`);
+      exit(1);
+      return;
+    }
+    stopping = true;
+    logger.log(`Received ${signal}, shutting down gracefully`);
+    Promise.resolve()
+      .then(stop)
+      .then((stats) => {
+        if (stats) {
+          logger.log(`Server stopped (${stats.drained} connections drained, ${stats.killed} killed)`);
+        }
+        exit(0);
+      }, (err) => {
+        logger.error(`Shutdown failed: ${err.message}`);
+        exit(1);
+      });
+  };
+
+  for (const signal of signals) {
+    process.on(signal, onSignal);
+  }
+  return () => {
+    for (const signal of signals) {
+      process.removeListener(signal, onSignal);
+    }
+  };
+}
+
+module.exports = {
+  SHUTDOWN_SIGNALS,
+  trackConnections,
+  handleSignals
+};
@@ -0,0 +1,164 @@
+/**
+ * Unit Tests for graceful shutdown and connection draining
+ *
+ * @module lib/shutdown.test
+ */
+
+const http = require('http');
+const { trackConnections, handleSignals } = require('./shutdown');
+
+describe('Graceful Shutdown', () => {
+
+  describe('trackConnections()', () => {
+    let server;
+    let tracker;
+    let agent;
+    let release;
+
+    beforeEach((done) => {
+      release = null;
+      server = http.createServer((req, res) => {
+        if (req.url === '/slow') {
+          release = () => res.end('slow done');
+          return;
+        }
+        if (req.url === '/hang') {
+          return;
+        }
+        res.end('ok');
+      });
+      server.listen(0, '127.0.0.1', () => {
+        tracker = trackConnections(server);
+        agent = new http.Agent({ keepAlive: true });
+        done();
+      });
+    });
+
+    afterEach(() => {
+      agent.destroy();
+      if (server.listening) {
+        server.close();
+      }
+    });
+
+    function get(path) {
+      return new Promise((resolve, reject) => {
+        const req = http.get({ port: server.address().port, host: '127.0.0.1', path, agent }, (res) => {
+          let body = '';
+          res.setEncoding('utf8');
+          res.on('data', (chunk) => { body += chunk; });
+          res.on('end', () => resolve({ res, body }));
+        });
+        req.on('error', reject);
+      });
+    }
+
+    function waitFor(predicate) {
+      return new Promise((resolve) => {
+        const check = () => (predicate() ? resolve() : setTimeout(check, 5));
+        check();
+      });
+    }
+
+    it('should count open connections', async () => {
+      expect(tracker.count()).toBe(0);
+      await get('/');
+      expect(tracker.count()).toBe(1);
+    });
+
+    it('should close idle keep-alive sockets without waiting for the timeout', async () => {
+      await get('/');
+      const started = Date.now();
+      const stats = await tracker.shutdown(5000);
+      expect(Date.now() - started).toBeLessThan(1000);
+      expect(stats).toEqual({ drained: 1, killed: 0 });
+      expect(server.listening).toBe(false);
+    });
+
+    it('should let in-flight requests finish', async () => {
+      const pending = get('/slow');
+      await waitFor(() => release);
+
+      const stopped = tracker.shutdown(5000);
+      expect(tracker.isDraining()).toBe(true);
+      release();
+
+      const { res, body } = await pending;
+      expect(body).toBe('slow done');
+      expect(res.headers.connection).toBe('close');
+      expect(await stopped).toEqual({ drained: 1, killed: 0 });
+    });
+
+    it('should refuse new connections while draining', async () => {
+      const pending = get('/slow');
+      await waitFor(() => release);
+      const stopped = tracker.shutdown(5000);
+
+      await expect(get('/')).rejects.toThrow();
+      release();
+      await pending;
+      await stopped;
+    });
+
+    it('should destroy sockets still busy after the timeout', async () => {
+      const pending = get('/hang').catch((err) => err);
+      await waitFor(() => tracker.count() === 1);
+
+      const stats = await tracker.shutdown(50);
+      expect(stats).toEqual({ drained: 0, killed: 1 });
+      expect(await pending).toMatchObject({ code: 'ECONNRESET' });
+    });
+
+    it('should return the same promise when called twice', () => {
+      expect(tracker.shutdown(100)).toBe(tracker.shutdown(100));
+    });
+  });
+
+  describe('handleSignals()', () => {
+    let remove;
+
+    afterEach(() => {
+      if (remove) {
+        remove();
+        remove = null;
+      }
+    });
+
+    const quiet = { log: () => {}, error: () => {} };
+
+    it('should stop and exit with 0 on SIGTERM', async () => {
+      const stop = jest.fn().mockResolvedValue({ drained: 2, killed: 0 });
+      const exited = new Promise((resolve) => {
+        remove = handleSignals(stop, { exit: resolve, logger: quiet });
+      });
+      process.emit('SIGTERM', 'SIGTERM');
+      expect(await exited).toBe(0);
+      expect(stop).toHaveBeenCalledTimes(1);
+    });
+
+    it('should exit with 1 when stopping fails', async () => {
+      const stop = jest.fn().mockRejectedValue(new Error('boom'));
+      const exited = new Promise((resolve) => {
+        remove = handleSignals(stop, { exit: resolve, logger: quiet });
+      });
+      process.emit('SIGINT', 'SIGINT');
+      expect(await exited).toBe(1);
+    });
+
+    it('should exit immediately on a second signal', () => {
+      const exit = jest.fn();
+      remove = handleSignals(() => new Promise(() => {}), { exit, logger: quiet });
+      process.emit('SIGTERM', 'SIGTERM');
+      process.emit('SIGTERM', 'SIGTERM');
+      expect(exit).toHaveBeenCalledWith(1);
+    });
+
+    it('should remove its handlers', () => {
+      const before = process.listenerCount('SIGTERM');
+      const unregister = handleSignals(() => {}, { logger: quiet });
+      expect(process.listenerCount('SIGTERM')).toBe(before + 1);
+      unregister();
+      expect(process.listenerCount('SIGTERM')).toBe(before);
+    });
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * Content Type Sniffing
+ *
+ * Identifies files from their leading bytes ("magic numbers") instead of
+ * trusting a file name. Only formats with an unambiguous signature are
+ * recognized; text is reported as `text/plain` (never `text/html`, so an
+ * uploaded page cannot run as script), anything else as
+ * `application/octet-stream`.
+ *
+ * @module lib/sniff
+ */
+
+/**
+ * Bytes to read for sniffing
+ * @type {number}
+ */
+const SNIFF_LENGTH = 512;
+
+/**
+ * Fallback for unrecognized binary content
+ * @type {string}
+ */
+const OCTET_STREAM = 'application/octet-stream';
+
+/**
+ * Known signatures. `bytes` must appear at `offset`; `null` entries match
+ * any byte.
+ *
+ * @type {Array<{type: string, offset: (number|undefined), bytes: Array<(number|null)>}>}
+ */
+const SIGNATURES = [
+  { type: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+  { type: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { type: 'image/gif', bytes: [...'GIF87a'].map((c) => c.charCodeAt(0)) },
+  { type: 'image/gif', bytes: [...'GIF89a'].map((c) => c.charCodeAt(0)) },
+  { type: 'image/webp', bytes: [0x52, 0x49, 0x46, 0x46, null, null, null, null, 0x57, 0x45, 0x42, 0x50] },
+  { type: 'image/bmp', bytes: [0x42, 0x4d] },
+  { type: 'image/x-icon', bytes: [0x00, 0x00, 0x01, 0x00] },
+  { type: 'image/tiff', bytes: [0x49, 0x49, 0x2a, 0x00] },
+  { type: 'image/tiff', bytes: [0x4d, 0x4d, 0x00, 0x2a] },
+  { type: 'image/avif', offset: 4, bytes: [...'ftypavif'].map((c) => c.charCodeAt(0)) },
+  { type: 'video/mp4', offset: 4, bytes: [0x66, 0x74, 0x79, 0x70] },
+  { type: 'video/webm', bytes: [0x1a, 0x45, 0xdf, 0xa3] },
+  { type: 'audio/wav', bytes: [0x52, 0x49, 0x46, 0x46, null, null, null, null, 0x57, 0x41, 0x56, 0x45] },
+  { type: 'audio/mpeg', bytes: [0x49, 0x44, 0x33] },
+  { type: 'audio/ogg', bytes: [0x4f, 0x67, 0x67, 0x53] },
+  { type: 'application/pdf', bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] },
+  { type: 'application/zip', bytes: [0x50, 0x4b, 0x03, 0x04] },
+  { type: 'application/gzip', bytes: [0x1f, 0x8b] },
+  { type: 'application/x-ole-storage', bytes: [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1] }
+];
+
+/**
+ * Checks one signature against a buffer
+ *
+ * @param {Buffer} buffer - Leading bytes of the content
+ * @param {Object} signature - Entry of SIGNATURES
+ * @returns {boolean} True on a match
+ */
+function matches(buffer, { offset = 0, bytes }) {
+  return buffer.length >= offset + bytes.length
+    && bytes.every((byte, index) => byte === null || buffer[offset + index] === byte);
+}
+
+/**
+ * Checks whether bytes look like UTF-8 text
+ *
+ * A multi-byte sequence cut off by the end of the sample is tolerated.
+ *
+ * @param {Buffer} buffer - Leading bytes of the content
+ * @returns {boolean} True for text without control characters other than whitespace
+ */
+function isText(buffer) {
+  if (buffer.length === 0) {
+    return false;
+  }
+  const decoded = new TextDecoder('utf-8', { fatal: false }).decode(buffer);
+  const body = decoded.replace(/\uFFFD{1,3}$/, '');
+  return !body.includes('\uFFFD') && !/[\x00-\x08\x0B\x0E-\x1F\x7F]/.test(body);
+}
+
+/**
+ * Identifies content from its leading bytes
+ *
+ * @example
+ * sniffType(fs.readFileSync('demo.jpg').subarray(0, SNIFF_LENGTH)); // 'image/jpeg'
+ *
+ * @param {Buffer} buffer - The first SNIFF_LENGTH bytes (or the whole content when shorter)
+ * @returns {string} MIME type; text gets `; charset=utf-8`
+ */
+function sniffType(buffer) {
+  const signature = SIGNATURES.find((candidate) => matches(buffer, candidate));
+  if (signature) {
+    return signature.type;
+  }
+  return isText(buffer) ? 'text/plain; charset=utf-8' : OCTET_STREAM;
+}
+
+module.exports = {
+  SNIFF_LENGTH,
+  OCTET_STREAM,
+  sniffType
+};
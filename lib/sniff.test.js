@@ -0,0 +1,45 @@
+/**
+ * Unit Tests for content type sniffing
+ *
+ * @module lib/sniff.test
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { SNIFF_LENGTH, sniffType } = require('./sniff');
+
+describe('Content Type Sniffing', () => {
+  const head = (file) => fs.readFileSync(path.join(__dirname, '..', file)).subarray(0, SNIFF_LENGTH);
+
+  it('should recognize the repository fixtures', () => {
+    expect(sniffType(head('media/demo.jpg'))).toBe('image/jpeg');
+    expect(sniffType(head('documents/sample.doc'))).toBe('application/x-ole-storage');
+    expect(sniffType(head('industry.csv'))).toBe('text/plain; charset=utf-8');
+  });
+
+  it.each([
+    ['image/png', Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex')],
+    ['image/gif', Buffer.from('GIF89a\x01\x00', 'latin1')],
+    ['image/webp', Buffer.from('RIFF\x24\x00\x00\x00WEBPVP8 ', 'latin1')],
+    ['audio/wav', Buffer.from('RIFF\x24\x00\x00\x00WAVEfmt ', 'latin1')],
+    ['application/pdf', Buffer.from('%PDF-1.7\n')],
+    ['application/zip', Buffer.from('504b0304140000000800', 'hex')],
+    ['image/avif', Buffer.from('\x00\x00\x00\x1cftypavif', 'latin1')],
+    ['video/mp4', Buffer.from('\x00\x00\x00\x18ftypmp42', 'latin1')]
+  ])('should recognize %s', (type, bytes) => {
+    expect(sniffType(bytes)).toBe(type);
+  });
+
+  it('should never report HTML, whatever the content', () => {
+    expect(sniffType(Buffer.from('<!DOCTYPE html><script>alert(1)</script>'))).toBe('text/plain; charset=utf-8');
+  });
+
+  it('should tolerate a multi-byte character cut off at the end of the sample', () => {
+    expect(sniffType(Buffer.from('caf\xc3', 'latin1'))).toBe('text/plain; charset=utf-8');
+  });
+
+  it('should fall back to application/octet-stream', () => {
+    expect(sniffType(Buffer.from([0x00, 0x01, 0x02, 0xfe]))).toBe('application/octet-stream');
+    expect(sniffType(Buffer.alloc(0))).toBe('application/octet-stream');
+  });
+});
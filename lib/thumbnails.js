@@ -0,0 +1,207 @@
+/**
+ * Thumbnail Rendering
+ *
+ * Scales JPEGs down to fit a bounding box, upright according to their EXIF
+ * orientation and without metadata. Decoding a large original takes about a
+ * second of CPU (3840 × 2160 pixels), so `renderInWorker()` does it on a
+ * worker thread, at most MAX_CONCURRENT_RENDERS at a time, and the event
+ * loop keeps serving other requests meanwhile. This module is the entry
+ * point of those workers as well.
+ *
+ * @module lib/thumbnails
+ */
+
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+const jpeg = require('jpeg-js');
+const { parseJpeg } = require('./jpeg');
+
+/**
+ * Encoder quality (1-100) of thumbnails
+ * @type {number}
+ */
+const THUMBNAIL_QUALITY = 80;
+
+/**
+ * Largest image decoded for a thumbnail, in megapixels
+ * @type {number}
+ */
+const MAX_DECODE_MEGAPIXELS = 100;
+
+/**
+ * Most thumbnails rendered at once; further renders wait their turn
+ * @type {number}
+ */
+const MAX_CONCURRENT_RENDERS = 2;
+
+/**
+ * Computes the size of a thumbnail
+ *
+ * @param {number} width - Displayed width of the original
+ * @param {number} height - Displayed height of the original
+ * @param {number} [maxWidth] - Bounding box width; unbounded when omitted
+ * @param {number} [maxHeight] - Bounding box height; unbounded when omitted
+ * @returns {{width: number, height: number}} The largest size of the same
+ *   aspect ratio fitting the box, no larger than the original
+ */
+function fitWithin(width, height, maxWidth = Infinity, maxHeight = Infinity) {
+  const scale = Math.min(1, maxWidth / width, maxHeight / height);
+  return {
+    width: Math.max(1, Math.round(width * scale)),
+    height: Math.max(1, Math.round(height * scale))
+  };
+}
+
+/**
+ * Downscales RGBA pixels by averaging the source area under each target pixel
+ *
+ * @param {{width: number, height: number, data: Uint8Array}} image - Source
+ * @param {number} width - Target width, at most the source width
+ * @param {number} height - Target height, at most the source height
+ * @returns {{width: number, height: number, data: Buffer}} The scaled image
+ */
+function downscale(image, width, height) {
+  const data = Buffer.alloc(width * height * 4);
+  const sum = new Float64Array(4);
+  for (let y = 0; y < height; y += 1) {
+    const top = Math.floor((y * image.height) / height);
+    const bottom = Math.max(top + 1, Math.floor(((y + 1) * image.height) / height));
+    for (let x = 0; x < width; x += 1) {
+      const left = Math.floor((x * image.width) / width);
+      const right = Math.max(left + 1, Math.floor(((x + 1) * image.width) / width));
+      sum.fill(0);
+      for (let sy = top; sy < bottom; sy += 1) {
+        let at = (sy * image.width + left) * 4;
+        for (let sx = left; sx < right; sx += 1, at += 4) {
+          sum[0] += image.data[at];
+          sum[1] += image.data[at + 1];
+          sum[2] += image.data[at + 2];
+          sum[3] += image.data[at + 3];
+        }
+      }
+      const count = (bottom - top) * (right - left);
+      const out = (y * width + x) * 4;
+      for (let channel = 0; channel < 4; channel += 1) {
+        data[out + channel] = Math.round(sum[channel] / count);
+      }
+    }
+  }
+  return { width, height, data };
+}
+
+/**
+ * Turns stored pixels upright according to an EXIF orientation
+ *
+ * @param {{width: number, height: number, data: Buffer}} image - Stored pixels
+ * @param {number} orientation - EXIF orientation, 1-8
+ * @returns {{width: number, height: number, data: Buffer}} Pixels as displayed
+ */
+function orient(image, orientation) {
+  if (orientation === 1) {
+    return image;
+  }
+  const { width: w, height: h } = image;
+  const swap = orientation >= 5;
+  const width = swap ? h : w;
+  const height = swap ? w : h;
+  // Source coordinates of each displayed pixel
+  const source = {
+    2: (x, y) => [w - 1 - x, y],
+    3: (x, y) => [w - 1 - x, h - 1 - y],
+    4: (x, y) => [x, h - 1 - y],
+    5: (x, y) => [y, x],
+    6: (x, y) => [y, h - 1 - x],
+    7: (x, y) => [w - 1 - y, h - 1 - x],
+    8: (x, y) => [w - 1 - y, x]
+  }[orientation];
+  const data = Buffer.alloc(width * height * 4);
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      const [sx, sy] = source(x, y);
+      image.data.copy(data, (y * width + x) * 4, (sy * w + sx) * 4, (sy * w + sx) * 4 + 4);
+    }
+  }
+  return { width, height, data };
+}
+
+/**
+ * Renders a thumbnail on the calling thread
+ *
+ * @param {Buffer} buffer - Original JPEG
+ * @param {number} [maxWidth] - Bounding box width
+ * @param {number} [maxHeight] - Bounding box height
+ * @returns {Buffer} The thumbnail JPEG, without metadata
+ * @throws {JpegError|Error} When the original cannot be decoded
+ */
+function renderThumbnail(buffer, maxWidth, maxHeight) {
+  const { orientation } = parseJpeg(buffer);
+  const decoded = jpeg.decode(buffer, { useTArray: true, maxResolutionInMP: MAX_DECODE_MEGAPIXELS });
+  const swap = orientation >= 5;
+  const displayed = fitWithin(
+    swap ? decoded.height : decoded.width,
+    swap ? decoded.width : decoded.height,
+    maxWidth,
+    maxHeight
+  );
+  const scaled = downscale(decoded, swap ? displayed.height : displayed.width, swap ? displayed.width : displayed.height);
+  return jpeg.encode(orient(scaled, orientation), THUMBNAIL_QUALITY).data;
+}
+
+/**
+ * Renders waiting for a free worker slot
+ * @type {Function[]}
+ */
+const queue = [];
+let running = 0;
+
+/**
+ * Renders a thumbnail on a worker thread
+ *
+ * @param {Buffer} buffer - Original JPEG
+ * @param {number} [maxWidth] - Bounding box width
+ * @param {number} [maxHeight] - Bounding box height
+ * @returns {Promise<Buffer>} The thumbnail JPEG, without metadata
+ * @throws {Error} When the original cannot be decoded, with the worker's message
+ */
+function renderInWorker(buffer, maxWidth, maxHeight) {
+  return new Promise((resolve, reject) => {
+    const run = () => {
+      running += 1;
+      const worker = new Worker(__filename, { workerData: { thumbnail: { buffer, maxWidth, maxHeight } } });
+      let result = null;
+      worker.once('message', (data) => {
+        result = Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+      });
+      worker.once('error', reject);
+      worker.once('exit', (code) => {
+        running -= 1;
+        if (queue.length) {
+          queue.shift()();
+        }
+        if (result) {
+          resolve(result);
+        } else {
+          reject(new Error(`Thumbnail worker exited with code ${code}`));
+        }
+      });
+    };
+    if (running < MAX_CONCURRENT_RENDERS) {
+      run();
+    } else {
+      queue.push(run);
+    }
+  });
+}
+
+// Started by renderInWorker(): render, post the result and exit
+if (!isMainThread && workerData && workerData.thumbnail) {
+  const { buffer, maxWidth, maxHeight } = workerData.thumbnail;
+  parentPort.postMessage(renderThumbnail(Buffer.from(buffer.buffer, buffer.byteOffset, buffer.byteLength), maxWidth, maxHeight));
+}
+
+module.exports = {
+  THUMBNAIL_QUALITY,
+  MAX_CONCURRENT_RENDERS,
+  fitWithin,
+  renderThumbnail,
+  renderInWorker
+};
@@ -0,0 +1,58 @@
+/**
+ * Unit Tests for thumbnail rendering
+ *
+ * @module lib/thumbnails.test
+ */
+
+const fs = require('fs');
+const path = require('path');
+const jpegJs = require('jpeg-js');
+const { fitWithin, renderThumbnail, renderInWorker } = require('./thumbnails');
+
+const DEMO = path.join(__dirname, '..', 'media', 'demo.jpg');
+
+describe('Thumbnail Rendering', () => {
+  describe('fitWithin()', () => {
+    it.each([
+      [[3840, 2160, 64, 64], { width: 64, height: 36 }],
+      [[3840, 2160, undefined, 90], { width: 160, height: 90 }],
+      [[3840, 2160, 100, undefined], { width: 100, height: 56 }],
+      [[32, 16, 1024, 1024], { width: 32, height: 16 }],
+      [[4000, 10, 100, 100], { width: 100, height: 1 }]
+    ])('should fit %j', (args, expected) => {
+      expect(fitWithin(...args)).toEqual(expected);
+    });
+  });
+
+  describe('renderInWorker()', () => {
+    it('should render the same thumbnail as the calling thread', async () => {
+      const data = Buffer.alloc(32 * 16 * 4, 200);
+      const original = jpegJs.encode({ width: 32, height: 16, data }, 95).data;
+      const rendered = await renderInWorker(original, 16, 16);
+      expect(Buffer.isBuffer(rendered)).toBe(true);
+      expect(rendered.equals(renderThumbnail(original, 16, 16))).toBe(true);
+    });
+
+    it('should keep the event loop free while decoding', async () => {
+      let ticks = 0;
+      const timer = setInterval(() => {
+        ticks += 1;
+      }, 10);
+      try {
+        const rendered = await renderInWorker(fs.readFileSync(DEMO), 64, 64);
+        expect(jpegJs.decode(rendered).width).toBe(64);
+      } finally {
+        clearInterval(timer);
+      }
+      expect(ticks).toBeGreaterThan(5);
+    });
+
+    it('should reject with the decoder\'s message', async () => {
+      await expect(renderInWorker(Buffer.from('ffd8ffe000100000', 'hex'), 64, 64)).rejects.toThrow('Truncated marker segment at byte 2');
+      // A failed render frees its slot
+      const data = Buffer.alloc(8 * 8 * 4, 100);
+      const results = await Promise.all([1, 2, 3].map(() => renderInWorker(jpegJs.encode({ width: 8, height: 8, data }).data, 4, 4)));
+      expect(results).toHaveLength(3);
+    });
+  });
+});
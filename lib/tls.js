@@ -0,0 +1,258 @@
+/**
+ * TLS and HTTP/2 Listeners
+ *
+ * Builds the server createServer() listens with (see lib/config for the
+ * settings):
+ * - Plain HTTP/1.1 unless `tlsCert` and `tlsKey` are set
+ * - HTTPS with the PEM certificate chain and private key; watchCredentials()
+ *   swaps in renewed files without a restart
+ * - HTTP/2 with `http2`, negotiated through ALPN; clients that do not offer
+ *   "h2" are served HTTP/1.1 on the same port
+ * - Client certificates checked against the `tlsCa` bundle with
+ *   `tlsClientAuth`: "request" asks for one, "require" refuses handshakes
+ *   without a valid one. clientCertAuth() signs in the user a verified
+ *   certificate names
+ *
+ * redirectToHttps() answers plain HTTP requests (on `redirectPort`) with a
+ * redirect to the same URL on the HTTPS port.
+ *
+ * @module lib/tls
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const http2 = require('http2');
+const https = require('https');
+const tls = require('tls');
+const express = require('express');
+
+/**
+ * Client certificate modes
+ * @type {string[]}
+ */
+const CLIENT_AUTH_MODES = Object.freeze(['none', 'request', 'require']);
+
+/**
+ * Milliseconds to wait for a burst of file change events to settle
+ * @type {number}
+ */
+const RELOAD_DELAY = 100;
+
+/**
+ * Validates a client certificate mode
+ *
+ * @param {*} value - Candidate value
+ * @returns {string|null} An error message, or null when valid
+ */
+function validateClientAuth(value) {
+  return CLIENT_AUTH_MODES.includes(value) ? null : `must be one of ${CLIENT_AUTH_MODES.join(', ')}`;
+}
+
+/**
+ * Reads the certificate, key and CA files named by the configuration
+ *
+ * The files are parsed right away, so a malformed file or a key that does
+ * not match the certificate is reported here rather than on the first
+ * handshake.
+ *
+ * @param {Object} config - Effective configuration
+ * @returns {{cert: Buffer, key: Buffer, ca: (Buffer|undefined)}} Secure context options
+ * @throws {Error} When a file cannot be read or the pair is not usable
+ */
+function readCredentials({ tlsCert, tlsKey, tlsCa }) {
+  const read = (key, file) => {
+    try {
+      return fs.readFileSync(file);
+    } catch (err) {
+      throw new Error(`Cannot read ${key} file ${file}: ${err.message}`);
+    }
+  };
+  const credentials = { cert: read('tlsCert', tlsCert), key: read('tlsKey', tlsKey) };
+  if (tlsCa) {
+    credentials.ca = read('tlsCa', tlsCa);
+  }
+  try {
+    tls.createSecureContext(credentials);
+  } catch (err) {
+    throw new Error(`Invalid TLS credentials (${[tlsCert, tlsKey, tlsCa].filter(Boolean).join(', ')}): ${err.message}`);
+  }
+  return credentials;
+}
+
+/**
+ * Wraps an Express app for HTTP/2 requests
+ *
+ * Express gives every request the HTTP/1 prototypes of `app.request` and
+ * `app.response`, which would hide the getters of the HTTP/2 compatibility
+ * objects. HTTP/2 requests get copies of the same methods on top of
+ * Http2ServerRequest and Http2ServerResponse instead; HTTP/1.1 requests
+ * (through ALPN fallback) go to the app unchanged.
+ *
+ * @param {express.Application} app - The app
+ * @returns {Function} Request listener for an Http2SecureServer
+ */
+function http2Handler(app) {
+  const extend = (base, ...sources) => {
+    const proto = Object.create(base);
+    for (const source of sources) {
+      Object.defineProperties(proto, Object.getOwnPropertyDescriptors(source));
+    }
+    return proto;
+  };
+  const view = Object.create(app, {
+    request: { value: extend(http2.Http2ServerRequest.prototype, express.request, app.request) },
+    response: { value: extend(http2.Http2ServerResponse.prototype, express.response, app.response) }
+  });
+
+  return (req, res) => {
+    if (!(req instanceof http2.Http2ServerRequest)) {
+      app(req, res);
+      return;
+    }
+    // req.hostname and friends read Host, which HTTP/2 replaces with :authority
+    if (req.headers.host === undefined && req.authority) {
+      req.headers.host = req.authority;
+    }
+    view.handle(req, res);
+  };
+}
+
+/**
+ * Creates the server for an app
+ *
+ * @param {express.Application} app - The app to serve
+ * @param {Object} config - Effective configuration
+ * @returns {http.Server|https.Server|http2.Http2SecureServer} The server, not yet listening
+ * @throws {Error} When the TLS files cannot be used, see readCredentials()
+ */
+function createListener(app, config) {
+  if (!config.tlsCert) {
+    return http.createServer(app);
+  }
+  const options = {
+    ...readCredentials(config),
+    requestCert: config.tlsClientAuth !== 'none',
+    rejectUnauthorized: config.tlsClientAuth === 'require'
+  };
+  if (config.http2) {
+    return http2.createSecureServer({ ...options, allowHTTP1: true }, http2Handler(app));
+  }
+  return https.createServer(options, app);
+}
+
+/**
+ * Reloads the TLS files of a server whenever they change
+ *
+ * The directories are watched, so files replaced by renaming or by
+ * re-pointing a symlink (as certbot does) are noticed too. A reload that
+ * fails, e.g. because only the certificate has been renewed so far, keeps
+ * the previous credentials and is retried on the next change.
+ *
+ * @param {tls.Server} server - Server from createListener()
+ * @param {Object} config - Effective configuration
+ * @param {Object} [options]
+ * @param {Object} [options.logger=console] - Receives reloads and failures
+ * @returns {Function} Stops watching
+ */
+function watchCredentials(server, config, { logger = console } = {}) {
+  const files = [config.tlsCert, config.tlsKey, config.tlsCa].filter(Boolean).map((file) => path.resolve(file));
+  let timer = null;
+
+  const reload = () => {
+    try {
+      server.setSecureContext(readCredentials(config));
+      logger.info(`Reloaded TLS certificate ${config.tlsCert}`);
+    } catch (err) {
+      logger.error(`Keeping the previous TLS certificate: ${err.message}`);
+    }
+  };
+
+  const watchers = [...new Set(files.map((file) => path.dirname(file)))].map((dir) => {
+    const watcher = fs.watch(dir, (eventType, filename) => {
+      if (filename && !files.includes(path.join(dir, filename.toString()))) return;
+      clearTimeout(timer);
+      timer = setTimeout(reload, RELOAD_DELAY);
+      timer.unref();
+    });
+    watcher.unref();
+    return watcher;
+  });
+
+  return () => {
+    clearTimeout(timer);
+    for (const watcher of watchers) {
+      watcher.close();
+    }
+  };
+}
+
+/**
+ * Creates a request listener that redirects to HTTPS
+ *
+ * GET and HEAD get 301 Moved Permanently; other methods get 308 Permanent
+ * Redirect, which clients must repeat with the same method and body.
+ *
+ * @param {Function} getPort - Returns the HTTPS port to redirect to
+ * @returns {Function} Request listener for an http.Server
+ */
+function redirectToHttps(getPort) {
+  return (req, res) => {
+    let hostname = null;
+    try {
+      ({ hostname } = new URL(`http://${req.headers.host}`));
+    } catch (err) {
+      // Answered below
+    }
+    if (!req.headers.host || !hostname) {
+      res.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8', Connection: 'close' });
+      res.end('A Host header is required\n');
+      return;
+    }
+    const port = getPort();
+    const location = `https://${hostname}${port === 443 ? '' : `:${port}`}${req.url}`;
+    res.writeHead(['GET', 'HEAD'].includes(req.method) ? 301 : 308, {
+      Location: location,
+      'Content-Type': 'text/plain; charset=utf-8'
+    });
+    res.end(req.method === 'HEAD' ? undefined : `Redirecting to ${location}\n`);
+  };
+}
+
+/**
+ * Authenticates requests by their client certificate
+ *
+ * A certificate verified against `tlsCa` whose subject common name (CN) is
+ * a username signs the request in as that user with all of its roles, for
+ * internal callers that hold no session or token. Requests already
+ * authenticated otherwise, or without a verified certificate, are left
+ * alone.
+ *
+ * @param {Object} users - User store from loadUsers()
+ * @returns {Function} Express middleware setting `req.user` and `req.auth`
+ */
+function clientCertAuth(users) {
+  return (req, res, next) => {
+    const { socket } = req;
+    if (req.auth || !socket || !socket.authorized) {
+      return next();
+    }
+    const { subject } = socket.getPeerCertificate();
+    const user = subject ? users.find(subject.CN) : null;
+    if (user) {
+      req.user = user;
+      req.auth = { method: 'certificate', roles: user.roles };
+    }
+    next();
+  };
+}
+
+module.exports = {
+  CLIENT_AUTH_MODES,
+  validateClientAuth,
+  readCredentials,
+  createListener,
+  watchCredentials,
+  redirectToHttps,
+  clientCertAuth
+};
@@ -0,0 +1,344 @@
+/**
+ * Unit Tests for the TLS and HTTP/2 listeners
+ *
+ * Certificates are generated with the openssl command for each run: a test
+ * CA, server certificates for localhost signed by it, a client certificate
+ * for "alice" and a self-signed client certificate it did not issue.
+ *
+ * @module lib/tls.test
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http2 = require('http2');
+const https = require('https');
+const { X509Certificate } = require('crypto');
+const { execFileSync } = require('child_process');
+const express = require('express');
+const request = require('supertest');
+const { trackConnections } = require('./shutdown');
+const {
+  validateClientAuth,
+  readCredentials,
+  createListener,
+  watchCredentials,
+  redirectToHttps,
+  clientCertAuth
+} = require('./tls');
+
+/**
+ * Issues a P-256 certificate and key as `<name>.pem` and `<name>.key`
+ *
+ * @param {string} dir - Output directory
+ * @param {string} name - File name stem
+ * @param {string} subject - Subject, e.g. "/CN=localhost"
+ * @param {Object} [options]
+ * @param {string} [options.ca] - Stem of the issuing CA; self-signed when omitted
+ * @param {string[]} [options.extensions] - Extra X.509v3 extensions
+ * @returns {{cert: string, key: string}} Paths of the files
+ */
+function issue(dir, name, subject, { ca, extensions = [] } = {}) {
+  execFileSync('openssl', [
+    'req', '-x509', '-newkey', 'ec', '-pkeyopt', 'ec_paramgen_curve:prime256v1', '-nodes',
+    '-keyout', `${name}.key`, '-out', `${name}.pem`, '-days', '2', '-subj', subject,
+    ...extensions.flatMap((extension) => ['-addext', extension]),
+    ...(ca ? ['-CA', `${ca}.pem`, '-CAkey', `${ca}.key`] : [])
+  ], { cwd: dir, stdio: 'ignore' });
+  return { cert: path.join(dir, `${name}.pem`), key: path.join(dir, `${name}.key`) };
+}
+
+const listen = (server) => new Promise((resolve) => {
+  server.listen(0, '127.0.0.1', () => resolve(server.address().port));
+});
+
+const close = (server) => new Promise((resolve) => {
+  if (server.listening) {
+    server.close(() => resolve());
+  } else {
+    resolve();
+  }
+});
+
+describe('TLS', () => {
+  let dir;
+  let ca;
+  let server1;
+  let server2;
+  let alice;
+  let mallory;
+
+  const users = {
+    find: (username) => (username === 'alice' ? { username: 'alice', name: 'Alice', roles: ['editor'] } : null)
+  };
+
+  // Reports what Express saw of the request
+  const app = express();
+  app.use(clientCertAuth(users));
+  app.get('/', (req, res) => {
+    res.json({
+      httpVersion: req.httpVersion,
+      protocol: req.protocol,
+      hostname: req.hostname,
+      query: req.query,
+      auth: req.auth || null
+    });
+  });
+
+  const tlsConfig = (overrides) => ({
+    tlsCert: server1.cert,
+    tlsKey: server1.key,
+    tlsCa: null,
+    tlsClientAuth: 'none',
+    http2: false,
+    ...overrides
+  });
+
+  /**
+   * Sends an HTTP/1.1 GET over TLS on a new connection
+   *
+   * @param {number} port - Server port
+   * @param {Object} [options] - Extra TLS options, e.g. a client cert and key
+   * @returns {Promise<{status: number, body: Object, peer: Object, alpn: string}>}
+   */
+  const get1 = (port, options = {}) => new Promise((resolve, reject) => {
+    const req = https.get({
+      host: 'localhost', port, path: '/?a=1', ca: fs.readFileSync(ca.cert), agent: false, ...options
+    }, (res) => {
+      let body = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => { body += chunk; });
+      res.on('end', () => resolve({
+        status: res.statusCode,
+        body: JSON.parse(body),
+        peer: res.socket.getPeerCertificate(),
+        alpn: res.socket.alpnProtocol
+      }));
+    });
+    req.on('error', reject);
+  });
+
+  /**
+   * Sends an HTTP/2 GET on a new session
+   *
+   * @param {number} port - Server port
+   * @param {Object} [options] - Extra TLS options
+   * @returns {Promise<{status: number, body: Object}>}
+   */
+  const get2 = (port, options = {}) => new Promise((resolve, reject) => {
+    const session = http2.connect(`https://localhost:${port}`, { ca: fs.readFileSync(ca.cert), ...options });
+    session.on('error', reject);
+    const stream = session.request({ ':path': '/?a=2' });
+    let status;
+    let body = '';
+    stream.setEncoding('utf8');
+    stream.on('response', (headers) => { status = headers[':status']; });
+    stream.on('data', (chunk) => { body += chunk; });
+    stream.on('end', () => {
+      session.close();
+      resolve({ status, body: JSON.parse(body) });
+    });
+    stream.on('error', reject);
+  });
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tls-'));
+    ca = issue(dir, 'ca', '/CN=Test CA');
+    const leaf = ['subjectAltName=DNS:localhost,IP:127.0.0.1', 'basicConstraints=critical,CA:FALSE'];
+    server1 = issue(dir, 'server1', '/CN=localhost', { ca: 'ca', extensions: leaf });
+    server2 = issue(dir, 'server2', '/CN=localhost', { ca: 'ca', extensions: leaf });
+    alice = issue(dir, 'alice', '/CN=alice', { ca: 'ca', extensions: ['basicConstraints=critical,CA:FALSE'] });
+    mallory = issue(dir, 'mallory', '/CN=alice');
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('validateClientAuth()', () => {
+    it.each(['none', 'request', 'require'])('should accept %s', (mode) => {
+      expect(validateClientAuth(mode)).toBeNull();
+    });
+
+    it('should reject other values', () => {
+      expect(validateClientAuth('optional')).toBe('must be one of none, request, require');
+    });
+  });
+
+  describe('readCredentials()', () => {
+    it('should read the certificate, key and CA', () => {
+      const credentials = readCredentials({ tlsCert: server1.cert, tlsKey: server1.key, tlsCa: ca.cert });
+      expect(credentials.cert.equals(fs.readFileSync(server1.cert))).toBe(true);
+      expect(credentials.key.equals(fs.readFileSync(server1.key))).toBe(true);
+      expect(credentials.ca.equals(fs.readFileSync(ca.cert))).toBe(true);
+    });
+
+    it('should name a file it cannot read', () => {
+      expect(() => readCredentials({ tlsCert: path.join(dir, 'missing.pem'), tlsKey: server1.key }))
+        .toThrow(/Cannot read tlsCert file .*missing\.pem/);
+    });
+
+    it('should reject a key that does not match the certificate', () => {
+      expect(() => readCredentials({ tlsCert: server1.cert, tlsKey: server2.key })).toThrow(/Invalid TLS credentials/);
+    });
+  });
+
+  describe('createListener()', () => {
+    let server;
+
+    afterEach(async () => {
+      await close(server);
+    });
+
+    it('should serve plain HTTP without a certificate', async () => {
+      server = createListener(app, { tlsCert: null });
+      expect(server).toBeInstanceOf(require('http').Server);
+      await listen(server);
+      const { body } = await request(server).get('/');
+      expect(body).toMatchObject({ httpVersion: '1.1', protocol: 'http' });
+    });
+
+    it('should serve HTTPS', async () => {
+      server = createListener(app, tlsConfig());
+      const port = await listen(server);
+      const { status, body, alpn } = await get1(port);
+      expect(status).toBe(200);
+      expect(alpn).toBe(false);
+      expect(body).toEqual({ httpVersion: '1.1', protocol: 'https', hostname: 'localhost', query: { a: '1' }, auth: null });
+    });
+
+    it('should serve HTTP/2 and fall back to HTTP/1.1', async () => {
+      server = createListener(app, tlsConfig({ http2: true }));
+      const port = await listen(server);
+      expect(await get2(port)).toEqual({
+        status: 200,
+        body: { httpVersion: '2.0', protocol: 'https', hostname: 'localhost', query: { a: '2' }, auth: null }
+      });
+      const { body, alpn } = await get1(port, { ALPNProtocols: ['http/1.1'] });
+      expect(alpn).toBe('http/1.1');
+      expect(body.httpVersion).toBe('1.1');
+    });
+
+    it('should refuse clients without a valid certificate when required', async () => {
+      server = createListener(app, tlsConfig({ tlsCa: ca.cert, tlsClientAuth: 'require' }));
+      const port = await listen(server);
+      await expect(get1(port)).rejects.toThrow();
+      await expect(get1(port, { cert: fs.readFileSync(mallory.cert), key: fs.readFileSync(mallory.key) })).rejects.toThrow();
+      const { body } = await get1(port, { cert: fs.readFileSync(alice.cert), key: fs.readFileSync(alice.key) });
+      expect(body.auth).toEqual({ method: 'certificate', roles: ['editor'] });
+    });
+
+    it('should sign in certificate holders over HTTP/2 too', async () => {
+      server = createListener(app, tlsConfig({ tlsCa: ca.cert, tlsClientAuth: 'require', http2: true }));
+      const port = await listen(server);
+      const { body } = await get2(port, { cert: fs.readFileSync(alice.cert), key: fs.readFileSync(alice.key) });
+      expect(body.auth).toEqual({ method: 'certificate', roles: ['editor'] });
+    });
+
+    it('should make certificates optional when requested', async () => {
+      server = createListener(app, tlsConfig({ tlsCa: ca.cert, tlsClientAuth: 'request' }));
+      const port = await listen(server);
+      expect((await get1(port)).body.auth).toBeNull();
+      // Accepted, but not verified, so nobody is signed in
+      expect((await get1(port, { cert: fs.readFileSync(mallory.cert), key: fs.readFileSync(mallory.key) })).body.auth).toBeNull();
+      expect((await get1(port, { cert: fs.readFileSync(alice.cert), key: fs.readFileSync(alice.key) })).body.auth)
+        .toEqual({ method: 'certificate', roles: ['editor'] });
+    });
+
+    it('should drain HTTP/2 sessions on shutdown', async () => {
+      let release;
+      const slow = express();
+      slow.get('/', (req, res) => { release = () => res.send('done'); });
+      server = createListener(slow, tlsConfig({ http2: true }));
+      const tracker = trackConnections(server);
+      const port = await listen(server);
+
+      const session = http2.connect(`https://localhost:${port}`, { ca: fs.readFileSync(ca.cert) });
+      const stream = session.request({ ':path': '/' });
+      let body = '';
+      stream.setEncoding('utf8');
+      stream.on('data', (chunk) => { body += chunk; });
+      const ended = new Promise((resolve) => stream.on('end', resolve));
+      while (!release) {
+        await new Promise((resolve) => setTimeout(resolve, 5));
+      }
+      expect(tracker.count()).toBe(1);
+
+      const stopped = tracker.shutdown(5000);
+      await new Promise((resolve) => setTimeout(resolve, 20));
+      release();
+      await ended;
+      expect(body).toBe('done');
+      expect(await stopped).toEqual({ drained: 1, killed: 0 });
+      session.destroy();
+    });
+  });
+
+  describe('watchCredentials()', () => {
+    let live;
+    let server;
+    let unwatch;
+
+    const fingerprint = (file) => new X509Certificate(fs.readFileSync(file)).fingerprint256;
+
+    beforeEach(() => {
+      live = fs.mkdtempSync(path.join(dir, 'live-'));
+      fs.copyFileSync(server1.cert, path.join(live, 'cert.pem'));
+      fs.copyFileSync(server1.key, path.join(live, 'key.pem'));
+    });
+
+    afterEach(async () => {
+      unwatch();
+      await close(server);
+    });
+
+    it('should serve renewed certificates without a restart', async () => {
+      const config = tlsConfig({ tlsCert: path.join(live, 'cert.pem'), tlsKey: path.join(live, 'key.pem') });
+      const logger = { info: jest.fn(), error: jest.fn() };
+      server = createListener(app, config);
+      unwatch = watchCredentials(server, config, { logger });
+      const port = await listen(server);
+      expect((await get1(port)).peer.fingerprint256).toBe(fingerprint(server1.cert));
+
+      // A certificate without its key is not used yet
+      fs.copyFileSync(server2.cert, path.join(live, 'cert.pem'));
+      for (let i = 0; i < 100 && !logger.error.mock.calls.length; i++) {
+        await new Promise((resolve) => setTimeout(resolve, 20));
+      }
+      expect(logger.error).toHaveBeenCalledWith(expect.stringMatching(/^Keeping the previous TLS certificate/));
+      expect((await get1(port)).peer.fingerprint256).toBe(fingerprint(server1.cert));
+
+      fs.copyFileSync(server2.key, path.join(live, 'key.pem'));
+      for (let i = 0; i < 100 && !logger.info.mock.calls.length; i++) {
+        await new Promise((resolve) => setTimeout(resolve, 20));
+      }
+      expect(logger.info).toHaveBeenCalledWith(`Reloaded TLS certificate ${config.tlsCert}`);
+      expect((await get1(port)).peer.fingerprint256).toBe(fingerprint(server2.cert));
+    });
+  });
+
+  describe('redirectToHttps()', () => {
+    const redirect = (port) => redirectToHttps(() => port);
+
+    it('should redirect GET with 301 to the HTTPS port', async () => {
+      const res = await request(redirect(8443)).get('/greeting?tz=UTC').set('Host', 'example.com:8080');
+      expect(res.status).toBe(301);
+      expect(res.headers.location).toBe('https://example.com:8443/greeting?tz=UTC');
+    });
+
+    it('should keep the method of other requests with 308', async () => {
+      const res = await request(redirect(8443)).post('/login').set('Host', 'example.com');
+      expect(res.status).toBe(308);
+      expect(res.headers.location).toBe('https://example.com:8443/login');
+    });
+
+    it('should leave out the default port and keep IPv6 brackets', async () => {
+      expect((await request(redirect(443)).get('/').set('Host', 'example.com')).headers.location).toBe('https://example.com/');
+      expect((await request(redirect(8443)).head('/').set('Host', '[::1]:80')).headers.location).toBe('https://[::1]:8443/');
+    });
+
+    it('should reject requests without a usable Host', async () => {
+      expect((await request(redirect(443)).get('/').set('Host', 'bad host')).status).toBe(400);
+    });
+  });
+});
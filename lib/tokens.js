@@ -0,0 +1,393 @@
+/**
+ * Bearer Tokens
+ *
+ * Signed, stateless credentials for automation. A token is
+ * `<payload>.<signature>`: base64url JSON claims followed by their
+ * HMAC-SHA256 in base64url.
+ *
+ *     { "jti": "<id>", "sub": "ada", "scp": ["reader"], "iat": 1700000000, "exp": 1700086400 }
+ *
+ * `scp` lists the roles (see lib/access) the token may act with; at request
+ * time they are further limited to the roles its owner still holds. Revoked
+ * token ids are kept in a JSON file that is re-read whenever it changes, so
+ * revocations made by another process or by hand apply without a restart.
+ * Revoking re-reads the file under a lock (see lib/atomic-write) before
+ * adding to it, so cluster workers keep each other's revocations.
+ *
+ * @module lib/tokens
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const express = require('express');
+const { ROLES, hasRole, unauthorized, forbidden } = require('./access');
+const { HttpError, ValidationError } = require('./errors');
+const { writeFileAtomic, withFileLock } = require('./atomic-write');
+const { ConfigError } = require('./config');
+const { requireUser } = require('./sessions');
+const { operation } = require('./openapi');
+
+/**
+ * Error raised when a token cannot be issued, verified or revoked
+ */
+class TokenError extends HttpError {
+  /**
+   * @param {string} message - Human readable description of the problem
+   * @param {number} status - HTTP status describing the failure (400, 401 or 403)
+   */
+  constructor(message, status) {
+    super(status, message);
+    this.name = 'TokenError';
+  }
+}
+
+/**
+ * Token syntax: two base64url segments
+ * @type {RegExp}
+ */
+const TOKEN_PATTERN = /^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/;
+
+/**
+ * Reads a revocation list file
+ *
+ * @param {string} file - Path to the JSON file `{ "revoked": ["<id>", ...] }`
+ * @returns {Set<string>} Revoked token ids; empty when the file does not exist
+ * @throws {Error} When the file exists but is malformed
+ */
+function readRevocations(file) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return new Set();
+    throw err;
+  }
+  if (!data || !Array.isArray(data.revoked) || !data.revoked.every((id) => typeof id === 'string')) {
+    throw new Error('expected { "revoked": [<token id>, ...] }');
+  }
+  return new Set(data.revoked);
+}
+
+/**
+ * Creates a token issuer
+ *
+ * @param {Object} options
+ * @param {string|null} options.secret - Signing key; random when null, so tokens do not survive a restart
+ * @param {number} options.defaultTtl - Lifetime in milliseconds when the request names none
+ * @param {number} options.maxTtl - Longest lifetime in milliseconds a token may be issued for
+ * @param {string|null} [options.revocationFile] - Revocation list path; in-memory only when null
+ * @param {Object} [options.logger=console] - Receives revocation list reload failures
+ * @param {Function} [options.now=Date.now] - Clock, for tests
+ * @returns {Object} The issuer
+ * @throws {ConfigError} When the revocation list exists but cannot be read at startup
+ */
+function createTokenIssuer({ secret, defaultTtl, maxTtl, revocationFile = null, logger = console, now = Date.now }) {
+  const key = secret || crypto.randomBytes(32).toString('hex');
+  let revoked = new Set();
+  let fileStamp = null;
+  if (revocationFile) {
+    try {
+      revoked = readRevocations(revocationFile);
+    } catch (err) {
+      throw new ConfigError(`Cannot load revocation list ${revocationFile}: ${err.message}`, { key: 'revocationFile' });
+    }
+  }
+
+  const sign = (payload) => crypto.createHmac('sha256', key).update(payload).digest('base64url');
+
+  const stamp = () => {
+    try {
+      const stats = fs.statSync(revocationFile);
+      return `${stats.ino}:${stats.size}:${stats.mtimeMs}`;
+    } catch (err) {
+      return null;
+    }
+  };
+
+  /**
+   * Re-reads the revocation list when the file has changed since last read
+   */
+  const refresh = () => {
+    if (!revocationFile) return;
+    const current = stamp();
+    if (current === fileStamp) return;
+    try {
+      revoked = readRevocations(revocationFile);
+      fileStamp = current;
+    } catch (err) {
+      logger.error(`Keeping previous revocation list, cannot reload ${revocationFile}: ${err.message}`);
+    }
+  };
+
+  if (revocationFile) {
+    fileStamp = stamp();
+  }
+
+  return {
+    /**
+     * Issues a token for a user
+     *
+     * @param {Object} user - Public profile of the token owner
+     * @param {string[]} grantable - Roles the caller may delegate
+     * @param {Object} [request]
+     * @param {string[]} [request.scopes] - Roles for the token; all grantable roles when omitted
+     * @param {number} [request.expiresIn] - Lifetime in seconds
+     * @returns {{token: string, id: string, subject: string, scopes: string[], expiresAt: string}} The token and its claims
+     * @throws {TokenError} 400 on a malformed request, 403 when a scope exceeds the grantable roles
+     */
+    issue(user, grantable, { scopes, expiresIn } = {}) {
+      const requested = scopes === undefined ? grantable.filter((role) => ROLES.includes(role)) : scopes;
+      if (!Array.isArray(requested) || !requested.every((scope) => typeof scope === 'string')) {
+        throw new TokenError('"scopes" must be an array of role names', 400);
+      }
+      const unknown = requested.find((scope) => !ROLES.includes(scope));
+      if (unknown !== undefined) {
+        throw new TokenError(`Unknown scope "${unknown}"; expected one of ${ROLES.join(', ')}`, 400);
+      }
+      const excess = requested.find((scope) => !hasRole(grantable, scope));
+      if (excess !== undefined) {
+        throw new TokenError(`Cannot grant scope "${excess}"`, 403);
+      }
+      if (!requested.length) {
+        throw new TokenError('A token needs at least one scope', 400);
+      }
+
+      let ttl = defaultTtl;
+      if (expiresIn !== undefined) {
+        if (!Number.isInteger(expiresIn) || expiresIn <= 0) {
+          throw new TokenError('"expiresIn" must be a positive number of seconds', 400);
+        }
+        ttl = expiresIn * 1000;
+      }
+      if (ttl > maxTtl) {
+        throw new TokenError(`"expiresIn" may be at most ${Math.floor(maxTtl / 1000)} seconds`, 400);
+      }
+
+      const issuedAt = Math.floor(now() / 1000);
+      const claims = {
+        jti: crypto.randomBytes(16).toString('base64url'),
+        sub: user.username,
+        scp: [...new Set(requested)],
+        iat: issuedAt,
+        exp: issuedAt + Math.floor(ttl / 1000)
+      };
+      const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+      return {
+        token: `${payload}.${sign(payload)}`,
+        id: claims.jti,
+        subject: claims.sub,
+        scopes: claims.scp,
+        expiresAt: new Date(claims.exp * 1000).toISOString()
+      };
+    },
+
+    /**
+     * Verifies a token's signature, expiry and revocation
+     *
+     * @param {string} token - Token from issue()
+     * @returns {{id: string, subject: string, scopes: string[], expiresAt: number}} Verified claims
+     *   (expiresAt in epoch milliseconds)
+     * @throws {TokenError} 401 when the token is malformed, forged, expired or revoked
+     */
+    verify(token) {
+      if (typeof token !== 'string' || !TOKEN_PATTERN.test(token)) {
+        throw new TokenError('Token is malformed', 401);
+      }
+      const [payload, signature] = token.split('.');
+      const given = Buffer.from(signature);
+      const expected = Buffer.from(sign(payload));
+      if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+        throw new TokenError('Token signature is invalid', 401);
+      }
+
+      let claims;
+      try {
+        claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+      } catch (err) {
+        throw new TokenError('Token is malformed', 401);
+      }
+      if (!claims || typeof claims.jti !== 'string' || typeof claims.sub !== 'string'
+          || !Array.isArray(claims.scp) || !Number.isInteger(claims.exp)) {
+        throw new TokenError('Token is malformed', 401);
+      }
+      if (claims.exp * 1000 <= now()) {
+        throw new TokenError('Token has expired', 401);
+      }
+      if (this.isRevoked(claims.jti)) {
+        throw new TokenError('Token has been revoked', 401);
+      }
+      return { id: claims.jti, subject: claims.sub, scopes: claims.scp, expiresAt: claims.exp * 1000 };
+    },
+
+    /**
+     * @param {string} id - Token id
+     * @returns {boolean} Whether the token id is on the revocation list
+     */
+    isRevoked(id) {
+      refresh();
+      return revoked.has(id);
+    },
+
+    /**
+     * Adds a token id to the revocation list, persisting it when the list is file-backed
+     *
+     * @param {string} id - Token id
+     * @returns {Promise<void>} Resolves once the list is written
+     * @throws {Error} When the file has become malformed; it is left as it is
+     */
+    async revoke(id) {
+      if (!revocationFile) {
+        revoked = new Set(revoked).add(id);
+        return;
+      }
+      await withFileLock(revocationFile, () => {
+        // Start from the file, which may hold revocations of other processes
+        const next = readRevocations(revocationFile);
+        if (!next.has(id)) {
+          next.add(id);
+          writeFileAtomic(revocationFile, `${JSON.stringify({ revoked: [...next] }, null, 2)}\n`);
+        }
+        revoked = next;
+        fileStamp = stamp();
+      });
+    }
+  };
+}
+
+/**
+ * Creates middleware that authenticates `Authorization: Bearer` requests
+ *
+ * Valid tokens set `req.user` and `req.auth` (replacing any session); a
+ * bearer token that fails verification is rejected with 401 and an
+ * `invalid_token` challenge. Requests without a Bearer header pass through.
+ *
+ * @param {Object} issuer - Token issuer from createTokenIssuer()
+ * @param {Object} users - User store from lib/users loadUsers()
+ * @returns {Function} Express middleware
+ */
+function bearerAuth(issuer, users) {
+  return (req, res, next) => {
+    const header = req.get('Authorization');
+    const match = /^Bearer(?:\s+(.*))?$/i.exec(header || '');
+    if (!match) {
+      return next();
+    }
+
+    const fail = (message) => next(unauthorized(message, { error: 'invalid_token', error_description: message }));
+    let claims;
+    try {
+      claims = issuer.verify((match[1] || '').trim());
+    } catch (err) {
+      if (err instanceof TokenError) {
+        return fail(err.message);
+      }
+      throw err;
+    }
+    const user = users.find(claims.subject);
+    if (!user) {
+      return fail('Token owner no longer exists');
+    }
+
+    req.session = undefined;
+    req.user = user;
+    req.auth = {
+      method: 'bearer',
+      roles: claims.scopes.filter((scope) => hasRole(user.roles, scope)),
+      tokenId: claims.id
+    };
+    next();
+  };
+}
+
+/**
+ * Creates the token issuance and revocation routes
+ *
+ * @param {Object} issuer - Token issuer from createTokenIssuer()
+ * @returns {express.Router} Router to mount at the application root
+ */
+function tokensRouter(issuer) {
+  const router = express.Router();
+
+  /**
+   * Token issuance endpoint handler
+   * Issues a token owned by the caller; scopes may not exceed the caller's
+   * own roles
+   *
+   * @route POST /tokens
+   * @param {string[]} [scopes] - Roles for the token; defaults to the caller's roles
+   * @param {number} [expiresIn] - Lifetime in seconds; defaults to `tokenTtl`
+   * @returns {Object} 201 JSON `{ token, id, subject, scopes, expiresAt }`; 401 when
+   *   not authenticated, 403 when a scope is not the caller's to grant
+   */
+  router.post('/tokens', requireUser, express.json(), operation({
+    summary: 'Issue a bearer token',
+    auth: true,
+    optionalBody: true,
+    body: {
+      type: 'object',
+      properties: {
+        scopes: {
+          type: 'array',
+          items: { type: 'string', enum: ROLES },
+          minItems: 1,
+          description: 'Roles for the token; the caller\'s roles by default'
+        },
+        expiresIn: { type: 'number', exclusiveMinimum: 0, description: 'Lifetime in seconds' }
+      }
+    },
+    responses: {
+      201: {
+        description: 'The token and its claims',
+        schema: {
+          type: 'object',
+          properties: {
+            token: { type: 'string' },
+            id: { type: 'string' },
+            subject: { type: 'string' },
+            scopes: { type: 'array', items: { type: 'string' } },
+            expiresAt: { type: 'string', format: 'date-time' }
+          }
+        }
+      },
+      403: 'A scope is not the caller\'s to grant'
+    }
+  }), (req, res) => {
+    const body = req.body === undefined ? {} : req.body;
+    if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+      throw new ValidationError('Request body must be a JSON object');
+    }
+    res.status(201).json(issuer.issue(req.user, req.auth.roles, body));
+  });
+
+  /**
+   * Token revocation endpoint handler
+   * Admins may revoke any token; other callers only the token they are
+   * authenticating with. Revoking an already revoked id succeeds.
+   *
+   * @route DELETE /tokens/:id
+   * @returns {void} 204; 401 when not authenticated, 403 for another caller's token
+   */
+  router.delete('/tokens/:id', requireUser, operation({
+    summary: 'Revoke a bearer token',
+    description: 'Admins may revoke any token; other callers only the one they authenticate with.',
+    auth: true,
+    params: { type: 'object', properties: { id: { type: 'string' } } },
+    responses: { 204: 'Revoked (also when it already was)', 403: 'Another caller\'s token' }
+  }), async (req, res) => {
+    const own = req.auth.method === 'bearer' && req.auth.tokenId === req.params.id;
+    if (!own && !hasRole(req.auth.roles, 'admin')) {
+      throw forbidden(req, 'admin');
+    }
+    await issuer.revoke(req.params.id);
+    res.status(204).end();
+  });
+
+  return router;
+}
+
+module.exports = {
+  TokenError,
+  createTokenIssuer,
+  bearerAuth,
+  tokensRouter
+};
@@ -0,0 +1,291 @@
+/**
+ * Unit Tests for bearer tokens
+ *
+ * @module lib/tokens.test
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const { ConfigError } = require('./config');
+const { authorize } = require('./access');
+const { TokenError, createTokenIssuer, bearerAuth, tokensRouter } = require('./tokens');
+const { errorHandler } = require('./errors');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('Bearer Tokens', () => {
+  let dir;
+  let revocationFile;
+  let clock;
+  const ada = { username: 'ada', name: 'Ada', roles: ['admin'] };
+  const bob = { username: 'bob', name: 'Bob', roles: ['reader'] };
+
+  const make = (options = {}) => createTokenIssuer({
+    secret: null,
+    defaultTtl: HOUR,
+    maxTtl: 24 * HOUR,
+    revocationFile,
+    logger: { error: jest.fn() },
+    now: () => clock,
+    ...options
+  });
+
+  beforeEach(() => {
+    clock = Date.UTC(2024, 0, 1);
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tokens-'));
+    revocationFile = path.join(dir, 'revoked.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('issue() / verify()', () => {
+    it('should issue tokens that verify with their claims', () => {
+      const issuer = make();
+      const issued = issuer.issue(ada, ada.roles, { scopes: ['reader'] });
+      expect(issued).toMatchObject({ subject: 'ada', scopes: ['reader'], expiresAt: '2024-01-01T01:00:00.000Z' });
+      expect(issuer.verify(issued.token)).toEqual({
+        id: issued.id,
+        subject: 'ada',
+        scopes: ['reader'],
+        expiresAt: clock + HOUR
+      });
+    });
+
+    it('should default scopes to the grantable roles', () => {
+      expect(make().issue(ada, ada.roles).scopes).toEqual(['admin']);
+    });
+
+    it.each([
+      ['non-array scopes', { scopes: 'reader' }, 400, /array of role names/],
+      ['unknown scopes', { scopes: ['root'] }, 400, /Unknown scope "root"/],
+      ['empty scopes', { scopes: [] }, 400, /at least one scope/],
+      ['a bad lifetime', { expiresIn: -5 }, 400, /positive number of seconds/],
+      ['a lifetime above the maximum', { expiresIn: 25 * 3600 }, 400, /at most 86400 seconds/]
+    ])('should reject %s', (label, request, status, message) => {
+      let error;
+      try {
+        make().issue(ada, ada.roles, request);
+      } catch (err) {
+        error = err;
+      }
+      expect(error).toBeInstanceOf(TokenError);
+      expect(error.status).toBe(status);
+      expect(error.message).toMatch(message);
+    });
+
+    it('should refuse to grant scopes above the caller\'s roles', () => {
+      expect(() => make().issue(bob, bob.roles, { scopes: ['editor'] })).toThrow(/Cannot grant scope "editor"/);
+    });
+
+    it('should reject expired, forged, malformed and foreign tokens', () => {
+      const issuer = make();
+      const { token } = issuer.issue(ada, ada.roles, { expiresIn: 60 });
+      const [payload, signature] = token.split('.');
+      expect(() => issuer.verify(`${payload}.${signature.slice(1)}x`)).toThrow('Token signature is invalid');
+      expect(() => issuer.verify('nonsense')).toThrow('Token is malformed');
+      expect(() => make().verify(token)).toThrow('Token signature is invalid');
+      clock += 60 * 1000;
+      expect(() => issuer.verify(token)).toThrow('Token has expired');
+    });
+
+    it('should accept tokens from another issuer sharing the secret', () => {
+      const secret = 's'.repeat(32);
+      const { token } = make({ secret }).issue(ada, ada.roles);
+      expect(make({ secret }).verify(token).subject).toBe('ada');
+    });
+  });
+
+  describe('revocation', () => {
+    it('should persist revocations to the file', async () => {
+      const issuer = make();
+      const { token, id } = issuer.issue(ada, ada.roles);
+      await issuer.revoke(id);
+      expect(() => issuer.verify(token)).toThrow('Token has been revoked');
+      expect(JSON.parse(fs.readFileSync(revocationFile, 'utf8'))).toEqual({ revoked: [id] });
+    });
+
+    it('should pick up revocations written by someone else without a restart', () => {
+      const issuer = make();
+      const { token, id } = issuer.issue(ada, ada.roles);
+      expect(issuer.verify(token).id).toBe(id);
+      fs.writeFileSync(revocationFile, JSON.stringify({ revoked: [id] }));
+      expect(() => issuer.verify(token)).toThrow('Token has been revoked');
+      fs.writeFileSync(revocationFile, JSON.stringify({ revoked: [] }));
+      expect(issuer.verify(token).id).toBe(id);
+    });
+
+    it('should keep the previous list when the file becomes malformed', async () => {
+      const logger = { error: jest.fn() };
+      const issuer = make({ logger });
+      const { id } = issuer.issue(ada, ada.roles);
+      await issuer.revoke(id);
+      fs.writeFileSync(revocationFile, '{ broken');
+      expect(issuer.isRevoked(id)).toBe(true);
+      expect(logger.error).toHaveBeenCalledWith(expect.stringMatching(/Keeping previous revocation list/));
+    });
+
+    it('should keep the revocations of issuers sharing the file', async () => {
+      const first = make();
+      const second = make();
+      const ids = [first, second, first, second].map((issuer) => issuer.issue(ada, ada.roles).id);
+      await Promise.all(ids.map((id, index) => (index % 2 ? second : first).revoke(id)));
+      expect(JSON.parse(fs.readFileSync(revocationFile, 'utf8')).revoked.sort()).toEqual(ids.slice().sort());
+      expect(ids.every((id) => first.isRevoked(id) && second.isRevoked(id))).toBe(true);
+    });
+
+    it('should refuse to revoke into a malformed file', async () => {
+      const issuer = make();
+      fs.writeFileSync(revocationFile, '{ broken');
+      await expect(issuer.revoke('abc')).rejects.toThrow(SyntaxError);
+      expect(fs.readFileSync(revocationFile, 'utf8')).toBe('{ broken');
+    });
+
+    it('should refuse to start with a malformed file', () => {
+      fs.writeFileSync(revocationFile, '[]');
+      expect(() => make()).toThrow(ConfigError);
+    });
+
+    it('should keep revocations in memory without a file', async () => {
+      const issuer = make({ revocationFile: null });
+      const { token, id } = issuer.issue(ada, ada.roles);
+      await issuer.revoke(id);
+      expect(() => issuer.verify(token)).toThrow('Token has been revoked');
+    });
+  });
+
+  describe('HTTP', () => {
+    let issuer;
+    let app;
+    const users = {
+      find: (username) => ({ ada, bob }[username] || null)
+    };
+
+    beforeEach(() => {
+      issuer = make({ now: Date.now });
+      app = express();
+      app.use((req, res, next) => {
+        // Stand-in for a session login
+        if (req.get('X-Test-User')) {
+          req.user = users.find(req.get('X-Test-User'));
+          req.auth = { method: 'session', roles: req.user.roles };
+        }
+        next();
+      });
+      app.use(bearerAuth(issuer, users));
+      app.use(tokensRouter(issuer));
+      app.get('/whoami', (req, res) => res.json({ user: req.user || null, auth: req.auth || null }));
+      app.all('/edit', authorize({ GET: 'reader', POST: 'editor' }), (req, res) => res.send('ok'));
+      app.use(errorHandler());
+    });
+
+    const bearer = (token) => `Bearer ${token}`;
+
+    it('should authenticate requests carrying a valid token', async () => {
+      const { token, id } = issuer.issue(ada, ada.roles, { scopes: ['editor'] });
+      const res = await request(app).get('/whoami').set('Authorization', bearer(token));
+      expect(res.body).toEqual({ user: ada, auth: { method: 'bearer', roles: ['editor'], tokenId: id } });
+    });
+
+    it('should limit token scopes to the roles the owner still holds', async () => {
+      const { token } = issuer.issue(ada, ada.roles, { scopes: ['admin'] });
+      const demoted = { ...users, find: (username) => (username === 'ada' ? { ...ada, roles: ['reader'] } : null) };
+      const limited = express();
+      limited.use(bearerAuth(issuer, demoted));
+      limited.post('/edit', authorize('editor'), (req, res) => res.send('ok'));
+      expect((await request(limited).post('/edit').set('Authorization', bearer(token))).status).toBe(403);
+    });
+
+    it('should answer 401 invalid_token for bad tokens even on open routes', async () => {
+      const res = await request(app).get('/whoami').set('Authorization', 'Bearer abc.def');
+      expect(res.status).toBe(401);
+      expect(res.headers['www-authenticate'])
+        .toBe('Bearer realm="hello-world", error="invalid_token", error_description="Token signature is invalid"');
+      expect(res.body).toMatchObject({ detail: 'Token signature is invalid' });
+      expect((await request(app).get('/whoami').set('Authorization', 'Bearer')).status).toBe(401);
+    });
+
+    it('should reject tokens of users that no longer exist', async () => {
+      const { token } = issuer.issue({ username: 'ghost', roles: ['admin'] }, ['admin']);
+      const res = await request(app).get('/whoami').set('Authorization', bearer(token));
+      expect(res.status).toBe(401);
+      expect(res.body.detail).toBe('Token owner no longer exists');
+    });
+
+    it('should ignore other authorization schemes', async () => {
+      const res = await request(app).get('/whoami').set('Authorization', 'Basic YWRhOnB3');
+      expect(res.body).toEqual({ user: null, auth: null });
+    });
+
+    it('should distinguish 401 from 403 per method', async () => {
+      const reader = issuer.issue(bob, bob.roles).token;
+      expect((await request(app).post('/edit')).status).toBe(401);
+      expect((await request(app).get('/edit').set('Authorization', bearer(reader))).status).toBe(200);
+      expect((await request(app).post('/edit').set('Authorization', bearer(reader))).status).toBe(403);
+    });
+
+    describe('POST /tokens', () => {
+      it('should issue a token for the logged-in caller', async () => {
+        const res = await request(app).post('/tokens').set('X-Test-User', 'ada').send({ scopes: ['reader'], expiresIn: 600 });
+        expect(res.status).toBe(201);
+        expect(res.body).toMatchObject({ subject: 'ada', scopes: ['reader'] });
+        const check = await request(app).get('/whoami').set('Authorization', bearer(res.body.token));
+        expect(check.body.auth.roles).toEqual(['reader']);
+      });
+
+      it('should require authentication', async () => {
+        const res = await request(app).post('/tokens').send({});
+        expect(res.status).toBe(401);
+        expect(res.headers['www-authenticate']).toMatch(/^Bearer /);
+      });
+
+      it('should answer 403 for scopes above the caller\'s roles', async () => {
+        const res = await request(app).post('/tokens').set('X-Test-User', 'bob').send({ scopes: ['admin'] });
+        expect(res.status).toBe(403);
+        expect(res.body).toMatchObject({ detail: 'Cannot grant scope "admin"' });
+      });
+
+      it('should not let a token mint a broader token', async () => {
+        const reader = issuer.issue(ada, ada.roles, { scopes: ['reader'] }).token;
+        const res = await request(app).post('/tokens').set('Authorization', bearer(reader)).send({ scopes: ['editor'] });
+        expect(res.status).toBe(403);
+      });
+
+      it('should answer 400 for bad requests', async () => {
+        expect((await request(app).post('/tokens').set('X-Test-User', 'ada').send([])).status).toBe(400);
+        expect((await request(app).post('/tokens').set('X-Test-User', 'ada').send({ expiresIn: 'soon' })).status).toBe(400);
+        const malformed = await request(app).post('/tokens').set('X-Test-User', 'ada')
+          .set('Content-Type', 'application/json').send('{');
+        expect(malformed.status).toBe(400);
+        expect(malformed.body).toMatchObject({ detail: 'Request body is not valid JSON' });
+      });
+    });
+
+    describe('DELETE /tokens/:id', () => {
+      it('should let a token revoke itself', async () => {
+        const { token, id } = issuer.issue(bob, bob.roles);
+        const res = await request(app).delete(`/tokens/${id}`).set('Authorization', bearer(token));
+        expect(res.status).toBe(204);
+        expect((await request(app).get('/whoami').set('Authorization', bearer(token))).status).toBe(401);
+      });
+
+      it('should let admins revoke any token', async () => {
+        const { token, id } = issuer.issue(bob, bob.roles);
+        expect((await request(app).delete(`/tokens/${id}`).set('X-Test-User', 'ada')).status).toBe(204);
+        expect((await request(app).delete(`/tokens/${id}`).set('X-Test-User', 'ada')).status).toBe(204);
+        const res = await request(app).get('/whoami').set('Authorization', bearer(token));
+        expect(res.body).toMatchObject({ detail: 'Token has been revoked' });
+      });
+
+      it('should forbid revoking someone else\'s token without the admin role', async () => {
+        const { id } = issuer.issue(ada, ada.roles);
+        expect((await request(app).delete(`/tokens/${id}`).set('X-Test-User', 'bob')).status).toBe(403);
+        expect((await request(app).delete(`/tokens/${id}`)).status).toBe(401);
+      });
+    });
+  });
+});
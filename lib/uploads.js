@@ -0,0 +1,505 @@
+/**
+ * File Uploads
+ *
+ * Stores uploaded files content-addressed: a file's ID is the SHA-256 of its
+ * bytes and its content is kept once under `objects/<id>`, however often
+ * and under whatever names it is uploaded. An index (`index.json`, replaced
+ * atomically) records every name and time a content was uploaded with.
+ * Several processes (e.g. cluster workers) may share a directory: each
+ * re-reads the index when it changed on disk, and commits update it under a
+ * lock (see lib/atomic-write), so no upload of another process is lost.
+ *
+ * Routes:
+ * - POST /      : Upload files as multipart/form-data (streamed to disk)
+ * - GET /       : Stored contents, each with all the file names it was uploaded as
+ * - GET /:id    : One stored content
+ *
+ * Uploads are staged in `tmp/` while they are hashed and only committed once
+ * the whole request parsed, so a failed request leaves nothing behind. The
+ * type allowlist is checked against the sniffed content (see lib/sniff),
+ * not the name or the client's Content-Type.
+ *
+ * @module lib/uploads
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { once } = require('events');
+const express = require('express');
+const { HttpError, NotFoundError, UnsupportedMediaTypeError, ValidationError } = require('./errors');
+const { writeFileAtomic, withFileLock } = require('./atomic-write');
+const { MultipartError, getBoundary, createMultipartParser } = require('./multipart');
+const { SNIFF_LENGTH, sniffType } = require('./sniff');
+const { operation } = require('./openapi');
+
+/**
+ * Default content types accepted, compared without parameters; `type/*`
+ * accepts every subtype
+ * @type {string[]}
+ */
+const DEFAULT_UPLOAD_TYPES = [
+  'image/jpeg',
+  'image/png',
+  'image/gif',
+  'image/webp',
+  'application/pdf',
+  'application/x-ole-storage',
+  'text/plain'
+];
+
+/**
+ * Largest value of a non-file field; field values are not kept
+ * @type {number}
+ */
+const MAX_FIELD_SIZE = 64 * 1024;
+
+/**
+ * Most parts (files and fields) in one request
+ * @type {number}
+ */
+const MAX_PARTS = 100;
+
+/**
+ * Format of content IDs
+ * @type {RegExp}
+ */
+const ID_PATTERN = /^[0-9a-f]{64}$/;
+
+/**
+ * A stored content as listed (see lib/openapi)
+ * @type {Object}
+ */
+const UPLOAD_SCHEMA = {
+  type: 'object',
+  properties: {
+    id: { type: 'string', description: 'SHA-256 of the content' },
+    size: { type: 'integer' },
+    type: { type: 'string', description: 'Sniffed content type' },
+    names: { type: 'array', items: { type: 'string' }, description: 'Every file name it was uploaded as' },
+    uploads: { type: 'integer', description: 'Times it was uploaded' },
+    firstUploaded: { type: 'string', format: 'date-time' },
+    lastUploaded: { type: 'string', format: 'date-time' }
+  }
+};
+
+/**
+ * Response of an upload (see lib/openapi)
+ * @type {Object}
+ */
+const FILES_SCHEMA = {
+  type: 'object',
+  properties: {
+    files: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          name: { type: 'string' },
+          field: { type: 'string' },
+          size: { type: 'integer' },
+          type: { type: 'string' },
+          duplicate: { type: 'boolean', description: 'The content was already stored' }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Validates a content type allowlist
+ *
+ * @param {*} value - Candidate list
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateUploadTypes(value) {
+  if (!Array.isArray(value) || !value.length) {
+    return 'must be a non-empty list of content types';
+  }
+  const invalid = value.find((type) => typeof type !== 'string' || !/^[\w.+-]+\/(?:[\w.+-]+|\*)$/.test(type));
+  return invalid === undefined ? null : `has an invalid content type ${JSON.stringify(invalid)}`;
+}
+
+/**
+ * Strips parameters from a content type
+ *
+ * @param {string} type - e.g. "text/plain; charset=utf-8"
+ * @returns {string} e.g. "text/plain"
+ */
+function essence(type) {
+  return type.split(';')[0].trim().toLowerCase();
+}
+
+/**
+ * Reads the index of an upload directory
+ *
+ * @param {string} file - Path of index.json
+ * @returns {Object<string, Object>} Stored contents keyed by ID
+ */
+function readIndex(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8')).objects;
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return {};
+    }
+    throw err;
+  }
+}
+
+/**
+ * Creates the store of an upload directory
+ *
+ * @param {string} dir - Upload directory; created with the first upload
+ * @param {Object} [options]
+ * @param {Function} [options.now=Date.now] - Clock
+ * @returns {Object} The store
+ */
+function createUploadStore(dir, { now = Date.now } = {}) {
+  const root = path.resolve(dir);
+  const objectsDir = path.join(root, 'objects');
+  const tmpDir = path.join(root, 'tmp');
+  const indexFile = path.join(root, 'index.json');
+  let objects = readIndex(indexFile);
+
+  const stamp = () => {
+    try {
+      const stats = fs.statSync(indexFile);
+      return `${stats.ino}:${stats.size}:${stats.mtimeMs}`;
+    } catch (err) {
+      return null;
+    }
+  };
+  let indexStamp = stamp();
+
+  /**
+   * Re-reads the index when another process has changed it since last read
+   */
+  const refresh = () => {
+    const current = stamp();
+    if (current !== indexStamp) {
+      objects = readIndex(indexFile);
+      indexStamp = current;
+    }
+  };
+
+  /**
+   * Describes a stored content for clients
+   */
+  const describe = (id) => {
+    const { size, type, uploads } = objects[id];
+    return {
+      id,
+      size,
+      type,
+      names: [...new Set(uploads.map(({ name }) => name))].sort(),
+      uploads: uploads.length,
+      firstUploaded: uploads[0].uploaded,
+      lastUploaded: uploads[uploads.length - 1].uploaded
+    };
+  };
+
+  return {
+    /**
+     * Starts staging a file
+     *
+     * @returns {Object} `{ write(chunk), finish(), abort(), size, head }`:
+     *   `write()` resolves once the chunk is buffered by the file, `finish()`
+     *   resolves to `{ id, size, type }`, `abort()` resolves once the file is discarded
+     */
+    stage() {
+      fs.mkdirSync(objectsDir, { recursive: true });
+      fs.mkdirSync(tmpDir, { recursive: true });
+      const temp = path.join(tmpDir, crypto.randomBytes(16).toString('hex'));
+      const out = fs.createWriteStream(temp, { flags: 'wx' });
+      const hash = crypto.createHash('sha256');
+      const staged = {
+        temp,
+        size: 0,
+        head: Buffer.alloc(0),
+
+        async write(chunk) {
+          staged.size += chunk.length;
+          if (staged.head.length < SNIFF_LENGTH) {
+            staged.head = Buffer.concat([staged.head, chunk.subarray(0, SNIFF_LENGTH - staged.head.length)]);
+          }
+          hash.update(chunk);
+          if (!out.write(chunk)) {
+            await once(out, 'drain');
+          }
+        },
+
+        async finish() {
+          out.end();
+          await once(out, 'finish');
+          return { id: hash.digest('hex'), size: staged.size, type: sniffType(staged.head) };
+        },
+
+        async abort() {
+          // The file may still be opening; remove it only once it is closed
+          if (!out.closed) {
+            out.destroy();
+            await once(out, 'close');
+          }
+          await fs.promises.rm(temp, { force: true });
+        }
+      };
+      return staged;
+    },
+
+    /**
+     * Stores a finished staged file under its content ID
+     *
+     * Contents already stored keep their file; the staged copy is dropped.
+     * The index is re-read and written under its lock.
+     *
+     * @param {Object} staged - From stage(), after finish()
+     * @param {{id: string, size: number, type: string}} content - Result of finish()
+     * @param {string} name - File name it was uploaded as
+     * @returns {Promise<{id: string, duplicate: boolean}>} The ID and whether the content was already stored
+     */
+    commit(staged, { id, size, type }, name) {
+      return withFileLock(indexFile, () => {
+        refresh();
+        const target = path.join(objectsDir, id);
+        const duplicate = Boolean(objects[id]) && fs.existsSync(target);
+        if (duplicate) {
+          fs.rmSync(staged.temp, { force: true });
+        } else {
+          fs.renameSync(staged.temp, target);
+          objects[id] = { size, type, uploads: objects[id] ? objects[id].uploads : [] };
+        }
+        objects[id].uploads.push({ name, uploaded: new Date(now()).toISOString() });
+        writeFileAtomic(indexFile, `${JSON.stringify({ objects }, null, 2)}\n`);
+        indexStamp = stamp();
+        return { id, duplicate };
+      });
+    },
+
+    /**
+     * Lists stored contents, oldest first
+     *
+     * @returns {Array<Object>} `{ id, size, type, names, uploads, firstUploaded, lastUploaded }`
+     */
+    list() {
+      refresh();
+      return Object.keys(objects)
+        .map(describe)
+        .sort((a, b) => a.firstUploaded.localeCompare(b.firstUploaded) || a.id.localeCompare(b.id));
+    },
+
+    /**
+     * Looks a stored content up
+     *
+     * @param {string} id - Content ID
+     * @returns {Object|null} See list(), or null when unknown
+     */
+    get(id) {
+      refresh();
+      return Object.prototype.hasOwnProperty.call(objects, id) ? describe(id) : null;
+    }
+  };
+}
+
+/**
+ * Creates the upload router
+ *
+ * @param {Object} store - See createUploadStore()
+ * @param {Object} [options]
+ * @param {number} [options.maxFileSize=25 MiB] - Largest accepted file in bytes
+ * @param {number} [options.maxFiles=10] - Most files per request
+ * @param {string[]} [options.types=DEFAULT_UPLOAD_TYPES] - Accepted sniffed content types
+ * @returns {express.Router} Router to mount at /uploads
+ */
+function uploadsRouter(store, { maxFileSize = 25 * 1024 * 1024, maxFiles = 10, types = DEFAULT_UPLOAD_TYPES } = {}) {
+  const router = express.Router();
+  const accepted = new Set(types.map(essence));
+
+  /**
+   * Checks a staged file's type once enough of it is known
+   */
+  const checkType = (part, staged, complete) => {
+    if (part.typeChecked || (!complete && staged.head.length < SNIFF_LENGTH)) {
+      return;
+    }
+    part.typeChecked = true;
+    const type = sniffType(staged.head);
+    if (!accepted.has(essence(type)) && !accepted.has(`${essence(type).split('/')[0]}/*`)) {
+      throw new UnsupportedMediaTypeError(`"${part.filename}" is ${type}; accepted types are ${[...accepted].join(', ')}`);
+    }
+  };
+
+  /**
+   * Stores the files of a multipart/form-data request
+   *
+   * Every part with a filename is a file, whatever its field name. Re-uploads
+   * of stored content return the existing ID.
+   *
+   * @route POST /uploads
+   * @returns {Object} 201 when at least one content is new, 200 otherwise -
+   *   `{ files: [{ id, name, field, size, type, duplicate }] }`; 400 on
+   *   malformed bodies or none with a file, 413 over the size or file
+   *   limits, 415 for other request or file types
+   */
+  router.post('/', operation({
+    summary: 'Upload files',
+    description: 'Every part with a filename is stored, whatever its field name.',
+    consumes: {
+      'multipart/form-data': {
+        type: 'object',
+        properties: { file: { type: 'array', items: { type: 'string', contentMediaType: 'application/octet-stream' } } }
+      }
+    },
+    responses: {
+      200: { description: 'Every file was stored before', schema: FILES_SCHEMA },
+      201: { description: 'At least one file is new', schema: FILES_SCHEMA, headers: { Location: 'URL of a single file' } },
+      400: 'Malformed body or no file',
+      413: 'A file, field or the number of files or parts is over its limit',
+      415: 'Not multipart/form-data, or a file type that is not accepted'
+    }
+  }), async (req, res) => {
+    const boundary = getBoundary(req.get('Content-Type'));
+    if (!boundary) {
+      throw new UnsupportedMediaTypeError('Upload must be multipart/form-data with a boundary');
+    }
+
+    const files = [];
+    let parts = 0;
+    let current = null;
+    const parser = createMultipartParser(boundary, {
+      async onPart({ name, filename }) {
+        parts += 1;
+        if (parts > MAX_PARTS) {
+          throw new HttpError(413, `A request may have at most ${MAX_PARTS} parts`);
+        }
+        if (filename === null) {
+          current = { field: name, size: 0 };
+          return;
+        }
+        if (files.length >= maxFiles) {
+          throw new HttpError(413, `A request may upload at most ${maxFiles} files`);
+        }
+        if (!filename || /[\x00-\x1f\x7f]/.test(filename)) {
+          throw new ValidationError(`File in field "${name}" needs a file name without control characters`);
+        }
+        current = { field: name, filename, staged: store.stage() };
+        files.push(current);
+      },
+      async onData(chunk) {
+        if (!current.staged) {
+          current.size += chunk.length;
+          if (current.size > MAX_FIELD_SIZE) {
+            throw new HttpError(413, `Field "${current.field}" exceeds ${MAX_FIELD_SIZE} bytes`);
+          }
+          return;
+        }
+        if (current.staged.size + chunk.length > maxFileSize) {
+          throw new HttpError(413, `"${current.filename}" exceeds the limit of ${maxFileSize} bytes`, {
+            limit: maxFileSize
+          });
+        }
+        await current.staged.write(chunk);
+        checkType(current, current.staged, false);
+      },
+      async onPartEnd() {
+        if (current.staged) {
+          checkType(current, current.staged, true);
+          current.content = await current.staged.finish();
+        }
+        current = null;
+      }
+    });
+
+    try {
+      // Leave the request open on errors: Node discards the rest of the body
+      // after the error response, so the client still gets to read it
+      for await (const chunk of req.iterator({ destroyOnReturn: false })) {
+        await parser.write(chunk);
+      }
+      parser.end();
+    } catch (err) {
+      await Promise.all(files.map(({ staged }) => staged.abort()));
+      if (err instanceof MultipartError) {
+        throw new ValidationError(`Malformed multipart body: ${err.message}`);
+      }
+      throw err;
+    }
+    if (!files.length) {
+      throw new ValidationError('Upload contains no file');
+    }
+
+    const results = [];
+    for (const { field, filename, staged, content } of files) {
+      results.push({
+        ...(await store.commit(staged, content, filename)),
+        name: filename,
+        field,
+        size: content.size,
+        type: content.type
+      });
+    }
+    const created = results.some(({ duplicate }) => !duplicate);
+    if (results.length === 1) {
+      res.location(`${req.baseUrl}/${results[0].id}`);
+    }
+    res.status(created ? 201 : 200).json({ files: results });
+  });
+
+  /**
+   * Lists stored contents with every file name each was uploaded as
+   *
+   * @route GET /uploads
+   * @param {boolean} [duplicates] - Query: only contents uploaded more than once
+   * @returns {Object} 200 - `{ uploads: [{ id, size, type, names, uploads, firstUploaded, lastUploaded }] }`
+   */
+  router.get('/', operation({
+    summary: 'List stored contents with the names each was uploaded as',
+    query: {
+      type: 'object',
+      properties: {
+        duplicates: { type: 'boolean', description: 'Only contents uploaded more than once' }
+      }
+    },
+    responses: {
+      200: {
+        description: 'Stored contents, oldest first',
+        schema: { type: 'object', properties: { uploads: { type: 'array', items: UPLOAD_SCHEMA } } }
+      }
+    }
+  }), (req, res) => {
+    const onlyDuplicates = ['true', '1', ''].includes(req.query.duplicates);
+    const uploads = store.list().filter((entry) => !onlyDuplicates || entry.uploads > 1);
+    res.json({ uploads });
+  });
+
+  /**
+   * Describes one stored content
+   *
+   * @route GET /uploads/:id
+   * @returns {Object} 200 - See GET /uploads; 404 when unknown
+   */
+  router.get('/:id', operation({
+    summary: 'Describe a stored content',
+    params: { type: 'object', properties: { id: { type: 'string', description: 'SHA-256 of the content' } } },
+    responses: {
+      200: { description: 'The content', schema: UPLOAD_SCHEMA },
+      404: 'No such content'
+    }
+  }), (req, res) => {
+    const entry = ID_PATTERN.test(req.params.id) ? store.get(req.params.id) : null;
+    if (!entry) {
+      throw new NotFoundError(`No upload with ID "${req.params.id}"`);
+    }
+    res.json(entry);
+  });
+
+  return router;
+}
+
+module.exports = {
+  DEFAULT_UPLOAD_TYPES,
+  validateUploadTypes,
+  createUploadStore,
+  uploadsRouter
+};
@@ -0,0 +1,237 @@
+/**
+ * Unit Tests for deduplicated file uploads
+ *
+ * @module lib/uploads.test
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const express = require('express');
+const request = require('supertest');
+const { validateUploadTypes, createUploadStore, uploadsRouter } = require('./uploads');
+const { errorHandler } = require('./errors');
+
+const ROOT = path.join(__dirname, '..');
+const read = (name) => fs.readFileSync(path.join(ROOT, name));
+const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+// The repository's own copies; server.js has changed since it was copied
+const PAIRS = [
+  ['media/demo.jpg', 'demo - Copy.jpg'],
+  ['documents/sample.doc', 'sample - Copy.doc'],
+  ['industry.csv', 'industry - Copy.csv'],
+  ['server.js', 'server - Copy.js']
+];
+
+describe('Uploads', () => {
+  let dir;
+  let clock;
+  let store;
+
+  /**
+   * Creates an app over the upload directory
+   */
+  const createApp = (options) => {
+    const app = express();
+    app.use('/uploads', uploadsRouter(store, options));
+    app.use(errorHandler());
+    return app;
+  };
+
+  const stored = () => fs.readdirSync(path.join(dir, 'objects'));
+  const staged = () => fs.readdirSync(path.join(dir, 'tmp'));
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'uploads-'));
+    clock = Date.parse('2024-05-01T12:00:00Z');
+    store = createUploadStore(dir, { now: () => (clock += 1000) });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('validateUploadTypes()', () => {
+    it('should accept content types and wildcards', () => {
+      expect(validateUploadTypes(['image/jpeg', 'text/*', 'application/vnd.ms-excel'])).toBeNull();
+    });
+
+    it.each([
+      [[], /non-empty list/],
+      ['image/jpeg', /non-empty list/],
+      [['image'], /invalid content type "image"/],
+      [['*/*'], /invalid content type/]
+    ])('should reject %j', (value, message) => {
+      expect(validateUploadTypes(value)).toMatch(message);
+    });
+  });
+
+  describe('POST /uploads', () => {
+    it('should store identical files once under their SHA-256', async () => {
+      const jpeg = read('media/demo.jpg');
+      const res = await request(createApp()).post('/uploads')
+        .field('album', 'Holiday')
+        .attach('photos', jpeg, 'demo.jpg')
+        .attach('photos', path.join(ROOT, 'demo - Copy.jpg'));
+      expect(res.status).toBe(201);
+      expect(res.headers.location).toBeUndefined();
+      expect(res.body.files).toEqual([
+        { id: sha256(jpeg), name: 'demo.jpg', field: 'photos', size: jpeg.length, type: 'image/jpeg', duplicate: false },
+        { id: sha256(jpeg), name: 'demo - Copy.jpg', field: 'photos', size: jpeg.length, type: 'image/jpeg', duplicate: true }
+      ]);
+      expect(stored()).toEqual([sha256(jpeg)]);
+      expect(fs.readFileSync(path.join(dir, 'objects', sha256(jpeg))).equals(jpeg)).toBe(true);
+      expect(staged()).toEqual([]);
+    });
+
+    it('should return the existing ID on a re-upload', async () => {
+      const app = createApp();
+      const doc = read('documents/sample.doc');
+      const first = await request(app).post('/uploads').attach('file', doc, 'sample.doc');
+      expect(first.status).toBe(201);
+      expect(first.headers.location).toBe(`/uploads/${sha256(doc)}`);
+      const again = await request(app).post('/uploads').attach('file', doc, 'sample - Copy.doc');
+      expect(again.status).toBe(200);
+      expect(again.headers.location).toBe(`/uploads/${sha256(doc)}`);
+      expect(again.body.files[0]).toMatchObject({ id: sha256(doc), type: 'application/x-ole-storage', duplicate: true });
+      expect(stored()).toHaveLength(1);
+    });
+
+    it('should keep the index across stores', async () => {
+      await request(createApp()).post('/uploads').attach('file', read('industry.csv'), 'industry.csv');
+      const reopened = createUploadStore(dir);
+      expect(reopened.get(sha256(read('industry.csv')))).toMatchObject({ names: ['industry.csv'], uploads: 1 });
+    });
+
+    it('should keep the uploads of every store sharing the directory', async () => {
+      const otherApp = express();
+      otherApp.use('/uploads', uploadsRouter(createUploadStore(dir)));
+      await request(createApp()).post('/uploads').attach('file', read('industry.csv'), 'industry.csv');
+      await request(otherApp).post('/uploads').attach('file', read('media/demo.jpg'), 'demo.jpg');
+      await request(createApp()).post('/uploads').attach('file', read('industry.csv'), 'sectors.csv');
+      const ids = [sha256(read('industry.csv')), sha256(read('media/demo.jpg'))];
+      expect(store.list().map(({ id }) => id)).toEqual(ids);
+      expect((await request(otherApp).get('/uploads')).body.uploads.map(({ id, names }) => [id, names]))
+        .toEqual([[ids[0], ['industry.csv', 'sectors.csv']], [ids[1], ['demo.jpg']]]);
+      expect(fs.readdirSync(dir).sort()).toEqual(['index.json', 'objects', 'tmp']);
+    });
+
+    it('should refuse requests that are not multipart/form-data', async () => {
+      const res = await request(createApp()).post('/uploads').set('Content-Type', 'image/jpeg').send(read('media/demo.jpg'));
+      expect(res.status).toBe(415);
+      expect(res.body.detail).toMatch(/multipart\/form-data/);
+    });
+
+    it('should refuse types outside the allowlist by their content, not their name', async () => {
+      const res = await request(createApp()).post('/uploads')
+        .attach('file', read('industry.csv'), 'industry.csv')
+        .attach('file', Buffer.from([0, 1, 2, 3, 0xff]), { filename: 'photo.jpg', contentType: 'image/jpeg' });
+      expect(res.status).toBe(415);
+      expect(res.body.detail).toMatch(/^"photo\.jpg" is application\/octet-stream; accepted types are image\/jpeg/);
+      expect(stored()).toEqual([]);
+      expect(staged()).toEqual([]);
+      expect(store.list()).toEqual([]);
+    });
+
+    it('should match wildcard types', async () => {
+      const app = createApp({ types: ['image/*'] });
+      expect((await request(app).post('/uploads').attach('file', read('media/demo.jpg'), 'demo.jpg')).status).toBe(201);
+      expect((await request(app).post('/uploads').attach('file', read('server.js'), 'server.js')).status).toBe(415);
+    });
+
+    it('should refuse files over the size limit', async () => {
+      const res = await request(createApp({ maxFileSize: 1000 })).post('/uploads')
+        .attach('file', read('server.js'), 'server.js');
+      expect(res.status).toBe(413);
+      expect(res.body).toMatchObject({ detail: '"server.js" exceeds the limit of 1000 bytes', limit: 1000 });
+      expect(staged()).toEqual([]);
+    });
+
+    it('should refuse more files than allowed', async () => {
+      const res = await request(createApp({ maxFiles: 1 })).post('/uploads')
+        .attach('file', read('industry.csv'), 'a.csv')
+        .attach('file', read('industry.csv'), 'b.csv');
+      expect(res.status).toBe(413);
+      expect(res.body.detail).toBe('A request may upload at most 1 files');
+      expect(stored()).toEqual([]);
+    });
+
+    it('should refuse oversized fields', async () => {
+      const res = await request(createApp()).post('/uploads').field('note', 'x'.repeat(64 * 1024 + 1));
+      expect(res.status).toBe(413);
+      expect(res.body.detail).toMatch(/Field "note" exceeds/);
+    });
+
+    it.each([
+      ['no file', (req) => req.field('note', 'hello'), /contains no file/],
+      ['a malformed body', (req) => req.set('Content-Type', 'multipart/form-data; boundary=xyz').send('--xyz\r\nbroken'),
+        /Malformed multipart body: Body ended before the closing boundary/],
+      ['a file without a name', (req) => req.set('Content-Type', 'multipart/form-data; boundary=xyz')
+        .send('--xyz\r\nContent-Disposition: form-data; name="f"; filename=""\r\n\r\nx\r\n--xyz--'), /needs a file name/]
+    ])('should answer %s with 400', async (name, build, detail) => {
+      const res = await build(request(createApp()).post('/uploads'));
+      expect(res.status).toBe(400);
+      expect(res.body.detail).toMatch(detail);
+    });
+  });
+
+  describe('GET /uploads', () => {
+    beforeEach(async () => {
+      const app = createApp();
+      for (const pair of PAIRS) {
+        let req = request(app).post('/uploads');
+        for (const file of pair) {
+          req = req.attach('file', path.join(ROOT, file));
+        }
+        expect((await req).status).toBe(201);
+      }
+      await request(app).post('/uploads').attach('file', path.join(ROOT, 'media/demo.jpg'));
+      await request(app).post('/uploads').attach('file', path.join(ROOT, 'locales/en.json'));
+    });
+
+    it('should group the names each content was uploaded as', async () => {
+      const res = await request(createApp()).get('/uploads');
+      expect(res.status).toBe(200);
+      expect(res.body.uploads.map(({ names, uploads }) => [names, uploads])).toEqual([
+        [['demo - Copy.jpg', 'demo.jpg'], 3],
+        [['sample - Copy.doc', 'sample.doc'], 2],
+        [['industry - Copy.csv', 'industry.csv'], 2],
+        [['server.js'], 1],
+        [['server - Copy.js'], 1],
+        [['en.json'], 1]
+      ]);
+      const jpeg = read('media/demo.jpg');
+      expect(res.body.uploads[0]).toEqual({
+        id: sha256(jpeg),
+        size: jpeg.length,
+        type: 'image/jpeg',
+        names: ['demo - Copy.jpg', 'demo.jpg'],
+        uploads: 3,
+        firstUploaded: '2024-05-01T12:00:01.000Z',
+        lastUploaded: '2024-05-01T12:00:09.000Z'
+      });
+      expect(stored()).toHaveLength(6);
+    });
+
+    it('should filter contents uploaded more than once', async () => {
+      const res = await request(createApp()).get('/uploads?duplicates=true');
+      expect(res.body.uploads).toHaveLength(3);
+      expect(res.body.uploads.every(({ uploads }) => uploads > 1)).toBe(true);
+    });
+
+    it('should describe one content by ID', async () => {
+      const id = sha256(read('industry.csv'));
+      const res = await request(createApp()).get(`/uploads/${id}`);
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ id, names: ['industry - Copy.csv', 'industry.csv'], type: 'text/plain; charset=utf-8' });
+    });
+
+    it.each([['0'.repeat(64)], ['not-an-id'], ['__proto__']])('should answer %s with 404', async (id) => {
+      const res = await request(createApp()).get(`/uploads/${id}`);
+      expect(res.status).toBe(404);
+      expect(res.body.detail).toBe(`No upload with ID "${id}"`);
+    });
+  });
+});
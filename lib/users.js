@@ -0,0 +1,188 @@
+/**
+ * Local User Store
+ *
+ * Reads user accounts from a JSON file:
+ *
+ *     {
+ *       "users": [
+ *         { "username": "ada", "name": "Ada Lovelace", "roles": ["admin"],
+ *           "password": "scrypt$16384$8$1$<salt>$<hash>" }
+ *       ]
+ *     }
+ *
+ * Passwords are stored as salted scrypt hashes; `hashPassword()` produces
+ * the encoded form. A missing file means no accounts exist.
+ *
+ * @module lib/users
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { promisify } = require('util');
+const { ConfigError } = require('./config');
+
+const scrypt = promisify(crypto.scrypt);
+
+/**
+ * Default scrypt cost parameters and output sizes
+ */
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const SALT_BYTES = 16;
+const KEY_BYTES = 32;
+
+/**
+ * Username syntax: letters, digits and . _ @ - (1-64 characters)
+ * @type {RegExp}
+ */
+const USERNAME = /^[A-Za-z0-9._@-]{1,64}$/;
+
+/**
+ * Derives a scrypt key
+ *
+ * @param {string} password - Plain text password
+ * @param {Buffer} salt - Random salt
+ * @param {Object} params - scrypt N, r and p
+ * @param {number} length - Key length in bytes
+ * @returns {Promise<Buffer>} The derived key
+ */
+function deriveKey(password, salt, { N, r, p }, length) {
+  return scrypt(password.normalize('NFKC'), salt, length, { N, r, p, maxmem: 256 * N * r });
+}
+
+/**
+ * Hashes a password for storage
+ *
+ * @param {string} password - Plain text password
+ * @param {Object} [params] - scrypt cost overrides (N, r, p)
+ * @returns {Promise<string>} Encoded hash `scrypt$N$r$p$salt$hash` (base64 fields)
+ */
+async function hashPassword(password, params = {}) {
+  const { N, r, p } = { ...SCRYPT_PARAMS, ...params };
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const key = await deriveKey(password, salt, { N, r, p }, KEY_BYTES);
+  return ['scrypt', N, r, p, salt.toString('base64'), key.toString('base64')].join('$');
+}
+
+/**
+ * Parses an encoded password hash
+ *
+ * @param {string} encoded - Hash from hashPassword()
+ * @returns {{N: number, r: number, p: number, salt: Buffer, key: Buffer}|null} Parts, or null when malformed
+ */
+function parseHash(encoded) {
+  const parts = typeof encoded === 'string' ? encoded.split('$') : [];
+  if (parts.length !== 6 || parts[0] !== 'scrypt') {
+    return null;
+  }
+  const [N, r, p] = parts.slice(1, 4).map(Number);
+  const salt = Buffer.from(parts[4], 'base64');
+  const key = Buffer.from(parts[5], 'base64');
+  if (![N, r, p].every(Number.isInteger) || N < 2 || (N & (N - 1)) !== 0 || r < 1 || p < 1
+      || salt.length === 0 || key.length === 0) {
+    return null;
+  }
+  return { N, r, p, salt, key };
+}
+
+/**
+ * Checks a password against an encoded hash in constant time
+ *
+ * @param {string} password - Plain text password
+ * @param {string} encoded - Hash from hashPassword()
+ * @returns {Promise<boolean>} True when the password matches
+ */
+async function verifyPassword(password, encoded) {
+  const parsed = parseHash(encoded);
+  if (!parsed || typeof password !== 'string') {
+    return false;
+  }
+  const key = await deriveKey(password, parsed.salt, parsed, parsed.key.length);
+  return crypto.timingSafeEqual(key, parsed.key);
+}
+
+/**
+ * Loads a user store
+ *
+ * @param {string} file - Path to the users JSON file
+ * @returns {Object} The store
+ * @throws {ConfigError} When the file exists but is malformed
+ */
+function loadUsers(file) {
+  let data = { users: [] };
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      throw new ConfigError(`Cannot load users file ${file}: ${err.message}`, { key: 'usersFile' });
+    }
+  }
+
+  if (data === null || typeof data !== 'object' || !Array.isArray(data.users)) {
+    throw new ConfigError(`Users file ${file} must contain a "users" array`, { key: 'usersFile' });
+  }
+
+  const users = new Map();
+  data.users.forEach((user, index) => {
+    const where = `users[${index}] in ${file}`;
+    if (!user || !USERNAME.test(user.username)) {
+      throw new ConfigError(`${where} needs a "username" of letters, digits or . _ @ -`, { key: 'usersFile' });
+    }
+    if (!parseHash(user.password)) {
+      throw new ConfigError(`${where} needs a "password" scrypt hash`, { key: 'usersFile' });
+    }
+    if (user.roles !== undefined && !(Array.isArray(user.roles) && user.roles.every((role) => typeof role === 'string'))) {
+      throw new ConfigError(`${where} "roles" must be an array of strings`, { key: 'usersFile' });
+    }
+    const key = user.username.toLowerCase();
+    if (users.has(key)) {
+      throw new ConfigError(`${where} duplicates username "${user.username}"`, { key: 'usersFile' });
+    }
+    users.set(key, {
+      username: user.username,
+      name: typeof user.name === 'string' ? user.name : user.username,
+      roles: user.roles || [],
+      password: user.password
+    });
+  });
+
+  // Verified against unknown usernames so their timing matches real accounts
+  let dummyHash = null;
+
+  return {
+    /**
+     * Looks up a user's public profile
+     *
+     * @param {string} username - Username (case-insensitive)
+     * @returns {{username: string, name: string, roles: string[]}|null} The profile, or null
+     */
+    find(username) {
+      const user = typeof username === 'string' ? users.get(username.toLowerCase()) : undefined;
+      return user ? { username: user.username, name: user.name, roles: [...user.roles] } : null;
+    },
+
+    /**
+     * Checks credentials
+     *
+     * @param {string} username - Username (case-insensitive)
+     * @param {string} password - Plain text password
+     * @returns {Promise<Object|null>} The user's profile, or null when the credentials are wrong
+     */
+    async authenticate(username, password) {
+      const user = typeof username === 'string' ? users.get(username.toLowerCase()) : undefined;
+      if (!user) {
+        dummyHash = dummyHash || await hashPassword(crypto.randomBytes(16).toString('hex'));
+        await verifyPassword(String(password), dummyHash);
+        return null;
+      }
+      return (await verifyPassword(password, user.password)) ? this.find(user.username) : null;
+    },
+
+    size: () => users.size
+  };
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  loadUsers
+};
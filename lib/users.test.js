@@ -0,0 +1,89 @@
+/**
+ * Unit Tests for the local user store
+ *
+ * @module lib/users.test
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { hashPassword, verifyPassword, loadUsers } = require('./users');
+const { ConfigError } = require('./config');
+
+describe('User Store', () => {
+  let dir;
+
+  const writeUsers = (data) => {
+    const file = path.join(dir, 'users.json');
+    fs.writeFileSync(file, typeof data === 'string' ? data : JSON.stringify(data));
+    return file;
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'users-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('hashPassword() / verifyPassword()', () => {
+    it('should produce salted scrypt hashes that verify', async () => {
+      const first = await hashPassword('correct horse', { N: 1024 });
+      const second = await hashPassword('correct horse', { N: 1024 });
+      expect(first).toMatch(/^scrypt\$1024\$8\$1\$[A-Za-z0-9+/=]+\$[A-Za-z0-9+/=]+$/);
+      expect(first).not.toBe(second);
+      await expect(verifyPassword('correct horse', first)).resolves.toBe(true);
+      await expect(verifyPassword('battery staple', first)).resolves.toBe(false);
+    });
+
+    it('should use the default cost when none is given', async () => {
+      expect(await hashPassword('secret')).toMatch(/^scrypt\$16384\$8\$1\$/);
+    });
+
+    it('should reject malformed hashes', async () => {
+      await expect(verifyPassword('secret', 'plain-text')).resolves.toBe(false);
+      await expect(verifyPassword('secret', 'scrypt$1000$8$1$c2FsdA==$a2V5')).resolves.toBe(false);
+    });
+  });
+
+  describe('loadUsers()', () => {
+    it('should treat a missing file as an empty store', () => {
+      expect(loadUsers(path.join(dir, 'missing.json')).size()).toBe(0);
+    });
+
+    it('should authenticate case-insensitively and return the public profile', async () => {
+      const file = writeUsers({
+        users: [{ username: 'Ada', name: 'Ada Lovelace', roles: ['admin'], password: await hashPassword('pw', { N: 1024 }) }]
+      });
+      const users = loadUsers(file);
+      expect(await users.authenticate('ada', 'pw')).toEqual({ username: 'Ada', name: 'Ada Lovelace', roles: ['admin'] });
+      expect(await users.authenticate('ada', 'wrong')).toBeNull();
+      expect(await users.authenticate('grace', 'pw')).toBeNull();
+      expect(users.find('ADA')).not.toHaveProperty('password');
+    });
+
+    it('should default the name to the username and roles to none', async () => {
+      const users = loadUsers(writeUsers({ users: [{ username: 'bob', password: await hashPassword('pw', { N: 1024 }) }] }));
+      expect(users.find('bob')).toEqual({ username: 'bob', name: 'bob', roles: [] });
+    });
+
+    it.each([
+      ['invalid JSON', '{', /Cannot load users file/],
+      ['no users array', { accounts: [] }, /must contain a "users" array/],
+      ['a bad username', { users: [{ username: 'a b', password: 'scrypt$2$1$1$YQ==$YQ==' }] }, /"username"/],
+      ['a plain text password', { users: [{ username: 'a', password: 'secret' }] }, /"password" scrypt hash/],
+      ['non-string roles', { users: [{ username: 'a', password: 'scrypt$2$1$1$YQ==$YQ==', roles: [1] }] }, /"roles"/],
+      ['duplicate usernames', {
+        users: [
+          { username: 'a', password: 'scrypt$2$1$1$YQ==$YQ==' },
+          { username: 'A', password: 'scrypt$2$1$1$YQ==$YQ==' }
+        ]
+      }, /duplicates username "A"/]
+    ])('should reject a file with %s', (label, data, message) => {
+      const file = writeUsers(data);
+      expect(() => loadUsers(file)).toThrow(ConfigError);
+      expect(() => loadUsers(file)).toThrow(message);
+    });
+  });
+});
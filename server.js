@@ -5,126 +5,784 @@
  * 
  * Endpoints:
  * - GET /        : Returns "Hello, World!\n" response
- * - GET /evening : Returns "Good evening" response
+ * - GET /greeting : Returns the greeting for the current day part
+ * - GET /greeting/stream : Server-Sent Events announcing each day part change
+ * - GET /morning, /afternoon, /evening, /night : Return a fixed greeting
+ * - GET /locales : Lists the locales greetings are available in
+ * - GET /industries, /industries/:slug : Industry catalog from industry.csv
+ * - POST /login, POST /logout, GET /me : Session login against users.json
+ * - POST /tokens, DELETE /tokens/:id : Bearer token issuance and revocation
+ * - GET /media/* : Files from the media directory (demo.jpg)
+ * - GET /media/:name/metadata : Dimensions, EXIF and color profile of a JPEG
+ * - GET /media/:name/thumbnail : Scaled-down JPEG (?w=&h=, 64 to 1024 in powers of two)
+ * - GET /documents, GET /documents/:name, POST /documents : Word (.doc) properties and text
+ * - POST /uploads, GET /uploads, GET /uploads/:id : Deduplicated file uploads
+ * - GET /healthz, /readyz, /metrics : Liveness, readiness and Prometheus metrics
+ * - GET /openapi.json, /docs : OpenAPI description of the API and its HTML reference
+ * 
+ * Greetings are localized from Accept-Language or a ?lang= override and
+ * rendered as text, JSON, HTML or XML according to Accept.
+ * 
+ * Every known path answers OPTIONS with its Allow header and other methods
+ * with 405 Method Not Allowed; only unknown paths get 404. Errors are
+ * reported as RFC 7807 problem details (see lib/errors).
  * 
  * Server Configuration:
- * - Hostname: 127.0.0.1
- * - Port: 3000
+ * - Hostname: 127.0.0.1 (override with HOST, a config file or startServer options)
+ * - Port: 3000 (override with PORT, a config file or startServer options; 0 = ephemeral)
+ * - HTTPS, HTTP/2, client certificates and an HTTP to HTTPS redirect port
+ *   through the tls* settings, http2 and redirectPort (see lib/tls)
+ * 
+ * Independent instances can be built with createServer(options); the
+ * module-level startServer/stopServer/getServer/getApp/getConfig functions
+ * operate on a default instance.
  * 
  * @module server
  */
 
+const http = require('http');
 const express = require('express');
+const { ConfigError, loadConfig } = require('./lib/config');
+const { trackConnections } = require('./lib/shutdown');
+const { DAY_PARTS, resolveGreeting } = require('./lib/greeting');
+const { loadCatalog, listLocales, localize } = require('./lib/i18n');
+const { GREETING_CONTENT, sendGreeting } = require('./lib/negotiate');
+const { EVENT_STREAM, createGreetingStreams, greetingStreamHandler } = require('./lib/greeting-stream');
+const { createIndustryCatalog, industriesRouter } = require('./lib/industries');
+const { loadUsers } = require('./lib/users');
+const { SESSION_COOKIE, createSessionStore, createLoginThrottle, loadSession, sessionRouter } = require('./lib/sessions');
+const { createTokenIssuer, bearerAuth, tokensRouter } = require('./lib/tokens');
+const { authorize } = require('./lib/access');
+const { methodNotAllowed } = require('./lib/methods');
+const { requestId } = require('./lib/request-id');
+const { createMemoryStore, rateLimit } = require('./lib/rate-limit');
+const { createLogger, createFileDestination, stdoutDestination, accessLog } = require('./lib/logger');
+const { createLifecycle, healthRouter } = require('./lib/health');
+const { createRegistry, httpMetrics, collectProcessMetrics, metricsHandler } = require('./lib/metrics');
+const { createMediaStore, mediaRouter } = require('./lib/media');
+const { gpsSanitizer, imagesRouter } = require('./lib/images');
+const { documentsRouter } = require('./lib/documents');
+const { createUploadStore, uploadsRouter } = require('./lib/uploads');
+const { operation, trackMountPaths, openapiRouter } = require('./lib/openapi');
+const { createListener, watchCredentials, redirectToHttps, clientCertAuth } = require('./lib/tls');
+const { notFound, errorHandler } = require('./lib/errors');
+const { version } = require('./package.json');
 
-// Create Express application instance
-const app = express();
-
-// Server configuration
-const hostname = '127.0.0.1';
-const port = 3000;
+/**
+ * Message keys the greeting routes look up; the default locale must have them all
+ * @type {string[]}
+ */
+const MESSAGE_KEYS = ['hello', ...DAY_PARTS];
 
 /**
- * Root endpoint handler
- * Preserves the original "Hello, World!" functionality from the native http module implementation
- * 
- * @route GET /
- * @returns {string} "Hello, World!\n" - Plain text greeting response
+ * Settings start() accepts; the rest shape the app, which is built once by
+ * createServer()
+ * @type {string[]}
  */
-app.get('/', (req, res) => {
-  res.send('Hello, World!\n');
-});
+const LISTENER_SETTINGS = [
+  'hostname',
+  'port',
+  'tlsCert',
+  'tlsKey',
+  'tlsCa',
+  'tlsClientAuth',
+  'tlsWatch',
+  'http2',
+  'redirectPort',
+  'shutdownTimeout'
+];
 
 /**
- * Evening greeting endpoint handler
- * New endpoint added as part of Express.js migration
- * 
- * @route GET /evening
- * @returns {string} "Good evening" - Plain text evening greeting response
+ * Query parameter of the greeting routes
+ * @type {Object}
  */
-app.get('/evening', (req, res) => {
-  res.send('Good evening');
-});
+const LANG_QUERY = {
+  type: 'object',
+  properties: {
+    lang: { type: 'string', description: 'Locale override, e.g. "fr"' }
+  }
+};
 
 /**
- * Server instance reference for programmatic control
- * @type {http.Server|null}
+ * Responses of the greeting routes
+ * @type {Object}
  */
-let server = null;
+const GREETING_RESPONSES = {
+  200: { description: 'The greeting in the representation negotiated through Accept', content: GREETING_CONTENT },
+  406: 'None of the representations is acceptable'
+};
 
 /**
- * Starts the Express server
+ * Creates an Express application with all routes registered
+ * 
+ * Each call returns an independent app, so several can be mounted in the
+ * same process (for example inside a larger gateway).
  * 
- * @param {Function} [callback] - Optional callback function called when server is ready
- * @returns {http.Server} The server instance
+ * The app samples the event loop, may watch the industries file and may hold
+ * a log file open; `app.locals.close()` releases all of it once the app is no
+ * longer needed (createServer() instances do so in close()).
+ * 
+ * @param {Object} [options] - Configuration overrides (see lib/config)
+ * @returns {express.Application} The Express app; its resolved configuration
+ *   is available as `app.locals.config`
+ * @throws {ConfigError} When the resolved configuration is invalid
  */
-function startServer(callback) {
-  server = app.listen(port, hostname, () => {
-    console.log(`Server running at http://${hostname}:${port}/`);
-    if (callback) {
-      callback(server);
+function createApp(options = {}) {
+  const app = express();
+  // Lets lib/openapi describe routes below mounted routers
+  trackMountPaths(app);
+  // The 404 and error handlers registered last in createApp() go back to the
+  // end of the stack before each request, behind routes callers added since
+  const fallbacks = [];
+  app.use(function keepFallbacksLast(req, res, next) {
+    moveToEnd(app.router.stack, fallbacks);
+    next();
+  });
+  app.locals.config = loadConfig(options);
+  const { config } = app.locals;
+  app.set('env', config.environment);
+  const destination = config.logFile
+    ? createFileDestination(config.logFile, { maxSize: config.logMaxSize, maxFiles: config.logMaxFiles })
+    : stdoutDestination();
+  app.locals.logger = createLogger({ level: config.logLevel, destination });
+  const { logger } = app.locals;
+  app.locals.catalog = loadCatalog(config.localesDir, config.defaultLocale, MESSAGE_KEYS);
+
+  app.locals.industries = createIndustryCatalog(config.industriesFile, {
+    watch: config.industriesWatch,
+    logger
+  });
+
+  app.locals.users = loadUsers(config.usersFile);
+  app.locals.sessions = createSessionStore({
+    secret: config.sessionSecret,
+    idleTimeout: config.sessionIdleTimeout,
+    maxAge: config.sessionMaxAge,
+    rotateInterval: config.sessionRotateInterval
+  });
+  const cookieOptions = { httpOnly: true, sameSite: 'lax', secure: config.sessionCookieSecure, path: '/' };
+  app.locals.tokens = createTokenIssuer({
+    secret: config.tokenSecret,
+    defaultTtl: config.tokenTtl,
+    maxTtl: config.tokenMaxTtl,
+    revocationFile: config.revocationFile,
+    logger
+  });
+
+  // Readiness (starting/ready/draining/stopped, driven by createServer) and
+  // Prometheus metrics for this app
+  app.locals.lifecycle = createLifecycle();
+  app.locals.metrics = createRegistry();
+  const stopProcessMetrics = collectProcessMetrics(app.locals.metrics);
+  app.locals.metrics.gauge({
+    name: 'http_open_connections',
+    help: 'Open client connections',
+    collect: () => app.locals.lifecycle.openConnections()
+  });
+
+  // Open GET /greeting/stream connections, ended when the server drains
+  app.locals.greetingStreams = createGreetingStreams({
+    dayParts: config.dayParts,
+    maxStreams: config.greetingStreamLimit,
+    heartbeatInterval: config.greetingStreamHeartbeat,
+    lifecycle: app.locals.lifecycle
+  });
+  app.locals.metrics.gauge({
+    name: 'greeting_streams_open',
+    help: 'Open /greeting/stream connections',
+    collect: () => app.locals.greetingStreams.count()
+  });
+
+  /**
+   * Releases the app's resources: event-loop sampling, the industries file
+   * watcher, open greeting streams and the log file
+   */
+  app.locals.close = () => {
+    stopProcessMetrics();
+    app.locals.industries.close();
+    app.locals.greetingStreams.close();
+    if (destination.close) {
+      destination.close();
     }
+  };
+
+  // Correlation id (req.id, X-Request-Id), one JSON access log entry and
+  // request metrics per request
+  app.use(requestId);
+  app.use(accessLog(logger));
+  app.use(httpMetrics(app.locals.metrics));
+
+  // OPTIONS and 405 Method Not Allowed for known paths, ahead of authentication
+  app.use(methodNotAllowed);
+
+  /**
+   * Liveness, readiness and metrics endpoints, ahead of authentication and
+   * rate limits so probes and scrapers always get through
+   *
+   * @route GET /healthz
+   * @route GET /readyz
+   * @route GET /metrics
+   * @returns {string} Prometheus text exposition format for /metrics
+   */
+  app.use(healthRouter(app.locals.lifecycle));
+  app.get('/metrics', operation({
+    summary: 'Prometheus metrics',
+    tags: ['health'],
+    responses: { 200: { description: 'Text exposition format 0.0.4', type: 'text/plain', schema: { type: 'string' } } }
+  }), metricsHandler(app.locals.metrics));
+
+  // OpenAPI 3.1 description of the routes (GET /openapi.json) and its HTML
+  // reference (GET /docs), built from the routing table (see lib/openapi)
+  app.use(openapiRouter({
+    info: {
+      title: 'Hello World API',
+      version,
+      description: 'Greetings, the industry catalog, media, documents and uploads'
+    },
+    cookieName: SESSION_COOKIE
+  }));
+
+  // Sets req.user and req.auth from a session cookie, a bearer token or a
+  // verified client certificate (see lib/tls); routes add requireUser
+  // (lib/sessions) or authorize() (lib/access)
+  app.use(loadSession(app.locals.sessions, cookieOptions));
+  app.use(bearerAuth(app.locals.tokens, app.locals.users));
+  app.use(clientCertAuth(app.locals.users));
+
+  // Per-route rate limits from config.rateLimits, sharing one counter store
+  // (see lib/rate-limit); trusted addresses bypass them
+  app.locals.rateLimitStore = createMemoryStore();
+  for (const [path, rule] of Object.entries(config.rateLimits)) {
+    app.use(path, rateLimit({ ...rule, store: app.locals.rateLimitStore, allowlist: config.rateLimitAllowlist }));
+  }
+
+  // Negotiates req.locale from ?lang= and Accept-Language for greeting routes
+  const localized = localize(app.locals.catalog);
+
+  /**
+   * Root endpoint handler
+   * Preserves the original "Hello, World!" functionality from the native http module implementation
+   * 
+   * @route GET /
+   * @param {string} [lang] - Locale override, e.g. "fr"
+   * @returns {string} "Hello, World!\n" (or its translation) - Plain text greeting response,
+   *   or the greeting envelope as JSON/HTML/XML when negotiated
+   */
+  app.get('/', operation({
+    summary: 'Hello, World!',
+    tags: ['greetings'],
+    query: LANG_QUERY,
+    responses: GREETING_RESPONSES
+  }), localized, (req, res) => {
+    const greeting = res.locals.t('hello');
+    sendGreeting(req, res, { greeting, period: null, locale: req.locale }, { text: `${greeting}\n` });
   });
-  return server;
-}
 
-/**
- * Stops the Express server gracefully
- * 
- * @param {Function} [callback] - Optional callback function called when server is closed
- */
-function stopServer(callback) {
-  if (server) {
-    server.close((err) => {
-      server = null;
-      if (callback) {
-        callback(err);
+  /**
+   * Time-of-day greeting endpoint handler
+   * Picks morning/afternoon/evening/night from the server clock, or from the
+   * `at` timestamp evaluated in the `tz` time zone when given
+   * 
+   * @route GET /greeting
+   * @param {string} [tz] - IANA time zone, e.g. "Asia/Tokyo"
+   * @param {string} [at] - ISO 8601 timestamp, defaults to now
+   * @param {string} [lang] - Locale override, e.g. "fr"
+   * @returns {string} The greeting for the resolved day part in the negotiated
+   *   representation, or 400 on a bad `tz`/`at`
+   */
+  app.get('/greeting', operation({
+    summary: 'Greeting for the current (or a given) time of day',
+    tags: ['greetings'],
+    query: {
+      type: 'object',
+      properties: {
+        tz: { type: 'string', description: 'IANA time zone, e.g. "Asia/Tokyo"' },
+        at: { type: 'string', format: 'date-time', description: 'ISO 8601 timestamp; now by default' },
+        ...LANG_QUERY.properties
       }
+    },
+    responses: GREETING_RESPONSES
+  }), localized, (req, res) => {
+    const result = resolveGreeting(req.query, { dayParts: config.dayParts });
+    sendGreeting(req, res, { greeting: res.locals.t(result.period), period: result.period, locale: req.locale });
+  });
+
+  /**
+   * Live greeting endpoint handler
+   * Server-Sent Events: the current greeting, then one event per day part
+   * change in the `tz` time zone, with heartbeats and Last-Event-ID
+   * resumption (see lib/greeting-stream)
+   * 
+   * @route GET /greeting/stream
+   * @param {string} [tz] - IANA time zone, e.g. "Asia/Tokyo"
+   * @param {string} [lang] - Locale override, e.g. "fr"
+   * @returns {string} text/event-stream of `greeting` events; 400 on a bad
+   *   `tz`, 503 when too many streams are open
+   */
+  app.get('/greeting/stream', operation({
+    summary: 'Live greeting, pushed whenever the day part changes',
+    description: 'Server-Sent Events. Each `greeting` event carries the greeting envelope as JSON; '
+      + 'reconnecting with `Last-Event-ID` skips a day part the client already has.',
+    tags: ['greetings'],
+    query: {
+      type: 'object',
+      properties: {
+        tz: { type: 'string', description: 'IANA time zone, e.g. "Asia/Tokyo"' },
+        ...LANG_QUERY.properties
+      }
+    },
+    responses: {
+      200: { description: 'Event stream that stays open until the client or the server ends it', type: EVENT_STREAM, schema: { type: 'string' } },
+      400: 'Unknown time zone',
+      503: { description: 'Too many open streams, or the server is shutting down', headers: { 'Retry-After': 'Seconds to wait' } }
+    }
+  }), localized, greetingStreamHandler(app.locals.greetingStreams));
+
+  /**
+   * Fixed day part greeting handlers
+   * GET /evening is the original endpoint added as part of the Express.js
+   * migration; /morning, /afternoon and /night complete the set
+   * 
+   * @route GET /morning
+   * @route GET /afternoon
+   * @route GET /evening
+   * @route GET /night
+   * @param {string} [lang] - Locale override, e.g. "fr"
+   * @returns {string} e.g. "Good evening" - Greeting in the negotiated representation
+   */
+  for (const period of DAY_PARTS) {
+    app.get(`/${period}`, operation({
+      summary: `Good ${period}`,
+      tags: ['greetings'],
+      query: LANG_QUERY,
+      responses: GREETING_RESPONSES
+    }), localized, (req, res) => {
+      sendGreeting(req, res, { greeting: res.locals.t(period), period, locale: req.locale });
     });
-  } else if (callback) {
-    callback();
   }
+
+  /**
+   * Supported locales endpoint handler
+   * Lists the locales greetings can be served in, for building a language picker
+   * 
+   * @route GET /locales
+   * @returns {Object} JSON `{ default, locales: [{ tag, name, fallbacks }] }`
+   */
+  app.get('/locales', operation({
+    summary: 'Locales greetings are available in',
+    tags: ['greetings'],
+    responses: {
+      200: {
+        description: 'Default locale and every supported locale with its fallbacks',
+        schema: {
+          type: 'object',
+          properties: {
+            default: { type: 'string' },
+            locales: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  tag: { type: 'string' },
+                  name: { type: 'string' },
+                  fallbacks: { type: 'array', items: { type: 'string' } }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  }), (req, res) => {
+    res.json({
+      default: app.locals.catalog.defaultLocale,
+      locales: listLocales(app.locals.catalog)
+    });
+  });
+
+  // Industry catalog backed by industry.csv (see lib/industries); reads are
+  // public, changes need an editor and deletions an admin. A replacing
+  // import deletes every industry the upload leaves out, so it needs an
+  // admin as well.
+  app.use('/industries', authorize({
+    POST: 'editor',
+    PUT: 'editor',
+    PATCH: 'editor',
+    DELETE: 'admin'
+  }), industriesRouter(app.locals.industries, { authorizeReplace: authorize('admin') }));
+
+  // Files from the media directory with ranges and conditional requests (see
+  // lib/media), plus JPEG metadata and cached thumbnails (see lib/images)
+  app.locals.media = createMediaStore(config.mediaDir, {
+    sanitize: config.stripGps ? gpsSanitizer(config.mediaCacheDir) : undefined
+  });
+  app.use('/media', imagesRouter({
+    store: app.locals.media,
+    cacheDir: config.mediaCacheDir,
+    maxCacheEntries: config.thumbnailCacheMaxEntries,
+    maxCacheSize: config.thumbnailCacheMaxSize
+  }));
+  app.use('/media', mediaRouter(app.locals.media));
+
+  // Properties and text of legacy Word documents (see lib/documents)
+  app.locals.documents = createMediaStore(config.documentsDir);
+  app.use('/documents', documentsRouter(app.locals.documents));
+
+  // Multipart uploads stored once per content (see lib/uploads); listing
+  // needs a reader, uploading an editor
+  app.locals.uploads = createUploadStore(config.uploadsDir);
+  app.use('/uploads', authorize({ GET: 'reader', POST: 'editor' }), uploadsRouter(app.locals.uploads, {
+    maxFileSize: config.uploadMaxFileSize,
+    maxFiles: config.uploadMaxFiles,
+    types: config.uploadTypes
+  }));
+
+  // Login, logout and current user (see lib/sessions)
+  app.use(sessionRouter({
+    users: app.locals.users,
+    sessions: app.locals.sessions,
+    throttle: createLoginThrottle({ maxAttempts: config.loginMaxAttempts, lockoutTime: config.loginLockoutTime }),
+    cookieOptions
+  }));
+
+  // Bearer token issuance and revocation (see lib/tokens)
+  app.use(tokensRouter(app.locals.tokens));
+
+  // Unknown paths and every error become problem+json responses (see
+  // lib/errors); mounted in another app, unmatched requests pass on to it
+  app.use(function notFoundUnlessMounted(req, res, next) {
+    if (app.parent) {
+      return next();
+    }
+    notFound(req, res, next);
+  });
+  app.use(errorHandler({ production: config.environment === 'production', logger }));
+  fallbacks.push(...app.router.stack.slice(-2));
+
+  return app;
 }
 
 /**
- * Gets the current server instance
- * 
- * @returns {http.Server|null} The server instance or null if not running
+ * Moves layers to the end of a router stack, keeping their order
+ *
+ * @param {Array<Object>} stack - Router stack
+ * @param {Array<Object>} layers - Layers in the stack
  */
-function getServer() {
-  return server;
+function moveToEnd(stack, layers) {
+  if (layers.every((layer, i) => stack[stack.length - layers.length + i] === layer)) {
+    return;
+  }
+  for (const layer of layers) {
+    stack.splice(stack.indexOf(layer), 1);
+  }
+  stack.push(...layers);
 }
 
 /**
- * Gets the Express app instance
+ * Creates a self-contained server instance
+ * 
+ * The instance owns its app, configuration and listener; starting or
+ * stopping one instance never affects another.
  * 
- * @returns {express.Application} The Express app instance
+ * @param {Object} [options] - Configuration overrides (see lib/config)
+ * @returns {Object} Server instance
+ * @returns {express.Application} returns.app - The instance's Express app
+ * @returns {Function} returns.start - Starts listening, see startServer()
+ * @returns {Function} returns.stop - Stops listening, see stopServer()
+ * @returns {Function} returns.close - Stops listening and releases the app for good
+ * @returns {Function} returns.getServer - Returns the listening server or null
+ * @returns {Function} returns.getApp - Returns the Express app
+ * @returns {Function} returns.getConfig - Returns the effective configuration
+ * @throws {ConfigError} When the resolved configuration is invalid
  */
-function getApp() {
-  return app;
+function createServer(options = {}) {
+  const app = createApp(options);
+
+  /**
+   * Server instance reference for programmatic control
+   * @type {http.Server|https.Server|http2.Http2SecureServer|null}
+   */
+  let server = null;
+
+  /**
+   * Plain HTTP server redirecting to HTTPS, when `redirectPort` is set
+   * @type {http.Server|null}
+   */
+  let redirectServer = null;
+
+  /**
+   * Configuration the running server was started with
+   * @type {Object|null}
+   */
+  let activeConfig = null;
+
+  /**
+   * Connection trackers for the running server and redirect server
+   * @type {Object|null}
+   */
+  let connections = null;
+  let redirectConnections = null;
+
+  /**
+   * Stops watching the TLS files, when watched
+   * @type {Function|null}
+   */
+  let unwatch = null;
+
+  /**
+   * Forgets the running servers
+   */
+  function reset() {
+    if (unwatch) {
+      unwatch();
+    }
+    server = null;
+    redirectServer = null;
+    activeConfig = null;
+    connections = null;
+    redirectConnections = null;
+    unwatch = null;
+  }
+
+  /**
+   * Starts the Express server
+   * 
+   * `startOptions` may override the listener settings (LISTENER_SETTINGS:
+   * address, TLS, HTTP/2, redirect and shutdown timeout) of the instance's
+   * configuration; everything else is fixed when the instance is created.
+   * 
+   * With `tlsCert` and `tlsKey` the server speaks HTTPS (and HTTP/2 with
+   * `http2`); `redirectPort` adds a plain HTTP server redirecting there.
+   * The server is ready once both listen.
+   * 
+   * @param {Object} [startOptions] - Listener setting overrides (see lib/config)
+   * @param {Function} [callback] - Optional callback function called with the server when
+   *   it is ready, or with the error when it fails to bind (e.g. EADDRINUSE)
+   * @returns {http.Server|https.Server|http2.Http2SecureServer} The server instance
+   * @throws {ConfigError} When the resolved configuration is invalid or
+   *   `startOptions` names another setting
+   * @throws {Error} When this instance is already listening or the TLS
+   *   files cannot be used
+   */
+  function start(startOptions, callback) {
+    if (typeof startOptions === 'function') {
+      callback = startOptions;
+      startOptions = {};
+    }
+    if (server && server.listening) {
+      const { hostname, port } = getConfig();
+      throw new Error(`Server is already listening on ${hostname}:${port}; stop it first`);
+    }
+    const fixed = Object.keys(startOptions || {}).find((key) => !LISTENER_SETTINGS.includes(key));
+    if (fixed) {
+      throw new ConfigError(
+        `"${fixed}" cannot be changed when starting; pass it to createServer() instead`,
+        { key: fixed, source: 'options' }
+      );
+    }
+    const listenerConfig = loadConfig({ ...options, ...startOptions });
+    const config = Object.freeze({
+      ...app.locals.config,
+      ...Object.fromEntries(LISTENER_SETTINGS.map((key) => [key, listenerConfig[key]]))
+    });
+    const { logger } = app.locals;
+    const listener = createListener(app, config);
+    activeConfig = config;
+    server = listener;
+    connections = trackConnections(server);
+    if (config.tlsCert && config.tlsWatch) {
+      unwatch = watchCredentials(server, config, { logger });
+    }
+    if (config.redirectPort !== null) {
+      redirectServer = http.createServer(redirectToHttps(() => getConfig().port));
+      redirectConnections = trackConnections(redirectServer);
+    }
+
+    const listen = (target, port) => new Promise((resolve) => {
+      const done = (err) => {
+        target.removeListener('error', done);
+        resolve(err ? { err, port } : null);
+      };
+      target.once('error', done);
+      target.listen(port, config.hostname, done);
+    });
+    Promise.all([
+      listen(server, config.port),
+      redirectServer ? listen(redirectServer, config.redirectPort) : null
+    ]).then((failures) => {
+      if (server !== listener) {
+        return;
+      }
+      const failure = failures.find(Boolean);
+      if (failure) {
+        const { err, port } = failure;
+        logger.error(`Cannot listen on ${config.hostname}:${port}: ${err.message}`);
+        for (const target of [server, redirectServer]) {
+          if (target && target.listening) {
+            target.close();
+          }
+        }
+        reset();
+        if (callback) {
+          callback(err);
+        }
+        return;
+      }
+      app.locals.lifecycle.trackConnections(connections);
+      app.locals.lifecycle.set('ready');
+      const { hostname, port, redirectPort } = getConfig();
+      const scheme = config.tlsCert ? 'https' : 'http';
+      logger.info(`Server running at ${scheme}://${hostname}:${port}/`, { hostname, port, http2: config.http2 });
+      if (redirectServer) {
+        logger.info(`Redirecting http://${hostname}:${redirectPort}/ to HTTPS`, { hostname, port: redirectPort });
+      }
+      if (callback) {
+        callback(server);
+      }
+    });
+    return server;
+  }
+
+  /**
+   * Stops the Express server gracefully
+   * 
+   * /readyz reports "draining" from the start, new connections are refused
+   * immediately, idle keep-alive sockets are closed and in-flight requests
+   * may finish. Sockets still busy after
+   * `shutdownTimeout` milliseconds are destroyed.
+   * 
+   * @param {Function} [callback] - Optional callback function called with
+   *   `(err, stats)` when server is closed
+   * @returns {Promise<{drained: number, killed: number}>} Resolves once the
+   *   server is closed with the number of connections closed gracefully and
+   *   forcibly
+   */
+  function stop(callback) {
+    let stopped;
+    if (server) {
+      const stopping = server;
+      const { shutdownTimeout } = activeConfig || app.locals.config;
+      app.locals.lifecycle.set('draining');
+      stopped = Promise.all([connections, redirectConnections].filter(Boolean)
+        .map((tracker) => tracker.shutdown(shutdownTimeout))).then((results) => {
+        if (server === stopping) {
+          reset();
+          app.locals.lifecycle.trackConnections(null);
+          app.locals.lifecycle.set('stopped');
+        }
+        return results.reduce((total, stats) => ({
+          drained: total.drained + stats.drained,
+          killed: total.killed + stats.killed
+        }));
+      });
+    } else {
+      stopped = Promise.resolve({ drained: 0, killed: 0 });
+    }
+
+    if (callback) {
+      stopped.then((stats) => callback(null, stats), callback);
+    }
+    return stopped;
+  }
+
+  /**
+   * Stops the server, then releases the app's resources (see createApp())
+   * 
+   * The instance cannot be started again afterwards.
+   * 
+   * @returns {Promise<{drained: number, killed: number}>} See stop()
+   */
+  function close() {
+    return stop().then((stats) => {
+      app.locals.close();
+      return stats;
+    });
+  }
+
+  /**
+   * Gets the current server instance
+   * 
+   * @returns {http.Server|null} The server instance or null if not running
+   */
+  function getServer() {
+    return server;
+  }
+
+  /**
+   * Gets the Express app instance
+   * 
+   * @returns {express.Application} The Express app instance
+   */
+  function getApp() {
+    return app;
+  }
+
+  /**
+   * Gets the server configuration
+   * 
+   * While the server is listening the hostname and port reflect the address
+   * actually bound, so an ephemeral port (0) reports the port the OS picked;
+   * the same goes for `redirectPort`.
+   * 
+   * @returns {Object} Server configuration object
+   * @returns {string} returns.hostname - The server hostname
+   * @returns {number} returns.port - The server port
+   */
+  function getConfig() {
+    const config = { ...(activeConfig || app.locals.config) };
+    const address = server && server.listening ? server.address() : null;
+    if (address && typeof address === 'object') {
+      config.hostname = address.address;
+      config.port = address.port;
+    }
+    const redirectAddress = redirectServer && redirectServer.listening ? redirectServer.address() : null;
+    if (redirectAddress && typeof redirectAddress === 'object') {
+      config.redirectPort = redirectAddress.port;
+    }
+    return config;
+  }
+
+  return { app, start, stop, close, getServer, getApp, getConfig };
 }
 
 /**
- * Gets the server configuration
- * 
- * @returns {Object} Server configuration object
- * @returns {string} returns.hostname - The server hostname
- * @returns {number} returns.port - The server port
+ * Default instance backing the module-level API; built on first use, so
+ * requiring this module for createApp() or createServer() starts nothing
+ * @type {Object|null}
  */
-function getConfig() {
-  return { hostname, port };
-}
+let defaultInstance = null;
 
-// Start server only when this file is run directly (not when imported for testing)
-if (require.main === module) {
-  startServer();
+/**
+ * Returns the default instance, creating it from the environment on first use
+ *
+ * @returns {Object} See createServer()
+ * @throws {ConfigError} When the environment's configuration is invalid
+ */
+function getDefaultInstance() {
+  if (!defaultInstance) {
+    defaultInstance = createServer();
+  }
+  return defaultInstance;
 }
 
-// Export for testing
+// Export for testing; the module-level functions operate on the default instance
 module.exports = {
-  app,
-  startServer,
-  stopServer,
-  getServer,
-  getApp,
-  getConfig
+  get app() {
+    return getDefaultInstance().app;
+  },
+  startServer: (...args) => getDefaultInstance().start(...args),
+  stopServer: (...args) => getDefaultInstance().stop(...args),
+  getServer: () => getDefaultInstance().getServer(),
+  getApp: () => getDefaultInstance().getApp(),
+  getConfig: () => getDefaultInstance().getConfig(),
+  createApp,
+  createServer
 };
+
+// Run as `hello-world start` when this file is run directly (see lib/cli);
+// placed after the exports, which the CLI requires back
+if (require.main === module) {
+  require('./lib/cli').main(['start', ...process.argv.slice(2)]).then((code) => {
+    process.exit(code);
+  });
+}
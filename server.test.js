@@ -12,8 +12,48 @@
  * @module server.test
  */
 
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http2 = require('http2');
+const { execFileSync } = require('child_process');
 const request = require('supertest');
-const { app, startServer, stopServer, getServer, getApp, getConfig } = require('./server');
+const express = require('express');
+const { version } = require('./package.json');
+
+// Keep access logs out of the test output (see lib/logger.test.js)
+process.env.LOG_LEVEL = 'silent';
+
+const {
+  app,
+  startServer,
+  stopServer,
+  getServer,
+  getApp,
+  getConfig,
+  createApp: buildApp,
+  createServer
+} = require('./server');
+const { ConfigError } = require('./lib/config');
+
+/**
+ * Apps built by a test, released after it
+ * @type {express.Application[]}
+ */
+const builtApps = [];
+
+afterEach(() => {
+  builtApps.splice(0).forEach((built) => built.locals.close());
+});
+
+/**
+ * Builds an app (see server.createApp()) that is released after the test
+ */
+function createApp(options) {
+  const built = buildApp(options);
+  builtApps.push(built);
+  return built;
+}
 
 describe('Express.js Server', () => {
   
@@ -68,6 +108,211 @@ describe('Express.js Server', () => {
     });
   });
 
+  // ============================================================
+  // Time-of-Day Greeting Tests
+  // ============================================================
+  describe('Time-of-Day Greetings', () => {
+
+    describe('Fixed day part routes', () => {
+      it.each([
+        ['/morning', 'Good morning'],
+        ['/afternoon', 'Good afternoon'],
+        ['/evening', 'Good evening'],
+        ['/night', 'Good night']
+      ])('GET %s should return "%s"', async (path, text) => {
+        const response = await request(app).get(path);
+        expect(response.status).toBe(200);
+        expect(response.text).toBe(text);
+      });
+    });
+
+    describe('GET /greeting', () => {
+      it('should return a greeting for the server clock', async () => {
+        const response = await request(app).get('/greeting');
+        expect(response.status).toBe(200);
+        expect(['Good morning', 'Good afternoon', 'Good evening', 'Good night']).toContain(response.text);
+      });
+
+      it.each([
+        ['2024-06-01T06:30:00Z', 'Good morning'],
+        ['2024-06-01T12:00:00Z', 'Good afternoon'],
+        ['2024-06-01T18:45:00Z', 'Good evening'],
+        ['2024-06-01T23:10:00Z', 'Good night'],
+        ['2024-06-01T02:00:00Z', 'Good night']
+      ])('should greet %s in UTC with "%s"', async (at, text) => {
+        const response = await request(app).get('/greeting').query({ at, tz: 'UTC' });
+        expect(response.text).toBe(text);
+      });
+
+      it('should evaluate the timestamp in the requested time zone', async () => {
+        const response = await request(app)
+          .get('/greeting')
+          .query({ at: '2024-06-01T10:00:00Z', tz: 'Asia/Tokyo' });
+        expect(response.text).toBe('Good evening');
+      });
+
+      it('should return 400 for an unknown time zone', async () => {
+        const response = await request(app).get('/greeting?tz=Mars/Olympus_Mons');
+        expect(response.status).toBe(400);
+        expect(response.text).toMatch(/Unknown time zone/);
+      });
+
+      it('should return 400 for a repeated tz parameter', async () => {
+        const response = await request(app).get('/greeting?tz=UTC&tz=Asia/Tokyo');
+        expect(response.status).toBe(400);
+      });
+
+      it('should return 400 for a malformed timestamp', async () => {
+        const response = await request(app).get('/greeting?at=yesterday');
+        expect(response.status).toBe(400);
+        expect(response.text).toMatch(/Invalid timestamp/);
+      });
+
+      it('should honour configured day part boundaries', async () => {
+        const customApp = createApp({ dayParts: { evening: '19:00' } });
+        const response = await request(customApp)
+          .get('/greeting')
+          .query({ at: '2024-06-01T18:00:00Z', tz: 'UTC' });
+        expect(response.text).toBe('Good afternoon');
+      });
+    });
+  });
+
+  // ============================================================
+  // Localization Tests
+  // ============================================================
+  describe('Localized Greetings', () => {
+
+    it('should answer in English by default', async () => {
+      const response = await request(app).get('/');
+      expect(response.text).toBe('Hello, World!\n');
+      expect(response.headers['content-language']).toBe('en');
+      expect(response.headers['vary']).toMatch(/Accept-Language/);
+    });
+
+    it('should negotiate the locale from Accept-Language', async () => {
+      const response = await request(app)
+        .get('/evening')
+        .set('Accept-Language', 'de-AT, en;q=0.5');
+      expect(response.text).toBe('Guten Abend');
+      expect(response.headers['content-language']).toBe('de');
+    });
+
+    it('should fall back from pt-BR to pt', async () => {
+      const response = await request(app)
+        .get('/morning')
+        .set('Accept-Language', 'pt-BR');
+      expect(response.text).toBe('Bom dia');
+      expect(response.headers['content-language']).toBe('pt-BR');
+    });
+
+    it('should let ?lang= override Accept-Language', async () => {
+      const response = await request(app)
+        .get('/?lang=fr')
+        .set('Accept-Language', 'de');
+      expect(response.text).toBe('Bonjour, le monde !\n');
+      expect(response.headers['content-language']).toBe('fr');
+    });
+
+    it('should localize /greeting', async () => {
+      const response = await request(app)
+        .get('/greeting')
+        .query({ at: '2024-06-01T20:00:00Z', tz: 'UTC', lang: 'es' });
+      expect(response.text).toBe('Buenas tardes');
+    });
+
+    it('should list the supported locales', async () => {
+      const response = await request(app).get('/locales');
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toMatch(/application\/json/);
+      expect(response.body.default).toBe('en');
+      expect(response.body.locales.map((locale) => locale.tag)).toEqual(
+        expect.arrayContaining(['en', 'fr', 'pt', 'pt-BR'])
+      );
+    });
+
+    it('should reject a missing default locale at creation time', () => {
+      expect(() => createApp({ defaultLocale: 'xx' })).toThrow(/Default locale "xx"/);
+    });
+  });
+
+  // ============================================================
+  // Content Negotiation Tests
+  // ============================================================
+  describe('Content Negotiation', () => {
+
+    it('should return a JSON envelope for Accept: application/json', async () => {
+      const response = await request(app)
+        .get('/evening')
+        .set('Accept', 'application/json');
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toMatch(/application\/json/);
+      expect(response.body).toEqual({ greeting: 'Good evening', period: 'evening', locale: 'en' });
+    });
+
+    it('should use a null period for the root greeting', async () => {
+      const response = await request(app)
+        .get('/')
+        .set('Accept', 'application/json');
+      expect(response.body).toEqual({ greeting: 'Hello, World!', period: null, locale: 'en' });
+    });
+
+    it('should return an HTML document for Accept: text/html', async () => {
+      const response = await request(app)
+        .get('/morning?lang=fr')
+        .set('Accept', 'text/html');
+      expect(response.headers['content-type']).toMatch(/text\/html/);
+      expect(response.text).toMatch(/<html lang="fr">/);
+      expect(response.text).toMatch(/<p class="greeting" data-period="morning">Bonjour<\/p>/);
+    });
+
+    it('should return XML for Accept: application/xml', async () => {
+      const response = await request(app)
+        .get('/night')
+        .set('Accept', 'application/xml');
+      expect(response.headers['content-type']).toMatch(/application\/xml/);
+      expect(response.text).toMatch(/<greeting>Good night<\/greeting>/);
+      expect(response.text).toMatch(/<period>night<\/period>/);
+    });
+
+    it('should serve text/xml when asked for it', async () => {
+      const response = await request(app)
+        .get('/')
+        .set('Accept', 'text/xml');
+      expect(response.headers['content-type']).toMatch(/text\/xml/);
+      expect(response.text).toMatch(/<period\/>/);
+    });
+
+    it('should honour q-values', async () => {
+      const response = await request(app)
+        .get('/evening')
+        .set('Accept', 'text/plain;q=0.5, application/json');
+      expect(response.headers['content-type']).toMatch(/application\/json/);
+    });
+
+    it('should negotiate /greeting too', async () => {
+      const response = await request(app)
+        .get('/greeting')
+        .query({ at: '2024-06-01T07:00:00Z', tz: 'UTC' })
+        .set('Accept', 'application/json');
+      expect(response.body).toEqual({ greeting: 'Good morning', period: 'morning', locale: 'en' });
+    });
+
+    it('should return 406 for unsupported types', async () => {
+      const response = await request(app)
+        .get('/evening')
+        .set('Accept', 'image/png');
+      expect(response.status).toBe(406);
+      expect(response.text).toMatch(/text\/plain, application\/json, text\/html, application\/xml/);
+    });
+
+    it('should add Accept to Vary', async () => {
+      const response = await request(app).get('/');
+      expect(response.headers['vary']).toMatch(/Accept-Language/);
+      expect(response.headers['vary']).toMatch(/\bAccept\b,|, Accept$/);
+    });
+  });
+
   // ============================================================
   // Status Code Tests
   // ============================================================
@@ -98,8 +343,8 @@ describe('Express.js Server', () => {
         expect(response.status).toBe(404);
       });
 
-      it('should return 404 for /morning', async () => {
-        const response = await request(app).get('/morning');
+      it('should return 404 for /noon', async () => {
+        const response = await request(app).get('/noon');
         expect(response.status).toBe(404);
       });
 
@@ -110,41 +355,82 @@ describe('Express.js Server', () => {
     });
 
     describe('Method Not Allowed', () => {
-      it('should return 404 for POST to /', async () => {
-        const response = await request(app).post('/');
-        expect(response.status).toBe(404);
+      it.each([
+        ['post', '/'],
+        ['put', '/'],
+        ['delete', '/'],
+        ['patch', '/'],
+        ['post', '/evening'],
+        ['put', '/evening'],
+        ['delete', '/evening']
+      ])('should return 405 for %s to %s', async (method, path) => {
+        const response = await request(app)[method](path);
+        expect(response.status).toBe(405);
+        expect(response.headers['allow']).toBe('GET, HEAD, OPTIONS');
+      });
+
+      it('should name the method and the allowed methods in the body', async () => {
+        const response = await request(app).put('/evening');
+        expect(response.headers['content-type']).toMatch(/application\/problem\+json/);
+        expect(response.body).toMatchObject({
+          status: 405,
+          title: 'Method Not Allowed',
+          detail: 'Method PUT is not allowed on /evening. Allowed: GET, HEAD, OPTIONS'
+        });
       });
 
-      it('should return 404 for PUT to /', async () => {
-        const response = await request(app).put('/');
-        expect(response.status).toBe(404);
-      });
+      it('should list every method of mounted routers', async () => {
+        const collection = await request(app).put('/industries');
+        expect(collection.status).toBe(405);
+        expect(collection.headers['allow']).toBe('GET, HEAD, OPTIONS, POST');
 
-      it('should return 404 for DELETE to /', async () => {
-        const response = await request(app).delete('/');
-        expect(response.status).toBe(404);
+        const item = await request(app).post('/industries/retail');
+        expect(item.headers['allow']).toBe('DELETE, GET, HEAD, OPTIONS, PATCH, PUT');
       });
 
-      it('should return 404 for PATCH to /', async () => {
-        const response = await request(app).patch('/');
-        expect(response.status).toBe(404);
+      it('should return 405 for GET on POST-only paths', async () => {
+        const response = await request(app).get('/login');
+        expect(response.status).toBe(405);
+        expect(response.headers['allow']).toBe('OPTIONS, POST');
       });
 
-      it('should return 404 for POST to /evening', async () => {
-        const response = await request(app).post('/evening');
-        expect(response.status).toBe(404);
+      it('should keep 404 for unknown paths', async () => {
+        expect((await request(app).post('/nonexistent')).status).toBe(404);
+        expect((await request(app).options('/nonexistent')).status).toBe(404);
       });
+    });
 
-      it('should return 404 for PUT to /evening', async () => {
-        const response = await request(app).put('/evening');
-        expect(response.status).toBe(404);
+    describe('OPTIONS', () => {
+      it.each(['/', '/evening', '/greeting', '/locales'])('should answer OPTIONS %s with 204 and Allow', async (path) => {
+        const response = await request(app).options(path);
+        expect(response.status).toBe(204);
+        expect(response.headers['allow']).toBe('GET, HEAD, OPTIONS');
+        expect(response.text || '').toBe('');
       });
 
-      it('should return 404 for DELETE to /evening', async () => {
-        const response = await request(app).delete('/evening');
-        expect(response.status).toBe(404);
+      it('should answer OPTIONS on parameterized paths', async () => {
+        const response = await request(app).options('/tokens/abc');
+        expect(response.status).toBe(204);
+        expect(response.headers['allow']).toBe('DELETE, OPTIONS');
       });
     });
+
+    describe('HEAD', () => {
+      it.each(['/', '/evening', '/locales', '/industries', '/industries/export'])(
+        'should answer HEAD %s without a body and with the GET Content-Length',
+        async (path) => {
+          const get = await request(app).get(path).buffer(true).parse((res, callback) => {
+            let length = 0;
+            res.on('data', (chunk) => { length += chunk.length; });
+            res.on('end', () => callback(null, length));
+          });
+          const head = await request(app).head(path);
+          expect(head.status).toBe(200);
+          expect(head.text || '').toBe('');
+          expect(Number(head.headers['content-length'])).toBe(get.body);
+        }
+      );
+    });
   });
 
   // ============================================================
@@ -158,9 +444,9 @@ describe('Express.js Server', () => {
         expect(response.headers).toHaveProperty('content-type');
       });
 
-      it('should return html content-type for GET / (Express default)', async () => {
+      it('should return plain text content-type for GET / by default', async () => {
         const response = await request(app).get('/');
-        expect(response.headers['content-type']).toMatch(/text\/html/);
+        expect(response.headers['content-type']).toMatch(/text\/plain/);
       });
 
       it('should return Content-Type header for GET /evening', async () => {
@@ -168,9 +454,9 @@ describe('Express.js Server', () => {
         expect(response.headers).toHaveProperty('content-type');
       });
 
-      it('should return html content-type for GET /evening (Express default)', async () => {
+      it('should return plain text content-type for GET /evening by default', async () => {
         const response = await request(app).get('/evening');
-        expect(response.headers['content-type']).toMatch(/text\/html/);
+        expect(response.headers['content-type']).toMatch(/text\/plain/);
       });
 
       it('should include charset in Content-Type', async () => {
@@ -308,6 +594,43 @@ describe('Express.js Server', () => {
         });
       });
 
+      it('should return a promise reporting drained and killed connections', async () => {
+        await new Promise((resolve) => startServer({ port: 0 }, resolve));
+        const stats = await stopServer();
+        expect(stats).toEqual({ drained: 0, killed: 0 });
+        expect(getServer()).toBeNull();
+      });
+
+      it('should resolve when the server is not running', async () => {
+        await expect(stopServer()).resolves.toEqual({ drained: 0, killed: 0 });
+      });
+
+      it('should drain keep-alive connections instead of hanging', async () => {
+        const http = require('http');
+        const server = await new Promise((resolve) => startServer({ port: 0 }, resolve));
+        const agent = new http.Agent({ keepAlive: true });
+        await new Promise((resolve) => {
+          http.get({ host: '127.0.0.1', port: server.address().port, path: '/', agent }, (res) => {
+            res.resume();
+            res.on('end', resolve);
+          });
+        });
+
+        const stats = await stopServer();
+        agent.destroy();
+        expect(stats).toEqual({ drained: 1, killed: 0 });
+      });
+
+      it('should pass the shutdown stats to the callback', (done) => {
+        startServer({ port: 0 }, () => {
+          stopServer((err, stats) => {
+            expect(err).toBeNull();
+            expect(stats).toEqual({ drained: 0, killed: 0 });
+            done();
+          });
+        });
+      });
+
       it('should allow restarting server after stop', (done) => {
         testServer = startServer(() => {
           stopServer(() => {
@@ -377,6 +700,70 @@ describe('Express.js Server', () => {
       });
     });
 
+    describe('startServer(options)', () => {
+      afterEach((done) => {
+        stopServer(() => done());
+      });
+
+      it('should listen on an ephemeral port when port is 0', (done) => {
+        startServer({ port: 0 }, (server) => {
+          const address = server.address();
+          expect(address.port).toBeGreaterThan(0);
+          expect(getConfig().port).toBe(address.port);
+          done();
+        });
+      });
+
+      it('should report the bound hostname through getConfig()', (done) => {
+        startServer({ port: 0 }, () => {
+          expect(getConfig().hostname).toBe('127.0.0.1');
+          done();
+        });
+      });
+
+      it('should fall back to defaults after the server stops', (done) => {
+        startServer({ port: 0 }, () => {
+          stopServer(() => {
+            expect(getConfig().port).toBe(3000);
+            done();
+          });
+        });
+      });
+
+      it('should throw a ConfigError for invalid options', () => {
+        expect(() => startServer({ port: 70000 })).toThrow(/"port"/);
+        expect(getServer()).toBeNull();
+      });
+
+      it('should reject settings that only take effect when the app is built', () => {
+        expect(() => startServer({ port: 0, dayParts: { morning: '04:00' } }))
+          .toThrow(new ConfigError('"dayParts" cannot be changed when starting; pass it to createServer() instead'));
+        expect(() => startServer({ configFile: 'server.config.json' })).toThrow(/"configFile" cannot be changed/);
+        expect(getServer()).toBeNull();
+      });
+
+      it('should report the listener settings it was started with and the app\'s own', (done) => {
+        startServer({ port: 0, shutdownTimeout: 1234 }, () => {
+          expect(getConfig()).toMatchObject({ shutdownTimeout: 1234, dayParts: getApp().locals.config.dayParts });
+          done();
+        });
+      });
+
+      it('should pass listen errors to the callback', (done) => {
+        const blocker = require('http').createServer();
+        blocker.listen(0, '127.0.0.1', () => {
+          const { port } = blocker.address();
+          const spy = jest.spyOn(console, 'error').mockImplementation(() => {});
+          startServer({ port }, (err) => {
+            spy.mockRestore();
+            expect(err.code).toBe('EADDRINUSE');
+            expect(getServer()).toBeNull();
+            blocker.close(() => done());
+          });
+        });
+      });
+    });
+
     describe('getApp()', () => {
       it('should return Express app instance', () => {
         const appInstance = getApp();
@@ -401,6 +788,458 @@ describe('Express.js Server', () => {
     });
   });
 
+  // ============================================================
+  // App Factory Tests
+  // ============================================================
+  describe('App Factory', () => {
+
+    describe('createApp()', () => {
+      it('should return a new Express app on every call', () => {
+        const first = createApp();
+        const second = createApp();
+        expect(first).not.toBe(second);
+        expect(first).not.toBe(app);
+      });
+
+      it('should register the greeting routes', async () => {
+        const instanceApp = createApp();
+        const response = await request(instanceApp).get('/evening');
+        expect(response.status).toBe(200);
+        expect(response.text).toBe('Good evening');
+      });
+
+      it('should expose the resolved configuration', () => {
+        const instanceApp = createApp({ port: 0 });
+        expect(instanceApp.locals.config.port).toBe(0);
+      });
+
+      it('should register the session routes', async () => {
+        const instanceApp = createApp({ usersFile: '/nonexistent/users.json' });
+        expect((await request(instanceApp).get('/me')).status).toBe(401);
+        expect((await request(instanceApp).post('/login').send({ username: 'ada', password: 'pw' })).status).toBe(401);
+      });
+
+      it('should require editor and admin roles for industry changes', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'server-rbac-'));
+        try {
+          fs.copyFileSync(path.join(__dirname, 'industry.csv'), path.join(dir, 'industry.csv'));
+          const password = 'scrypt$2$1$1$YQ==$YQ==';
+          fs.writeFileSync(path.join(dir, 'users.json'), JSON.stringify({
+            users: [{ username: 'eve', roles: ['editor'], password }, { username: 'rob', roles: ['reader'], password }]
+          }));
+          const instanceApp = createApp({
+            usersFile: path.join(dir, 'users.json'),
+            industriesFile: path.join(dir, 'industry.csv'),
+            industriesWatch: false,
+            revocationFile: path.join(dir, 'revoked.json')
+          });
+          const { tokens, users } = instanceApp.locals;
+          const editor = `Bearer ${tokens.issue(users.find('eve'), ['editor']).token}`;
+          const reader = `Bearer ${tokens.issue(users.find('rob'), ['reader']).token}`;
+
+          expect((await request(instanceApp).get('/industries')).status).toBe(200);
+          expect((await request(instanceApp).post('/industries').send({ name: 'Robotics' })).status).toBe(401);
+          expect((await request(instanceApp).post('/industries').set('Authorization', reader).send({ name: 'Robotics' })).status).toBe(403);
+          expect((await request(instanceApp).post('/industries').set('Authorization', editor).send({ name: 'Robotics' })).status).toBe(201);
+          expect((await request(instanceApp).delete('/industries/robotics').set('Authorization', editor)).status).toBe(403);
+
+          const upload = (mode, route = '/industries/import') => request(instanceApp).post(`${route}?mode=${mode}`)
+            .set('Authorization', editor).set('Content-Type', 'text/csv').send('Industry\nRobotics\n');
+          for (const route of ['/industries/import', '/industries/import/', '/industries/IMPORT', '/Industries/Import/']) {
+            const replaced = await upload('replace', route);
+            expect(replaced.status).toBe(403);
+            expect(replaced.body.detail).toBe('Requires the admin role');
+          }
+          expect((await upload('merge')).status).toBe(200);
+          expect((await request(instanceApp).get('/industries/accounting-finance')).status).toBe(200);
+        } finally {
+          fs.rmSync(dir, { recursive: true, force: true });
+        }
+      });
+
+      it('should not build the default instance until it is used', () => {
+        jest.isolateModules(() => {
+          const port = process.env.PORT;
+          process.env.PORT = 'not-a-port';
+          try {
+            const isolated = require('./server');
+            expect(() => isolated.getConfig()).toThrow(/environment variable PORT/);
+          } finally {
+            if (port === undefined) {
+              delete process.env.PORT;
+            } else {
+              process.env.PORT = port;
+            }
+          }
+        });
+      });
+
+      it('should not share routes between apps', async () => {
+        const first = createApp();
+        const second = createApp();
+        first.get('/only-first', (req, res) => res.send('first'));
+        expect((await request(first).get('/only-first')).status).toBe(200);
+        expect((await request(second).get('/only-first')).status).toBe(404);
+      });
+
+      it('should answer errors of routes added after createApp() as problem+json', async () => {
+        const instanceApp = createApp();
+        instanceApp.get('/later', () => {
+          throw new Error('boom');
+        });
+        const later = await request(instanceApp).get('/later');
+        expect(later.status).toBe(500);
+        expect(later.headers['content-type']).toMatch(/^application\/problem\+json/);
+        expect((await request(instanceApp).get('/missing')).headers['content-type'])
+          .toMatch(/^application\/problem\+json/);
+      });
+
+      it('should pass unknown paths on when mounted in another app', async () => {
+        const gateway = express();
+        gateway.use(createApp());
+        gateway.get('/gateway', (req, res) => res.send('gateway'));
+        expect((await request(gateway).get('/gateway')).text).toBe('gateway');
+        expect((await request(gateway).get('/greeting/stream?tz=Mars/Olympus')).headers['content-type'])
+          .toMatch(/^application\/problem\+json/);
+      });
+
+      it('should serve demo.jpg from the media directory', async () => {
+        const response = await request(app).get('/media/demo.jpg').set('Range', 'bytes=0-2');
+        expect(response.status).toBe(206);
+        expect(response.headers['content-type']).toBe('image/jpeg');
+        expect(response.headers['content-range']).toMatch(/^bytes 0-2\/\d+$/);
+        expect((await request(app).post('/media/demo.jpg')).status).toBe(405);
+        expect((await request(app).get('/media/../server.js')).status).toBe(404);
+      });
+
+      it('should describe and thumbnail media images', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'server-media-'));
+        try {
+          const instanceApp = createApp({ mediaCacheDir: dir });
+          const metadata = await request(instanceApp).get('/media/demo.jpg/metadata');
+          expect(metadata.status).toBe(200);
+          expect([metadata.body.width, metadata.body.height]).toEqual([3840, 2160]);
+          const thumbnail = await request(instanceApp).get('/media/demo.jpg/thumbnail?w=64');
+          expect(thumbnail.status).toBe(200);
+          expect(thumbnail.headers['content-type']).toBe('image/jpeg');
+          expect(fs.readdirSync(dir)).toHaveLength(1);
+          expect((await request(instanceApp).delete('/media/demo.jpg/thumbnail')).status).toBe(405);
+          expect((await request(instanceApp).get('/media/demo.jpg/thumbnail?w=0')).status).toBe(400);
+        } finally {
+          fs.rmSync(dir, { recursive: true, force: true });
+        }
+      });
+
+      it('should extract properties and text from sample.doc', async () => {
+        const listing = await request(app).get('/documents');
+        expect(listing.body.documents.map(({ name }) => name)).toContain('sample.doc');
+        const response = await request(app).get('/documents/sample.doc');
+        expect(response.status).toBe(200);
+        expect(response.body.properties.author).toBe('yanqing');
+        expect(response.body.text).toContain('Template for Preparation of Papers');
+        expect((await request(app).put('/documents/sample.doc')).status).toBe(405);
+        expect((await request(app).get('/documents/missing.doc')).status).toBe(404);
+      });
+
+      it('should store uploads once per content for editors', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'server-uploads-'));
+        try {
+          const password = 'scrypt$2$1$1$YQ==$YQ==';
+          fs.writeFileSync(path.join(dir, 'users.json'), JSON.stringify({
+            users: [{ username: 'eve', roles: ['editor'], password }, { username: 'rob', roles: ['reader'], password }]
+          }));
+          const instanceApp = createApp({
+            usersFile: path.join(dir, 'users.json'),
+            uploadsDir: path.join(dir, 'uploads'),
+            revocationFile: path.join(dir, 'revoked.json')
+          });
+          const { tokens, users } = instanceApp.locals;
+          const editor = `Bearer ${tokens.issue(users.find('eve'), ['editor']).token}`;
+          const reader = `Bearer ${tokens.issue(users.find('rob'), ['reader']).token}`;
+          const upload = () => request(instanceApp).post('/uploads')
+            .attach('file', path.join(__dirname, 'industry.csv'))
+            .attach('file', path.join(__dirname, 'industry - Copy.csv'));
+
+          expect((await upload()).status).toBe(401);
+          expect((await upload().set('Authorization', reader)).status).toBe(403);
+          const response = await upload().set('Authorization', editor);
+          expect(response.status).toBe(201);
+          expect(response.body.files.map(({ duplicate }) => duplicate)).toEqual([false, true]);
+          expect((await request(instanceApp).get('/uploads')).status).toBe(401);
+          const listing = await request(instanceApp).get('/uploads').set('Authorization', reader);
+          expect(listing.body.uploads).toEqual([expect.objectContaining({ names: ['industry - Copy.csv', 'industry.csv'] })]);
+          expect((await request(instanceApp).delete('/uploads').set('Authorization', editor)).status).toBe(405);
+        } finally {
+          fs.rmSync(dir, { recursive: true, force: true });
+        }
+      });
+
+      it('should describe its routes as OpenAPI and validate against them', async () => {
+        const spec = await request(app).get('/openapi.json');
+        expect(spec.status).toBe(200);
+        expect(spec.body).toMatchObject({ openapi: '3.1.0', info: { title: 'Hello World API', version } });
+        expect(spec.body.paths['/industries/{slug}'].delete.security).toEqual([{ bearerAuth: ['admin'] }, { sessionCookie: ['admin'] }]);
+        expect(spec.body.paths['/industries/{slug}'].get.security).toBeUndefined();
+        expect(spec.body.paths['/uploads'].post.requestBody.content).toHaveProperty(['multipart/form-data']);
+        expect(spec.body.paths['/greeting'].get.parameters.map(({ name }) => name)).toEqual(['tz', 'at', 'lang']);
+        expect(spec.body.paths['/me'].get.security).toEqual([{ bearerAuth: [] }, { sessionCookie: [] }]);
+
+        const docs = await request(app).get('/docs');
+        expect(docs.headers['content-type']).toMatch(/^text\/html/);
+        expect(docs.text).toContain('<code>/industries/{slug}</code>');
+
+        const invalid = await request(app).get('/industries?limit=0&sort=size');
+        expect(invalid.status).toBe(400);
+        expect(invalid.body.errors).toEqual([
+          { in: 'query', name: 'limit', message: '"limit" must be between 1 and 100' },
+          { in: 'query', name: 'sort', message: expect.stringMatching(/^"sort" must be one of /) }
+        ]);
+      });
+
+      it('should apply configured rate limits per route', async () => {
+        const limited = createApp({ rateLimits: { '/greeting': { limit: 2, window: 60000 } } });
+        expect((await request(limited).get('/greeting')).headers['ratelimit-remaining']).toBe('1');
+        expect((await request(limited).get('/greeting')).status).toBe(200);
+        const refused = await request(limited).get('/greeting');
+        expect(refused.status).toBe(429);
+        expect(refused.headers['retry-after']).toMatch(/^\d+$/);
+        expect(refused.body.correlationId).toBe(refused.headers['x-request-id']);
+        expect((await request(limited).get('/evening')).status).toBe(200);
+      });
+
+      it('should write JSON access logs with the request id to the log file', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'server-log-'));
+        try {
+          const logFile = path.join(dir, 'access.log');
+          const logged = createApp({ logLevel: 'info', logFile });
+          const response = await request(logged).get('/evening')
+            .set('Authorization', 'Bearer not-a-token')
+            .set('X-Request-Id', 'trace-1');
+          expect(response.status).toBe(401);
+          const entries = fs.readFileSync(logFile, 'utf8').trim().split('\n').map((line) => JSON.parse(line));
+          expect(entries).toHaveLength(1);
+          expect(entries[0]).toMatchObject({
+            level: 'warn',
+            type: 'access',
+            requestId: 'trace-1',
+            method: 'GET',
+            path: '/evening',
+            status: 401,
+            headers: { authorization: 'Bearer [REDACTED]' }
+          });
+        } finally {
+          fs.rmSync(dir, { recursive: true, force: true });
+        }
+      });
+
+      it('should exempt allowlisted addresses from rate limits', async () => {
+        const trusted = createApp({
+          rateLimits: { '/greeting': { limit: 1, window: 60000 } },
+          rateLimitAllowlist: ['127.0.0.1', '::1']
+        });
+        expect((await request(trusted).get('/greeting')).status).toBe(200);
+        expect((await request(trusted).get('/greeting')).status).toBe(200);
+      });
+    });
+
+    describe('createServer()', () => {
+      let instances = [];
+
+      afterEach(async () => {
+        await Promise.all(instances.map((instance) => instance.close()));
+        instances = [];
+      });
+
+      function track(instance) {
+        instances.push(instance);
+        return instance;
+      }
+
+      function startInstance(instance) {
+        return new Promise((resolve) => instance.start(resolve));
+      }
+
+      it('should return an instance with its own lifecycle methods', () => {
+        const instance = track(createServer());
+        expect(typeof instance.start).toBe('function');
+        expect(typeof instance.stop).toBe('function');
+        expect(typeof instance.close).toBe('function');
+        expect(typeof instance.getServer).toBe('function');
+        expect(typeof instance.getConfig).toBe('function');
+        expect(instance.getApp()).toBe(instance.app);
+        expect(instance.getServer()).toBeNull();
+      });
+
+      it('should release the app on close()', async () => {
+        const instance = createServer({ port: 0 });
+        const { industries, greetingStreams } = instance.app.locals;
+        const closeCatalog = jest.spyOn(industries, 'close');
+        const closeStreams = jest.spyOn(greetingStreams, 'close');
+        await startInstance(instance);
+        expect(await instance.close()).toEqual({ drained: 0, killed: 0 });
+        expect(instance.getServer()).toBeNull();
+        expect(closeCatalog).toHaveBeenCalledTimes(1);
+        expect(closeStreams).toHaveBeenCalled();
+      });
+
+      it('should run several instances side by side', async () => {
+        const first = track(createServer({ port: 0 }));
+        const second = track(createServer({ port: 0 }));
+        await startInstance(first);
+        await startInstance(second);
+
+        expect(first.getServer()).not.toBe(second.getServer());
+        expect(first.getConfig().port).not.toBe(second.getConfig().port);
+
+        const response = await request(second.getServer()).get('/');
+        expect(response.text).toBe('Hello, World!\n');
+      });
+
+      it('should report readiness through start and stop', async () => {
+        const instance = track(createServer({ port: 0 }));
+        expect((await request(instance.app).get('/readyz')).body).toEqual({ status: 'starting' });
+        await startInstance(instance);
+        const ready = await request(instance.getServer()).get('/readyz');
+        expect(ready.status).toBe(200);
+        expect(ready.body).toEqual({ status: 'ready' });
+
+        const stopping = instance.stop();
+        expect(instance.app.locals.lifecycle.state()).toBe('draining');
+        await stopping;
+        const stopped = await request(instance.app).get('/readyz');
+        expect(stopped.status).toBe(503);
+        expect(stopped.body).toEqual({ status: 'stopped' });
+        expect((await request(instance.app).get('/healthz')).status).toBe(200);
+      });
+
+      it('should expose request and connection metrics', async () => {
+        const instance = track(createServer({ port: 0 }));
+        await startInstance(instance);
+        await request(instance.getServer()).get('/industries/retail');
+        const response = await request(instance.getServer()).get('/metrics');
+        expect(response.status).toBe(200);
+        expect(response.text).toContain('http_requests_total{method="GET",route="/industries/:slug",status="200"} 1\n');
+        expect(response.text).toMatch(/^http_open_connections \d+$/m);
+        expect(response.text).toMatch(/^process_resident_memory_bytes \d+$/m);
+      });
+
+      it('should stop one instance without affecting another', async () => {
+        const first = track(createServer({ port: 0 }));
+        const second = track(createServer({ port: 0 }));
+        await startInstance(first);
+        await startInstance(second);
+
+        await new Promise((resolve) => first.stop(resolve));
+        expect(first.getServer()).toBeNull();
+        expect(second.getServer().listening).toBe(true);
+      });
+
+      it('should not affect the default instance', async () => {
+        const instance = track(createServer({ port: 0 }));
+        await startInstance(instance);
+        expect(getServer()).toBeNull();
+      });
+
+      it('should refuse to start twice without stopping', async () => {
+        const instance = track(createServer({ port: 0 }));
+        await startInstance(instance);
+        expect(() => instance.start()).toThrow(/already listening/);
+      });
+
+      it('should let start options override instance options', async () => {
+        const instance = track(createServer({ port: 3000 }));
+        await new Promise((resolve) => instance.start({ port: 0 }, resolve));
+        expect(instance.getConfig().port).not.toBe(3000);
+      });
+
+      it('should stream greetings until the server stops', async () => {
+        const instance = track(createServer({ port: 0, greetingStreamLimit: 1 }));
+        await startInstance(instance);
+        const { port } = instance.getConfig();
+
+        const res = await new Promise((resolve, reject) => {
+          require('http').get({ host: '127.0.0.1', port, path: '/greeting/stream?tz=Asia/Tokyo&lang=de' }, resolve).on('error', reject);
+        });
+        expect(res.statusCode).toBe(200);
+        expect(res.headers['content-type']).toBe('text/event-stream; charset=utf-8');
+        expect(res.headers['x-request-id']).toBeDefined();
+        let body = '';
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => { body += chunk; });
+        const ended = new Promise((resolve) => res.on('end', resolve));
+        while (!body.includes('data: ')) {
+          await new Promise((resolve) => setTimeout(resolve, 5));
+        }
+        const [, id, data] = /id: (.*)\nevent: greeting\ndata: (.*)\n/.exec(body);
+        const { period } = JSON.parse(data);
+        expect(id).toMatch(new RegExp(`^\\d{4}-\\d{2}-\\d{2}/${period}$`));
+        expect(JSON.parse(data)).toEqual({ greeting: require('./locales/de.json')[period], period, locale: 'de' });
+
+        const full = await request(instance.getServer()).get('/greeting/stream');
+        expect(full.status).toBe(503);
+        expect(full.headers['retry-after']).toBe('5');
+        expect((await request(instance.getServer()).get('/metrics')).text).toMatch(/^greeting_streams_open 1$/m);
+
+        expect(await instance.stop()).toEqual({ drained: 1, killed: 0 });
+        await ended;
+      });
+
+      it('should reject greeting streams for unknown time zones', async () => {
+        const response = await request(createApp()).get('/greeting/stream?tz=Mars/Olympus');
+        expect(response.status).toBe(400);
+        expect(response.body.parameter).toBe('tz');
+      });
+
+      it('should serve HTTP/2 over TLS behind a redirect port', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'server-tls-'));
+        try {
+          execFileSync('openssl', [
+            'req', '-x509', '-newkey', 'ec', '-pkeyopt', 'ec_paramgen_curve:prime256v1', '-nodes',
+            '-keyout', 'key.pem', '-out', 'cert.pem', '-days', '1', '-subj', '/CN=localhost',
+            '-addext', 'subjectAltName=DNS:localhost,IP:127.0.0.1'
+          ], { cwd: dir, stdio: 'ignore' });
+          const instance = track(createServer({
+            port: 0,
+            redirectPort: 0,
+            http2: true,
+            tlsCert: path.join(dir, 'cert.pem'),
+            tlsKey: path.join(dir, 'key.pem'),
+            tlsWatch: false
+          }));
+          await startInstance(instance);
+          const { port, redirectPort } = instance.getConfig();
+          expect(redirectPort).not.toBe(0);
+
+          const redirect = await fetch(`http://127.0.0.1:${redirectPort}/evening?lang=fr`, { redirect: 'manual' });
+          expect(redirect.status).toBe(301);
+          expect(redirect.headers.get('location')).toBe(`https://127.0.0.1:${port}/evening?lang=fr`);
+
+          const session = http2.connect(`https://127.0.0.1:${port}`, { ca: fs.readFileSync(path.join(dir, 'cert.pem')) });
+          const response = await new Promise((resolve, reject) => {
+            const stream = session.request({ ':path': '/evening?lang=fr', accept: 'application/json' });
+            let body = '';
+            let headers;
+            stream.setEncoding('utf8');
+            stream.on('response', (received) => { headers = received; });
+            stream.on('data', (chunk) => { body += chunk; });
+            stream.on('end', () => resolve({ headers, body }));
+            stream.on('error', reject);
+          });
+          session.close();
+          expect(response.headers[':status']).toBe(200);
+          expect(response.headers['x-request-id']).toBeDefined();
+          expect(JSON.parse(response.body)).toMatchObject({ greeting: 'Bonsoir', period: 'evening', locale: 'fr' });
+        } finally {
+          fs.rmSync(dir, { recursive: true, force: true });
+        }
+      });
+
+      it('should reject invalid options at creation time', () => {
+        expect(() => createServer({ port: 'eighty' })).toThrow(/"port"/);
+      });
+    });
+  });
+
   // ============================================================
   // Error Handling Tests
   // ============================================================
@@ -417,17 +1256,37 @@ describe('Express.js Server', () => {
         expect(response.text).toMatch(/Cannot GET/);
       });
 
-      it('should return HTML error response for 404', async () => {
+      it('should return a problem document for 404', async () => {
         const response = await request(app).get('/undefined-route');
+        expect(response.headers['content-type']).toMatch(/application\/problem\+json/);
+        expect(response.body).toEqual({
+          type: 'about:blank',
+          title: 'Not Found',
+          status: 404,
+          detail: 'Cannot GET /undefined-route',
+          instance: '/undefined-route',
+          correlationId: response.headers['x-request-id']
+        });
+      });
+
+      it('should return HTML error response for 404 when preferred', async () => {
+        const response = await request(app).get('/undefined-route').set('Accept', 'text/html');
         expect(response.headers['content-type']).toMatch(/text\/html/);
+        expect(response.text).toMatch(/<h1>404 Not Found<\/h1>/);
+      });
+
+      it('should echo a valid incoming request id as the correlation id', async () => {
+        const response = await request(app).get('/undefined-route').set('X-Request-Id', 'abc-123');
+        expect(response.headers['x-request-id']).toBe('abc-123');
+        expect(response.body.correlationId).toBe('abc-123');
       });
     });
 
     describe('Invalid HTTP Methods', () => {
       it('should handle unsupported method on root', async () => {
         const response = await request(app).options('/');
-        // OPTIONS is typically handled by Express
-        expect([200, 204, 404]).toContain(response.status);
+        // OPTIONS is answered with the path's Allow header
+        expect(response.status).toBe(204);
       });
 
       it('should handle HEAD request on root', async () => {